@@ -15,11 +15,13 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ModularEditingManager = require('../src/ModularEditingManager');
+const TokenLinter = require('../src/TokenLinter');
 const WorkflowCommands = require('./workflow-commands');
 
 class AIWorkflowCommands {
   constructor() {
     this.manager = new ModularEditingManager('tokens');
+    this.linter = new TokenLinter({ tokensDir: 'tokens' });
     this.workflow = new WorkflowCommands();
     this.tokensDir = 'tokens';
     this.sourcePath = 'tokensource.json';
@@ -560,80 +562,20 @@ class AIWorkflowCommands {
   }
 
   _checkMetadataPreservation(tokenData) {
-    const checkObject = (obj) => {
-      for (const [key, value] of Object.entries(obj)) {
-        if (typeof value === 'object' && value !== null) {
-          if (this._isToken(value)) {
-            // Check if token has description
-            if (!value.$description && !value.description) {
-              return false;
-            }
-          } else {
-            if (!checkObject(value)) {
-              return false;
-            }
-          }
-        }
-      }
-      return true;
-    };
-
-    return checkObject(tokenData);
+    return this._passesLintRule(tokenData, 'require-description');
   }
 
   _checkTypeConsistency(tokenData) {
-    const checkObject = (obj) => {
-      for (const [key, value] of Object.entries(obj)) {
-        if (typeof value === 'object' && value !== null) {
-          if (this._isToken(value)) {
-            // Check if token has type
-            if (!value.$type && !value.type) {
-              return false;
-            }
-          } else {
-            if (!checkObject(value)) {
-              return false;
-            }
-          }
-        }
-      }
-      return true;
-    };
-
-    return checkObject(tokenData);
+    return this._passesLintRule(tokenData, 'require-type');
   }
 
   _checkSemanticNaming(tokenData) {
-    // Check for semantic naming patterns
-    const semanticPatterns = [
-      /^(color|spacing|typography|border|shadow|opacity|size)/,
-      /\.(primary|secondary|tertiary|success|error|warning|info)/,
-      /\.(small|medium|large|xl|xs)/,
-      /\.(light|dark|base|hover|active|disabled)/
-    ];
-
-    const checkNaming = (obj, path = '') => {
-      for (const [key, value] of Object.entries(obj)) {
-        const currentPath = path ? `${path}.${key}` : key;
-        
-        if (typeof value === 'object' && value !== null) {
-          if (this._isToken(value)) {
-            // Check if path follows semantic patterns
-            const isSemanticName = semanticPatterns.some(pattern => pattern.test(currentPath));
-            if (!isSemanticName && currentPath.split('.').length > 1) {
-              return false;
-            }
-          } else {
-            if (!checkNaming(value, currentPath)) {
-              return false;
-            }
-          }
-        }
-      }
-      return true;
-    };
+    return this._passesLintRule(tokenData, 'semantic-naming');
+  }
 
-    return checkNaming(tokenData);
+  _passesLintRule(tokenData, ruleName) {
+    const result = this.linter.lintTokenSet('ai-check', tokenData, { rules: { [ruleName]: 'error' } });
+    return !result.issues.some(issue => issue.rule === ruleName);
   }
 
   _generateAISuggestions(validationResults) {
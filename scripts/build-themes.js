@@ -1,141 +1,82 @@
 const StyleDictionary = require('style-dictionary');
-const { createThemeConfig, themes } = require('../style-dictionary.theme.config.js');
+const { applyTokenValues, createThemeConfig, getBuildThemes, getModifiedTokenValues, getThemeSelector, getThemeSlug, loadThemes } = require('../style-dictionary.theme.config.js');
 const fs = require('fs');
 const path = require('path');
 
-// Register custom transforms and formats (copied from main config)
-StyleDictionary.registerTransform({
-  name: 'math/evaluate',
-  type: 'value',
-  matcher: function(token) {
-    return typeof token.value === 'string' && 
-           (token.value.includes('roundTo(') || 
-            token.value.includes(' * ') || 
-            token.value.includes(' + ') || 
-            token.value.includes(' - ') || 
-            token.value.includes(' / '));
-  },
-  transformer: function(token) {
-    let value = token.value;
-    
-    // Handle roundTo() function
-    if (value.includes('roundTo(')) {
-      value = value.replace(/roundTo\(([^,]+),\s*(\d+)\)/g, (match, expression, decimals) => {
-        try {
-          const result = eval(expression);
-          return Number(result.toFixed(parseInt(decimals)));
-        } catch (e) {
-          return match;
-        }
-      });
-    }
-    
-    // Handle simple mathematical expressions
-    if (value.includes(' * ') || value.includes(' + ') || value.includes(' - ') || value.includes(' / ')) {
-      try {
-        if (/^[\d\s\+\-\*\/\(\)]+$/.test(value)) {
-          return eval(value);
-        }
-      } catch (e) {
-        // Return original value if evaluation fails
-      }
-    }
-    
-    return value;
-  }
-});
+// Custom transforms and formats (math/evaluate, css/typography, ...) are registered
+// by style-dictionary.config.js, which the theme config requires
 
-StyleDictionary.registerFormat({
-  name: 'css/typography',
-  formatter: function(dictionary, config) {
-    const typographyTokens = dictionary.allTokens.filter(token => 
-      token.type === 'typography' || 
-      (typeof token.value === 'object' && token.value.fontFamily)
-    );
-    
-    function evaluateExpression(expr) {
-      if (typeof expr !== 'string') return expr;
-      
-      if (expr.includes('roundTo(')) {
-        expr = expr.replace(/roundTo\(([^,]+),\s*(\d+)\)/g, (match, expression, decimals) => {
-          try {
-            const result = eval(expression);
-            return Number(result.toFixed(parseInt(decimals)));
-          } catch (e) {
-            return match;
-          }
-        });
-      }
-      
-      if (expr.includes(' * ') || expr.includes(' + ') || expr.includes(' - ') || expr.includes(' / ')) {
-        try {
-          if (/^[\d\s\+\-\*\/\(\)]+$/.test(expr)) {
-            return eval(expr);
-          }
-        } catch (e) {
-          // Return original if evaluation fails
-        }
-      }
-      
-      return expr;
-    }
-    
-    return typographyTokens.map(token => {
-      const value = token.value;
-      if (typeof value === 'object' && value.fontFamily) {
-        const fontSize = evaluateExpression(value.fontSize) || '16';
-        const lineHeight = value.lineHeight && value.lineHeight !== 'AUTO' ? value.lineHeight : '1.5';
-        const fontWeight = value.fontWeight || 'normal';
-        const fontFamily = value.fontFamily || 'inherit';
-        
-        return `  --${token.name}: ${fontWeight} ${fontSize}px/${lineHeight} ${fontFamily};`;
-      }
-      return `  --${token.name}: ${value};`;
-    }).join('\n');
-  }
-});
+// Usage: node scripts/build-themes.js [--tokens-dir <dir>] [theme ...]
+const args = process.argv.slice(2);
+const tokensDirIndex = args.indexOf('--tokens-dir');
+let tokensDir = 'tokens';
+if (tokensDirIndex !== -1) {
+  tokensDir = args[tokensDirIndex + 1];
+  args.splice(tokensDirIndex, 2);
+}
+const requestedThemes = args;
 
-StyleDictionary.registerFormat({
-  name: 'css/custom-properties-themed',
-  formatter: function(dictionary, config) {
-    const { themeName } = config;
-    const selector = themeName ? `[data-theme="${themeName}"]` : ':root';
-    
-    return `${selector} {\n${dictionary.allTokens.map(token => 
-      `  --${token.name}: ${token.value};`
-    ).join('\n')}\n}\n`;
-  }
-});
+let themes;
+let metadata;
+try {
+  ({ themes, metadata } = loadThemes(tokensDir));
+} catch (error) {
+  console.error(`❌ Could not load $themes.json/$metadata.json from ${path.resolve(tokensDir)}: ${error.message}`);
+  process.exit(1);
+}
 
-StyleDictionary.registerFormat({
-  name: 'javascript/es6-themed',
-  formatter: function(dictionary, config) {
-    const { themeName } = config;
-    const exportName = themeName ? `${themeName}Tokens` : 'tokens';
-    
-    return `export const ${exportName} = ${JSON.stringify(dictionary.tokens, null, 2)};`;
-  }
-});
+// Grouped themes build once per brand × mode combination
+const buildThemes = getBuildThemes(themes);
+
+const selectedThemes = requestedThemes.length > 0
+  ? buildThemes.filter(theme => requestedThemes.includes(theme.name) || requestedThemes.includes(getThemeSlug(theme.name)))
+  : buildThemes;
+
+if (selectedThemes.length === 0) {
+  console.error(`❌ No matching themes. Available: ${buildThemes.map(theme => theme.name).join(', ')}`);
+  process.exit(1);
+}
 
 console.log('🎨 Building theme-specific tokens...\n');
 
-// Build tokens for each theme
-themes.forEach(themeName => {
-  console.log(`📦 Building tokens for ${themeName} theme...`);
-  
-  const config = createThemeConfig(themeName);
-  const SD = StyleDictionary.extend(config);
-  
-  // Create theme-specific directories
-  Object.keys(config.platforms).forEach(platform => {
-    const buildPath = config.platforms[platform].buildPath;
-    fs.mkdirSync(buildPath, { recursive: true });
-  });
-  
-  // Build the tokens
-  SD.buildAllPlatforms();
-  
-  console.log(`✅ ${themeName} theme tokens built successfully!\n`);
+const failed = [];
+
+// One Style Dictionary run per theme in $themes.json, or per combination of grouped themes
+selectedThemes.forEach(theme => {
+  const selector = getThemeSelector(theme);
+  console.log(`📦 Building tokens for ${theme.name} theme${selector ? ` (${selector})` : ''}...`);
+
+  const config = createThemeConfig(theme, metadata, { tokensDir });
+
+  if (config.source.length === 0) {
+    console.warn(`⚠️  ${theme.name} has no enabled token sets, skipping\n`);
+    return;
+  }
+
+  try {
+    const SD = StyleDictionary.extend(config);
+
+    // Token Studio color modifiers (lighten, darken, alpha, mix) resolved for this theme
+    const modified = getModifiedTokenValues(theme, metadata, { tokensDir });
+    modified.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+    applyTokenValues(SD.tokens, modified.values);
+
+    // Create theme-specific directories
+    Object.keys(config.platforms).forEach(platform => {
+      fs.mkdirSync(config.platforms[platform].buildPath, { recursive: true });
+    });
+
+    SD.buildAllPlatforms();
+    console.log(`✅ ${theme.name} theme tokens built to dist/<platform>/${getThemeSlug(theme.name)}/\n`);
+  } catch (error) {
+    failed.push(theme.name);
+    console.error(`❌ ${theme.name} theme failed: ${error.message}\n`);
+  }
 });
 
-console.log('🎉 All theme tokens built successfully!');
\ No newline at end of file
+if (failed.length > 0) {
+  console.error(`❌ ${failed.length} theme(s) failed to build: ${failed.join(', ')}`);
+  process.exit(1);
+}
+
+console.log('🎉 All theme tokens built successfully!');
@@ -174,7 +174,8 @@ async function demonstrateErrorHandling() {
     
     const recoveryResult = await errorHandler.attemptPartialRecovery(mockValidationResult, {
       autoFix: true,
-      backupFirst: false
+      backupFirst: false,
+      tokensDir: 'demo-tokens'
     });
     
     if (recoveryResult.success) {
@@ -23,19 +23,33 @@ function showHelp() {
   log('=' .repeat(60), 'blue');
   
   log('\n📦 BUILD COMMANDS', 'cyan');
-  log('  npm run build                 - Build Style Dictionary output', 'green');
-  log('  npm run build:themes          - Build theme-specific outputs', 'green');
-  log('  npm run build:all             - Build everything (styles + themes)', 'green');
-  log('  npm run build:watch           - Watch tokensource.json for changes', 'green');
+  log('  npm run build                 - Build every theme in tokens/$themes.json', 'green');
+  log('  npm run build:themes [theme]  - Build selected themes to dist/<platform>/<theme>/', 'green');
+  log('  npm run build:all             - Alias for npm run build', 'green');
+  log('  npm run build:watch           - Watch tokens/ for changes', 'green');
   log('  npm run clean                 - Clean build outputs', 'green');
   
+  log('\n🧹 LINT COMMANDS', 'cyan');
+  log('  npm run lint                  - Lint token sets with .tokenlintrc rules', 'green');
+  log('  npm run lint:fix              - Apply fixes for fixable lint rules', 'green');
+  
   log('\n🔄 WORKFLOW COMMANDS', 'cyan');
   log('  npm run workflow:start              - Complete setup for editing', 'green');
   log('  npm run workflow:finish             - Consolidate and validate', 'green');
   log('  npm run workflow <command>          - Run specific workflow command', 'green');
   log('    Available commands: split-source-to-tokens, consolidate-to-source,', 'yellow');
   log('    sync-from-github, validate-workflow-integrity, generate-github-url,', 'yellow');
-  log('    validate-github-integration, manage-branch, test-designer-import', 'yellow');
+  log('    validate-github-integration, manage-branch, test-designer-import,', 'yellow');
+  log('    diff <before> [after] --format=text|json|markdown,', 'yellow');
+  log('    unused [--prune] --format=text|json,', 'yellow');
+  log('    validate-workflow-integrity --format=text|json|sarif|junit [--output=<file>],', 'yellow');
+  log('    export-dtcg [dir], import-dtcg <dir|file> [--dry-run],', 'yellow');
+  log('    export-figma-variables [--existing=<file>] [--output=<file>],', 'yellow');
+  log('    import-figma-variables <file> [--dry-run],', 'yellow');
+  log('    check-figma-references [--format=json], remap-figma-references [--map=<file>] [--prune] [--dry-run],', 'yellow');
+  log('    theme-groups [--format=json], set-theme-group <theme> [group] [--dry-run],', 'yellow');
+  log('    theme-matrix [theme ...] --format=markdown|csv|json [--all] [--output=<file>],', 'yellow');
+  log('    rename <old> <new> | rename --map=<file> [--dry-run]', 'yellow');
   
   log('\n🤖 AI WORKFLOW COMMANDS', 'cyan');
   log('  npm run ai <command>                - Run AI workflow command', 'green');
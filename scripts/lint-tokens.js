@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Token Lint - Run the configurable token lint rules
+ *
+ * Usage: node scripts/lint-tokens.js [--fix] [--config <path>] [--tokens-dir <dir>] [--list-rules]
+ *
+ * Rules, severities, per-set overrides, ignore globs and plugins come from .tokenlintrc.
+ * Exits with 1 when any error-level issue remains.
+ */
+
+const TokenLinter = require('../src/TokenLinter');
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const linter = new TokenLinter({
+    tokensDir: readOption(args, '--tokens-dir') || 'tokens',
+    configPath: readOption(args, '--config')
+  });
+
+  const loaded = await linter.loadConfig();
+  loaded.errors.forEach(error => console.error(`❌ ${error}`));
+  if (!loaded.success) {
+    process.exit(1);
+  }
+
+  if (args.includes('--list-rules')) {
+    for (const rule of linter.listRules()) {
+      console.log(`${rule.name.padEnd(22)} ${rule.defaultSeverity.padEnd(6)} ${rule.fixable ? '🔧' : '  '} ${rule.description}`);
+    }
+    return;
+  }
+
+  console.log(`🔍 Linting tokens${loaded.configPath ? ` with ${loaded.configPath}` : ''}...\n`);
+  const result = await linter.lint({ fix: args.includes('--fix') });
+
+  const icons = { error: '❌', warn: '⚠️ ', info: 'ℹ️ ' };
+  const byFile = new Map();
+  for (const issue of result.issues) {
+    if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+    byFile.get(issue.file).push(issue);
+  }
+
+  for (const [file, issues] of byFile.entries()) {
+    console.log(`📄 ${file}`);
+    for (const issue of issues) {
+      console.log(`  ${icons[issue.severity]} ${issue.path || '(file)'}  ${issue.message}  [${issue.rule}${issue.fixable ? ', fixable' : ''}]`);
+    }
+    console.log('');
+  }
+
+  result.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  result.errors.forEach(error => console.error(`❌ ${error}`));
+
+  if (result.fixedCount > 0) {
+    console.log(`🔧 Fixed ${result.fixedCount} issue(s) in ${result.fixedFiles.join(', ')}`);
+  }
+
+  const fixableCount = result.issues.filter(issue => issue.fixable).length;
+  console.log(`📊 ${result.errorCount} error(s), ${result.warningCount} warning(s)${fixableCount > 0 ? `, ${fixableCount} fixable with --fix` : ''}`);
+
+  if (!result.success) {
+    process.exit(1);
+  }
+  console.log('✅ Token lint passed');
+}
+
+main().catch(error => {
+  console.error(`💥 Unexpected error: ${error.message}`);
+  process.exit(1);
+});
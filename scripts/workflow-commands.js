@@ -10,6 +10,14 @@
  * - validate-workflow-integrity: Test complete workflow roundtrip
  * - workflow:start: Complete setup for editing session
  * - workflow:finish: Consolidate and validate for commit
+ * - diff: Semantic diff between two token sources (git refs, files or folders)
+ * - unused: Unreferenced tokens per theme and stale $figmaStyleReferences, with --prune
+ * - rename: Move a token or group and rewrite its references, singly or from a mapping file
+ * - export-dtcg / import-dtcg: Convert to and from the W3C Design Tokens format with a lossiness report
+ * - export-figma-variables / import-figma-variables: Figma Variables REST API bodies from themes, and back
+ * - check-figma-references / remap-figma-references: Stale Figma style and variable reference keys in $themes.json
+ * - theme-groups / set-theme-group: Multi-dimensional themes (brand × mode) from the group key in $themes.json
+ * - theme-matrix: Which tokens each theme is missing, types differing between themes and tokens broken in a theme
  * 
  * Requirements addressed: 7.1, 7.2, 7.3, 7.4, 7.5
  */
@@ -20,6 +28,7 @@ const { execSync } = require('child_process');
 const TokenTransformationEngine = require('../src/TokenTransformationEngine');
 const FileStructureManager = require('../src/FileStructureManager');
 const ErrorHandlingSystem = require('../src/ErrorHandlingSystem');
+const SchemaValidator = require('../src/SchemaValidator');
 
 class WorkflowCommands {
   constructor() {
@@ -35,6 +44,7 @@ class WorkflowCommands {
       backupDir: '.backups',
       debugMode: process.env.DEBUG_MODE === 'true'
     });
+    this.schemaValidator = new SchemaValidator();
     this.sourcePath = 'tokensource.json';
     this.tokensDir = 'tokens';
     this.backupDir = '.backups';
@@ -170,6 +180,7 @@ class WorkflowCommands {
       const summary = {
         tokensCount: consolidateResult.tokensCount,
         backupPath,
+        conflicts: consolidateResult.conflicts || [],
         warnings: consolidateResult.warnings || [],
         validationIssues: sourceValidation.issues || []
       };
@@ -180,6 +191,12 @@ class WorkflowCommands {
         if (backupPath) {
           console.log('💾 Backup location:', backupPath);
         }
+        for (const conflict of summary.conflicts) {
+          const winners = Object.entries(conflict.themes)
+            .map(([themeName, setName]) => `${themeName}: ${setName}`)
+            .join(', ');
+          console.log(`🔀 ${conflict.path} defined in ${conflict.sets.join(', ')}${winners ? ` (${winners})` : ''}`);
+        }
         if (summary.warnings.length > 0) {
           console.log('⚠️  Warnings:', summary.warnings.join(', '));
         }
@@ -290,9 +307,17 @@ class WorkflowCommands {
    * @returns {Promise<{success: boolean, message: string, details: object}>}
    */
   async validateWorkflowIntegrity(options = {}) {
-    const { verbose = false } = options;
+    const { verbose = false, format = 'text', output = null } = options;
+
+    const reportFormats = ['text', 'json', 'sarif', 'junit'];
+    if (!reportFormats.includes(format)) {
+      return this._errorResult(`Unknown validation report format: ${format}. Use ${reportFormats.join(', ')}`);
+    }
+
+    // A machine-readable report on stdout must not be mixed with progress output
+    const quiet = format !== 'text' && !output;
     
-    this._logProgress('🔄 Starting comprehensive workflow integrity validation...');
+    this._logProgress('🔄 Starting comprehensive workflow integrity validation...', !quiet);
 
     try {
       const ValidationSystem = require('../src/ValidationSystem');
@@ -321,7 +346,11 @@ class WorkflowCommands {
       
       // Generate comprehensive validation report
       this._logProgress('🔍 Running comprehensive validation suite...', verbose);
-      const result = await validator.generateValidationReport(tokensDir, sourcePath);
+      const result = await validator.generateValidationReport(tokensDir, sourcePath, { quiet });
+
+      if (format !== 'text') {
+        return this._writeValidationReport(result, { format, output, tokensDir, sourcePath });
+      }
       
       // Compile detailed summary
       const summary = {
@@ -343,6 +372,16 @@ class WorkflowCommands {
             incompleteThemes: result.report.validations.themes.incompleteThemes?.length || 0,
             orphanedSets: result.report.validations.themes.orphanedSets?.length || 0
           },
+          contrast: {
+            valid: result.report.validations.contrast.isValid,
+            pairsChecked: result.report.validations.contrast.pairs?.length || 0,
+            failingPairs: result.report.validations.contrast.issues?.length || 0
+          },
+          figma: {
+            valid: result.report.validations.figma.isValid,
+            danglingReferences: result.report.validations.figma.issues?.filter(i => i.type === 'dangling_figma_reference').length || 0,
+            missingReferences: result.report.validations.figma.issues?.filter(i => i.type === 'missing_figma_reference').length || 0
+          },
           roundtrip: result.report.validations.roundtrip ? {
             valid: result.report.validations.roundtrip.isValid,
             differences: result.report.validations.roundtrip.differences?.length || 0,
@@ -362,6 +401,8 @@ class WorkflowCommands {
           console.log(`   - Structure: ${summary.validationBreakdown.structure.valid ? '✅' : '❌'} (${summary.validationBreakdown.structure.issues} issues)`);
           console.log(`   - References: ${summary.validationBreakdown.references.valid ? '✅' : '❌'} (${summary.validationBreakdown.references.unresolvedReferences} unresolved)`);
           console.log(`   - Themes: ${summary.validationBreakdown.themes.valid ? '✅' : '❌'} (${summary.validationBreakdown.themes.incompleteThemes} incomplete)`);
+          console.log(`   - Contrast: ${summary.validationBreakdown.contrast.valid ? '✅' : '❌'} (${summary.validationBreakdown.contrast.pairsChecked} pairs checked)`);
+          console.log(`   - Figma references: ${summary.validationBreakdown.figma.danglingReferences === 0 ? '✅' : '⚠️'} (${summary.validationBreakdown.figma.danglingReferences} dangling, ${summary.validationBreakdown.figma.missingReferences} missing)`);
           if (summary.validationBreakdown.roundtrip) {
             console.log(`   - Roundtrip: ${summary.validationBreakdown.roundtrip.valid ? '✅' : '❌'} (${summary.validationBreakdown.roundtrip.differences} differences)`);
           }
@@ -408,6 +449,24 @@ class WorkflowCommands {
             if (unresolvedRefs.length > 5) {
               console.log(`   - ... and ${unresolvedRefs.length - 5} more reference issues`);
             }
+
+            const cycles = result.report.validations.references.circularReferences || [];
+            cycles.forEach(cycle => {
+              console.log(`   - ${cycle.message}`);
+              (cycle.hops || []).forEach(hop => {
+                console.log(`       ${hop.file} ${hop.path}: ${JSON.stringify(hop.value)}`);
+              });
+            });
+          }
+
+          if (!summary.validationBreakdown.contrast.valid) {
+            const failingPairs = result.report.validations.contrast.issues || [];
+            failingPairs.slice(0, 5).forEach(issue => {
+              console.log(`   - ${issue.message}`);
+            });
+            if (failingPairs.length > 5) {
+              console.log(`   - ... and ${failingPairs.length - 5} more contrast issues`);
+            }
           }
         }
         
@@ -426,6 +485,7 @@ class WorkflowCommands {
           console.log(`   Circular References: ${summary.validationBreakdown.references.circularReferences}`);
           console.log(`   Incomplete Themes: ${summary.validationBreakdown.themes.incompleteThemes}`);
           console.log(`   Orphaned Token Sets: ${summary.validationBreakdown.themes.orphanedSets}`);
+          console.log(`   Failing Contrast Pairs: ${summary.validationBreakdown.contrast.failingPairs}`);
           if (summary.validationBreakdown.roundtrip) {
             console.log(`   Roundtrip Differences: ${summary.validationBreakdown.roundtrip.differences}`);
             console.log(`   Preservation Issues: ${summary.validationBreakdown.roundtrip.preservationIssues}`);
@@ -442,6 +502,31 @@ class WorkflowCommands {
     }
   }
 
+
+  /**
+   * Write a validation result as JSON, SARIF or JUnit with source positions
+   * @param {object} result - Result of ValidationSystem.generateValidationReport
+   * @param {object} options - { format, output: optional file, tokensDir, sourcePath }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async _writeValidationReport(result, options) {
+    const { format, output, tokensDir, sourcePath } = options;
+    const ValidationReportFormatter = require('../src/ValidationReportFormatter');
+    const formatter = new ValidationReportFormatter({ tokensDir, sourcePath });
+
+    const { report, output: content } = await formatter.format(result.report, format);
+    if (output) {
+      await fs.writeFile(output, `${content}\n`);
+      this._logProgress(`📝 Validation report written to ${output}`);
+    } else {
+      console.log(content);
+    }
+
+    const message = `${report.summary.errors} error(s) and ${report.summary.warnings} warning(s) in ${report.summary.total} issue(s)`;
+    return report.valid
+      ? this._successResult(`Validation passed: ${message}`, { summary: report.summary, output })
+      : this._errorResult(`Validation failed: ${message}`, { summary: report.summary, output });
+  }
   /**
    * Complete setup for editing session (convenience command)
    * @param {object} options - Command options
@@ -588,6 +673,607 @@ class WorkflowCommands {
     }
   }
 
+  /**
+   * Semantic diff between two token sources
+   * @param {string} before - Git ref, ref:path, tokensource file or tokens folder
+   * @param {string} after - Git ref, ref:path, tokensource file or tokens folder (default: tokens folder)
+   * @param {object} options - { format: 'text'|'json'|'markdown', output: optional report file }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async diffTokens(before, after = this.tokensDir, options = {}) {
+    const { format = 'text', output = null } = options;
+
+    if (!before) {
+      return this._errorResult('Usage: diff <before> [after] [--format=text|json|markdown] [--output=<file>]');
+    }
+
+    const formatters = { text: 'formatText', json: 'formatJson', markdown: 'formatMarkdown', md: 'formatMarkdown' };
+    if (!formatters[format]) {
+      return this._errorResult(`Unknown diff format: ${format}. Use text, json or markdown`);
+    }
+
+    try {
+      const TokenDiff = require('../src/TokenDiff');
+      const tokenDiff = new TokenDiff({
+        tokensDir: path.relative(process.cwd(), path.resolve(this.tokensDir)),
+        sourcePath: path.relative(process.cwd(), path.resolve(this.sourcePath))
+      });
+
+      const diff = await tokenDiff.diff(before, after);
+      if (!diff.success) {
+        return this._errorResult(`Diff failed: ${diff.errors.join(', ')}`);
+      }
+
+      const report = tokenDiff[formatters[format]](diff);
+      if (output) {
+        await fs.writeFile(output, `${report}\n`);
+        this._logProgress(`📝 Diff report written to ${output}`);
+      } else {
+        console.log(report);
+      }
+
+      diff.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      const { added, removed, renamed, changed } = diff.summary;
+      return this._successResult(
+        `Compared ${before} → ${after}: ${added + removed + renamed + changed} token change(s)`,
+        { summary: diff.summary, output }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during diff: ${error.message}`);
+    }
+  }
+
+  /**
+   * Report unreferenced tokens and stale Figma style references, optionally pruning them
+   * @param {object} options - { format: 'text'|'json', output: optional report file, prune: remove prunable tokens after a backup }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async unusedTokens(options = {}) {
+    const { format = 'text', output = null, prune = false } = options;
+
+    const formatters = { text: 'formatText', json: 'formatJson' };
+    if (!formatters[format]) {
+      return this._errorResult(`Unknown unused report format: ${format}. Use text or json`);
+    }
+
+    try {
+      const UnusedTokenAnalyzer = require('../src/UnusedTokenAnalyzer');
+      const analyzer = new UnusedTokenAnalyzer({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      const analysis = await analyzer.analyze();
+      if (!analysis.success) {
+        return this._errorResult(`Unused token analysis failed: ${analysis.errors.join(', ')}`);
+      }
+
+      const report = analyzer[formatters[format]](analysis);
+      if (output) {
+        await fs.writeFile(output, `${report}\n`);
+        this._logProgress(`📝 Unused token report written to ${output}`);
+      } else {
+        console.log(report);
+      }
+
+      analysis.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      const { unused, disabledOnly, missingStyleReferences, prunable } = analysis.summary;
+      if (!prune) {
+        return this._successResult(
+          `Found ${unused} unreferenced and ${disabledOnly} disabled-only token(s) across themes, ` +
+          `${missingStyleReferences} missing style reference(s); ${prunable} source token(s) prunable with --prune`,
+          { summary: analysis.summary, output }
+        );
+      }
+
+      this._logProgress('✂️  Pruning unused source tokens and missing style references...');
+      const pruneResult = await analyzer.prune(analysis);
+      if (!pruneResult.success) {
+        return this._errorResult(`Prune failed: ${pruneResult.errors.join(', ')}`);
+      }
+
+      if (pruneResult.backupId) {
+        this._logProgress(`💾 Backup created: ${pruneResult.backupId}`);
+      }
+
+      return this._successResult(
+        `Pruned ${pruneResult.removedTokens.length} token(s) and ${pruneResult.removedStyleReferences.length} style reference(s)` +
+        (pruneResult.files.length > 0 ? ` from ${pruneResult.files.join(', ')}` : ''),
+        {
+          summary: analysis.summary,
+          backupId: pruneResult.backupId,
+          backupPath: pruneResult.backupPath,
+          removedTokens: pruneResult.removedTokens,
+          removedStyleReferences: pruneResult.removedStyleReferences
+        }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during unused token analysis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Report $figmaStyleReferences/$figmaVariableReferences keys without a token, and tokens without a reference
+   * @param {object} options - { format: 'text'|'json', output: optional report file }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async checkFigmaReferences(options = {}) {
+    const { format = 'text', output = null } = options;
+
+    const formatters = { text: 'formatText', json: 'formatJson' };
+    if (!formatters[format]) {
+      return this._errorResult(`Unknown Figma reference report format: ${format}. Use text or json`);
+    }
+
+    try {
+      const FigmaReferenceChecker = require('../src/FigmaReferenceChecker');
+      const checker = new FigmaReferenceChecker({ tokensDir: this.tokensDir });
+
+      const result = await checker.analyze();
+      if (!result.success) {
+        return this._errorResult(`Figma reference check failed: ${result.errors.join(', ')}`);
+      }
+
+      const report = checker[formatters[format]](result);
+      if (output) {
+        await fs.writeFile(output, `${report}\n`);
+        this._logProgress(`📝 Figma reference report written to ${output}`);
+      } else {
+        console.log(report);
+      }
+
+      const { references, dangling, missing } = result.summary;
+      const message = `${dangling} of ${references} Figma reference(s) dangling, ${missing} token(s) without a reference`;
+      if (dangling > 0) {
+        return this._errorResult(`${message}; fix them with remap-figma-references`, { summary: result.summary, output });
+      }
+      return this._successResult(message, { summary: result.summary, output });
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during Figma reference check: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move dangling Figma reference keys onto renamed tokens in $themes.json
+   * @param {object} options - { map: JSON mapping of old path to new path, threshold: minimum match confidence, prune: drop unmatched keys, dryRun: only print the changes }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async remapFigmaReferences(options = {}) {
+    const { map = null, threshold, prune = false, dryRun = false } = options;
+
+    try {
+      const FigmaReferenceChecker = require('../src/FigmaReferenceChecker');
+      const TokenRenamer = require('../src/TokenRenamer');
+      const checker = new FigmaReferenceChecker({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      let mappings = [];
+      if (map) {
+        const loaded = await new TokenRenamer({ tokensDir: this.tokensDir }).loadMappingFile(map);
+        if (!loaded.success) {
+          return this._errorResult(loaded.errors.join(', '));
+        }
+        mappings = loaded.mappings;
+      }
+
+      this._logProgress(`🔗 ${dryRun ? 'Planning' : 'Applying'} Figma reference remap...`);
+      const result = await checker.remap({ mappings, threshold, prune, dryRun });
+      if (!result.success) {
+        return this._errorResult(`Figma reference remap failed: ${result.errors.join(', ')}`);
+      }
+
+      const report = checker.formatRemapText(result);
+      if (report) {
+        console.log(report);
+      }
+      result.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      if (result.backupId) {
+        this._logProgress(`💾 Backup created: ${result.backupId}`);
+      }
+
+      const summary = `${result.remapped.length} remapped, ${result.pruned.length} removed and ${result.review.length} left for review`;
+      return this._successResult(
+        dryRun ? `Dry run: ${summary}` : `Figma references: ${summary}`,
+        { remapped: result.remapped, pruned: result.pruned, review: result.review, files: result.files, backupId: result.backupId }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during Figma reference remap: ${error.message}`);
+    }
+  }
+
+  /**
+   * List theme groups, the combinations they build and grouping mistakes
+   * @param {object} options - { format: 'text'|'json' }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async themeGroups(options = {}) {
+    const { format = 'text' } = options;
+
+    if (!['text', 'json'].includes(format)) {
+      return this._errorResult(`Unknown theme group report format: ${format}. Use text or json`);
+    }
+
+    try {
+      const ThemeGroups = require('../src/ThemeGroups');
+      const themeGroups = new ThemeGroups({ tokensDir: this.tokensDir });
+
+      const result = await themeGroups.analyze();
+      if (!result.success) {
+        return this._errorResult(`Theme group check failed: ${result.errors.join(', ')}`);
+      }
+
+      console.log(format === 'json'
+        ? JSON.stringify({ groups: result.groups, combinations: result.combinations, issues: result.issues }, null, 2)
+        : themeGroups.formatText(result));
+
+      const errors = result.issues.filter(issue => issue.severity === 'error');
+      const message = `${result.groups.length} theme group(s), ${result.combinations.length} combination(s)`;
+      if (errors.length > 0) {
+        return this._errorResult(`${message}, ${errors.length} grouping error(s)`, { issues: result.issues });
+      }
+      return this._successResult(message, { groups: result.groups, combinations: result.combinations });
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during theme group check: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a theme into a group in $themes.json, or out of every group
+   * @param {string} themeName - Theme name or id
+   * @param {string} group - Group name; omit to ungroup the theme
+   * @param {object} options - { dryRun: only print the change }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async setThemeGroup(themeName, group, options = {}) {
+    const { dryRun = false } = options;
+
+    if (!themeName) {
+      return this._errorResult('Usage: set-theme-group <theme> [group]');
+    }
+
+    try {
+      const ThemeGroups = require('../src/ThemeGroups');
+      const themeGroups = new ThemeGroups({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      const result = await themeGroups.setGroup(themeName, group, { dryRun });
+      if (!result.success) {
+        return this._errorResult(`Setting the theme group failed: ${result.errors.join(', ')}`);
+      }
+
+      result.issues.forEach(issue => this._logWarning(`⚠️  ${issue.message}`));
+      if (result.backupId) {
+        this._logProgress(`💾 Backup created: ${result.backupId}`);
+      }
+
+      const change = `${result.theme}: ${result.from || 'no group'} → ${result.to || 'no group'}`;
+      if (result.files.length === 0) {
+        return this._successResult(`${result.theme} is already ${result.to ? `in ${result.to}` : 'ungrouped'}`, { theme: result.theme });
+      }
+      return this._successResult(
+        dryRun ? `Dry run: ${change}` : `Theme group set, ${change}`,
+        { theme: result.theme, from: result.from, to: result.to, files: result.files, backupId: result.backupId }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error while setting the theme group: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare the resolved tokens of every theme as a completeness matrix
+   * @param {string[]} themeNames - Themes or combinations to compare; all when empty
+   * @param {object} options - { format: 'text'|'markdown'|'csv'|'json', output: optional report file, all: include complete tokens }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async themeMatrix(themeNames = [], options = {}) {
+    const { format = 'markdown', output = null, all = false } = options;
+
+    // The Markdown table reads fine in a terminal, so it doubles as the text report
+    const formatters = { text: 'formatMarkdown', markdown: 'formatMarkdown', csv: 'formatCsv', json: 'formatJson' };
+    if (!formatters[format]) {
+      return this._errorResult(`Unknown theme matrix format: ${format}. Use markdown, csv or json`);
+    }
+
+    try {
+      const ThemeMatrix = require('../src/ThemeMatrix');
+      const matrix = new ThemeMatrix({ tokensDir: this.tokensDir });
+
+      const report = await matrix.analyze({ themes: themeNames });
+      if (!report.success) {
+        return this._errorResult(`Theme matrix failed: ${report.errors.join(', ')}`);
+      }
+
+      const rendered = matrix[formatters[format]](report, { all });
+      if (output) {
+        await fs.writeFile(output, `${rendered}\n`);
+        this._logProgress(`📝 Theme matrix written to ${output}`);
+      } else {
+        console.log(rendered);
+      }
+
+      const { tokens, complete, missing, typeMismatches, broken } = report.summary;
+      return this._successResult(
+        `${complete} of ${tokens} token(s) complete across ${report.themes.join(', ')}: ` +
+        `${missing} missing from some themes, ${typeMismatches} with differing types, ${broken} broken`,
+        { summary: report.summary, output }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error while building the theme matrix: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename or move a token or group and rewrite every reference to it
+   * @param {string} from - Current token or group path
+   * @param {string} to - New path
+   * @param {object} options - { map: mapping file for batch renames, dryRun: only print the changes }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async renameTokens(from, to, options = {}) {
+    const { map = null, dryRun = false } = options;
+
+    if (!map && (!from || !to)) {
+      return this._errorResult('Usage: rename <old.path> <new.path> | rename --map=<mapping.json> [--dry-run]');
+    }
+
+    try {
+      const TokenRenamer = require('../src/TokenRenamer');
+      const renamer = new TokenRenamer({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      let mappings = [{ from, to }];
+      if (map) {
+        const loaded = await renamer.loadMappingFile(map);
+        if (!loaded.success) {
+          return this._errorResult(loaded.errors.join(', '));
+        }
+        mappings = loaded.mappings;
+      }
+
+      this._logProgress(`✏️  ${dryRun ? 'Planning' : 'Applying'} ${mappings.length} rename(s)...`);
+      const result = await renamer.rename(mappings, { dryRun });
+      if (!result.success) {
+        return this._errorResult(`Rename failed: ${result.errors.join(', ')}`);
+      }
+
+      console.log(renamer.formatText(result));
+      result.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      if (result.backupId) {
+        this._logProgress(`💾 Backup created: ${result.backupId}`);
+      }
+
+      const summary = `${result.moved.length} move(s), ${result.references.length} reference(s) and ` +
+        `${result.themeReferences.length} Figma reference key(s)`;
+      return this._successResult(
+        dryRun
+          ? `Dry run: would apply ${summary} to ${result.files.join(', ') || 'no files'}`
+          : `Applied ${summary} in ${result.files.join(', ') || 'no files'}`,
+        { moved: result.moved, files: result.files, backupId: result.backupId }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during rename: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export the tokens folder as W3C Design Tokens (DTCG) files with a resolver file for the themes
+   * @param {string} outputDir - Folder for the .tokens.json files (default: dtcg)
+   * @param {object} options - { format: 'text'|'json' lossiness report, output: optional report file }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async exportDtcg(outputDir, options = {}) {
+    const { format = 'text', output = null } = options;
+    const targetDir = outputDir || 'dtcg';
+
+    const formatters = { text: 'formatText', json: 'formatJson' };
+    if (!formatters[format]) {
+      return this._errorResult(`Unknown lossiness report format: ${format}. Use text or json`);
+    }
+
+    try {
+      const DtcgConverter = require('../src/DtcgConverter');
+      const converter = new DtcgConverter({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      const result = await converter.exportToDirectory(targetDir);
+      if (!result.success) {
+        return this._errorResult(`DTCG export failed: ${result.errors.join(', ')}`);
+      }
+
+      const report = converter[formatters[format]](result);
+      if (output) {
+        await fs.writeFile(output, `${report}\n`);
+        this._logProgress(`📝 Lossiness report written to ${output}`);
+      } else {
+        console.log(report);
+      }
+
+      result.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      return this._successResult(
+        `Exported ${result.files.length} file(s) to ${targetDir} with ${result.lossiness.length} lossiness note(s)`,
+        { files: result.files, lossiness: result.lossiness, output }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during DTCG export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import W3C Design Tokens (DTCG) files into the tokens folder
+   * @param {string} inputPath - Folder of .tokens.json files (with an optional resolver file) or a single file
+   * @param {object} options - { dryRun: only print the changes, format: 'text'|'json' report, output: optional report file }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async importDtcg(inputPath, options = {}) {
+    const { dryRun = false, format = 'text', output = null } = options;
+
+    if (!inputPath) {
+      return this._errorResult('Usage: import-dtcg <folder|file.tokens.json> [--dry-run]');
+    }
+
+    const formatters = { text: 'formatText', json: 'formatJson' };
+    if (!formatters[format]) {
+      return this._errorResult(`Unknown lossiness report format: ${format}. Use text or json`);
+    }
+
+    try {
+      const DtcgConverter = require('../src/DtcgConverter');
+      const converter = new DtcgConverter({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      const result = await converter.importFromPath(inputPath, { dryRun });
+      if (!result.success) {
+        return this._errorResult(`DTCG import failed: ${result.errors.join(', ')}`);
+      }
+
+      const report = converter[formatters[format]](result);
+      if (output) {
+        await fs.writeFile(output, `${report}\n`);
+        this._logProgress(`📝 Lossiness report written to ${output}`);
+      } else {
+        console.log(report);
+      }
+
+      result.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      if (result.backupId) {
+        this._logProgress(`💾 Backup created: ${result.backupId}`);
+      }
+
+      const summary = `${result.sets.length} set(s) with ${result.lossiness.length} lossiness note(s)`;
+      return this._successResult(
+        dryRun
+          ? `Dry run: importing ${summary} would change ${result.files.join(', ') || 'no files'}`
+          : `Imported ${summary}; changed ${result.files.join(', ') || 'no files'}`,
+        { sets: result.sets, files: result.files, lossiness: result.lossiness, backupId: result.backupId }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during DTCG import: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a Figma Variables POST body with one collection per theme group and one mode per theme
+   * @param {object} options - { existing: saved GET /variables/local response for stable IDs, output: optional file for the body }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async exportFigmaVariables(options = {}) {
+    const { existing = null, output = null } = options;
+
+    try {
+      const FigmaVariablesConverter = require('../src/FigmaVariablesConverter');
+      const converter = new FigmaVariablesConverter({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      let response = null;
+      if (existing) {
+        const loaded = await converter.loadResponse(existing);
+        if (!loaded.success) {
+          return this._errorResult(loaded.errors.join(', '));
+        }
+        response = loaded.response;
+      }
+
+      const result = await converter.exportPayload(response);
+      if (!result.success) {
+        return this._errorResult(`Figma Variables export failed: ${result.errors.join(', ')}`);
+      }
+
+      const body = JSON.stringify(result.payload, null, 2);
+      if (output) {
+        await fs.writeFile(output, `${body}\n`);
+        this._logProgress(`📝 Figma Variables request body written to ${output}`);
+        this._logProgress(converter.formatSkipped(result));
+      } else {
+        console.log(body);
+      }
+
+      result.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      const { collections, modes, created, updated, values, skipped } = result.summary;
+      return this._successResult(
+        `Built ${collections} collection(s) with ${modes} mode(s): ${created} variable(s) to create, ${updated} to update, ` +
+        `${values} mode value(s); ${skipped} token value(s) skipped`,
+        { summary: result.summary, skipped: result.skipped, output }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during Figma Variables export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild token sets and themes from a saved Figma Variables GET response
+   * @param {string} responsePath - Saved GET /v1/files/:file_key/variables/local response
+   * @param {object} options - { dryRun: only print the changes }
+   * @returns {Promise<{success: boolean, message: string, details: object}>}
+   */
+  async importFigmaVariables(responsePath, options = {}) {
+    const { dryRun = false } = options;
+
+    if (!responsePath) {
+      return this._errorResult('Usage: import-figma-variables <variables-response.json> [--dry-run]');
+    }
+
+    try {
+      const FigmaVariablesConverter = require('../src/FigmaVariablesConverter');
+      const converter = new FigmaVariablesConverter({
+        tokensDir: this.tokensDir,
+        backupDir: this.errorHandler.backupDir
+      });
+
+      this._logProgress(`📥 ${dryRun ? 'Planning' : 'Running'} Figma Variables import from ${responsePath}...`);
+      const result = await converter.importResponse(responsePath, { dryRun });
+      if (!result.success) {
+        return this._errorResult(`Figma Variables import failed: ${result.errors.join(', ')}`);
+      }
+
+      console.log(converter.tokenDiff.formatText(result.diff));
+      result.warnings.forEach(warning => this._logWarning(`⚠️  ${warning}`));
+
+      if (result.backupId) {
+        this._logProgress(`💾 Backup created: ${result.backupId}`);
+      }
+
+      return this._successResult(
+        dryRun
+          ? `Dry run: importing ${result.sets.length} collection mode(s) would change ${result.files.join(', ') || 'no files'}`
+          : `Imported ${result.sets.length} collection mode(s); changed ${result.files.join(', ') || 'no files'}`,
+        { sets: result.sets, files: result.files, backupId: result.backupId }
+      );
+
+    } catch (error) {
+      return this._errorResult(`Unexpected error during Figma Variables import: ${error.message}`);
+    }
+  }
+
   /**
    * Rollback to a previous backup
    * @param {string} backupId - ID of the backup to restore
@@ -721,7 +1407,8 @@ class WorkflowCommands {
       this._logProgress('🛠️  Attempting partial recovery...', verbose);
       const recoveryResult = await this.errorHandler.attemptPartialRecovery(validationResult.report, {
         autoFix,
-        backupFirst
+        backupFirst,
+        tokensDir
       });
 
       if (recoveryResult.success) {
@@ -791,7 +1478,8 @@ class WorkflowCommands {
       // Attempt recovery using error handling system
       const recoveryResult = await this.errorHandler.attemptPartialRecovery(validationResult.report, {
         autoFix,
-        backupFirst
+        backupFirst,
+        tokensDir: this.tokensDir
       });
       
       if (recoveryResult.success) {
@@ -803,6 +1491,8 @@ class WorkflowCommands {
             console.log(`  ${index + 1}. ${item.action}: ${item.issue || item.reference || item.file}`);
           });
         }
+
+        (recoveryResult.warnings || []).forEach(warning => this._logWarning(warning));
         
         return this._successResult('Partial recovery completed', {
           recoveredItems: recoveryResult.recoveredItems,
@@ -1046,74 +1736,20 @@ class WorkflowCommands {
   }
 
   _validateTokenSetStructure(tokenSet, tokenSetName) {
-    const issues = [];
-    
-    const checkTokenStructure = (obj, path = '') => {
-      for (const [key, value] of Object.entries(obj)) {
-        const currentPath = path ? `${path}.${key}` : key;
-        
-        if (typeof value === 'object' && value !== null) {
-          if (value.$type && value.$value !== undefined) {
-            // This is a token - validate it
-            if (typeof value.$type !== 'string') {
-              issues.push(`Invalid $type in ${tokenSetName}.${currentPath}: must be string`);
-            }
-            // $value can be string, number, object, or reference
-          } else if (!key.startsWith('$')) {
-            // This is a group - recurse
-            checkTokenStructure(value, currentPath);
-          }
-        }
-      }
-    };
-    
-    checkTokenStructure(tokenSet);
-    return { isValid: issues.length === 0, issues };
+    return this._validateSchema(tokenSet, 'tokenSet', tokenSetName);
   }
 
   _validateMetadataStructure(metadata) {
-    const issues = [];
-    
-    if (typeof metadata !== 'object' || metadata === null) {
-      issues.push('$metadata must be an object');
-      return { isValid: false, issues };
-    }
-    
-    if (metadata.tokenSetOrder && !Array.isArray(metadata.tokenSetOrder)) {
-      issues.push('$metadata.tokenSetOrder must be an array');
-    }
-    
-    return { isValid: issues.length === 0, issues };
+    return this._validateSchema(metadata, 'metadata', '$metadata');
   }
 
   _validateThemesStructure(themes) {
-    const issues = [];
-    
-    if (!Array.isArray(themes)) {
-      issues.push('$themes must be an array');
-      return { isValid: false, issues };
-    }
-    
-    themes.forEach((theme, index) => {
-      if (typeof theme !== 'object' || theme === null) {
-        issues.push(`Theme at index ${index} must be an object`);
-        return;
-      }
-      
-      if (!theme.id || typeof theme.id !== 'string') {
-        issues.push(`Theme at index ${index} must have a string id`);
-      }
-      
-      if (!theme.name || typeof theme.name !== 'string') {
-        issues.push(`Theme at index ${index} must have a string name`);
-      }
-      
-      if (!theme.selectedTokenSets || typeof theme.selectedTokenSets !== 'object') {
-        issues.push(`Theme at index ${index} must have selectedTokenSets object`);
-      }
-    });
-    
-    return { isValid: issues.length === 0, issues };
+    return this._validateSchema(themes, 'themes', '$themes');
+  }
+
+  _validateSchema(data, schemaName, label) {
+    const { isValid, errors } = this.schemaValidator.validate(data, schemaName);
+    return { isValid, issues: errors.map(error => this.schemaValidator.formatError(label, error)) };
   }
 
   async _validateGitHubUrl() {
@@ -1717,23 +2353,9 @@ class WorkflowCommands {
       
       // Check for themes
       if (parsed.$themes) {
+        issues.push(...this._validateThemesStructure(parsed.$themes).issues);
         if (Array.isArray(parsed.$themes)) {
           themes = parsed.$themes;
-          
-          // Validate theme structure
-          themes.forEach((theme, index) => {
-            if (!theme.id) {
-              issues.push(`Theme at index ${index} missing required 'id' field`);
-            }
-            if (!theme.name) {
-              issues.push(`Theme at index ${index} missing required 'name' field`);
-            }
-            if (!theme.selectedTokenSets) {
-              issues.push(`Theme at index ${index} missing required 'selectedTokenSets' field`);
-            }
-          });
-        } else {
-          issues.push('$themes must be an array');
         }
       } else {
         // No themes is acceptable, but warn
@@ -1742,9 +2364,7 @@ class WorkflowCommands {
       
       // Check metadata
       if (parsed.$metadata) {
-        if (parsed.$metadata.tokenSetOrder && !Array.isArray(parsed.$metadata.tokenSetOrder)) {
-          issues.push('$metadata.tokenSetOrder must be an array');
-        }
+        issues.push(...this._validateMetadataStructure(parsed.$metadata).issues);
       }
       
       return {
@@ -1862,12 +2482,23 @@ async function main() {
     backup: !flags.includes('--no-backup'),
     sync: !flags.includes('--no-sync'),
     validate: !flags.includes('--no-validate'),
-    branch: flags.find(f => f.startsWith('--branch='))?.split('=')[1] || 'main'
+    branch: flags.find(f => f.startsWith('--branch='))?.split('=')[1] || 'main',
+    format: flags.find(f => f.startsWith('--format='))?.split('=')[1] || 'text',
+    output: flags.find(f => f.startsWith('--output='))?.split('=')[1] || null,
+    prune: flags.includes('--prune'),
+    map: flags.find(f => f.startsWith('--map='))?.split('=')[1] || null,
+    existing: flags.find(f => f.startsWith('--existing='))?.split('=')[1] || null,
+    threshold: flags.find(f => f.startsWith('--threshold=')) ? parseFloat(flags.find(f => f.startsWith('--threshold=')).split('=')[1]) : undefined,
+    all: flags.includes('--all'),
+    dryRun: flags.includes('--dry-run')
   };
 
   const workflow = new WorkflowCommands();
   let result;
 
+  // process.exit() drops output a pipe has not read yet, so reports on stdout exit once it has flushed
+  const exitAfterOutput = code => process.stdout.write('', () => process.exit(code));
+
   try {
     switch (command) {
       case 'split-source-to-tokens':
@@ -1884,6 +2515,10 @@ async function main() {
       
       case 'validate-workflow-integrity':
         result = await workflow.validateWorkflowIntegrity(options);
+        // Keep stdout clean when the report is piped; the exit code still reflects the result
+        if (options.format !== 'text' && !options.output) {
+          return exitAfterOutput(result.success ? 0 : 1);
+        }
         break;
       
       case 'workflow:start':
@@ -1955,6 +2590,87 @@ async function main() {
         result = await workflow.testDesignerImport(options);
         break;
       
+      case 'diff':
+        const [beforeSpec, afterSpec] = flags.filter(f => !f.startsWith('-'));
+        result = await workflow.diffTokens(beforeSpec, afterSpec, options);
+        // Keep stdout clean when the JSON or Markdown report is piped elsewhere
+        if (result.success && options.format !== 'text' && !options.output) {
+          return exitAfterOutput(0);
+        }
+        break;
+      
+      case 'unused':
+        result = await workflow.unusedTokens(options);
+        if (result.success && options.format !== 'text' && !options.output) {
+          return exitAfterOutput(0);
+        }
+        break;
+      
+      case 'rename':
+        const [fromPath, toPath] = flags.filter(f => !f.startsWith('-'));
+        result = await workflow.renameTokens(fromPath, toPath, options);
+        break;
+      
+      case 'export-dtcg':
+        const [exportDir] = flags.filter(f => !f.startsWith('-'));
+        result = await workflow.exportDtcg(exportDir, options);
+        if (result.success && options.format !== 'text' && !options.output) {
+          return exitAfterOutput(0);
+        }
+        break;
+      
+      case 'import-dtcg':
+        const [importPath] = flags.filter(f => !f.startsWith('-'));
+        result = await workflow.importDtcg(importPath, options);
+        if (result.success && options.format !== 'text' && !options.output) {
+          return exitAfterOutput(0);
+        }
+        break;
+      
+      case 'export-figma-variables':
+        result = await workflow.exportFigmaVariables(options);
+        // The request body goes to stdout unless written to a file
+        if (result.success && !options.output) {
+          return exitAfterOutput(0);
+        }
+        break;
+      
+      case 'import-figma-variables':
+        const [responsePath] = flags.filter(f => !f.startsWith('-'));
+        result = await workflow.importFigmaVariables(responsePath, options);
+        break;
+      
+      case 'check-figma-references':
+        result = await workflow.checkFigmaReferences(options);
+        // A JSON report on stdout stays parseable; the exit code still reflects the result
+        if (options.format !== 'text' && !options.output) {
+          return exitAfterOutput(result.success ? 0 : 1);
+        }
+        break;
+      
+      case 'remap-figma-references':
+        result = await workflow.remapFigmaReferences(options);
+        break;
+      
+      case 'theme-groups':
+        result = await workflow.themeGroups(options);
+        if (options.format !== 'text') {
+          return exitAfterOutput(result.success ? 0 : 1);
+        }
+        break;
+      
+      case 'set-theme-group':
+        const [groupTheme, groupName] = flags.filter(f => !f.startsWith('-'));
+        result = await workflow.setThemeGroup(groupTheme, groupName, options);
+        break;
+      
+      case 'theme-matrix':
+        result = await workflow.themeMatrix(flags.filter(f => !f.startsWith('-')), options);
+        if (result.success && !options.output) {
+          return exitAfterOutput(0);
+        }
+        break;
+      
       // Consolidated command aliases for simplified interface
       case 'start':
         result = await workflow.workflowStart(options);
@@ -1981,6 +2697,18 @@ Commands:
   validate-github-integration  Validate GitHub repository configuration
   manage-branch <action> [name] Manage branches (create, switch, delete, list)
   test-designer-import         Test designer import workflow
+  diff <before> [after]        Semantic token diff between git refs, files or folders
+  unused                       Unreferenced tokens per theme and stale Figma style references
+  rename <old> <new>           Move a token or group and rewrite every reference to it
+  export-dtcg [dir]            Export W3C Design Tokens files and a theme resolver (default: dtcg/)
+  import-dtcg <dir|file>       Import W3C Design Tokens files into tokens/ (backup first)
+  export-figma-variables       Figma Variables REST API request body: a collection per theme group, a mode per theme
+  import-figma-variables <file> Rebuild sets and themes from a saved Figma Variables GET response (backup first)
+  check-figma-references       Figma style/variable references without a token, and tokens without a reference
+  remap-figma-references       Move dangling Figma references onto renamed tokens in $themes.json (backup first)
+  theme-groups                 Theme groups, the brand × mode combinations they build, and grouping mistakes
+  set-theme-group <theme> [group] Move a theme into a group, or out of all groups without one (backup first)
+  theme-matrix [theme ...]     Per-theme token matrix: missing tokens, differing types and broken references
 
 Options:
   --verbose, -v               Show detailed progress
@@ -1989,6 +2717,14 @@ Options:
   --no-sync                   Skip GitHub sync in workflow:start
   --no-validate               Skip validation in workflow:finish
   --branch=<name>             Specify git branch (default: main)
+  --format=<format>           Report format: text, json or markdown (diff, theme-matrix), csv (theme-matrix only), sarif or junit (validate-workflow-integrity only)
+  --output=<file>             Write the diff, unused, validation, Figma reference, theme matrix or DTCG lossiness report, or the Figma Variables body, to a file
+  --all                       List complete tokens in the theme matrix too, not only the gaps
+  --prune                     Remove unused source tokens and stale style references, or Figma references remap cannot match (backup first)
+  --map=<file>                JSON mapping of old path to new path, for batch renames or Figma reference remaps
+  --threshold=<0-1>           Minimum match confidence for remap-figma-references (default: 0.8)
+  --dry-run                   Print the rename, remap, import or theme group changes without writing files
+  --existing=<file>           Saved Figma Variables GET response, keeps variable IDs stable on export
 
 Examples:
   node scripts/workflow-commands.js split-source-to-tokens --verbose
@@ -1997,6 +2733,16 @@ Examples:
   node scripts/workflow-commands.js generate-github-url --branch=main
   node scripts/workflow-commands.js manage-branch create feature/new-tokens
   node scripts/workflow-commands.js test-designer-import --verbose
+  node scripts/workflow-commands.js diff main tokens --format=markdown
+  node scripts/workflow-commands.js unused --prune
+  node scripts/workflow-commands.js validate-workflow-integrity --format=sarif --output=tokens.sarif
+  node scripts/workflow-commands.js rename "Color Ramp.Blue" "Color Ramp.Azure"
+  node scripts/workflow-commands.js export-dtcg dtcg --output=dtcg-lossiness.txt
+  node scripts/workflow-commands.js import-dtcg dtcg --dry-run
+  node scripts/workflow-commands.js export-figma-variables --existing=variables.json --output=variables-post.json
+  node scripts/workflow-commands.js remap-figma-references --dry-run
+  node scripts/workflow-commands.js set-theme-group "Dark" mode
+  node scripts/workflow-commands.js theme-matrix Base Simulate --format=csv --output=theme-matrix.csv
         `);
         process.exit(0);
     }
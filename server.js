@@ -1,57 +1,565 @@
 const http = require('http');
-const fs = require('fs');
+const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const ThemeResolver = require('./src/ThemeResolver');
+const TokenTransformationEngine = require('./src/TokenTransformationEngine');
+const ValidationSystem = require('./src/ValidationSystem');
+const ErrorHandlingSystem = require('./src/ErrorHandlingSystem');
+const TokenChangeStream = require('./src/TokenChangeStream');
 
-const PORT = 3000;
+const DEFAULT_PORT = 3000;
+const DEFAULT_ROOT = path.join(__dirname, 'tokens');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const HEARTBEAT_MS = 30000;
 
-const server = http.createServer((req, res) => {
-  // Set CORS headers to allow Figma to access the tokens
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+const ENDPOINTS = [
+  '/tokensource.json',
+  '/sets',
+  '/sets/:name',
+  '/themes',
+  '/themes/:name/resolved',
+  '/metadata',
+  '/events',
+  'PUT /sets/:name',
+  'PUT /tokensource.json'
+];
 
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200);
+/**
+ * Create the token server for a modular Token Studio folder
+ * @param {object} options - { root: Token Studio folder, authToken: bearer token enabling PUT, backupDir: where pushes are backed up, sourcePath: tokensource.json to watch for /events }
+ * @returns {http.Server} Server that is not yet listening
+ */
+function createTokenServer(options = {}) {
+  const root = path.resolve(options.root || DEFAULT_ROOT);
+  const context = {
+    root,
+    authToken: options.authToken || null,
+    backupDir: options.backupDir || '.backups',
+    sourcePath: options.sourcePath === undefined ? path.join(path.dirname(root), 'tokensource.json') : options.sourcePath,
+    // Pushes are applied one at a time
+    writeQueue: Promise.resolve(),
+    changeStream: null,
+    eventClients: new Set(),
+    eventId: 0
+  };
+
+  const server = http.createServer((req, res) => {
+    // Set CORS headers to allow Figma to access the tokens
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match, If-Modified-Since');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const handler = req.method === 'PUT' ? handleWrite : handleRequest;
+    handler(req, res, context).catch(error => {
+      console.error(`❌ Error serving ${req.url}:`, error.message);
+      if (!res.headersSent) {
+        sendJson(req, res, 500, { error: 'Internal server error', message: error.message });
+      }
+    });
+  });
+
+  // Event streams never finish on their own, so end them before the server stops
+  const close = server.close.bind(server);
+  server.close = callback => {
+    closeEventStreams(context);
+    return close(callback);
+  };
+
+  return server;
+}
+
+async function handleRequest(req, res, context) {
+  const { root } = context;
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(req, res, 405, { error: `Method not allowed: ${req.method}`, path: pathname });
+    return;
+  }
+
+  if (pathname === '/events') {
+    await openEventStream(req, res, context);
+    return;
+  }
+
+  // Serve the consolidated source; / and /tokens.json are kept for existing Token Studio URLs
+  if (pathname === '/tokensource.json' || pathname === '/tokens.json' || pathname === '/') {
+    const engine = new TokenTransformationEngine();
+    const result = await engine.buildSource(root);
+    if (!result.source) {
+      sendJson(req, res, 500, { error: 'Could not build tokensource.json', errors: result.errors });
+      return;
+    }
+
+    await sendCached(req, res, root, result.source);
+    console.log(`📤 Served tokensource.json to ${req.headers['user-agent']?.substring(0, 50) || 'unknown client'}`);
+    return;
+  }
+
+  const resolver = new ThemeResolver({ tokensDir: root });
+  const loadResult = await resolver.load();
+  if (!loadResult.success) {
+    sendJson(req, res, 500, { error: 'Could not load token workspace', errors: loadResult.errors });
+    return;
+  }
+
+  if (pathname === '/metadata') {
+    await sendCached(req, res, root, resolver.metadata);
+    return;
+  }
+
+  if (pathname === '/themes') {
+    await sendCached(req, res, root, resolver.themes);
+    return;
+  }
+
+  if (pathname === '/sets') {
+    await sendCached(req, res, root, Object.keys(resolver.tokenSets));
+    return;
+  }
+
+  const setMatch = pathname.match(/^\/sets\/(.+)$/);
+  if (setMatch) {
+    const setName = decodePathSegment(req, res, setMatch[1]);
+    if (setName === null) return;
+    if (resolver.tokenSets[setName] === undefined) {
+      sendJson(req, res, 404, { error: `Token set not found: ${setName}`, sets: Object.keys(resolver.tokenSets) });
+      return;
+    }
+
+    await sendCached(req, res, root, resolver.tokenSets[setName]);
+    console.log(`📤 Served token set ${setName}`);
+    return;
+  }
+
+  // Serve fully resolved tokens for a theme from $themes.json
+  const resolvedMatch = pathname.match(/^\/themes\/([^/]+)\/resolved$/);
+  if (resolvedMatch) {
+    const themeName = decodePathSegment(req, res, resolvedMatch[1]);
+    if (themeName === null) return;
+    if (!resolver.getTheme(themeName)) {
+      sendJson(req, res, 404, { error: `Theme not found: ${themeName}`, themes: resolver.getThemeNames() });
+      return;
+    }
+
+    await sendCached(req, res, root, resolver.resolveTheme(themeName));
+    console.log(`📤 Served resolved ${themeName} tokens`);
+    return;
+  }
+
+  sendJson(req, res, 404, { error: `Not found: ${pathname}`, endpoints: ENDPOINTS });
+}
+
+// Server-Sent Events stream of token changes for live reload
+async function openEventStream(req, res, context) {
+  if (!context.changeStream) {
+    const changeStream = new TokenChangeStream({ tokensDir: context.root, sourcePath: context.sourcePath });
+    changeStream.on('change', event => broadcastEvent(context, 'change', event));
+    changeStream.on('error', error => console.error('❌ Change detection failed:', error.message));
+    context.changeStream = changeStream;
+
+    const started = await changeStream.start();
+    started.errors.forEach(error => console.warn(`⚠️  ${error}`));
+
+    context.heartbeat = setInterval(() => {
+      context.eventClients.forEach(client => client.write(': heartbeat\n\n'));
+    }, HEARTBEAT_MS);
+    context.heartbeat.unref();
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 2000\n');
+  res.write(`event: ready\ndata: ${JSON.stringify({ root: context.root, sourcePath: context.sourcePath })}\n\n`);
+
+  context.eventClients.add(res);
+  console.log(`📡 Live-reload client connected (${context.eventClients.size} open)`);
+
+  req.on('close', () => {
+    context.eventClients.delete(res);
+    // Stop watching once nobody is listening
+    if (context.eventClients.size === 0) {
+      stopChangeStream(context);
+    }
+  });
+}
+
+function broadcastEvent(context, eventName, data) {
+  context.eventId++;
+  const message = `id: ${context.eventId}\nevent: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+  context.eventClients.forEach(client => client.write(message));
+}
+
+function stopChangeStream(context) {
+  if (context.changeStream) {
+    context.changeStream.stop();
+    context.changeStream.removeAllListeners();
+    context.changeStream = null;
+  }
+  clearInterval(context.heartbeat);
+}
+
+function closeEventStreams(context) {
+  context.eventClients.forEach(client => client.end());
+  context.eventClients.clear();
+  stopChangeStream(context);
+}
+
+// Validate a Token Studio push in a staging copy, back up the workspace, then write the modular files
+async function handleWrite(req, res, context) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const setMatch = pathname.match(/^\/sets\/(.+)$/);
+
+  if (pathname !== '/tokensource.json' && !setMatch) {
+    sendJson(req, res, 404, { error: `Not found: PUT ${pathname}`, endpoints: ENDPOINTS.filter(endpoint => endpoint.startsWith('PUT')) });
+    return;
+  }
+
+  if (!context.authToken) {
+    sendJson(req, res, 403, { error: 'Write access is disabled. Start the server with --token or TOKEN_SERVER_TOKEN.' });
+    return;
+  }
+
+  if (!isAuthorized(req, context.authToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendJson(req, res, 401, { error: 'Missing or invalid bearer token' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch (error) {
+    sendJson(req, res, error.statusCode || 400, { error: error.statusCode ? error.message : `Invalid JSON body: ${error.message}` });
+    return;
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    sendJson(req, res, 400, { error: 'Request body must be a JSON object' });
+    return;
+  }
+
+  const setName = setMatch ? decodePathSegment(req, res, setMatch[1]) : undefined;
+  if (setName === null) return;
+
+  const target = setMatch ? { setName } : { source: true };
+  const strict = searchParams.get('strict') === 'true' || searchParams.get('strict') === '1';
+
+  const write = context.writeQueue.then(() => applyWrite(context, target, payload, strict));
+  context.writeQueue = write.catch(() => {});
+  const { status, body } = await write;
+
+  sendJson(req, res, status, body);
+  if (body.success) {
+    console.log(`📥 Wrote ${body.files.length} file(s) from PUT ${pathname} (backup ${body.backupId})`);
+  }
+}
+
+async function applyWrite(context, target, payload, strict) {
+  const { root } = context;
+  const stagingRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'token-server-'));
+  const stagingDir = path.join(stagingRoot, 'tokens');
+
+  try {
+    await copyDirectory(root, stagingDir);
+
+    const staged = target.source
+      ? await stageSource(stagingRoot, stagingDir, payload)
+      : await stageSet(stagingDir, target.setName, payload);
+
+    if (!staged.success) {
+      return { status: 422, body: { success: false, errors: staged.errors } };
+    }
+
+    const current = await new ValidationSystem().validateTokenStudioStructure(root);
+    const validationSystem = new ValidationSystem();
+    const validation = await validationSystem.generateValidationReport(stagingDir);
+    const structure = validation.report.validations.structure;
+    const addedErrors = structure ? findAddedStructureErrors(current, structure) : [];
+    const structureValid = Boolean(structure) && structure.errors.length === 0 && addedErrors.length === 0;
+
+    // Malformed payloads never land; other issues are reported unless the client asked for strict mode
+    if (!structureValid || (strict && !validation.isValid)) {
+      return {
+        status: 422,
+        body: {
+          success: false,
+          errors: ['Validation failed, nothing was written', ...addedErrors.map(issue => issue.message)],
+          validation: validation.report
+        }
+      };
+    }
+
+    const errorHandler = new ErrorHandlingSystem({ backupDir: context.backupDir });
+    const backup = await errorHandler.createOperationBackup('server-push', [root], {
+      operation: target.source ? 'PUT /tokensource.json' : `PUT /sets/${target.setName}`
+    });
+    if (!backup.success) {
+      return { status: 500, body: { success: false, errors: [`Backup failed, nothing was written: ${backup.errors.join(', ')}`] } };
+    }
+
+    for (const file of staged.files) {
+      const destination = path.join(root, file);
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.copyFile(path.join(stagingDir, file), destination);
+    }
+
+    return {
+      status: staged.created ? 201 : 200,
+      body: {
+        success: true,
+        files: staged.files,
+        backupId: backup.backupId,
+        warnings: staged.warnings,
+        validation: validation.report
+      }
+    };
+  } finally {
+    await fs.rm(stagingRoot, { recursive: true, force: true });
+  }
+}
+
+// fs.cp needs Node 16.7; engines allows 14
+async function copyDirectory(src, dest) {
+  await fs.mkdir(dest, { recursive: true });
+  const entries = await fs.readdir(src, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const srcPath = path.join(src, entry.name);
+    const destPath = path.join(dest, entry.name);
+
+    if (entry.isDirectory()) {
+      await copyDirectory(srcPath, destPath);
+    } else {
+      await fs.copyFile(srcPath, destPath);
+    }
+  }
+}
+
+// Structure errors the push adds; errors already in the workspace must not block unrelated writes
+function findAddedStructureErrors(current, staged) {
+  const key = issue => [issue.type, issue.file, issue.path, issue.message].join('\u0000');
+  const existing = new Set(current.issues.filter(issue => issue.severity === 'error').map(key));
+  return staged.issues.filter(issue => issue.severity === 'error' && !existing.has(key(issue)));
+}
+
+async function stageSet(stagingDir, setName, setData) {
+  if (!setName || setName.split('/').some(part => part === '..' || part === '')) {
+    return { success: false, errors: [`Invalid token set name: ${setName}`] };
+  }
+
+  const metadataPath = path.join(stagingDir, '$metadata.json');
+  const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  const files = [`${setName}.json`];
+  const created = !metadata.tokenSetOrder.includes(setName);
+
+  // New sets are appended to tokenSetOrder, which gives them the highest precedence
+  if (created) {
+    metadata.tokenSetOrder.push(setName);
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    files.push('$metadata.json');
+  }
+
+  const setPath = path.join(stagingDir, `${setName}.json`);
+  await fs.mkdir(path.dirname(setPath), { recursive: true });
+  await fs.writeFile(setPath, JSON.stringify(setData, null, 2));
+
+  return { success: true, files, created, warnings: created ? [`Created new token set: ${setName}`] : [] };
+}
+
+async function stageSource(stagingRoot, stagingDir, source) {
+  if (!source.$metadata || !Array.isArray(source.$metadata.tokenSetOrder)) {
+    return { success: false, errors: ['tokensource.json must contain $metadata.tokenSetOrder'] };
+  }
+
+  const sourcePath = path.join(stagingRoot, 'tokensource.json');
+  await fs.writeFile(sourcePath, JSON.stringify(source, null, 2));
+
+  // Backups of the staging copy stay inside the staging folder
+  const engine = new TokenTransformationEngine({ backupDir: path.join(stagingRoot, '.backups') });
+  const result = await engine.splitSourceToTokens(sourcePath, stagingDir);
+  if (!result.success) {
+    return { success: false, errors: result.errors };
+  }
+
+  return {
+    success: true,
+    files: result.files.map(file => path.relative(stagingDir, file)),
+    created: false,
+    warnings: result.warnings || []
+  };
+}
+
+// A malformed escape such as %E0%A4%A is a client error; answer 400 and return null
+function decodePathSegment(req, res, segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    sendJson(req, res, 400, { error: `Malformed URL encoding in path: ${segment}` });
+    return null;
+  }
+}
+
+function isAuthorized(req, authToken) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const expected = Buffer.from(authToken);
+  const actual = Buffer.from(match[1].trim());
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+        error.statusCode = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Send JSON with ETag/Last-Modified validators, answering conditional requests with 304
+async function sendCached(req, res, root, data) {
+  const body = JSON.stringify(data, null, 2);
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+  const lastModified = await getLastModified(root);
+
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = req.headers['if-modified-since'];
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+    : Boolean(ifModifiedSince && lastModified && Math.floor(lastModified.getTime() / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000));
+
+  if (notModified) {
+    res.writeHead(304);
     res.end();
     return;
   }
 
-  // Serve tokens.json file
-  if (req.url === '/tokens.json' || req.url === '/') {
-    try {
-      const tokensPath = path.join(__dirname, 'tokens.json');
-      const tokensData = fs.readFileSync(tokensPath, 'utf8');
-      
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(tokensData);
-      
-      console.log(`📤 Served tokens.json to ${req.headers['user-agent']?.substring(0, 50) || 'unknown client'}`);
-    } catch (error) {
-      console.error('❌ Error reading tokens.json:', error.message);
-      res.writeHead(500);
-      res.end('Error reading tokens file');
-    }
-  } else {
-    // 404 for other paths
-    res.writeHead(404);
-    res.end('Not found - use /tokens.json');
-  }
-});
-
-server.listen(PORT, () => {
-  console.log(`🚀 Token server running at http://localhost:${PORT}`);
-  console.log(`📋 Figma URL: http://localhost:${PORT}/tokens.json`);
-  console.log(`💡 Use this URL in Figma Token Studio plugin`);
-  console.log(`🛑 Press Ctrl+C to stop the server`);
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n👋 Shutting down token server...');
-  server.close(() => {
-    console.log('✅ Server stopped');
-    process.exit(0);
+  sendJson(req, res, 200, body);
+}
+
+function sendJson(req, res, status, data) {
+  const body = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+
+  res.setHeader('Content-Type', 'application/json');
+  res.writeHead(status);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Newest modification time of the JSON files in the Token Studio folder
+async function getLastModified(root) {
+  let latest = null;
+
+  const walk = async dir => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.name.endsWith('.json')) {
+        const stats = await fs.stat(entryPath);
+        if (!latest || stats.mtime > latest) {
+          latest = stats.mtime;
+        }
+      }
+    }
+  };
+
+  try {
+    await walk(root);
+  } catch (error) {
+    return null;
+  }
+
+  return latest;
+}
+
+function parseArgs(argv) {
+  const options = {
+    port: parseInt(process.env.PORT, 10) || DEFAULT_PORT,
+    root: DEFAULT_ROOT,
+    authToken: process.env.TOKEN_SERVER_TOKEN || null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port' && argv[i + 1]) {
+      options.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--root' && argv[i + 1]) {
+      options.root = path.resolve(argv[++i]);
+    } else if (argv[i] === '--token' && argv[i + 1]) {
+      options.authToken = argv[++i];
+    } else if (argv[i] === '--help') {
+      options.help = true;
+    }
+  }
+
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || Number.isNaN(options.port)) {
+    console.log('Usage: node server.js [--port <port>] [--root <tokens dir>] [--token <secret>]');
+    console.log(`  --port   Port to listen on (default: $PORT or ${DEFAULT_PORT})`);
+    console.log('  --root   Token Studio folder with $metadata.json and $themes.json (default: tokens)');
+    console.log('  --token  Bearer token that enables PUT write-back (default: $TOKEN_SERVER_TOKEN)');
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const server = createTokenServer({ root: options.root, authToken: options.authToken });
+
+  server.listen(options.port, () => {
+    const baseUrl = `http://localhost:${options.port}`;
+    console.log(`🚀 Token server running at ${baseUrl}, serving ${options.root}`);
+    console.log(`📋 Figma URL: ${baseUrl}/tokensource.json`);
+    console.log(`💡 Use this URL in Figma Token Studio plugin`);
+    console.log(`📁 Token sets: ${baseUrl}/sets/<set>`);
+    console.log(`🎨 Themes: ${baseUrl}/themes, resolved: ${baseUrl}/themes/<theme>/resolved`);
+    console.log(`📡 Live reload: ${baseUrl}/events (Server-Sent Events)`);
+    console.log(options.authToken ? '✏️  Write-back enabled: PUT /sets/<set> and /tokensource.json' : '🔒 Write-back disabled (no --token)');
+    console.log(`🛑 Press Ctrl+C to stop the server`);
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('\n👋 Shutting down token server...');
+    server.close(() => {
+      console.log('✅ Server stopped');
+      process.exit(0);
+    });
   });
-});
\ No newline at end of file
+}
+
+module.exports = { createTokenServer, parseArgs };
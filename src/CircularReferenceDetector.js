@@ -0,0 +1,161 @@
+/**
+ * CircularReferenceDetector - Cross-set cycle detection on the token reference graph
+ *
+ * This class provides:
+ * - A reference graph per theme set stack (or tokenSetOrder without themes), where later sets win
+ * - References taken from whole values, strings with embedded references, math expressions,
+ *   composite sub-properties (typography, boxShadow, border) and Token Studio color modifiers
+ * - Every cycle reported in full (A → B → C → A) with set, file and raw value for each hop
+ */
+
+const ThemeResolver = require('./ThemeResolver');
+
+const REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+
+class CircularReferenceDetector {
+  constructor(options = {}) {
+    this.tokenSets = options.tokenSets || {};
+    this.themes = options.themes || [];
+    this.metadata = options.metadata || { tokenSetOrder: Object.keys(this.tokenSets) };
+  }
+
+  /**
+   * Find every reference cycle in the token sets
+   * @returns {{cycle: string[], hops: {path: string, set: string, file: string, value: any}[], themes: string[], message: string}[]}
+   */
+  findCycles() {
+    const cycles = new Map();
+
+    for (const { themeName, stack } of this._getStacks()) {
+      for (const hops of this._findCyclesInStack(stack)) {
+        const key = hops.map(hop => `${hop.set}:${hop.path}`).join(' -> ');
+
+        if (!cycles.has(key)) {
+          cycles.set(key, {
+            cycle: [...hops.map(hop => hop.path), hops[0].path],
+            hops,
+            themes: [],
+            message: `Circular reference: ${hops.map(hop => `${hop.path} (${hop.file})`).join(' → ')} → ${hops[0].path}`
+          });
+        }
+        if (themeName) cycles.get(key).themes.push(themeName);
+      }
+    }
+
+    return [...cycles.values()];
+  }
+
+  /**
+   * List the token paths a token refers to
+   * @param {object} token - Token node
+   * @returns {string[]} Referenced token paths, in order of appearance
+   */
+  getReferences(token) {
+    const references = [];
+    const collect = value => {
+      if (typeof value === 'string') {
+        for (const match of value.matchAll(REFERENCE_PATTERN)) {
+          const referencePath = match[1].trim();
+          if (!references.includes(referencePath)) references.push(referencePath);
+        }
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(collect);
+      }
+    };
+
+    collect(token.$value !== undefined ? token.$value : token.value);
+
+    const studio = token.$extensions && token.$extensions['studio.tokens'];
+    if (studio && studio.modify) {
+      collect(studio.modify.value);
+      collect(studio.modify.color);
+    }
+
+    return references;
+  }
+
+  // Private helper methods
+
+  _getStacks() {
+    const themes = this.themes.filter(theme => theme && theme.selectedTokenSets);
+    if (themes.length === 0) {
+      const order = (this.metadata.tokenSetOrder || []).filter(setName => this.tokenSets[setName]);
+      return [{ themeName: null, stack: order }];
+    }
+
+    const resolver = new ThemeResolver({ tokenSets: this.tokenSets, themes, metadata: this.metadata });
+    return themes.map(theme => ({
+      themeName: theme.name,
+      stack: resolver.getSetStack(theme.name).map(entry => entry.name).filter(setName => this.tokenSets[setName])
+    }));
+  }
+
+  _findCyclesInStack(stack) {
+    // Later sets override earlier ones, so only the winning definition has edges
+    const definitions = new Map();
+    for (const setName of stack) {
+      this._collectTokens(this.tokenSets[setName], '', (tokenPath, token) => {
+        definitions.set(tokenPath, {
+          path: tokenPath,
+          set: setName,
+          file: `${setName}.json`,
+          value: token.$value !== undefined ? token.$value : token.value,
+          references: this.getReferences(token)
+        });
+      });
+    }
+
+    const cycles = [];
+    const state = new Map();
+    const trail = [];
+
+    const visit = tokenPath => {
+      state.set(tokenPath, 'visiting');
+      trail.push(tokenPath);
+
+      for (const referencePath of definitions.get(tokenPath).references) {
+        if (!definitions.has(referencePath)) continue;
+
+        if (state.get(referencePath) === 'visiting') {
+          const cyclePaths = trail.slice(trail.indexOf(referencePath));
+          cycles.push(this._rotate(cyclePaths).map(cyclePath => {
+            const { references, ...hop } = definitions.get(cyclePath);
+            return hop;
+          }));
+        } else if (!state.has(referencePath)) {
+          visit(referencePath);
+        }
+      }
+
+      trail.pop();
+      state.set(tokenPath, 'done');
+    };
+
+    for (const tokenPath of definitions.keys()) {
+      if (!state.has(tokenPath)) visit(tokenPath);
+    }
+
+    return cycles;
+  }
+
+  _rotate(cyclePaths) {
+    // Start every cycle at its smallest path so the same cycle found from another token dedupes
+    const start = cyclePaths.indexOf([...cyclePaths].sort()[0]);
+    return [...cyclePaths.slice(start), ...cyclePaths.slice(0, start)];
+  }
+
+  _collectTokens(obj, prefix, callback) {
+    for (const [key, value] of Object.entries(obj || {})) {
+      if (key.startsWith('$') || !value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (value.$value !== undefined || value.value !== undefined) {
+        callback(currentPath, value);
+      } else {
+        this._collectTokens(value, currentPath, callback);
+      }
+    }
+  }
+}
+
+module.exports = CircularReferenceDetector;
@@ -0,0 +1,212 @@
+/**
+ * ColorModifier - Token Studio color modifiers and color helpers for string values
+ *
+ * This class provides:
+ * - $extensions["studio.tokens"].modify support: lighten, darken, alpha and mix
+ * - sRGB and HSL modifier spaces with hex, rgb or hsl output formats
+ * - Hex to rgb channel expansion for rgba({hex}, alpha) style values
+ *
+ * Modifier values and mix colors must already be resolved; ThemeResolver and the
+ * Style Dictionary transforms resolve references before calling in.
+ */
+
+const CompositeTokenTransformer = require('./CompositeTokenTransformer');
+
+const MODIFIER_TYPES = ['lighten', 'darken', 'alpha', 'mix'];
+const MODIFIER_SPACES = ['srgb', 'hsl'];
+const OUTPUT_FORMATS = ['hex', 'rgb', 'hsl'];
+
+class ColorModifier {
+  constructor() {
+    this.colorParser = new CompositeTokenTransformer();
+  }
+
+  /**
+   * Read the Token Studio color modifier of a token
+   * @param {object} token - Token node (Token Studio or Style Dictionary shape)
+   * @returns {object|null} Modifier such as { type: 'lighten', value: '0.2', space: 'srgb' }, or null
+   */
+  getModifier(token) {
+    const studio = token && token.$extensions && token.$extensions['studio.tokens'];
+    return studio && studio.modify && typeof studio.modify === 'object' ? studio.modify : null;
+  }
+
+  /**
+   * Apply a modifier to a resolved color
+   * @param {string} color - Hex, rgb() or rgba() color
+   * @param {object} modifier - { type, value, space, color (mix only), format }
+   * @param {object} options - { tokenPath: path used in messages }
+   * @returns {{success: boolean, value: string, errors: string[], warnings: string[]}}
+   */
+  apply(color, modifier, options = {}) {
+    const { tokenPath = '' } = options;
+    const where = tokenPath ? ` at ${tokenPath}` : '';
+    const errors = [];
+    const warnings = [];
+    const fail = message => {
+      errors.push(message);
+      return { success: false, value: color, errors, warnings };
+    };
+
+    if (!MODIFIER_TYPES.includes(modifier.type)) {
+      return fail(`Unknown color modifier '${modifier.type}'${where}; expected ${MODIFIER_TYPES.join(', ')}`);
+    }
+
+    const rgba = this.colorParser.parseColor(color);
+    if (!rgba) {
+      return fail(`Cannot apply ${modifier.type}${where}: '${color}' is not a hex or rgb color`);
+    }
+
+    const amount = Number(modifier.value);
+    if (modifier.value === undefined || modifier.value === '' || Number.isNaN(amount)) {
+      return fail(`Color modifier value '${modifier.value}'${where} is not a number`);
+    }
+
+    let space = modifier.space || 'srgb';
+    if (!MODIFIER_SPACES.includes(space)) {
+      warnings.push(`Color space '${space}'${where} is not supported, using srgb`);
+      space = 'srgb';
+    }
+
+    let result;
+    switch (modifier.type) {
+      case 'lighten':
+        result = space === 'hsl'
+          ? this._mapLightness(rgba, lightness => lightness + (1 - lightness) * amount)
+          : this._mapChannels(rgba, channel => channel + (255 - channel) * amount);
+        break;
+      case 'darken':
+        result = space === 'hsl'
+          ? this._mapLightness(rgba, lightness => lightness - lightness * amount)
+          : this._mapChannels(rgba, channel => channel - channel * amount);
+        break;
+      case 'alpha':
+        result = { ...rgba, a: amount };
+        break;
+      case 'mix': {
+        const other = this.colorParser.parseColor(modifier.color);
+        if (!other) {
+          return fail(`Mix color '${modifier.color}'${where} is not a hex or rgb color`);
+        }
+        result = space === 'hsl' ? this._mixHsl(rgba, other, amount) : this._mixRgb(rgba, other, amount);
+        break;
+      }
+    }
+
+    let format = modifier.format || 'hex';
+    if (!OUTPUT_FORMATS.includes(format)) {
+      warnings.push(`Color format '${format}'${where} is not supported, using hex`);
+      format = 'hex';
+    }
+
+    return { success: true, value: this.format(result, format), errors, warnings };
+  }
+
+  /**
+   * Replace hex colors used as the channels of rgb()/rgba() with r, g, b numbers
+   * @param {string} value - String value, e.g. "rgba(#1d2024, 0.5)" after reference substitution
+   * @returns {string} Value with valid CSS rgba() calls
+   */
+  expandHexChannels(value) {
+    return this.colorParser.expandHexChannels(value);
+  }
+
+  /**
+   * Format RGBA channels as a color string
+   * @param {{r: number, g: number, b: number, a: number}} rgba - Channels 0-255 and alpha 0-1
+   * @param {string} format - hex, rgb or hsl
+   * @returns {string}
+   */
+  format(rgba, format = 'hex') {
+    const r = Math.round(this._clamp(rgba.r, 0, 255));
+    const g = Math.round(this._clamp(rgba.g, 0, 255));
+    const b = Math.round(this._clamp(rgba.b, 0, 255));
+    const a = Math.round(this._clamp(rgba.a, 0, 1) * 1000) / 1000;
+
+    if (format === 'rgb') {
+      return a === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+    }
+
+    if (format === 'hsl') {
+      const { h, s, l } = this._toHsl({ r, g, b });
+      const hsl = `${Math.round(h)}, ${Math.round(s * 1000) / 10}%, ${Math.round(l * 1000) / 10}%`;
+      return a === 1 ? `hsl(${hsl})` : `hsla(${hsl}, ${a})`;
+    }
+
+    const hex = number => Math.round(number).toString(16).padStart(2, '0');
+    return `#${hex(r)}${hex(g)}${hex(b)}${a === 1 ? '' : hex(a * 255)}`;
+  }
+
+  // Private helper methods
+
+  _mapChannels(rgba, transform) {
+    return { r: transform(rgba.r), g: transform(rgba.g), b: transform(rgba.b), a: rgba.a };
+  }
+
+  _mapLightness(rgba, transform) {
+    const hsl = this._toHsl(rgba);
+    return { ...this._fromHsl({ ...hsl, l: this._clamp(transform(hsl.l), 0, 1) }), a: rgba.a };
+  }
+
+  _mixRgb(from, to, amount) {
+    const mix = (start, end) => start + (end - start) * amount;
+    return { r: mix(from.r, to.r), g: mix(from.g, to.g), b: mix(from.b, to.b), a: mix(from.a, to.a) };
+  }
+
+  _mixHsl(from, to, amount) {
+    const start = this._toHsl(from);
+    const end = this._toHsl(to);
+
+    // Interpolate hue along the shorter arc
+    let hueDelta = end.h - start.h;
+    if (hueDelta > 180) hueDelta -= 360;
+    if (hueDelta < -180) hueDelta += 360;
+
+    const rgb = this._fromHsl({
+      h: (start.h + hueDelta * amount + 360) % 360,
+      s: start.s + (end.s - start.s) * amount,
+      l: start.l + (end.l - start.l) * amount
+    });
+    return { ...rgb, a: from.a + (to.a - from.a) * amount };
+  }
+
+  _toHsl({ r, g, b }) {
+    const [red, green, blue] = [r / 255, g / 255, b / 255];
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const l = (max + min) / 2;
+
+    if (max === min) return { h: 0, s: 0, l };
+
+    const delta = max - min;
+    const s = l > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let h;
+    if (max === red) h = (green - blue) / delta + (green < blue ? 6 : 0);
+    else if (max === green) h = (blue - red) / delta + 2;
+    else h = (red - green) / delta + 4;
+
+    return { h: h * 60, s, l };
+  }
+
+  _fromHsl({ h, s, l }) {
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const segment = h / 60;
+    const x = chroma * (1 - Math.abs((segment % 2) - 1));
+    const m = l - chroma / 2;
+
+    const [red, green, blue] = segment < 1 ? [chroma, x, 0]
+      : segment < 2 ? [x, chroma, 0]
+        : segment < 3 ? [0, chroma, x]
+          : segment < 4 ? [0, x, chroma]
+            : segment < 5 ? [x, 0, chroma]
+              : [chroma, 0, x];
+
+    return { r: (red + m) * 255, g: (green + m) * 255, b: (blue + m) * 255 };
+  }
+
+  _clamp(number, min, max) {
+    return Math.min(max, Math.max(min, number));
+  }
+}
+
+module.exports = ColorModifier;
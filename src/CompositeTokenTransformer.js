@@ -0,0 +1,327 @@
+/**
+ * CompositeTokenTransformer - Platform output for composite Token Studio tokens
+ *
+ * This class provides:
+ * - Normalized typography values (numeric weights, px sizes, unitless line heights, em letter spacing)
+ * - CSS font shorthands, utility class declarations and box-shadow strings (multi-layer aware)
+ * - Native text style and shadow structures for iOS (Swift) and Android (XML resources)
+ * - Hex to rgb channel expansion, so shadow colors such as rgba({color.black}, 0.2) stay valid
+ */
+
+const MathExpressionEngine = require('./MathExpressionEngine');
+
+const FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900
+};
+
+const TEXT_CASES = {
+  none: 'none',
+  uppercase: 'uppercase',
+  upper: 'uppercase',
+  lowercase: 'lowercase',
+  lower: 'lowercase',
+  capitalize: 'capitalize',
+  title: 'capitalize'
+};
+
+class CompositeTokenTransformer {
+  constructor(options = {}) {
+    this.basePxFontSize = options.basePxFontSize || 16;
+    this.mathEngine = new MathExpressionEngine();
+  }
+
+  /**
+   * Check whether a token is a typography composite
+   * @param {object} token - Style Dictionary token
+   * @returns {boolean}
+   */
+  isTypography(token) {
+    return token.type === 'typography' ||
+      (typeof token.value === 'object' && token.value !== null && token.value.fontFamily !== undefined);
+  }
+
+  /**
+   * Check whether a token is a boxShadow composite
+   * @param {object} token - Style Dictionary token
+   * @returns {boolean}
+   */
+  isBoxShadow(token) {
+    return token.type === 'boxShadow';
+  }
+
+  /**
+   * Check whether a token needs composite handling
+   * @param {object} token - Style Dictionary token
+   * @returns {boolean}
+   */
+  isComposite(token) {
+    return this.isTypography(token) || this.isBoxShadow(token);
+  }
+
+  /**
+   * Normalize a resolved typography value
+   * @param {object} value - Typography value with references already resolved
+   * @param {string} tokenPath - Token path used in warnings
+   * @returns {{fontFamily: string, fontWeight: number, fontStyle: string, fontSize: number, lineHeight: number|null, letterSpacing: number, paragraphSpacing: number, paragraphIndent: number, textCase: string, textDecoration: string}}
+   */
+  normalizeTypography(value, tokenPath = '') {
+    const fontSize = this._toPixels(value.fontSize, this.basePxFontSize, `${tokenPath}.fontSize`);
+    const { weight, style } = this._parseFontWeight(value.fontWeight);
+
+    return {
+      fontFamily: String(value.fontFamily || 'inherit').trim(),
+      fontWeight: weight,
+      fontStyle: style,
+      fontSize,
+      lineHeight: this._toLineHeightRatio(value.lineHeight, fontSize, `${tokenPath}.lineHeight`),
+      letterSpacing: this._toEm(value.letterSpacing, fontSize, `${tokenPath}.letterSpacing`),
+      paragraphSpacing: this._toPixels(value.paragraphSpacing, 0, `${tokenPath}.paragraphSpacing`),
+      paragraphIndent: this._toPixels(value.paragraphIndent, 0, `${tokenPath}.paragraphIndent`),
+      textCase: TEXT_CASES[String(value.textCase || 'none').toLowerCase()] || 'none',
+      textDecoration: String(value.textDecoration || 'none').toLowerCase()
+    };
+  }
+
+  /**
+   * Build a CSS font shorthand (e.g. "900 40px/1.1 Roboto")
+   * @param {object} value - Typography value
+   * @param {string} tokenPath - Token path used in warnings
+   * @returns {string}
+   */
+  toCssFont(value, tokenPath = '') {
+    const typography = this.normalizeTypography(value, tokenPath);
+    const style = typography.fontStyle === 'italic' ? 'italic ' : '';
+    const lineHeight = typography.lineHeight === null ? 'normal' : typography.lineHeight;
+
+    return `${style}${typography.fontWeight} ${typography.fontSize}px/${lineHeight} ${this._quoteFontFamily(typography.fontFamily)}`;
+  }
+
+  /**
+   * Build CSS declarations for a typography utility class
+   * @param {object} value - Typography value
+   * @param {string} tokenPath - Token path used in warnings
+   * @returns {object} Map of CSS property to value
+   */
+  toCssDeclarations(value, tokenPath = '') {
+    const typography = this.normalizeTypography(value, tokenPath);
+
+    return {
+      'font-family': this._quoteFontFamily(typography.fontFamily),
+      'font-weight': typography.fontWeight,
+      'font-style': typography.fontStyle,
+      'font-size': `${typography.fontSize}px`,
+      'line-height': typography.lineHeight === null ? 'normal' : typography.lineHeight,
+      'letter-spacing': `${typography.letterSpacing}em`,
+      'text-transform': typography.textCase,
+      'text-decoration': typography.textDecoration
+    };
+  }
+
+  /**
+   * Build a JavaScript-friendly typography object
+   * @param {object} value - Typography value
+   * @param {string} tokenPath - Token path used in warnings
+   * @returns {object}
+   */
+  toJsTypography(value, tokenPath = '') {
+    const typography = this.normalizeTypography(value, tokenPath);
+
+    return {
+      fontFamily: typography.fontFamily,
+      fontWeight: typography.fontWeight,
+      fontStyle: typography.fontStyle,
+      fontSize: `${typography.fontSize}px`,
+      lineHeight: typography.lineHeight === null ? 'normal' : typography.lineHeight,
+      letterSpacing: `${typography.letterSpacing}em`,
+      textTransform: typography.textCase,
+      textDecoration: typography.textDecoration
+    };
+  }
+
+  /**
+   * Normalize a resolved boxShadow value into layers
+   * @param {object|object[]} value - Single shadow or array of shadows
+   * @param {string} tokenPath - Token path used in warnings
+   * @returns {{x: number, y: number, blur: number, spread: number, color: string, inset: boolean}[]}
+   */
+  normalizeShadow(value, tokenPath = '') {
+    const layers = Array.isArray(value) ? value : [value];
+
+    return layers.filter(layer => layer && typeof layer === 'object').map((layer, index) => ({
+      x: this._toPixels(layer.x, 0, `${tokenPath}[${index}].x`),
+      y: this._toPixels(layer.y, 0, `${tokenPath}[${index}].y`),
+      blur: this._toPixels(layer.blur, 0, `${tokenPath}[${index}].blur`),
+      spread: this._toPixels(layer.spread, 0, `${tokenPath}[${index}].spread`),
+      // rgba({color.black}, 0.2) arrives as rgba(#000000, 0.2) once the reference resolves
+      color: this.expandHexChannels(String(layer.color || 'rgba(0, 0, 0, 0)').trim()),
+      inset: layer.type === 'innerShadow'
+    }));
+  }
+
+  /**
+   * Build a CSS box-shadow string; layers are comma separated
+   * @param {object|object[]} value - Single shadow or array of shadows
+   * @param {string} tokenPath - Token path used in warnings
+   * @returns {string}
+   */
+  toCssShadow(value, tokenPath = '') {
+    const px = number => (number === 0 ? '0' : `${number}px`);
+
+    return this.normalizeShadow(value, tokenPath)
+      .map(layer => `${layer.inset ? 'inset ' : ''}${px(layer.x)} ${px(layer.y)} ${px(layer.blur)} ${px(layer.spread)} ${layer.color}`)
+      .join(', ');
+  }
+
+  /**
+   * Parse a CSS color into RGBA channels for native platforms
+   * @param {string} color - Hex, rgb() or rgba() color
+   * @returns {{r: number, g: number, b: number, a: number}|null} Channels 0-255 and alpha 0-1, or null if unsupported
+   */
+  parseColor(color) {
+    const value = String(color).trim();
+
+    const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length <= 4) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+      }
+      const channel = index => parseInt(digits.slice(index, index + 2), 16);
+      return {
+        r: channel(0),
+        g: channel(2),
+        b: channel(4),
+        a: digits.length === 8 ? Math.round((channel(6) / 255) * 1000) / 1000 : 1
+      };
+    }
+
+    const rgb = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+%?)\s*)?\)$/i);
+    if (rgb) {
+      let alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+      if (rgb[4] && rgb[4].endsWith('%')) alpha /= 100;
+      return { r: parseFloat(rgb[1]), g: parseFloat(rgb[2]), b: parseFloat(rgb[3]), a: alpha };
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace hex colors inside rgb()/rgba() with their r, g, b channels
+   * @param {string} value - Value such as "rgba(#1d2024, 0.5)" or a gradient containing it
+   * @returns {string} Value such as "rgba(29, 32, 36, 0.5)"; other values are returned unchanged
+   */
+  expandHexChannels(value) {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(/(rgba?\(\s*)(#[0-9a-f]{3,8})(?=\s*[,)])/gi, (match, prefix, hex) => {
+      const rgba = this.parseColor(hex);
+      return rgba ? `${prefix}${rgba.r}, ${rgba.g}, ${rgba.b}` : match;
+    });
+  }
+
+  // Private helper methods
+
+  _evaluate(value, tokenPath) {
+    if (this.mathEngine.isExpression(value)) {
+      const result = this.mathEngine.evaluate(value, { tokenPath });
+      if (result.success) return result.value;
+      console.warn(`⚠️  ${result.errors.join('; ')}`);
+    }
+    return value;
+  }
+
+  _toPixels(value, fallback, tokenPath) {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const evaluated = this._evaluate(value, tokenPath);
+    if (typeof evaluated === 'number') return this._round(evaluated);
+
+    const match = String(evaluated).trim().match(/^(-?\d*\.?\d+)(px|rem|em|pt)?$/);
+    if (!match) {
+      console.warn(`⚠️  ${tokenPath}: cannot convert '${value}' to pixels, using ${fallback}`);
+      return fallback;
+    }
+
+    const number = parseFloat(match[1]);
+    return this._round(match[2] === 'rem' || match[2] === 'em' ? number * this.basePxFontSize : number);
+  }
+
+  _toLineHeightRatio(value, fontSize, tokenPath) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const evaluated = this._evaluate(value, tokenPath);
+    const text = String(evaluated).trim();
+
+    // Token Studio uses AUTO for the font's natural line height
+    if (text.toLowerCase() === 'auto' || text.toLowerCase() === 'normal') return null;
+
+    const match = text.match(/^(-?\d*\.?\d+)(%|px)?$/);
+    if (!match) {
+      console.warn(`⚠️  ${tokenPath}: cannot convert '${value}' to a line height, using normal`);
+      return null;
+    }
+
+    const number = parseFloat(match[1]);
+    if (match[2] === '%') return this._round(number / 100);
+    // Unitless Token Studio line heights are pixel values
+    return fontSize ? this._round(number / fontSize) : number;
+  }
+
+  _toEm(value, fontSize, tokenPath) {
+    if (value === undefined || value === null || value === '') return 0;
+
+    const evaluated = this._evaluate(value, tokenPath);
+    const match = String(evaluated).trim().match(/^(-?\d*\.?\d+)(%|px|em)?$/);
+    if (!match) {
+      console.warn(`⚠️  ${tokenPath}: cannot convert '${value}' to em, using 0`);
+      return 0;
+    }
+
+    const number = parseFloat(match[1]);
+    if (match[2] === '%') return this._round(number / 100);
+    if (match[2] === 'em') return number;
+    return fontSize ? this._round(number / fontSize) : 0;
+  }
+
+  _parseFontWeight(value) {
+    const text = String(value === undefined ? 'regular' : value).trim();
+    const style = /italic/i.test(text) ? 'italic' : 'normal';
+    const numeric = text.match(/\d{3}/);
+
+    if (numeric) {
+      return { weight: parseInt(numeric[0], 10), style };
+    }
+
+    const name = text.replace(/italic/i, '').replace(/[\s_-]/g, '').toLowerCase();
+    return { weight: FONT_WEIGHTS[name] || 400, style };
+  }
+
+  _quoteFontFamily(fontFamily) {
+    return fontFamily
+      .split(',')
+      .map(family => family.trim())
+      .map(family => (/\s/.test(family) && !/^['"]/.test(family) ? `"${family}"` : family))
+      .join(', ');
+  }
+
+  _round(number) {
+    return Math.round(number * 10000) / 10000;
+  }
+}
+
+module.exports = CompositeTokenTransformer;
@@ -0,0 +1,951 @@
+/**
+ * DtcgConverter - Convert between Token Studio token sets and the W3C Design Tokens (DTCG) format
+ *
+ * This class provides:
+ * - Export of every token set to <set>.tokens.json in the DTCG 2025.10 format: color and
+ *   dimension objects, numeric font weights and line heights, and shadow, typography, border,
+ *   gradient and cubicBezier composites
+ * - A resolver file mapping $themes.json to the sets all themes share plus one modifier per
+ *   theme group, with one context per theme
+ * - Import of DTCG files with group-level $type inheritance back to Token Studio types and values
+ * - $extensions passthrough; whatever DTCG cannot express is kept under
+ *   $extensions["studio.tokens"], so an export imports back unchanged
+ * - A lossiness report: values other tools cannot read, values they only see approximated and
+ *   data they only find in $extensions
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const ThemeResolver = require('./ThemeResolver');
+const TokenDiff = require('./TokenDiff');
+const ErrorHandlingSystem = require('./ErrorHandlingSystem');
+const CompositeTokenTransformer = require('./CompositeTokenTransformer');
+const ColorModifier = require('./ColorModifier');
+
+const STUDIO_EXTENSION = 'studio.tokens';
+const TOKEN_FILE_SUFFIX = '.tokens.json';
+const RESOLVER_FILE = 'tokens.resolver.json';
+const RESOLVER_VERSION = '2025.10';
+const REFERENCE_PATTERN = /^\{[^{}]+\}$/;
+const DIMENSION_PATTERN = /^(-?\d*\.?\d+)(px|rem)?$/;
+
+// Token Studio type → DTCG type
+const DTCG_TYPES = {
+  color: 'color',
+  dimension: 'dimension',
+  spacing: 'dimension',
+  sizing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  fontSize: 'dimension',
+  fontSizes: 'dimension',
+  paragraphSpacing: 'dimension',
+  paragraphIndent: 'dimension',
+  letterSpacing: 'dimension',
+  fontFamily: 'fontFamily',
+  fontFamilies: 'fontFamily',
+  fontWeight: 'fontWeight',
+  fontWeights: 'fontWeight',
+  lineHeight: 'number',
+  lineHeights: 'number',
+  opacity: 'number',
+  number: 'number',
+  duration: 'duration',
+  boxShadow: 'shadow',
+  typography: 'typography',
+  border: 'border',
+  cubicBezier: 'cubicBezier'
+};
+
+// DTCG type → Token Studio type
+const STUDIO_TYPES = {
+  color: 'color',
+  dimension: 'dimension',
+  fontFamily: 'fontFamily',
+  fontWeight: 'fontWeight',
+  number: 'number',
+  duration: 'other',
+  cubicBezier: 'other',
+  strokeStyle: 'other',
+  shadow: 'boxShadow',
+  typography: 'typography',
+  border: 'border',
+  gradient: 'color'
+};
+
+const FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+  extrablack: 950,
+  ultrablack: 950
+};
+
+const TYPOGRAPHY_PROPERTIES = ['fontFamily', 'fontSize', 'fontWeight', 'letterSpacing', 'lineHeight'];
+
+class DtcgConverter {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.errorHandler = new ErrorHandlingSystem({ backupDir: options.backupDir || '.backups' });
+    this.tokenDiff = new TokenDiff();
+    this.colorParser = new CompositeTokenTransformer();
+    this.colorModifier = new ColorModifier();
+  }
+
+  /**
+   * Export the tokens folder as DTCG files
+   * @param {string} outputDir - Folder for the .tokens.json files and the resolver file
+   * @returns {Promise<{success: boolean, outputDir: string, files: string[], lossiness: object[], errors: string[], warnings: string[]}>}
+   */
+  async exportToDirectory(outputDir) {
+    const result = { success: false, outputDir, files: [], lossiness: [], errors: [], warnings: [] };
+
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      result.errors.push(...loaded.errors);
+      return result;
+    }
+    result.warnings.push(...loaded.errors);
+
+    const converted = this.toDtcg({ tokenSets: resolver.tokenSets, themes: resolver.themes, metadata: resolver.metadata });
+    result.lossiness = converted.lossiness;
+
+    try {
+      for (const [fileName, data] of Object.entries(converted.files)) {
+        const filePath = path.join(outputDir, fileName);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+        result.files.push(fileName);
+      }
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`DTCG export failed: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Import DTCG files into the tokens folder
+   * @param {string} inputPath - Folder of .tokens.json files (with an optional resolver file) or a single file
+   * @param {object} options - { dryRun: only report the changes }
+   * @returns {Promise<{success: boolean, sets: string[], files: string[], lossiness: object[], diff: object|null, backupId: string|null, errors: string[], warnings: string[]}>}
+   */
+  async importFromPath(inputPath, options = {}) {
+    const { dryRun = false } = options;
+    const result = { success: false, sets: [], files: [], lossiness: [], diff: null, backupId: null, errors: [], warnings: [] };
+
+    const source = await this.readDtcgSource(inputPath);
+    if (!source.success) {
+      result.errors.push(...source.errors);
+      return result;
+    }
+
+    const converted = this.fromDtcg(source);
+    result.sets = Object.keys(converted.tokenSets);
+    result.lossiness = converted.lossiness;
+
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    const before = loaded.success
+      ? { label: this.tokensDir, tokenSets: resolver.tokenSets, themes: resolver.themes, metadata: resolver.metadata }
+      : { label: this.tokensDir, tokenSets: {}, themes: [], metadata: { tokenSetOrder: [] } };
+
+    // Sets that are not part of the import stay where they are in the order
+    const tokenSetOrder = [
+      ...converted.tokenSetOrder,
+      ...before.metadata.tokenSetOrder.filter(setName => !converted.tokenSetOrder.includes(setName))
+    ];
+    if (!converted.themes) {
+      result.warnings.push(`No resolver file in ${inputPath}; $themes.json was left unchanged`);
+    }
+
+    const after = {
+      label: inputPath,
+      tokenSets: { ...before.tokenSets, ...converted.tokenSets },
+      themes: converted.themes || before.themes,
+      metadata: { ...before.metadata, tokenSetOrder }
+    };
+    result.diff = this.tokenDiff.compare(before, after);
+    result.warnings.push(...result.diff.warnings);
+
+    const changedFiles = this._getChangedFiles(before, after);
+    if (dryRun || changedFiles.length === 0) {
+      result.files = changedFiles.map(file => file.name);
+      result.success = true;
+      return result;
+    }
+
+    const backup = await this.errorHandler.createOperationBackup('import-dtcg', [this.tokensDir], { inputPath });
+    if (!backup.success) {
+      result.errors.push(`Backup failed, nothing was imported: ${backup.errors.join(', ')}`);
+      return result;
+    }
+    result.backupId = backup.backupId;
+
+    try {
+      await fs.mkdir(this.tokensDir, { recursive: true });
+      for (const file of changedFiles) {
+        await fs.writeFile(path.join(this.tokensDir, file.name), JSON.stringify(file.data, null, 2));
+        result.files.push(file.name);
+      }
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`DTCG import failed, restore with backup ${result.backupId}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read DTCG files from disk
+   * @param {string} inputPath - Folder of token files or a single token file
+   * @returns {Promise<{success: boolean, files: object, resolver: object|null, errors: string[]}>} files maps set names to parsed content
+   */
+  async readDtcgSource(inputPath) {
+    const result = { success: false, files: {}, resolver: null, errors: [] };
+
+    try {
+      const stats = await fs.stat(inputPath);
+      const fileNames = stats.isDirectory()
+        ? (await this._listJsonFiles(inputPath)).sort()
+        : [path.basename(inputPath)];
+      const baseDir = stats.isDirectory() ? inputPath : path.dirname(inputPath);
+
+      for (const fileName of fileNames) {
+        const content = JSON.parse(await fs.readFile(path.join(baseDir, fileName), 'utf8'));
+        if (fileName.endsWith('.resolver.json')) {
+          result.resolver = content;
+        } else {
+          result.files[this._getSetName(fileName)] = content;
+        }
+      }
+
+      if (Object.keys(result.files).length === 0) {
+        result.errors.push(`No DTCG token files found in ${inputPath}`);
+        return result;
+      }
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`Cannot read DTCG tokens from ${inputPath}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert loaded Token Studio sets and themes to DTCG documents
+   * @param {{tokenSets: object, themes: object[], metadata: object}} source - Loaded token source
+   * @returns {{files: object, lossiness: object[]}} files maps file names to DTCG documents
+   */
+  toDtcg(source) {
+    const lossiness = [];
+    const files = {};
+    const tokenSetOrder = (source.metadata && source.metadata.tokenSetOrder) || Object.keys(source.tokenSets);
+    const setNames = [
+      ...tokenSetOrder.filter(setName => source.tokenSets[setName]),
+      ...Object.keys(source.tokenSets).filter(setName => !tokenSetOrder.includes(setName))
+    ];
+
+    for (const setName of setNames) {
+      files[`${setName}${TOKEN_FILE_SUFFIX}`] = this._exportGroup(source.tokenSets[setName], setName, '', lossiness);
+    }
+
+    const themes = Array.isArray(source.themes) ? source.themes : [];
+    if (themes.length > 0) {
+      files[RESOLVER_FILE] = this._exportResolver(themes, setNames, lossiness);
+    }
+
+    return { files, lossiness };
+  }
+
+  /**
+   * Convert DTCG documents to Token Studio sets, themes and set order
+   * @param {{files: object, resolver: object|null}} source - Result of readDtcgSource()
+   * @returns {{tokenSets: object, themes: object[]|null, tokenSetOrder: string[], lossiness: object[]}} themes is null without a resolver
+   */
+  fromDtcg(source) {
+    const lossiness = [];
+    const tokenSets = {};
+
+    for (const [setName, document] of Object.entries(source.files)) {
+      tokenSets[setName] = this._importGroup(document, setName, '', undefined, lossiness);
+    }
+
+    if (!source.resolver) {
+      return { tokenSets, themes: null, tokenSetOrder: Object.keys(tokenSets), lossiness };
+    }
+
+    const { themes, tokenSetOrder } = this._importResolver(source.resolver, Object.keys(tokenSets), lossiness);
+    return { tokenSets, themes, tokenSetOrder, lossiness };
+  }
+
+  /**
+   * Render the lossiness report as text
+   * @param {object} result - Result of exportToDirectory() or importFromPath()
+   * @returns {string}
+   */
+  formatText(result) {
+    const lines = [];
+    const sections = [
+      ['unsupported', 'No DTCG form, copied as-is'],
+      ['approximated', 'Approximated in DTCG'],
+      ['extension', 'Kept in $extensions only']
+    ];
+
+    const counts = sections.map(([severity]) => `${result.lossiness.filter(entry => entry.severity === severity).length} ${severity}`);
+    lines.push(`Lossiness: ${counts.join(', ')}`);
+
+    for (const [severity, title] of sections) {
+      const entries = result.lossiness.filter(entry => entry.severity === severity);
+      if (entries.length === 0) continue;
+
+      lines.push('', `${title} (${entries.length}):`);
+      entries.forEach(entry => lines.push(`  ${entry.set}${entry.path ? `: ${entry.path}` : ''} - ${entry.message}`));
+    }
+
+    if (result.diff) {
+      lines.push('', this.tokenDiff.formatText(result.diff));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the lossiness report as JSON
+   * @param {object} result - Result of exportToDirectory() or importFromPath()
+   * @returns {string}
+   */
+  formatJson(result) {
+    const summary = {};
+    result.lossiness.forEach(entry => { summary[entry.severity] = (summary[entry.severity] || 0) + 1; });
+
+    return JSON.stringify({
+      files: result.files,
+      summary,
+      lossiness: result.lossiness,
+      ...(result.diff ? { diff: { summary: result.diff.summary, sets: result.diff.sets } } : {})
+    }, null, 2);
+  }
+
+  // Private helper methods
+
+  _exportGroup(group, setName, prefix, lossiness) {
+    const output = {};
+
+    for (const [key, value] of Object.entries(group || {})) {
+      if (key.startsWith('$')) {
+        output[key] = value;
+        continue;
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+      const tokenPath = prefix ? `${prefix}.${key}` : key;
+      if (/[{}.]/.test(key)) {
+        lossiness.push({ set: setName, path: tokenPath, severity: 'unsupported', message: `name '${key}' contains characters DTCG does not allow ({, } or .)` });
+      }
+
+      output[key] = this._isToken(value)
+        ? this._exportToken(value, setName, tokenPath, lossiness)
+        : this._exportGroup(value, setName, tokenPath, lossiness);
+    }
+
+    return output;
+  }
+
+  _exportToken(token, setName, tokenPath, lossiness) {
+    const studioType = token.$type !== undefined ? token.$type : token.type;
+    const value = token.$value !== undefined ? token.$value : token.value;
+    const description = token.$description !== undefined ? token.$description : token.description;
+
+    const converted = this._toDtcgValue(value, studioType);
+    if (converted.issue) {
+      lossiness.push({ set: setName, path: tokenPath, ...converted.issue });
+    }
+
+    const node = {};
+    if (converted.type) node.$type = converted.type;
+    node.$value = converted.value;
+    if (description !== undefined) node.$description = description;
+    for (const [key, extra] of Object.entries(token)) {
+      if (key.startsWith('$') && !['$type', '$value', '$description', '$extensions'].includes(key)) {
+        node[key] = extra;
+      }
+    }
+
+    // Record what the import cannot rebuild from the DTCG value alone
+    const extensions = JSON.parse(JSON.stringify(token.$extensions || {}));
+    const studio = { ...extensions[STUDIO_EXTENSION] };
+    const restored = this._toStudioValue(converted.value, converted.type);
+    if (studioType !== undefined && restored.type !== studioType) studio.originalType = studioType;
+    if (!isDeepStrictEqual(restored.value, value)) studio.originalValue = value;
+    if (Object.keys(studio).length > 0) extensions[STUDIO_EXTENSION] = studio;
+    if (Object.keys(extensions).length > 0) node.$extensions = extensions;
+
+    return node;
+  }
+
+  _toDtcgValue(value, studioType) {
+    let type = DTCG_TYPES[studioType];
+    if (!type && typeof value === 'string' && /^cubic-bezier\(/.test(value.trim())) type = 'cubicBezier';
+    if (type === 'color' && typeof value === 'string' && /^linear-gradient\(/.test(value.trim())) type = 'gradient';
+
+    const unsupported = message => ({ type: null, value, issue: { severity: 'unsupported', message } });
+
+    if (!type) {
+      return unsupported(`Token Studio type '${studioType}' has no DTCG equivalent`);
+    }
+    if (this._isReference(value)) {
+      return { type, value };
+    }
+
+    if (type === 'number' && ['lineHeight', 'lineHeights'].includes(studioType) && /px$/.test(String(value).trim())) {
+      type = 'dimension';
+    }
+
+    const converted = this._exportValue(value, type, studioType);
+    if (!converted) {
+      return unsupported(`'${this._formatValue(value)}' has no DTCG ${type} form`);
+    }
+    return { type, value: converted.value, issue: converted.issue };
+  }
+
+  _exportValue(value, type, studioType) {
+    switch (type) {
+      case 'color': return this._wrap(this._exportColor(value));
+      case 'dimension': return this._wrap(this._exportDimension(value, studioType === 'letterSpacing'));
+      case 'fontFamily': return this._wrap(typeof value === 'string' || Array.isArray(value) ? value : null);
+      case 'fontWeight': return this._exportFontWeight(value);
+      case 'number': return this._wrap(this._exportNumber(value));
+      case 'duration': return this._wrap(this._exportDuration(value));
+      case 'cubicBezier': return this._wrap(this._exportCubicBezier(value));
+      case 'shadow': return this._exportComposite(value, layer => this._exportShadow(layer));
+      case 'border': return this._exportComposite(value, layer => this._exportBorder(layer));
+      case 'typography': return this._exportTypography(value);
+      case 'gradient': return this._exportGradient(value);
+      default: return null;
+    }
+  }
+
+  _exportColor(value) {
+    if (this._isReference(value)) return value;
+    if (typeof value !== 'string') return null;
+
+    const rgba = this.colorParser.parseColor(value);
+    if (!rgba) return null;
+
+    const color = {
+      colorSpace: 'srgb',
+      components: [rgba.r, rgba.g, rgba.b].map(channel => this._round(channel / 255)),
+      hex: this.colorModifier.format({ ...rgba, a: 1 }, 'hex')
+    };
+    if (rgba.a !== 1) color.alpha = rgba.a;
+    return color;
+  }
+
+  _exportDimension(value, allowZeroPercent = false) {
+    if (this._isReference(value)) return value;
+    if (typeof value === 'number') return { value, unit: 'px' };
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    if (allowZeroPercent && /^-?0+(\.0+)?%$/.test(text)) return { value: 0, unit: 'px' };
+
+    // Unitless Token Studio dimensions are pixels
+    const match = text.match(DIMENSION_PATTERN);
+    return match ? { value: parseFloat(match[1]), unit: match[2] || 'px' } : null;
+  }
+
+  _exportFontWeight(value) {
+    if (typeof value === 'number') return { value };
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      const weight = parseInt(text, 10);
+      return weight >= 1 && weight <= 1000 ? { value: weight } : null;
+    }
+
+    const style = text.match(/italic|oblique/i);
+    const weight = FONT_WEIGHTS[text.replace(/italic|oblique/i, '').replace(/[\s_-]/g, '').toLowerCase()];
+    if (!weight) return null;
+
+    return {
+      value: weight,
+      issue: style ? { severity: 'approximated', message: `font style '${style[0]}' in '${text}' is not part of DTCG font weights` } : undefined
+    };
+  }
+
+  _exportNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(-?\d*\.?\d+)(%)?$/);
+    if (!match) return null;
+    return match[2] ? this._round(parseFloat(match[1]) / 100) : parseFloat(match[1]);
+  }
+
+  _exportDuration(value) {
+    const match = String(value).trim().match(/^(-?\d*\.?\d+)(ms|s)$/);
+    return match ? { value: parseFloat(match[1]), unit: match[2] } : null;
+  }
+
+  _exportCubicBezier(value) {
+    if (Array.isArray(value) && value.length === 4) return value;
+
+    const match = String(value).trim().match(/^cubic-bezier\(([^)]*)\)$/);
+    const numbers = match ? match[1].split(',').map(part => Number(part.trim())) : [];
+    return numbers.length === 4 && numbers.every(number => !isNaN(number)) ? numbers : null;
+  }
+
+  _exportComposite(value, convertLayer) {
+    const layers = Array.isArray(value) ? value : [value];
+    const converted = layers.map(layer => (layer && typeof layer === 'object' ? convertLayer(layer) : null));
+    if (converted.some(layer => !layer)) return null;
+
+    return { value: Array.isArray(value) ? converted : converted[0] };
+  }
+
+  _exportShadow(layer) {
+    const shadow = {
+      color: this._exportColor(layer.color),
+      offsetX: this._exportDimension(layer.x !== undefined ? layer.x : 0),
+      offsetY: this._exportDimension(layer.y !== undefined ? layer.y : 0),
+      blur: this._exportDimension(layer.blur !== undefined ? layer.blur : 0),
+      spread: this._exportDimension(layer.spread !== undefined ? layer.spread : 0)
+    };
+    if (Object.values(shadow).some(part => !part)) return null;
+
+    if (layer.type === 'innerShadow') shadow.inset = true;
+    return shadow;
+  }
+
+  _exportBorder(layer) {
+    const border = {
+      color: this._exportColor(layer.color),
+      width: this._exportDimension(layer.width),
+      style: typeof layer.style === 'string' ? layer.style : null
+    };
+    return Object.values(border).some(part => !part) ? null : border;
+  }
+
+  _exportTypography(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+    const typography = {};
+    for (const property of TYPOGRAPHY_PROPERTIES) {
+      if (value[property] === undefined) continue;
+
+      const type = property === 'lineHeight' ? 'number' : property === 'fontFamily' || property === 'fontWeight' ? property : 'dimension';
+      const converted = this._isReference(value[property])
+        ? { value: value[property] }
+        : this._exportValue(value[property], type, property);
+      if (!converted) return null;
+      typography[property] = converted.value;
+    }
+
+    const extras = Object.keys(value).filter(property => !TYPOGRAPHY_PROPERTIES.includes(property));
+    return {
+      value: typography,
+      issue: extras.length > 0 ? { severity: 'extension', message: `typography ${extras.join(', ')} kept in $extensions only` } : undefined
+    };
+  }
+
+  _exportGradient(value) {
+    const match = String(value).trim().match(/^linear-gradient\((.*)\)$/);
+    if (!match) return null;
+
+    const parts = this._splitTopLevel(match[1]);
+    const angle = /^(-?[\d.]+(deg|turn|rad)|to\s+[a-z\s]+)$/i.test(parts[0]) ? parts.shift() : null;
+
+    const stops = parts.map((part, index) => {
+      const stop = part.match(/^(.*?)\s+(-?[\d.]+)%$/);
+      const color = this._exportGradientColor(stop ? stop[1] : part);
+      const position = stop ? parseFloat(stop[2]) / 100 : index / Math.max(parts.length - 1, 1);
+      return color ? { color, position: this._round(position) } : null;
+    });
+    if (stops.length < 2 || stops.some(stop => !stop)) return null;
+
+    return {
+      value: stops,
+      issue: angle && !/^(180deg|to bottom)$/i.test(angle)
+        ? { severity: 'approximated', message: `gradient direction '${angle}' is not part of DTCG gradients` }
+        : undefined
+    };
+  }
+
+  _exportGradientColor(text) {
+    const trimmed = text.trim();
+
+    // rgba({color.token}, 1) is the plain reference
+    const opaqueReference = trimmed.match(/^rgba?\(\s*(\{[^{}]+\})\s*,\s*1(\.0+)?\s*\)$/);
+    if (opaqueReference) return opaqueReference[1];
+
+    return this._exportColor(trimmed);
+  }
+
+  _exportResolver(themes, setNames, lossiness) {
+    const activeSets = theme => setNames.filter(setName => {
+      const status = (theme.selectedTokenSets || {})[setName];
+      return status === 'enabled' || status === 'source';
+    });
+    const shared = setNames.filter(setName => themes.every(theme => activeSets(theme).includes(setName)));
+
+    const sets = {};
+    shared.forEach(setName => { sets[setName] = { sources: [{ $ref: `${setName}${TOKEN_FILE_SUFFIX}` }] }; });
+
+    const modifiers = {};
+    for (const theme of themes) {
+      const group = theme.group || 'theme';
+      if (!modifiers[group]) modifiers[group] = { contexts: {}, default: theme.name };
+      modifiers[group].contexts[theme.name] = activeSets(theme)
+        .filter(setName => !shared.includes(setName))
+        .map(setName => ({ $ref: `${setName}${TOKEN_FILE_SUFFIX}` }));
+
+      const sourceSets = Object.keys(theme.selectedTokenSets || {}).filter(setName => theme.selectedTokenSets[setName] === 'source');
+      if (sourceSets.length > 0) {
+        lossiness.push({
+          set: '$themes',
+          path: theme.name,
+          severity: 'approximated',
+          message: `source set(s) ${sourceSets.join(', ')} only resolve references in Token Studio; DTCG resolvers output them like enabled sets`
+        });
+      }
+
+      const figmaKeys = ['$figmaStyleReferences', '$figmaVariableReferences', '$figmaCollectionId', '$figmaModeId'].filter(key => theme[key] !== undefined);
+      if (figmaKeys.length > 0) {
+        lossiness.push({ set: '$themes', path: theme.name, severity: 'extension', message: `${figmaKeys.join(', ')} kept in $extensions only` });
+      }
+    }
+
+    return {
+      name: path.basename(this.tokensDir),
+      version: RESOLVER_VERSION,
+      sets,
+      modifiers,
+      resolutionOrder: [
+        ...shared.map(setName => ({ $ref: `#/sets/${setName}` })),
+        ...Object.keys(modifiers).map(group => ({ $ref: `#/modifiers/${group}` }))
+      ],
+      $extensions: {
+        [STUDIO_EXTENSION]: { themes, tokenSetOrder: setNames }
+      }
+    };
+  }
+
+  _importGroup(group, setName, prefix, inheritedType, lossiness) {
+    const output = {};
+    const groupType = group.$type !== undefined ? group.$type : inheritedType;
+
+    for (const [key, value] of Object.entries(group || {})) {
+      if (key === '$type') continue;
+      if (key === '$extends') {
+        lossiness.push({ set: setName, path: prefix, severity: 'unsupported', message: `group $extends ${value} is not supported; the group was imported without it` });
+        continue;
+      }
+      if (key.startsWith('$')) {
+        output[key] = value;
+        continue;
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+      const tokenPath = prefix ? `${prefix}.${key}` : key;
+      output[key] = value.$value !== undefined
+        ? this._importToken(value, groupType, setName, tokenPath, lossiness)
+        : this._importGroup(value, setName, tokenPath, groupType, lossiness);
+    }
+
+    return output;
+  }
+
+  _importToken(token, inheritedType, setName, tokenPath, lossiness) {
+    const dtcgType = token.$type !== undefined ? token.$type : inheritedType;
+    const extensions = JSON.parse(JSON.stringify(token.$extensions || {}));
+    const studio = extensions[STUDIO_EXTENSION] || {};
+
+    let type;
+    let value;
+    if (studio.originalValue !== undefined || studio.originalType !== undefined) {
+      const restored = this._toStudioValue(token.$value, dtcgType);
+      type = studio.originalType !== undefined ? studio.originalType : restored.type;
+      value = studio.originalValue !== undefined ? studio.originalValue : restored.value;
+      delete studio.originalType;
+      delete studio.originalValue;
+      if (Object.keys(studio).length === 0) delete extensions[STUDIO_EXTENSION];
+    } else {
+      const converted = this._toStudioValue(token.$value, dtcgType);
+      type = converted.type;
+      value = converted.value;
+      if (converted.issue) lossiness.push({ set: setName, path: tokenPath, ...converted.issue });
+    }
+
+    const node = {};
+    if (type) node.$type = type;
+    node.$value = value;
+    for (const [key, extra] of Object.entries(token)) {
+      if (key.startsWith('$') && !['$type', '$value', '$extensions'].includes(key)) {
+        node[key] = extra;
+      }
+    }
+    if (Object.keys(extensions).length > 0) node.$extensions = extensions;
+
+    return node;
+  }
+
+  _toStudioValue(value, dtcgType) {
+    const type = STUDIO_TYPES[dtcgType];
+
+    if (!dtcgType) {
+      return { type: undefined, value, issue: { severity: 'unsupported', message: 'token has no $type on itself or a parent group' } };
+    }
+    if (!type) {
+      return { type: undefined, value, issue: { severity: 'unsupported', message: `DTCG type '${dtcgType}' has no Token Studio equivalent` } };
+    }
+    if (this._isReference(value)) {
+      return { type, value };
+    }
+
+    const converted = this._importValue(value, dtcgType);
+    if (converted === null) {
+      return { type, value, issue: { severity: 'unsupported', message: `'${this._formatValue(value)}' is not a valid DTCG ${dtcgType} value` } };
+    }
+
+    const issue = type === 'other'
+      ? { severity: 'approximated', message: `Token Studio has no ${dtcgType} type; imported as other` }
+      : undefined;
+    return { type, value: converted, issue };
+  }
+
+  _importValue(value, dtcgType) {
+    switch (dtcgType) {
+      case 'color': return this._importColor(value);
+      case 'dimension': return this._importDimension(value);
+      case 'fontFamily': return Array.isArray(value) ? value.join(', ') : typeof value === 'string' ? value : null;
+      case 'fontWeight': return typeof value === 'number' || typeof value === 'string' ? String(value) : null;
+      case 'number': return typeof value === 'number' ? String(value) : null;
+      case 'duration': return value && typeof value === 'object' ? `${value.value}${value.unit}` : typeof value === 'string' ? value : null;
+      case 'cubicBezier': return Array.isArray(value) && value.length === 4 ? `cubic-bezier(${value.join(', ')})` : null;
+      case 'strokeStyle': return typeof value === 'string' ? value : null;
+      case 'shadow': return this._importComposite(value, layer => this._importShadow(layer));
+      case 'border': return this._importComposite(value, layer => this._importBorder(layer));
+      case 'typography': return this._importTypography(value);
+      case 'gradient': return this._importGradient(value);
+      default: return null;
+    }
+  }
+
+  _importColor(value) {
+    if (this._isReference(value) || typeof value === 'string') return value;
+    if (!value || typeof value !== 'object') return null;
+
+    const alpha = value.alpha !== undefined ? value.alpha : 1;
+    const srgb = (!value.colorSpace || value.colorSpace === 'srgb') && Array.isArray(value.components);
+    if (!srgb) {
+      return value.hex && alpha === 1 ? value.hex : null;
+    }
+
+    const [r, g, b] = value.components.map(component => (component === 'none' ? 0 : component * 255));
+    if (alpha === 1) {
+      return value.hex || this.colorModifier.format({ r, g, b, a: 1 }, 'hex');
+    }
+    return this.colorModifier.format({ r, g, b, a: alpha }, 'rgb');
+  }
+
+  _importDimension(value) {
+    if (this._isReference(value)) return value;
+    if (typeof value === 'string') return value.trim().replace(/^(-?\d*\.?\d+)px$/, '$1');
+    if (!value || typeof value !== 'object' || typeof value.value !== 'number') return null;
+
+    // Token Studio reads unitless dimensions as pixels
+    return value.unit === 'px' ? String(value.value) : `${value.value}${value.unit}`;
+  }
+
+  _importComposite(value, convertLayer) {
+    const layers = Array.isArray(value) ? value : [value];
+    const converted = layers.map(layer => (layer && typeof layer === 'object' ? convertLayer(layer) : null));
+    if (converted.some(layer => !layer)) return null;
+
+    return Array.isArray(value) ? converted : converted[0];
+  }
+
+  _importShadow(layer) {
+    const shadow = {
+      x: this._importDimension(layer.offsetX),
+      y: this._importDimension(layer.offsetY),
+      blur: this._importDimension(layer.blur),
+      spread: this._importDimension(layer.spread),
+      color: this._importColor(layer.color)
+    };
+    if (Object.values(shadow).some(part => part === null)) return null;
+
+    shadow.type = layer.inset ? 'innerShadow' : 'dropShadow';
+    return shadow;
+  }
+
+  _importBorder(layer) {
+    const border = {
+      color: this._importColor(layer.color),
+      width: this._importDimension(layer.width),
+      style: typeof layer.style === 'string' ? layer.style : null
+    };
+    return Object.values(border).some(part => part === null) ? null : border;
+  }
+
+  _importTypography(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+    const typography = {};
+    for (const property of TYPOGRAPHY_PROPERTIES) {
+      const part = value[property];
+      if (part === undefined) continue;
+
+      if (this._isReference(part)) {
+        typography[property] = part;
+      } else if (property === 'lineHeight') {
+        typography[property] = typeof part === 'number' ? `${this._round(part * 100)}%` : null;
+      } else {
+        typography[property] = this._importValue(part, property === 'fontFamily' || property === 'fontWeight' ? property : 'dimension');
+      }
+      if (typography[property] === null) return null;
+    }
+
+    return typography;
+  }
+
+  _importGradient(value) {
+    if (!Array.isArray(value) || value.length < 2) return null;
+
+    const stops = value.map(stop => {
+      const color = stop && this._importColor(stop.color);
+      return color && typeof stop.position === 'number' ? `${color} ${this._round(stop.position * 100)}%` : null;
+    });
+    return stops.some(stop => !stop) ? null : `linear-gradient(180deg, ${stops.join(', ')})`;
+  }
+
+  _importResolver(resolver, setNames, lossiness) {
+    const studio = resolver.$extensions && resolver.$extensions[STUDIO_EXTENSION];
+    if (studio && Array.isArray(studio.themes)) {
+      const tokenSetOrder = Array.isArray(studio.tokenSetOrder) ? studio.tokenSetOrder.filter(setName => setNames.includes(setName)) : [];
+      return { themes: studio.themes, tokenSetOrder: [...tokenSetOrder, ...setNames.filter(setName => !tokenSetOrder.includes(setName))] };
+    }
+
+    const toSetNames = (sources, label) => (Array.isArray(sources) ? sources : []).flatMap(source => {
+      if (source && typeof source.$ref === 'string' && !source.$ref.startsWith('#')) {
+        return [this._getSetName(source.$ref)];
+      }
+      lossiness.push({ set: '$themes', path: label, severity: 'unsupported', message: 'inline and pointer sources are not supported; reference token files instead' });
+      return [];
+    });
+
+    const shared = Object.entries(resolver.sets || {}).flatMap(([name, set]) => toSetNames(set && set.sources, name));
+    const order = [...shared];
+    const themes = [];
+
+    for (const [group, modifier] of Object.entries(resolver.modifiers || {})) {
+      for (const [name, sources] of Object.entries((modifier && modifier.contexts) || {})) {
+        const contextSets = toSetNames(sources, `${group}/${name}`);
+        contextSets.forEach(setName => { if (!order.includes(setName)) order.push(setName); });
+
+        themes.push({
+          id: crypto.createHash('sha1').update(`${group}/${name}`).digest('hex'),
+          name,
+          group,
+          selectedTokenSets: Object.fromEntries([...shared, ...contextSets].map(setName => [setName, 'enabled']))
+        });
+      }
+    }
+
+    const tokenSetOrder = [...order.filter(setName => setNames.includes(setName)), ...setNames.filter(setName => !order.includes(setName))];
+    return { themes, tokenSetOrder };
+  }
+
+  _getChangedFiles(before, after) {
+    const files = [];
+
+    for (const setName of Object.keys(after.tokenSets)) {
+      if (JSON.stringify(before.tokenSets[setName]) !== JSON.stringify(after.tokenSets[setName])) {
+        files.push({ name: `${setName}.json`, data: after.tokenSets[setName] });
+      }
+    }
+    if (JSON.stringify(before.themes) !== JSON.stringify(after.themes)) {
+      files.push({ name: '$themes.json', data: after.themes });
+    }
+    if (JSON.stringify(before.metadata) !== JSON.stringify(after.metadata)) {
+      files.push({ name: '$metadata.json', data: after.metadata });
+    }
+
+    return files;
+  }
+
+  async _listJsonFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this._listJsonFiles(dir, relativePath));
+      } else if (entry.name.endsWith('.json') && !entry.name.startsWith('$')) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  }
+
+  _getSetName(fileName) {
+    return fileName.replace(/\\/g, '/').replace(/^\.\//, '').replace(/(\.tokens)?\.json$/, '');
+  }
+
+  _splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+    return parts;
+  }
+
+  _wrap(value) {
+    return value === null || value === undefined ? null : { value };
+  }
+
+  _isToken(value) {
+    return value.$value !== undefined || value.value !== undefined;
+  }
+
+  _isReference(value) {
+    return typeof value === 'string' && REFERENCE_PATTERN.test(value.trim());
+  }
+
+  _formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  _round(number) {
+    return Math.round(number * 10000) / 10000;
+  }
+}
+
+module.exports = DtcgConverter;
@@ -14,6 +14,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const ThemeResolver = require('./ThemeResolver');
+const ReferenceSuggester = require('./ReferenceSuggester');
 
 class ErrorHandlingSystem {
   constructor(options = {}) {
@@ -230,22 +232,33 @@ class ErrorHandlingSystem {
   /**
    * Implement partial recovery for validation failures
    * @param {object} validationResult - Result from validation system
-   * @param {object} options - Recovery options
+   * @param {object} options - Recovery options; tokensDir defaults to the validated directory and is
+   *   the folder backed up and repaired. Unresolved references are replaced when the best
+   *   suggestion reaches confidenceThreshold, the rest are written to reviewFile
    * @returns {Promise<{success: boolean, recoveredItems: object[], errors: string[]}>}
    */
   async attemptPartialRecovery(validationResult, options = {}) {
     this.errors = [];
     this.warnings = [];
-    const { autoFix = true, backupFirst = true } = options;
+    const {
+      autoFix = true,
+      backupFirst = true,
+      tokensDir = validationResult.directory,
+      confidenceThreshold = 0.8,
+      reviewFile = path.join(this.logDir, 'reference-review.json')
+    } = options;
     const recoveredItems = [];
 
+    // Never fall back to the working directory's tokens folder: the caller may be repairing another one
+    if (!tokensDir) {
+      this.errors.push('Partial recovery needs the tokens directory: pass options.tokensDir or a validation report with a directory');
+      return { success: false, recoveredItems, errors: this.errors, warnings: this.warnings };
+    }
+
     try {
       // Create backup before attempting recovery
       if (backupFirst) {
-        const backupResult = await this.createOperationBackup('partial-recovery', [
-          'tokens',
-          'tokensource.json'
-        ], {
+        const backupResult = await this.createOperationBackup('partial-recovery', [tokensDir], {
           validationErrors: validationResult.errors?.length || 0,
           validationWarnings: validationResult.warnings?.length || 0
         });
@@ -301,16 +314,20 @@ class ErrorHandlingSystem {
         }
       }
 
-      // Process all collected issues
-      for (const issue of allIssues) {
+      // References are repaired in one batch so each set file is written once
+      const unresolvedReferences = allIssues.filter(issue => issue.type === 'unresolved_reference');
+      if (autoFix && unresolvedReferences.length > 0) {
+        recoveredItems.push(...await this._repairReferences(unresolvedReferences, { tokensDir, confidenceThreshold, reviewFile }));
+      }
+
+      // Process the remaining issues one by one
+      for (const issue of allIssues.filter(issue => issue.type !== 'unresolved_reference')) {
         let recoveryResult;
         
-        if (issue.type === 'unresolved_reference') {
-          recoveryResult = await this._attemptReferenceRecovery(issue, autoFix);
-        } else if (issue.type === 'missing_file') {
-          recoveryResult = await this._attemptFileRecovery(issue.file, autoFix);
+        if (issue.type === 'missing_file') {
+          recoveryResult = await this._attemptFileRecovery(issue.file, autoFix, tokensDir);
         } else {
-          recoveryResult = await this._attemptIssueRecovery(issue, autoFix);
+          recoveryResult = await this._attemptIssueRecovery(issue, autoFix, tokensDir);
         }
         
         if (recoveryResult.recovered) {
@@ -618,7 +635,7 @@ class ErrorHandlingSystem {
     }
   }
 
-  async _attemptIssueRecovery(issue, autoFix) {
+  async _attemptIssueRecovery(issue, autoFix, tokensDir) {
     const recovery = {
       issue: issue.type,
       path: issue.path || issue.file,
@@ -636,7 +653,7 @@ class ErrorHandlingSystem {
             let filePath = issue.file;
             if (issue.file && !issue.file.includes('/') && !issue.file.includes('\\')) {
               // If it's just a filename, assume it's in the tokens directory
-              filePath = path.join('tokens', issue.file);
+              filePath = path.join(tokensDir, issue.file);
             }
             const created = await this._createDefaultFile(filePath);
             recovery.recovered = created;
@@ -650,7 +667,7 @@ class ErrorHandlingSystem {
             // Ensure we have the full path
             let filePath = issue.file;
             if (issue.file && !issue.file.includes('/') && !issue.file.includes('\\')) {
-              filePath = path.join('tokens', issue.file);
+              filePath = path.join(tokensDir, issue.file);
             }
             const repaired = await this._attemptJsonRepair(filePath);
             recovery.recovered = repaired.success;
@@ -664,7 +681,7 @@ class ErrorHandlingSystem {
             // Ensure we have the full path
             let filePath = issue.file;
             if (issue.file && !issue.file.includes('/') && !issue.file.includes('\\')) {
-              filePath = path.join('tokens', issue.file);
+              filePath = path.join(tokensDir, issue.file);
             }
             const inferred = await this._inferAndSetTokenType(filePath, issue.path);
             recovery.recovered = inferred.success;
@@ -685,37 +702,44 @@ class ErrorHandlingSystem {
     }
   }
 
-  async _attemptReferenceRecovery(reference, autoFix) {
-    const recovery = {
-      reference: reference.reference,
-      location: reference.location,
-      recovered: false,
-      action: 'none',
-      details: {}
-    };
+  async _repairReferences(unresolvedReferences, options) {
+    const { tokensDir, confidenceThreshold, reviewFile } = options;
 
-    try {
-      if (autoFix) {
-        // Try to find similar tokens that might be the intended reference
-        const suggestions = await this._findSimilarTokens(reference.reference);
-        
-        if (suggestions.length > 0) {
-          recovery.action = 'suggest_alternatives';
-          recovery.recovered = true; // Mark as recovered since we provided suggestions
-          recovery.details = { suggestions: suggestions.slice(0, 3) };
-          // Don't auto-replace references as this could break things
-        }
-      }
+    const themeResolver = new ThemeResolver({ tokensDir });
+    await themeResolver.load();
 
-      return recovery;
+    const suggester = new ReferenceSuggester({
+      tokenSets: themeResolver.tokenSets,
+      metadata: themeResolver.metadata,
+      threshold: confidenceThreshold
+    });
+    const repair = suggester.repair(unresolvedReferences);
 
-    } catch (error) {
-      recovery.details.error = error.message;
-      return recovery;
+    for (const setName of repair.changedSets) {
+      await fs.writeFile(path.join(tokensDir, `${setName}.json`), JSON.stringify(repair.tokenSets[setName], null, 2));
+    }
+
+    if (repair.review.length > 0) {
+      await this._ensureDirectory(path.dirname(reviewFile));
+      await fs.writeFile(reviewFile, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        threshold: confidenceThreshold,
+        references: repair.review
+      }, null, 2));
+      this.warnings.push(`${repair.review.length} reference(s) below confidence ${confidenceThreshold} left for review in ${reviewFile}`);
     }
+
+    return repair.fixes.map(fix => ({
+      reference: fix.reference,
+      location: fix.location,
+      file: `${fix.set}.json`,
+      recovered: true,
+      action: 'replace_reference',
+      details: { replacement: fix.replacement, confidence: fix.confidence, reasons: fix.reasons }
+    }));
   }
 
-  async _attemptFileRecovery(missingFile, autoFix) {
+  async _attemptFileRecovery(missingFile, autoFix, tokensDir) {
     const recovery = {
       file: missingFile,
       recovered: false,
@@ -726,9 +750,10 @@ class ErrorHandlingSystem {
     try {
       if (autoFix) {
         recovery.action = 'create_empty_file';
-        const created = await this._createDefaultFile(missingFile);
+        const filePath = path.dirname(missingFile) === '.' ? path.join(tokensDir, missingFile) : missingFile;
+        const created = await this._createDefaultFile(filePath);
         recovery.recovered = created;
-        recovery.details = { created: missingFile };
+        recovery.details = { created: filePath };
       }
 
       return recovery;
@@ -1215,42 +1240,6 @@ class ErrorHandlingSystem {
     }
   }
 
-  async _findSimilarTokens(reference) {
-    try {
-      // This is a simplified implementation
-      // In a real system, you'd search through all token files
-      const suggestions = [];
-      
-      // Extract the token name from reference
-      const tokenName = reference.replace(/[{}]/g, '');
-      const parts = tokenName.split('.');
-      
-      if (parts.length > 1) {
-        // Suggest common variations
-        const lastPart = parts[parts.length - 1];
-        
-        // Common typos and variations
-        const variations = [
-          lastPart.replace('primry', 'primary'),
-          lastPart.replace('secondry', 'secondary'),
-          lastPart.replace('backgrond', 'background'),
-          lastPart.replace('foregrond', 'foreground')
-        ];
-        
-        for (const variation of variations) {
-          if (variation !== lastPart) {
-            const newReference = [...parts.slice(0, -1), variation].join('.');
-            suggestions.push(`{${newReference}}`);
-          }
-        }
-      }
-      
-      return suggestions;
-    } catch (error) {
-      return [];
-    }
-  }
-
   _assessErrorSeverity(error, context) {
     const errorMessage = error.message || error;
     
@@ -1332,7 +1321,7 @@ class ErrorHandlingSystem {
     }
   }
 
-  async _createDefaultFile(fileName) {
+  async _createDefaultFile(filePath) {
     try {
       const defaults = {
         '$metadata.json': { tokenSetOrder: [] },
@@ -1345,9 +1334,8 @@ class ErrorHandlingSystem {
         }]
       };
 
-      const defaultContent = defaults[fileName] || {};
-      const filePath = fileName.startsWith('tokens/') ? fileName : path.join('tokens', fileName);
-      
+      const defaultContent = defaults[path.basename(filePath)] || {};
+
       await this._ensureDirectory(path.dirname(filePath));
       await fs.writeFile(filePath, JSON.stringify(defaultContent, null, 2));
       
@@ -1435,34 +1423,6 @@ class ErrorHandlingSystem {
     
     return 'other';
   }
-
-  async _findSimilarTokens(reference) {
-    // This is a simplified implementation
-    // In a real system, you might use fuzzy matching or token indexing
-    const suggestions = [];
-    
-    try {
-      const tokenPath = reference.replace(/[{}]/g, '');
-      const parts = tokenPath.split('.');
-      
-      // Suggest common alternatives based on the path structure
-      if (parts.includes('color')) {
-        suggestions.push('{color.primary}', '{color.secondary}', '{color.background}');
-      }
-      
-      if (parts.includes('spacing')) {
-        suggestions.push('{spacing.small}', '{spacing.medium}', '{spacing.large}');
-      }
-      
-      if (parts.includes('typography')) {
-        suggestions.push('{typography.body}', '{typography.heading}', '{typography.caption}');
-      }
-
-      return suggestions.slice(0, 3);
-    } catch (error) {
-      return [];
-    }
-  }
 }
 
 module.exports = ErrorHandlingSystem;
\ No newline at end of file
@@ -0,0 +1,339 @@
+/**
+ * FigmaReferenceChecker - Integrity of $figmaStyleReferences and $figmaVariableReferences in $themes.json
+ *
+ * This class provides:
+ * - Dangling references: keys whose token path no longer exists in the sets the theme activates
+ * - Missing references: tokens a synced theme emits that have no Figma style or variable ID
+ * - Remapping of dangling keys onto renamed tokens, from an explicit mapping or from
+ *   ReferenceSuggester matches of the right kind above a confidence threshold, keeping the IDs
+ * - A backup of the tokens folder before $themes.json is rewritten
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ThemeResolver = require('./ThemeResolver');
+const ReferenceSuggester = require('./ReferenceSuggester');
+const ErrorHandlingSystem = require('./ErrorHandlingSystem');
+
+const REFERENCE_KINDS = ['$figmaStyleReferences', '$figmaVariableReferences'];
+
+// Token Studio publishes these types as paint, text and effect styles
+const STYLE_TYPES = ['color', 'typography', 'boxShadow'];
+
+// Figma variables hold single values only
+const COMPOSITE_TYPES = ['typography', 'boxShadow', 'border', 'composition', 'asset'];
+
+class FigmaReferenceChecker {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.threshold = options.threshold === undefined ? 0.8 : options.threshold;
+    this.errorHandler = new ErrorHandlingSystem({ backupDir: options.backupDir || '.backups' });
+  }
+
+  /**
+   * Check the tokens folder
+   * @returns {Promise<{success: boolean, themes: object[], dangling: object[], missing: object[], summary: object, errors: string[]}>}
+   */
+  async analyze() {
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      return { success: false, themes: [], dangling: [], missing: [], summary: {}, errors: loaded.errors };
+    }
+
+    return { success: true, ...this.check(resolver), errors: [] };
+  }
+
+  /**
+   * Find dangling and missing Figma references in every theme
+   * @param {ThemeResolver} resolver - Loaded resolver for the tokens folder
+   * @returns {{themes: object[], dangling: object[], missing: object[], summary: object}}
+   */
+  check(resolver) {
+    const result = { themes: [], dangling: [], missing: [], summary: {} };
+
+    for (const theme of resolver.themes) {
+      const suggester = this._createSuggester(resolver, theme.name);
+      const emitted = resolver.resolveTheme(theme.name).tokens;
+      const themeSummary = { theme: theme.name, references: 0, dangling: 0, missing: 0, synced: [] };
+
+      for (const kind of REFERENCE_KINDS) {
+        const references = this._getReferences(theme, kind);
+        const keys = Object.keys(references);
+        if (keys.length === 0) continue;
+
+        themeSummary.references += keys.length;
+        themeSummary.synced.push(kind);
+
+        for (const tokenPath of keys) {
+          const token = resolver.findToken(tokenPath, theme.name);
+          if (token) continue;
+
+          const best = this._suggest(suggester, tokenPath, kind, new Set(keys))[0];
+          result.dangling.push({
+            theme: theme.name,
+            kind,
+            path: tokenPath,
+            id: references[tokenPath],
+            suggestion: best ? { path: best.path, confidence: best.confidence } : null
+          });
+          themeSummary.dangling++;
+        }
+
+        // Themes that were never synced for a kind have nothing to be missing
+        for (const [tokenPath, token] of Object.entries(emitted)) {
+          if (references[tokenPath] !== undefined || !this._fitsKind(token.type, kind)) continue;
+
+          result.missing.push({ theme: theme.name, kind, path: tokenPath, set: token.set, type: token.type });
+          themeSummary.missing++;
+        }
+      }
+
+      result.themes.push(themeSummary);
+    }
+
+    result.summary = {
+      themes: result.themes.length,
+      references: result.themes.reduce((count, theme) => count + theme.references, 0),
+      dangling: result.dangling.length,
+      missing: result.missing.length
+    };
+    return result;
+  }
+
+  /**
+   * Move dangling reference keys onto the tokens they were renamed to, without touching the originals
+   * @param {ThemeResolver} resolver - Loaded resolver for the tokens folder
+   * @param {object} options - { mappings: [{from, to}] applied first, threshold: minimum suggestion confidence, prune: drop keys left without a match }
+   * @returns {{themes: object[], remapped: object[], pruned: object[], review: object[]}}
+   */
+  planRemap(resolver, options = {}) {
+    const { mappings = [], prune = false } = options;
+    const threshold = options.threshold === undefined ? this.threshold : options.threshold;
+    const plan = {
+      themes: JSON.parse(JSON.stringify(resolver.themes)),
+      remapped: [],
+      pruned: [],
+      review: []
+    };
+
+    for (const theme of plan.themes) {
+      let suggester = null;
+
+      for (const kind of REFERENCE_KINDS) {
+        const references = this._getReferences(theme, kind);
+        const taken = new Set(Object.keys(references));
+        const renames = new Map();
+        const dropped = new Set();
+
+        for (const [tokenPath, id] of Object.entries(references)) {
+          if (resolver.findToken(tokenPath, theme.name)) continue;
+
+          let target = null;
+          const mapped = this._applyMappings(tokenPath, mappings);
+          if (mapped !== tokenPath) {
+            target = { path: mapped, source: 'map', confidence: 1 };
+          } else {
+            suggester = suggester || this._createSuggester(resolver, theme.name);
+            const best = this._suggest(suggester, tokenPath, kind, taken)[0];
+            if (best && best.confidence >= threshold) {
+              target = { path: best.path, source: 'suggestion', confidence: best.confidence };
+            } else {
+              const entry = { theme: theme.name, kind, path: tokenPath, id, suggestions: best ? [best] : [], reason: 'no confident match' };
+              this._dropOrReview(plan, entry, prune, dropped);
+              continue;
+            }
+          }
+
+          if (!resolver.findToken(target.path, theme.name)) {
+            this._dropOrReview(plan, { theme: theme.name, kind, path: tokenPath, id, suggestions: [], reason: `'${target.path}' does not exist in ${theme.name}` }, prune, dropped);
+            continue;
+          }
+          if (taken.has(target.path)) {
+            this._dropOrReview(plan, { theme: theme.name, kind, path: tokenPath, id, suggestions: [], reason: `'${target.path}' already has a reference` }, prune, dropped);
+            continue;
+          }
+
+          taken.add(target.path);
+          renames.set(tokenPath, target.path);
+          plan.remapped.push({ theme: theme.name, kind, from: tokenPath, to: target.path, id, source: target.source, confidence: target.confidence });
+        }
+
+        if (renames.size > 0 || dropped.size > 0) {
+          // Keys keep their position so $themes.json diffs stay readable
+          theme[kind] = Object.fromEntries(Object.entries(references)
+            .filter(([tokenPath]) => !dropped.has(tokenPath))
+            .map(([tokenPath, id]) => [renames.get(tokenPath) || tokenPath, id]));
+        }
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Remap dangling references in the tokens folder
+   * @param {object} options - { mappings, threshold, prune, dryRun: only report the changes }
+   * @returns {Promise<{success: boolean, remapped: object[], pruned: object[], review: object[], files: string[], backupId: string|null, errors: string[], warnings: string[]}>}
+   */
+  async remap(options = {}) {
+    const { dryRun = false } = options;
+    const result = {
+      success: false,
+      remapped: [],
+      pruned: [],
+      review: [],
+      files: [],
+      backupId: null,
+      errors: [],
+      warnings: []
+    };
+
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      result.errors.push(...loaded.errors);
+      return result;
+    }
+
+    const plan = this.planRemap(resolver, options);
+    Object.assign(result, { remapped: plan.remapped, pruned: plan.pruned, review: plan.review });
+
+    const changed = plan.remapped.length > 0 || plan.pruned.length > 0;
+    if (dryRun || !changed) {
+      result.files = changed ? ['$themes.json'] : [];
+      result.success = true;
+      return result;
+    }
+
+    const backup = await this.errorHandler.createOperationBackup('remap-figma-references', [this.tokensDir], {
+      remapped: plan.remapped.length,
+      pruned: plan.pruned.length
+    });
+    if (!backup.success) {
+      result.errors.push(`Backup failed, nothing was remapped: ${backup.errors.join(', ')}`);
+      return result;
+    }
+    result.backupId = backup.backupId;
+
+    try {
+      await fs.writeFile(path.join(this.tokensDir, '$themes.json'), JSON.stringify(plan.themes, null, 2));
+      result.files.push('$themes.json');
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`Remap failed, restore with backup ${result.backupId}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Render a check result as text
+   * @param {object} result - Result of check()
+   * @returns {string}
+   */
+  formatText(result) {
+    const lines = [];
+
+    for (const theme of result.themes) {
+      const synced = theme.synced.length > 0 ? theme.synced.join(', ') : 'no Figma references';
+      lines.push(`${theme.theme}: ${theme.references} reference(s) in ${synced}; ${theme.dangling} dangling, ${theme.missing} missing`);
+    }
+
+    if (result.dangling.length > 0) {
+      lines.push('', `Dangling references (${result.dangling.length}):`);
+      result.dangling.forEach(entry => lines.push(
+        `  ${entry.theme} ${entry.kind}: ${entry.path}` +
+        (entry.suggestion ? ` → did you mean ${entry.suggestion.path}? (${entry.suggestion.confidence})` : '')
+      ));
+    }
+    if (result.missing.length > 0) {
+      lines.push('', `Tokens without a reference (${result.missing.length}):`);
+      result.missing.forEach(entry => lines.push(`  ${entry.theme} ${entry.kind}: ${entry.path} (${entry.type}, ${entry.set})`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a check result as JSON
+   * @param {object} result - Result of check()
+   * @returns {string}
+   */
+  formatJson(result) {
+    const { themes, dangling, missing, summary } = result;
+    return JSON.stringify({ summary, themes, dangling, missing }, null, 2);
+  }
+
+  /**
+   * Render a remap result as text
+   * @param {object} result - Result of remap()
+   * @returns {string}
+   */
+  formatRemapText(result) {
+    const lines = [];
+
+    result.remapped.forEach(entry => lines.push(
+      `→ ${entry.theme} ${entry.kind}: ${entry.from} → ${entry.to}` +
+      (entry.source === 'suggestion' ? ` (${entry.confidence})` : '')
+    ));
+    if (result.pruned.length > 0) {
+      lines.push('', `Removed ${result.pruned.length} reference(s) without a match:`);
+      result.pruned.forEach(entry => lines.push(`  ${entry.theme} ${entry.kind}: ${entry.path} (${entry.reason})`));
+    }
+    if (result.review.length > 0) {
+      lines.push('', `Left ${result.review.length} reference(s) for review:`);
+      result.review.forEach(entry => lines.push(
+        `  ${entry.theme} ${entry.kind}: ${entry.path} (${entry.reason}` +
+        (entry.suggestions.length > 0 ? `; best ${entry.suggestions[0].path} at ${entry.suggestions[0].confidence}` : '') + ')'
+      ));
+    }
+
+    return lines.join('\n');
+  }
+
+  // Private helper methods
+
+  _getReferences(theme, kind) {
+    return theme[kind] && typeof theme[kind] === 'object' && !Array.isArray(theme[kind]) ? theme[kind] : {};
+  }
+
+  _createSuggester(resolver, themeName) {
+    // Only tokens the theme can see are valid targets
+    const tokenSets = {};
+    for (const { name } of resolver.getSetStack(themeName)) {
+      tokenSets[name] = resolver.tokenSets[name];
+    }
+    return new ReferenceSuggester({ tokenSets, metadata: resolver.metadata, maxSuggestions: 5 });
+  }
+
+  _suggest(suggester, tokenPath, kind, taken) {
+    return suggester.suggest(`{${tokenPath}}`)
+      .filter(suggestion => this._fitsKind(suggestion.type, kind) && !taken.has(suggestion.path));
+  }
+
+  _fitsKind(type, kind) {
+    if (!type) return false;
+    return kind === '$figmaStyleReferences' ? STYLE_TYPES.includes(type) : !COMPOSITE_TYPES.includes(type);
+  }
+
+  _applyMappings(tokenPath, mappings) {
+    let mapped = tokenPath;
+    for (const { from, to } of mappings) {
+      if (mapped === from) mapped = to;
+      else if (mapped.startsWith(`${from}.`)) mapped = `${to}${mapped.slice(from.length)}`;
+    }
+    return mapped;
+  }
+
+  _dropOrReview(plan, entry, prune, dropped) {
+    if (prune) {
+      dropped.add(entry.path);
+      plan.pruned.push(entry);
+    } else {
+      plan.review.push(entry);
+    }
+  }
+}
+
+module.exports = FigmaReferenceChecker;
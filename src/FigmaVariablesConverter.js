@@ -0,0 +1,645 @@
+/**
+ * FigmaVariablesConverter - Figma Variables REST API payloads from $themes.json, and back
+ *
+ * This class provides:
+ * - A POST /v1/files/:file_key/variables body: one collection per theme group (ungrouped themes
+ *   share one collection), one mode per theme and one variable per emitted token
+ * - Aliases between variables where a token references another variable, resolved values where
+ *   it references a source-only token or uses a color modifier
+ * - Stable IDs: $figmaCollectionId, $figmaModeId and $figmaVariableReferences from $themes.json,
+ *   or a saved GET response, turn CREATE actions into UPDATE actions
+ * - Import of a saved GET /v1/files/:file_key/variables/local response into one set per
+ *   collection mode and one theme per mode, recording the variable IDs on the themes
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const ThemeResolver = require('./ThemeResolver');
+const TokenDiff = require('./TokenDiff');
+const ErrorHandlingSystem = require('./ErrorHandlingSystem');
+const CompositeTokenTransformer = require('./CompositeTokenTransformer');
+const ColorModifier = require('./ColorModifier');
+
+const DEFAULT_COLLECTION = 'Tokens';
+const REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+const COMPOSITE_TYPES = ['typography', 'boxShadow', 'border', 'composition', 'asset'];
+
+// Token Studio type → Figma variable scopes
+const SCOPES = {
+  borderRadius: ['CORNER_RADIUS'],
+  borderWidth: ['STROKE_FLOAT'],
+  spacing: ['GAP'],
+  sizing: ['WIDTH_HEIGHT'],
+  fontSize: ['FONT_SIZE'],
+  fontSizes: ['FONT_SIZE'],
+  lineHeight: ['LINE_HEIGHT'],
+  lineHeights: ['LINE_HEIGHT'],
+  letterSpacing: ['LETTER_SPACING'],
+  paragraphSpacing: ['PARAGRAPH_SPACING'],
+  paragraphIndent: ['PARAGRAPH_INDENT'],
+  fontFamily: ['FONT_FAMILY'],
+  fontFamilies: ['FONT_FAMILY'],
+  opacity: ['OPACITY']
+};
+
+// Figma scope → Token Studio type, for imports
+const SCOPE_TYPES = {
+  CORNER_RADIUS: 'borderRadius',
+  STROKE_FLOAT: 'borderWidth',
+  GAP: 'spacing',
+  WIDTH_HEIGHT: 'sizing',
+  FONT_SIZE: 'fontSizes',
+  LINE_HEIGHT: 'lineHeights',
+  LETTER_SPACING: 'letterSpacing',
+  PARAGRAPH_SPACING: 'paragraphSpacing',
+  PARAGRAPH_INDENT: 'paragraphIndent',
+  FONT_FAMILY: 'fontFamilies',
+  FONT_WEIGHT: 'fontWeights',
+  FONT_STYLE: 'fontWeights',
+  OPACITY: 'opacity'
+};
+
+const FLOAT_TYPES = [
+  'dimension', 'spacing', 'sizing', 'borderRadius', 'borderWidth', 'fontSize', 'fontSizes', 'lineHeight',
+  'lineHeights', 'letterSpacing', 'paragraphSpacing', 'paragraphIndent', 'opacity', 'number'
+];
+
+class FigmaVariablesConverter {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.basePxFontSize = options.basePxFontSize || 16;
+    this.errorHandler = new ErrorHandlingSystem({ backupDir: options.backupDir || '.backups' });
+    this.tokenDiff = new TokenDiff();
+    this.colorParser = new CompositeTokenTransformer();
+    this.colorModifier = new ColorModifier();
+  }
+
+  /**
+   * Build the Variables POST body for the tokens folder
+   * @param {object|null} existing - Saved GET /variables/local response, used to keep IDs stable
+   * @returns {Promise<{success: boolean, payload: object|null, summary: object, skipped: object[], errors: string[], warnings: string[]}>}
+   */
+  async exportPayload(existing = null) {
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      return { success: false, payload: null, summary: null, skipped: [], errors: loaded.errors, warnings: [] };
+    }
+
+    const result = this.buildPayload(resolver, existing);
+    result.warnings.unshift(...loaded.errors);
+    return result;
+  }
+
+  /**
+   * Build the Variables POST body from a loaded ThemeResolver
+   * @param {ThemeResolver} resolver - Resolver with tokenSets, themes and metadata loaded
+   * @param {object|null} existing - Saved GET /variables/local response, used to keep IDs stable
+   * @returns {{success: boolean, payload: object, summary: object, skipped: object[], errors: string[], warnings: string[]}}
+   */
+  buildPayload(resolver, existing = null) {
+    const warnings = [];
+    const skipped = [];
+    const index = this._indexResponse(existing);
+    const payload = { variableCollections: [], variableModes: [], variables: [], variableModeValues: [] };
+
+    // First pass: collections, modes and variable IDs, so aliases can point across collections
+    const groups = this._groupThemes(resolver.themes).map(({ name, themes }) => {
+      const collection = this._planCollection(name, themes, index);
+      const resolved = themes.map(theme => resolver.resolveTheme(theme.name));
+      const variables = new Map();
+
+      resolved.forEach(themeTokens => {
+        for (const [tokenPath, token] of Object.entries(themeTokens.tokens)) {
+          if (variables.has(tokenPath)) continue;
+
+          if (COMPOSITE_TYPES.includes(token.type)) {
+            skipped.push({ collection: name, path: tokenPath, reason: `${token.type} tokens map to Figma styles, not variables` });
+            variables.set(tokenPath, null);
+            continue;
+          }
+          variables.set(tokenPath, { type: token.type, id: null, resolvedType: null });
+        }
+      });
+
+      for (const [tokenPath, variable] of variables) {
+        if (variable) variable.id = this._planVariableId(tokenPath, themes, collection, index, warnings);
+      }
+
+      return { name, themes, collection, resolved, variables };
+    });
+
+    const variablesByPath = new Map();
+    groups.forEach(group => group.variables.forEach((variable, tokenPath) => {
+      if (variable && !variablesByPath.has(tokenPath)) variablesByPath.set(tokenPath, variable);
+    }));
+
+    // Second pass: values per mode, then the variable definitions with their resolved type
+    for (const group of groups) {
+      const { collection } = group;
+      payload.variableCollections.push(collection.action === 'CREATE'
+        ? { action: 'CREATE', id: collection.id, name: group.name, initialModeId: collection.modes[0].id }
+        : { action: 'UPDATE', id: collection.id, name: group.name });
+
+      collection.modes.forEach((mode, modeIndex) => {
+        // A new collection's initial mode exists as soon as the collection does; it only needs its name
+        const action = collection.action === 'CREATE' && modeIndex === 0 ? 'UPDATE' : mode.action;
+        payload.variableModes.push({ action, id: mode.id, name: mode.name, variableCollectionId: collection.id });
+      });
+
+      const values = [];
+      group.themes.forEach((theme, themeIndex) => {
+        const mode = collection.modes[themeIndex];
+        for (const [tokenPath, token] of Object.entries(group.resolved[themeIndex].tokens)) {
+          const variable = group.variables.get(tokenPath);
+          if (!variable) continue;
+
+          const value = this._toVariableValue(tokenPath, token, theme, resolver, group.variables, variablesByPath);
+          if (value.error) {
+            skipped.push({ collection: group.name, mode: theme.name, path: tokenPath, reason: value.error });
+            continue;
+          }
+          if (variable.resolvedType && variable.resolvedType !== value.resolvedType) {
+            skipped.push({ collection: group.name, mode: theme.name, path: tokenPath, reason: `${value.resolvedType} value for a ${variable.resolvedType} variable` });
+            continue;
+          }
+
+          variable.resolvedType = value.resolvedType;
+          values.push({ variableId: variable.id.id, modeId: mode.id, value: value.value });
+        }
+      });
+
+      for (const [tokenPath, variable] of group.variables) {
+        if (!variable || !variable.resolvedType) continue;
+
+        const existingVariable = index.variablesById.get(variable.id.id);
+        if (existingVariable && existingVariable.resolvedType && existingVariable.resolvedType !== variable.resolvedType) {
+          warnings.push(`${tokenPath}: Figma variable ${variable.id.id} is ${existingVariable.resolvedType}, tokens need ${variable.resolvedType}; Figma cannot change a variable's type`);
+        }
+
+        const definition = { action: variable.id.action, id: variable.id.id, name: tokenPath.split('.').join('/') };
+        if (variable.id.action === 'CREATE') {
+          definition.variableCollectionId = collection.id;
+          definition.resolvedType = variable.resolvedType;
+        }
+        const description = this._findDescription(resolver, group.themes, tokenPath);
+        if (description) definition.description = description;
+        definition.scopes = this._getScopes(variable.type, variable.resolvedType);
+        payload.variables.push(definition);
+      }
+
+      // Values for variables that ended up without a type (every mode skipped) are dropped with them
+      const typed = new Set(payload.variables.map(definition => definition.id));
+      payload.variableModeValues.push(...values.filter(value => typed.has(value.variableId)));
+    }
+
+    const count = (items, action) => items.filter(item => item.action === action).length;
+    const summary = {
+      collections: payload.variableCollections.length,
+      modes: payload.variableModes.length,
+      variables: payload.variables.length,
+      created: count(payload.variables, 'CREATE'),
+      updated: count(payload.variables, 'UPDATE'),
+      values: payload.variableModeValues.length,
+      skipped: skipped.length
+    };
+
+    return { success: true, payload, summary, skipped, errors: [], warnings: this._unique(warnings) };
+  }
+
+  /**
+   * Read a saved GET /v1/files/:file_key/variables/local response
+   * @param {string} filePath - JSON file
+   * @returns {Promise<{success: boolean, response: object|null, errors: string[]}>}
+   */
+  async loadResponse(filePath) {
+    try {
+      const response = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      const meta = response.meta || response;
+      if (!meta.variables || !meta.variableCollections) {
+        return { success: false, response: null, errors: [`${filePath} is not a Figma Variables response: missing meta.variables or meta.variableCollections`] };
+      }
+      return { success: true, response, errors: [] };
+    } catch (error) {
+      return { success: false, response: null, errors: [`Cannot read Figma Variables response ${filePath}: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Rebuild token sets and themes from a GET /variables/local response
+   * @param {object} response - Saved response
+   * @param {object[]} currentThemes - Themes in $themes.json, matched by $figmaModeId or group and name
+   * @returns {{tokenSets: object, themes: object[], sets: string[], warnings: string[]}}
+   */
+  fromResponse(response, currentThemes = []) {
+    const warnings = [];
+    const meta = response.meta || response;
+    const collections = Object.values(meta.variableCollections).filter(collection => !collection.remote);
+    const variables = meta.variables;
+    const tokenSets = {};
+    const themes = currentThemes.map(theme => ({ ...theme }));
+    const sets = [];
+
+    const setName = (collection, mode) => `${this._slug(collection.name)}-${this._slug(mode.name)}`;
+    const collectionsById = new Map(collections.map(collection => [collection.id, collection]));
+
+    for (const collection of collections) {
+      const collectionVariables = Object.values(variables).filter(variable => variable.variableCollectionId === collection.id && !variable.remote);
+
+      for (const mode of collection.modes) {
+        const name = setName(collection, mode);
+        const tokens = {};
+        const sourceSets = new Set();
+        const references = {};
+
+        for (const variable of collectionVariables) {
+          const tokenPath = this._toTokenPath(variable.name);
+          const token = this._toToken(variable, variable.valuesByMode[mode.modeId], variables, warnings);
+          if (!token) continue;
+
+          if (token.aliasCollectionId && token.aliasCollectionId !== collection.id) {
+            const target = collectionsById.get(token.aliasCollectionId);
+            if (target) sourceSets.add(setName(target, target.modes.find(candidate => candidate.modeId === target.defaultModeId) || target.modes[0]));
+          }
+          delete token.aliasCollectionId;
+
+          this._setToken(tokens, tokenPath, token);
+          references[tokenPath] = variable.id;
+        }
+
+        tokenSets[name] = tokens;
+        sets.push(name);
+
+        const byModeId = themes.findIndex(theme => theme.$figmaModeId === mode.modeId);
+        const matchIndex = byModeId >= 0
+          ? byModeId
+          : themes.findIndex(theme => theme.name === mode.name && (theme.group || DEFAULT_COLLECTION) === collection.name);
+        const current = matchIndex >= 0 ? themes[matchIndex] : null;
+
+        // Themes keep their id and other settings; ungrouped themes stay ungrouped in the default collection
+        const theme = current
+          ? { ...current, name: mode.name }
+          : { id: crypto.createHash('sha1').update(`${collection.id}/${mode.modeId}`).digest('hex'), name: mode.name };
+        if (!current || current.group !== undefined || collection.name !== DEFAULT_COLLECTION) {
+          theme.group = collection.name;
+        }
+        Object.assign(theme, {
+          selectedTokenSets: {
+            ...Object.fromEntries([...sourceSets].map(source => [source, 'source'])),
+            [name]: 'enabled'
+          },
+          $figmaCollectionId: collection.id,
+          $figmaModeId: mode.modeId,
+          $figmaVariableReferences: references
+        });
+
+        if (current) {
+          themes[matchIndex] = theme;
+        } else {
+          themes.push(theme);
+        }
+      }
+    }
+
+    return { tokenSets, themes, sets, warnings: this._unique(warnings) };
+  }
+
+  /**
+   * Import a saved GET /variables/local response into the tokens folder
+   * @param {string} responsePath - Saved response file
+   * @param {object} options - { dryRun: only report the changes }
+   * @returns {Promise<{success: boolean, sets: string[], files: string[], diff: object|null, backupId: string|null, errors: string[], warnings: string[]}>}
+   */
+  async importResponse(responsePath, options = {}) {
+    const { dryRun = false } = options;
+    const result = { success: false, sets: [], files: [], diff: null, backupId: null, errors: [], warnings: [] };
+
+    const loadedResponse = await this.loadResponse(responsePath);
+    if (!loadedResponse.success) {
+      result.errors.push(...loadedResponse.errors);
+      return result;
+    }
+
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    const before = loaded.success
+      ? { label: this.tokensDir, tokenSets: resolver.tokenSets, themes: resolver.themes, metadata: resolver.metadata }
+      : { label: this.tokensDir, tokenSets: {}, themes: [], metadata: { tokenSetOrder: [] } };
+
+    const converted = this.fromResponse(loadedResponse.response, before.themes);
+    result.sets = converted.sets;
+    result.warnings.push(...converted.warnings);
+
+    const after = {
+      label: responsePath,
+      tokenSets: { ...before.tokenSets, ...converted.tokenSets },
+      themes: converted.themes,
+      metadata: {
+        ...before.metadata,
+        tokenSetOrder: [...before.metadata.tokenSetOrder, ...converted.sets.filter(setName => !before.metadata.tokenSetOrder.includes(setName))]
+      }
+    };
+    result.diff = this.tokenDiff.compare(before, after);
+    result.warnings.push(...result.diff.warnings);
+
+    const changedFiles = this._getChangedFiles(before, after);
+    if (dryRun || changedFiles.length === 0) {
+      result.files = changedFiles.map(file => file.name);
+      result.success = true;
+      return result;
+    }
+
+    const backup = await this.errorHandler.createOperationBackup('import-figma-variables', [this.tokensDir], { responsePath });
+    if (!backup.success) {
+      result.errors.push(`Backup failed, nothing was imported: ${backup.errors.join(', ')}`);
+      return result;
+    }
+    result.backupId = backup.backupId;
+
+    try {
+      await fs.mkdir(this.tokensDir, { recursive: true });
+      for (const file of changedFiles) {
+        await fs.writeFile(path.join(this.tokensDir, file.name), JSON.stringify(file.data, null, 2));
+        result.files.push(file.name);
+      }
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`Figma Variables import failed, restore with backup ${result.backupId}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Render the skipped tokens of an export as text
+   * @param {object} result - Result of exportPayload()
+   * @returns {string}
+   */
+  formatSkipped(result) {
+    if (result.skipped.length === 0) return 'No tokens skipped.';
+
+    const lines = [`Skipped ${result.skipped.length} token value(s):`];
+    result.skipped.forEach(entry => lines.push(
+      `  ${entry.collection}${entry.mode ? ` / ${entry.mode}` : ''}: ${entry.path} - ${entry.reason}`
+    ));
+    return lines.join('\n');
+  }
+
+  // Private helper methods
+
+  _groupThemes(themes) {
+    const groups = new Map();
+    for (const theme of themes) {
+      const name = theme.group || DEFAULT_COLLECTION;
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(theme);
+    }
+    return [...groups].map(([name, groupThemes]) => ({ name, themes: groupThemes }));
+  }
+
+  _planCollection(name, themes, index) {
+    const knownId = themes.map(theme => theme.$figmaCollectionId).find(Boolean);
+    const existing = (knownId && index.collectionsById.get(knownId)) || index.collectionsByName.get(name) || null;
+    const id = existing ? existing.id : knownId || `collection:${name}`;
+    const action = existing || knownId ? 'UPDATE' : 'CREATE';
+
+    const modes = themes.map(theme => {
+      const existingMode = existing && (existing.modes || []).find(mode => mode.modeId === theme.$figmaModeId || mode.name === theme.name);
+      const modeId = theme.$figmaModeId || (existingMode && existingMode.modeId);
+      return modeId
+        ? { action: 'UPDATE', id: modeId, name: theme.name }
+        : { action: 'CREATE', id: `mode:${name}/${theme.name}`, name: theme.name };
+    });
+
+    return { id, action, modes };
+  }
+
+  _planVariableId(tokenPath, themes, collection, index, warnings) {
+    const reference = themes
+      .map(theme => (theme.$figmaVariableReferences || {})[tokenPath])
+      .find(Boolean);
+
+    if (reference) {
+      const existing = index.variablesById.get(reference) || index.variablesByKey.get(reference);
+      if (existing) return { action: 'UPDATE', id: existing.id };
+      if (reference.startsWith('VariableID:')) return { action: 'UPDATE', id: reference };
+      warnings.push('$figmaVariableReferences holds variable keys; pass a saved GET /variables/local response to update those variables instead of creating new ones');
+    }
+
+    const byName = index.variablesByName.get(`${collection.id}/${tokenPath.split('.').join('/')}`);
+    if (byName) return { action: 'UPDATE', id: byName.id };
+
+    return { action: 'CREATE', id: `variable:${collection.id}/${tokenPath}` };
+  }
+
+  _toVariableValue(tokenPath, token, theme, resolver, groupVariables, variablesByPath) {
+    const entry = resolver.findToken(tokenPath, theme.name);
+    const reference = typeof token.rawValue === 'string' ? token.rawValue.trim().match(REFERENCE_PATTERN) : null;
+
+    // Aliases keep the link to the referenced variable unless a color modifier changes the value.
+    // Within a collection the target must be active in this mode; other collections are aliased as they are.
+    if (reference && !(entry && entry.modify)) {
+      const targetPath = reference[1].trim();
+      const targetToken = resolver.findToken(targetPath, theme.name);
+      const target = groupVariables.has(targetPath)
+        ? (targetToken && targetToken.status === 'enabled' ? groupVariables.get(targetPath) : null)
+        : variablesByPath.get(targetPath);
+
+      if (target) {
+        const converted = this._convertValue(token.value, token.type);
+        const resolvedType = converted.error ? target.resolvedType || this._getResolvedType(token.type) : converted.resolvedType;
+        if (resolvedType) {
+          return { resolvedType, value: { type: 'VARIABLE_ALIAS', id: target.id.id } };
+        }
+      }
+    }
+
+    const unresolved = typeof token.value === 'string' && /\{[^{}]+\}/.test(token.value);
+    if (unresolved) return { error: `unresolved reference in '${token.value}'` };
+
+    return this._convertValue(token.value, token.type);
+  }
+
+  _getResolvedType(type) {
+    if (type === 'color') return 'COLOR';
+    if (type === 'boolean') return 'BOOLEAN';
+    if (FLOAT_TYPES.includes(type)) return 'FLOAT';
+    return type === 'fontWeights' || type === 'fontWeight' ? null : 'STRING';
+  }
+
+  _convertValue(value, type) {
+    if (type === 'color') {
+      const rgba = this.colorParser.parseColor(this.colorModifier.expandHexChannels(String(value)));
+      if (!rgba) return { error: `'${value}' is not a color Figma variables can hold` };
+      return {
+        resolvedType: 'COLOR',
+        value: { r: this._round(rgba.r / 255), g: this._round(rgba.g / 255), b: this._round(rgba.b / 255), a: rgba.a }
+      };
+    }
+
+    if (type === 'boolean') {
+      return { resolvedType: 'BOOLEAN', value: value === true || value === 'true' };
+    }
+
+    if (type === 'fontWeights' || type === 'fontWeight') {
+      return /^\d+$/.test(String(value).trim())
+        ? { resolvedType: 'FLOAT', value: parseInt(value, 10) }
+        : { resolvedType: 'STRING', value: String(value) };
+    }
+
+    if (FLOAT_TYPES.includes(type)) {
+      return this._toFloat(value, type);
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      return { error: 'object values cannot be stored in Figma variables' };
+    }
+    return { resolvedType: 'STRING', value: String(value) };
+  }
+
+  _toFloat(value, type) {
+    if (typeof value === 'number') {
+      return { resolvedType: 'FLOAT', value: type === 'opacity' && value <= 1 ? this._round(value * 100) : value };
+    }
+
+    const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|rem|em|%)?$/);
+    if (!match) return { error: `'${value}' is not a number Figma variables can hold` };
+
+    const number = parseFloat(match[1]);
+    const unit = match[2];
+    if (type === 'opacity') {
+      return { resolvedType: 'FLOAT', value: unit === '%' || number > 1 ? number : this._round(number * 100) };
+    }
+    if (unit === '%') return { error: `percentage '${value}' cannot be bound to a Figma ${type} variable` };
+    if (unit === 'rem' || unit === 'em') return { resolvedType: 'FLOAT', value: this._round(number * this.basePxFontSize) };
+    return { resolvedType: 'FLOAT', value: number };
+  }
+
+  _getScopes(type, resolvedType) {
+    if (type === 'fontWeights' || type === 'fontWeight') {
+      return resolvedType === 'FLOAT' ? ['FONT_WEIGHT'] : ['FONT_STYLE'];
+    }
+    return SCOPES[type] || ['ALL_SCOPES'];
+  }
+
+  _findDescription(resolver, themes, tokenPath) {
+    for (const theme of themes) {
+      for (const { name } of resolver.getSetStack(theme.name).slice().reverse()) {
+        const node = this._getNode(resolver.tokenSets[name], tokenPath.split('.'));
+        if (node && (node.$value !== undefined || node.value !== undefined)) {
+          return node.$description || node.description || null;
+        }
+      }
+    }
+    return null;
+  }
+
+  _toToken(variable, value, variables, warnings) {
+    if (value === undefined) {
+      warnings.push(`${variable.name}: no value for a mode of its collection`);
+      return null;
+    }
+
+    const type = this._getTokenType(variable);
+    const token = { $type: type };
+
+    if (value && value.type === 'VARIABLE_ALIAS') {
+      const target = variables[value.id];
+      if (!target || target.remote) {
+        warnings.push(`${variable.name}: alias to ${value.id}, which is not a local variable; the token was skipped`);
+        return null;
+      }
+      token.$value = `{${this._toTokenPath(target.name)}}`;
+      token.aliasCollectionId = target.variableCollectionId;
+    } else if (variable.resolvedType === 'COLOR') {
+      const rgba = { r: value.r * 255, g: value.g * 255, b: value.b * 255, a: value.a === undefined ? 1 : value.a };
+      token.$value = this.colorModifier.format(rgba, rgba.a === 1 ? 'hex' : 'rgb');
+    } else if (variable.resolvedType === 'FLOAT') {
+      token.$value = type === 'opacity' ? `${this._round(value)}%` : String(this._round(value));
+    } else {
+      token.$value = String(value);
+    }
+
+    if (variable.description) token.$description = variable.description;
+    return token;
+  }
+
+  _getTokenType(variable) {
+    if (variable.resolvedType === 'COLOR') return 'color';
+    if (variable.resolvedType === 'BOOLEAN') return 'boolean';
+
+    const scopeType = (variable.scopes || []).map(scope => SCOPE_TYPES[scope]).find(Boolean);
+    if (scopeType) return scopeType;
+    return variable.resolvedType === 'FLOAT' ? 'number' : 'text';
+  }
+
+  _indexResponse(response) {
+    const meta = response ? response.meta || response : {};
+    const collections = Object.values(meta.variableCollections || {});
+    const variables = Object.values(meta.variables || {});
+
+    return {
+      collectionsById: new Map(collections.map(collection => [collection.id, collection])),
+      collectionsByName: new Map(collections.filter(collection => !collection.remote).map(collection => [collection.name, collection])),
+      variablesById: new Map(variables.map(variable => [variable.id, variable])),
+      variablesByKey: new Map(variables.filter(variable => variable.key).map(variable => [variable.key, variable])),
+      variablesByName: new Map(variables.map(variable => [`${variable.variableCollectionId}/${variable.name}`, variable]))
+    };
+  }
+
+  _toTokenPath(variableName) {
+    return variableName.split('/').map(part => part.trim()).join('.');
+  }
+
+  _getNode(obj, pathParts) {
+    let node = obj;
+    for (const part of pathParts) {
+      if (!node || typeof node !== 'object' || node[part] === undefined) return null;
+      node = node[part];
+    }
+    return node;
+  }
+
+  _setToken(tokens, tokenPath, token) {
+    const parts = tokenPath.split('.');
+    let node = tokens;
+    for (const part of parts.slice(0, -1)) {
+      if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+      node = node[part];
+    }
+    node[parts[parts.length - 1]] = token;
+  }
+
+  _getChangedFiles(before, after) {
+    const files = [];
+
+    for (const setName of Object.keys(after.tokenSets)) {
+      if (JSON.stringify(before.tokenSets[setName]) !== JSON.stringify(after.tokenSets[setName])) {
+        files.push({ name: `${setName}.json`, data: after.tokenSets[setName] });
+      }
+    }
+    if (JSON.stringify(before.themes) !== JSON.stringify(after.themes)) {
+      files.push({ name: '$themes.json', data: after.themes });
+    }
+    if (JSON.stringify(before.metadata) !== JSON.stringify(after.metadata)) {
+      files.push({ name: '$metadata.json', data: after.metadata });
+    }
+
+    return files;
+  }
+
+  _slug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'default';
+  }
+
+  _unique(items) {
+    return [...new Set(items)];
+  }
+
+  _round(number) {
+    return Math.round(number * 10000) / 10000;
+  }
+}
+
+module.exports = FigmaVariablesConverter;
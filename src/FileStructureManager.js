@@ -13,6 +13,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ErrorHandlingSystem = require('./ErrorHandlingSystem');
+const SchemaValidator = require('./SchemaValidator');
 
 class FileStructureManager {
   constructor(options = {}) {
@@ -22,6 +23,7 @@ class FileStructureManager {
       backupDir: options.backupDir || '.backups',
       debugMode: options.debugMode || false
     });
+    this.schemaValidator = new SchemaValidator();
   }
 
   /**
@@ -469,28 +471,9 @@ class FileStructureManager {
         return { isValid: false, issues };
       }
 
-      // Validate specific file structures
-      if (fileName === '$metadata.json') {
-        if (!parsedContent.tokenSetOrder || !Array.isArray(parsedContent.tokenSetOrder)) {
-          issues.push('$metadata.json must contain tokenSetOrder array');
-        }
-      } else if (fileName === '$themes.json') {
-        if (!Array.isArray(parsedContent)) {
-          issues.push('$themes.json must be an array');
-        } else {
-          for (let i = 0; i < parsedContent.length; i++) {
-            const theme = parsedContent[i];
-            if (!theme.id || !theme.name || !theme.selectedTokenSets) {
-              issues.push(`Theme at index ${i} missing required properties (id, name, selectedTokenSets)`);
-            }
-          }
-        }
-      } else if (fileName.endsWith('.json') && !fileName.startsWith('$')) {
-        // Validate token file structure
-        if (typeof parsedContent !== 'object' || parsedContent === null) {
-          issues.push(`Token file ${fileName} must contain an object`);
-        }
-      }
+      // Validate against the published schema for this kind of file
+      const schemaValidation = this.schemaValidator.validateFile(fileName, parsedContent);
+      issues.push(...schemaValidation.errors.map(error => this.schemaValidator.formatError(fileName, error)));
 
       return { isValid: issues.length === 0, issues };
 
@@ -0,0 +1,245 @@
+/**
+ * JsonSourceMap - Parse JSON text and remember where every value starts
+ *
+ * This class provides:
+ * - The parsed data, as JSON.parse would return it
+ * - 1-based line and column of each value and property key, addressed by JSON Pointer
+ *   ("/color/primary/$value"), with columns counted in UTF-16 code units as in editors and SARIF
+ * - Lookup of dotted token paths whose keys may themselves contain dots
+ */
+
+class JsonSourceMap {
+  /**
+   * Parse JSON text
+   * @param {string} text - JSON source
+   * @throws {SyntaxError} With the line and column of the first syntax error
+   */
+  constructor(text) {
+    this.text = text;
+    this.positions = new Map();
+    this.lineStarts = [0];
+    for (let index = 0; index < text.length; index++) {
+      if (text[index] === '\n') this.lineStarts.push(index + 1);
+    }
+
+    this.index = 0;
+    this._skipWhitespace();
+    this.data = this._parseValue('');
+    this._skipWhitespace();
+    if (this.index < text.length) {
+      this._fail('Unexpected content after JSON value');
+    }
+  }
+
+  /**
+   * Position of the value at a JSON Pointer
+   * @param {string} pointer - e.g. "/0/selectedTokenSets" or "" for the document
+   * @returns {{line: number, column: number, keyLine?: number, keyColumn?: number}|null}
+   */
+  getPosition(pointer) {
+    return this.positions.get(pointer) || null;
+  }
+
+  /**
+   * Turn a dotted token path into the JSON Pointer of the deepest existing node along it
+   * @param {string} dottedPath - e.g. "Color Ramp.Neon Green.0700.$value"
+   * @param {string} basePointer - Pointer to start from, e.g. "/core" inside tokensource.json
+   * @returns {{pointer: string, exact: boolean}}
+   */
+  findPath(dottedPath, basePointer = '') {
+    const start = this._getAt(basePointer);
+    if (start === undefined) return { pointer: basePointer, exact: false };
+
+    const parts = dottedPath ? String(dottedPath).split('.') : [];
+    const { pointer, consumed } = this._walk(start, parts, basePointer);
+    return { pointer, exact: consumed === parts.length };
+  }
+
+  /**
+   * Encode one JSON Pointer segment
+   * @param {string|number} key - Property name or array index
+   * @returns {string}
+   */
+  static escapeSegment(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  // Private helper methods
+
+  _walk(node, parts, pointer) {
+    if (parts.length === 0 || !node || typeof node !== 'object') {
+      return { pointer, consumed: 0 };
+    }
+
+    // Keys such as "0.5" or "font.size" contain dots; prefer the longest key that exists
+    let best = { pointer, consumed: 0 };
+    for (let length = parts.length; length >= 1; length--) {
+      const key = parts.slice(0, length).join('.');
+      if (!Object.prototype.hasOwnProperty.call(node, key)) continue;
+
+      const childPointer = `${pointer}/${JsonSourceMap.escapeSegment(key)}`;
+      const child = this._walk(node[key], parts.slice(length), childPointer);
+      const consumed = length + child.consumed;
+      if (consumed > best.consumed) {
+        best = { pointer: child.pointer, consumed };
+      }
+      if (consumed === parts.length) break;
+    }
+    return best;
+  }
+
+  _getAt(pointer) {
+    if (!pointer) return this.data;
+
+    let node = this.data;
+    for (const segment of pointer.slice(1).split('/')) {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!node || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, key)) return undefined;
+      node = node[key];
+    }
+    return node;
+  }
+
+  _parseValue(pointer, keyPosition = null) {
+    const position = { ...this._getLineColumn(this.index), ...keyPosition };
+    this.positions.set(pointer, position);
+
+    const char = this.text[this.index];
+    if (char === '{') return this._parseObject(pointer);
+    if (char === '[') return this._parseArray(pointer);
+    if (char === '"') return this._parseString();
+    return this._parseLiteral();
+  }
+
+  _parseObject(pointer) {
+    const result = {};
+    this.index++;
+    this._skipWhitespace();
+
+    if (this.text[this.index] === '}') {
+      this.index++;
+      return result;
+    }
+
+    while (this.index < this.text.length) {
+      this._skipWhitespace();
+      if (this.text[this.index] !== '"') this._fail('Expected property name');
+
+      const keyStart = this._getLineColumn(this.index);
+      const key = this._parseString();
+      this._skipWhitespace();
+      this._expect(':');
+      this._skipWhitespace();
+
+      result[key] = this._parseValue(`${pointer}/${JsonSourceMap.escapeSegment(key)}`, {
+        keyLine: keyStart.line,
+        keyColumn: keyStart.column
+      });
+
+      this._skipWhitespace();
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+      this._expect('}');
+      return result;
+    }
+
+    return this._fail('Unterminated object');
+  }
+
+  _parseArray(pointer) {
+    const result = [];
+    this.index++;
+    this._skipWhitespace();
+
+    if (this.text[this.index] === ']') {
+      this.index++;
+      return result;
+    }
+
+    while (this.index < this.text.length) {
+      this._skipWhitespace();
+      result.push(this._parseValue(`${pointer}/${result.length}`));
+      this._skipWhitespace();
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+      this._expect(']');
+      return result;
+    }
+
+    return this._fail('Unterminated array');
+  }
+
+  _parseString() {
+    const start = this.index;
+    this.index++;
+
+    while (this.index < this.text.length) {
+      const char = this.text[this.index];
+      if (char === '\\') {
+        this.index += 2;
+        continue;
+      }
+      this.index++;
+      if (char === '"') {
+        try {
+          return JSON.parse(this.text.slice(start, this.index));
+        } catch (error) {
+          this.index = start;
+          this._fail(`Invalid string: ${error.message}`);
+        }
+      }
+    }
+
+    this.index = start;
+    return this._fail('Unterminated string');
+  }
+
+  _parseLiteral() {
+    const pattern = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+    pattern.lastIndex = this.index;
+    const match = pattern.exec(this.text);
+    if (!match) this._fail('Unexpected token');
+
+    this.index += match[0].length;
+    return JSON.parse(match[0]);
+  }
+
+  _skipWhitespace() {
+    while (this.index < this.text.length && /\s/.test(this.text[this.index])) {
+      this.index++;
+    }
+  }
+
+  _expect(char) {
+    if (this.text[this.index] !== char) this._fail(`Expected '${char}'`);
+    this.index++;
+  }
+
+  _fail(message) {
+    const { line, column } = this._getLineColumn(this.index);
+    const error = new SyntaxError(`${message} at line ${line}, column ${column}`);
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  _getLineColumn(index) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: index - this.lineStarts[low] + 1 };
+  }
+}
+
+module.exports = JsonSourceMap;
@@ -0,0 +1,399 @@
+/**
+ * MathExpressionEngine - Sandboxed evaluator for Token Studio math expressions
+ *
+ * This class provides:
+ * - Parsing of Token Studio math syntax without eval (roundTo, + - * /, parentheses)
+ * - Unit-aware arithmetic (e.g. "{spacing.base} * 2" -> "16px")
+ * - Reference resolution before evaluation through a caller-supplied resolver
+ * - Parse and evaluation errors that carry the token path
+ */
+
+const FUNCTIONS = {
+  roundTo: { minArgs: 1, maxArgs: 2, fn: (value, decimals = 0) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  } },
+  round: { minArgs: 1, maxArgs: 1, fn: Math.round },
+  floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+  ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+  abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+  min: { minArgs: 1, maxArgs: Infinity, fn: Math.min },
+  max: { minArgs: 1, maxArgs: Infinity, fn: Math.max }
+};
+
+const MAX_REFERENCE_DEPTH = 32;
+
+class MathExpressionEngine {
+  constructor(options = {}) {
+    this.maxReferenceDepth = options.maxReferenceDepth || MAX_REFERENCE_DEPTH;
+  }
+
+  /**
+   * Check whether a token value contains a math expression
+   * @param {any} value - Token value
+   * @returns {boolean} True for supported function calls, and for arithmetic on at least one
+   *   unit or reference; space-separated lists ("0 4px 8px -2px") and dates are not math
+   */
+  isExpression(value) {
+    if (typeof value !== 'string' || !/[-+*/(]/.test(value)) return false;
+
+    let tokens;
+    try {
+      tokens = this._tokenize(value);
+    } catch (error) {
+      // Malformed input still counts when it calls a math function, so the error gets reported
+      return new RegExp(`\\b(${Object.keys(FUNCTIONS).join('|')})\\s*\\(`).test(value);
+    }
+
+    // Plain words (font names, CSS functions like rgba) mean this is not math
+    if (tokens.some(token => token.type === 'identifier' && !FUNCTIONS[token.value])) {
+      return false;
+    }
+
+    // An operand right after another one, or a sign glued to the next operand after a space,
+    // starts a new value of a space-separated list
+    const endsOperand = token => token.type === 'number' || token.type === 'reference' || token.value === ')';
+    const isList = tokens.some((token, index) => {
+      const previous = tokens[index - 1];
+      if (!previous || !endsOperand(previous)) return false;
+      if (token.type !== 'operator') return true;
+      if (token.value === '(') return true;
+
+      const next = tokens[index + 1];
+      return '+-'.includes(token.value) && next && token.index > previous.index + previous.text.length &&
+        next.index === token.index + 1;
+    });
+    if (isList) return false;
+
+    const hasCall = tokens.some(token => token.type === 'identifier');
+    const hasBinaryOperator = tokens.some((token, index) =>
+      index > 0 && token.type === 'operator' && '+-*/'.includes(token.value)
+    );
+    // Bare numbers joined by dashes are dates or ids (2020-01-01), not arithmetic
+    const hasUnitOrReference = tokens.some(token => token.type === 'reference' || (token.type === 'number' && token.unit));
+
+    return hasCall || (hasBinaryOperator && hasUnitOrReference);
+  }
+
+  /**
+   * Parse an expression into an AST without evaluating it
+   * @param {string} expression - Expression source
+   * @param {object} options - { tokenPath: path used in error messages }
+   * @returns {{success: boolean, ast: object|null, references: string[], errors: string[]}}
+   */
+  parse(expression, options = {}) {
+    try {
+      const tokens = this._tokenize(String(expression));
+      const parser = { tokens, position: 0 };
+      const ast = this._parseExpression(parser);
+
+      if (parser.position < tokens.length) {
+        const token = tokens[parser.position];
+        throw this._syntaxError(`Unexpected '${token.text}'`, token.index);
+      }
+
+      return { success: true, ast, references: this._collectReferences(ast), errors: [] };
+    } catch (error) {
+      return { success: false, ast: null, references: [], errors: [this._formatError(error, expression, options.tokenPath)] };
+    }
+  }
+
+  /**
+   * Evaluate an expression, resolving references first
+   * @param {string} expression - Expression source
+   * @param {object} options - { tokenPath, resolveReference: (path) => value }
+   * @returns {{success: boolean, value: number|string|null, errors: string[]}}
+   */
+  evaluate(expression, options = {}) {
+    const parsed = this.parse(expression, options);
+    if (!parsed.success) {
+      return { success: false, value: null, errors: parsed.errors };
+    }
+
+    try {
+      const result = this._evaluateNode(parsed.ast, options, 0);
+      return { success: true, value: this._formatQuantity(result), errors: [] };
+    } catch (error) {
+      return { success: false, value: null, errors: [this._formatError(error, expression, options.tokenPath)] };
+    }
+  }
+
+  // Private helper methods
+
+  _tokenize(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      if (char === '{') {
+        const end = source.indexOf('}', index);
+        if (end === -1) {
+          throw this._syntaxError('Unclosed reference', index);
+        }
+        const referencePath = source.slice(index + 1, end).trim();
+        if (!referencePath) {
+          throw this._syntaxError('Empty reference', index);
+        }
+        tokens.push({ type: 'reference', value: referencePath, text: source.slice(index, end + 1), index });
+        index = end + 1;
+        continue;
+      }
+
+      const number = source.slice(index).match(/^(\d+(?:\.\d+)?|\.\d+)([a-zA-Z%]+)?/);
+      if (number) {
+        tokens.push({ type: 'number', value: parseFloat(number[1]), unit: number[2] || null, text: number[0], index });
+        index += number[0].length;
+        continue;
+      }
+
+      const identifier = source.slice(index).match(/^[a-zA-Z_][a-zA-Z0-9_]*/);
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0], text: identifier[0], index });
+        index += identifier[0].length;
+        continue;
+      }
+
+      if ('+-*/(),'.includes(char)) {
+        tokens.push({ type: 'operator', value: char, text: char, index });
+        index++;
+        continue;
+      }
+
+      throw this._syntaxError(`Unexpected character '${char}'`, index);
+    }
+
+    return tokens;
+  }
+
+  _parseExpression(parser) {
+    let node = this._parseTerm(parser);
+
+    while (this._peekOperator(parser, '+', '-')) {
+      const operator = parser.tokens[parser.position++].value;
+      node = { type: 'binary', operator, left: node, right: this._parseTerm(parser) };
+    }
+
+    return node;
+  }
+
+  _parseTerm(parser) {
+    let node = this._parseFactor(parser);
+
+    while (this._peekOperator(parser, '*', '/')) {
+      const operator = parser.tokens[parser.position++].value;
+      node = { type: 'binary', operator, left: node, right: this._parseFactor(parser) };
+    }
+
+    return node;
+  }
+
+  _parseFactor(parser) {
+    if (this._peekOperator(parser, '+', '-')) {
+      const operator = parser.tokens[parser.position++].value;
+      return { type: 'unary', operator, operand: this._parseFactor(parser) };
+    }
+
+    return this._parsePrimary(parser);
+  }
+
+  _parsePrimary(parser) {
+    const token = parser.tokens[parser.position];
+    if (!token) {
+      const last = parser.tokens[parser.tokens.length - 1];
+      throw this._syntaxError('Unexpected end of expression', last ? last.index + last.text.length : 0);
+    }
+
+    if (token.type === 'number') {
+      parser.position++;
+      return { type: 'number', value: token.value, unit: token.unit };
+    }
+
+    if (token.type === 'reference') {
+      parser.position++;
+      return { type: 'reference', path: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (!FUNCTIONS[token.value]) {
+        throw this._syntaxError(`Unknown function '${token.value}'`, token.index);
+      }
+      parser.position++;
+      this._expectOperator(parser, '(');
+      const args = [];
+      if (!this._peekOperator(parser, ')')) {
+        args.push(this._parseExpression(parser));
+        while (this._peekOperator(parser, ',')) {
+          parser.position++;
+          args.push(this._parseExpression(parser));
+        }
+      }
+      this._expectOperator(parser, ')');
+
+      const definition = FUNCTIONS[token.value];
+      if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+        throw this._syntaxError(`Wrong number of arguments for ${token.value}()`, token.index);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      parser.position++;
+      const node = this._parseExpression(parser);
+      this._expectOperator(parser, ')');
+      return node;
+    }
+
+    throw this._syntaxError(`Unexpected '${token.text}'`, token.index);
+  }
+
+  _peekOperator(parser, ...operators) {
+    const token = parser.tokens[parser.position];
+    return !!token && token.type === 'operator' && operators.includes(token.value);
+  }
+
+  _expectOperator(parser, operator) {
+    if (!this._peekOperator(parser, operator)) {
+      const token = parser.tokens[parser.position];
+      const index = token ? token.index : (parser.tokens.length ? parser.tokens[parser.tokens.length - 1].index + 1 : 0);
+      throw this._syntaxError(`Expected '${operator}'`, index);
+    }
+    parser.position++;
+  }
+
+  _evaluateNode(node, options, depth) {
+    switch (node.type) {
+      case 'number':
+        return { value: node.value, unit: node.unit };
+
+      case 'reference':
+        return this._evaluateReference(node.path, options, depth);
+
+      case 'unary': {
+        const operand = this._evaluateNode(node.operand, options, depth);
+        return { value: node.operator === '-' ? -operand.value : operand.value, unit: operand.unit };
+      }
+
+      case 'binary':
+        return this._applyOperator(
+          node.operator,
+          this._evaluateNode(node.left, options, depth),
+          this._evaluateNode(node.right, options, depth)
+        );
+
+      case 'call': {
+        const args = node.args.map(arg => this._evaluateNode(arg, options, depth));
+        const unit = args.map(arg => arg.unit).find(Boolean) || null;
+        if (node.name === 'roundTo' && args[1] && args[1].unit) {
+          throw new Error('roundTo() precision must be unitless');
+        }
+        return { value: FUNCTIONS[node.name].fn(...args.map(arg => arg.value)), unit };
+      }
+
+      default:
+        throw new Error(`Unsupported expression node: ${node.type}`);
+    }
+  }
+
+  _evaluateReference(referencePath, options, depth) {
+    if (typeof options.resolveReference !== 'function') {
+      throw new Error(`Unresolved reference {${referencePath}}`);
+    }
+    if (depth >= this.maxReferenceDepth) {
+      throw new Error(`Reference depth exceeded while resolving {${referencePath}}`);
+    }
+
+    const resolved = options.resolveReference(referencePath);
+    if (resolved === undefined || resolved === null) {
+      throw new Error(`Unresolved reference {${referencePath}}`);
+    }
+    if (typeof resolved === 'number') {
+      return { value: resolved, unit: null };
+    }
+    if (typeof resolved !== 'string') {
+      throw new Error(`Reference {${referencePath}} does not resolve to a number`);
+    }
+
+    // Referenced values may be plain numbers, dimensions or expressions themselves
+    const nested = this.parse(resolved, { tokenPath: referencePath });
+    if (!nested.success) {
+      throw new Error(`Reference {${referencePath}} resolves to '${resolved}', which is not a number`);
+    }
+    return this._evaluateNode(nested.ast, options, depth + 1);
+  }
+
+  _applyOperator(operator, left, right) {
+    switch (operator) {
+      case '+':
+      case '-':
+        if (left.unit && right.unit && left.unit !== right.unit) {
+          throw new Error(`Incompatible units '${left.unit}' and '${right.unit}'`);
+        }
+        return {
+          value: operator === '+' ? left.value + right.value : left.value - right.value,
+          unit: left.unit || right.unit
+        };
+
+      case '*':
+        if (left.unit && right.unit) {
+          throw new Error(`Cannot multiply '${left.unit}' by '${right.unit}'`);
+        }
+        return { value: left.value * right.value, unit: left.unit || right.unit };
+
+      case '/':
+        if (right.value === 0) {
+          throw new Error('Division by zero');
+        }
+        if (right.unit && left.unit !== right.unit) {
+          throw new Error(`Cannot divide '${left.unit || 'number'}' by '${right.unit}'`);
+        }
+        return { value: left.value / right.value, unit: right.unit ? null : left.unit };
+
+      default:
+        throw new Error(`Unsupported operator '${operator}'`);
+    }
+  }
+
+  _collectReferences(node, references = []) {
+    if (!node) return references;
+
+    if (node.type === 'reference') {
+      references.push(node.path);
+    } else if (node.type === 'unary') {
+      this._collectReferences(node.operand, references);
+    } else if (node.type === 'binary') {
+      this._collectReferences(node.left, references);
+      this._collectReferences(node.right, references);
+    } else if (node.type === 'call') {
+      node.args.forEach(arg => this._collectReferences(arg, references));
+    }
+
+    return references;
+  }
+
+  _formatQuantity(quantity) {
+    // Trim floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+    const value = parseFloat(quantity.value.toPrecision(12));
+    return quantity.unit ? `${value}${quantity.unit}` : value;
+  }
+
+  _syntaxError(message, index) {
+    const error = new Error(message);
+    error.index = index;
+    return error;
+  }
+
+  _formatError(error, expression, tokenPath) {
+    const location = error.index !== undefined ? ` at position ${error.index}` : '';
+    const subject = tokenPath ? `${tokenPath}: ` : '';
+    return `${subject}${error.message}${location} in expression "${expression}"`;
+  }
+}
+
+module.exports = MathExpressionEngine;
@@ -7,24 +7,38 @@
  * - Syntax validation for Token Studio format
  * - Support for preserving token metadata and descriptions
  * - Editing session management for AI tools
+ * - fs.watch based file watching that emits tokenChanged, setAdded, setRemoved
+ *   and validationFailed events as token set files change on disk
+ * - Cross-set circular reference detection after every tracked change (circularReference events)
  * 
  * Requirements addressed: 2.1, 2.2, 2.3, 2.4, 6.1, 6.2
  */
 
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
+const ThemeResolver = require('./ThemeResolver');
+const TokenLinter = require('./TokenLinter');
+const TokenValueValidator = require('./TokenValueValidator');
+const CircularReferenceDetector = require('./CircularReferenceDetector');
 
 class ModularEditingManager extends EventEmitter {
-  constructor(tokensDir) {
+  constructor(tokensDir, options = {}) {
     super();
     this.tokensDir = tokensDir;
+    this.watchDebounceMs = options.watchDebounceMs === undefined ? 100 : options.watchDebounceMs;
+    this.watcher = null;
+    this.watchTimer = null;
+    this.watchCheck = Promise.resolve();
     this.errors = [];
     this.warnings = [];
     this.activeSessions = new Map();
     this.watchedFiles = new Map();
     this.tokenCache = new Map();
     this.referenceGraph = new Map();
+    this.linter = new TokenLinter({ tokensDir });
+    this.valueValidator = new TokenValueValidator();
   }
 
   /**
@@ -182,9 +196,10 @@ class ModularEditingManager extends EventEmitter {
    * Resolve token reference to its value
    * @param {string} reference - Token reference (e.g., "{color.primary}")
    * @param {string} contextFile - File where reference is used (for relative resolution)
+   * @param {string} themeName - Optional theme whose active sets are used for resolution
    * @returns {Promise<{resolved: boolean, value: any, path: string[], errors: string[]}>}
    */
-  async resolveTokenReference(reference, contextFile = null) {
+  async resolveTokenReference(reference, contextFile = null, themeName = null) {
     this.errors = [];
 
     try {
@@ -195,6 +210,11 @@ class ModularEditingManager extends EventEmitter {
         return { resolved: false, value: null, path: [], errors: this.errors };
       }
 
+      // Resolve through the theme's set stack when a theme is given
+      if (themeName) {
+        return await this._resolveReferenceInTheme(reference, parsedRef.path, themeName);
+      }
+
       // Search through token cache
       const resolution = await this._resolveReferenceInCache(parsedRef.path, contextFile);
       
@@ -309,7 +329,14 @@ class ModularEditingManager extends EventEmitter {
         await this.validateTokenFile(filePath, sessionId);
       }
 
-      return { success: true, errors: this.errors };
+      // A change in one set can close a cycle through others, so check the whole graph
+      const circularReferences = await this.detectCircularReferences();
+      session.circularReferences = circularReferences;
+      for (const cycle of circularReferences) {
+        this.emit('circularReference', { sessionId, filePath, ...cycle, timestamp: changeRecord.timestamp });
+      }
+
+      return { success: true, circularReferences, errors: this.errors };
 
     } catch (error) {
       this.errors.push(`Failed to track change: ${error.message}`);
@@ -317,6 +344,39 @@ class ModularEditingManager extends EventEmitter {
     }
   }
 
+  /**
+   * Load every token set in $metadata.json and rebuild the reference graph
+   * @returns {Promise<Map<string, {from: string, to: string, setName: string}[]>>} Set name to outbound references
+   */
+  async buildReferenceGraph() {
+    await this._loadTokenData();
+    await this._buildReferenceGraph();
+    return this.referenceGraph;
+  }
+
+  /**
+   * Find reference cycles across all token sets as they are on disk
+   * @returns {Promise<{cycle: string[], hops: object[], themes: string[], message: string}[]>}
+   */
+  async detectCircularReferences() {
+    const metadata = await this._loadJsonFile(path.join(this.tokensDir, '$metadata.json'));
+    if (!metadata || !Array.isArray(metadata.tokenSetOrder)) return [];
+
+    const themesPath = path.join(this.tokensDir, '$themes.json');
+    const themes = await this._fileExists(themesPath) ? await this._loadJsonFile(themesPath) : [];
+    const tokenSets = {};
+    for (const setName of metadata.tokenSetOrder) {
+      const filePath = path.join(this.tokensDir, this._getTokenSetFileName(setName));
+      if (!(await this._fileExists(filePath))) continue;
+
+      const tokenData = await this._loadJsonFile(filePath);
+      if (tokenData) tokenSets[setName] = tokenData;
+    }
+
+    const detector = new CircularReferenceDetector({ tokenSets, metadata, themes: Array.isArray(themes) ? themes : [] });
+    return detector.findCycles();
+  }
+
   /**
    * Finalize editing session
    * @param {string} sessionId - Session identifier
@@ -378,6 +438,60 @@ class ModularEditingManager extends EventEmitter {
     }
   }
 
+  /**
+   * Compare token set files on disk with the cached copies and refresh the cache
+   * @returns {Promise<{set: string, filePath: string, changedPaths: string[], addedPaths: string[], removedPaths: string[]}[]>}
+   */
+  async detectTokenChanges() {
+    if (this.tokenCache.size === 0) {
+      await this._loadTokenData();
+      return [];
+    }
+
+    const changes = [];
+
+    for (const [setName, setInfo] of this.tokenCache.entries()) {
+      let stats;
+      try {
+        stats = await fs.stat(setInfo.filePath);
+      } catch (error) {
+        continue;
+      }
+      if (stats.mtime <= setInfo.lastModified) continue;
+
+      const tokenData = await this._loadJsonFile(setInfo.filePath);
+      setInfo.lastModified = stats.mtime;
+      // Half-written or invalid JSON keeps the cached copy until the next save
+      if (!tokenData) continue;
+
+      const diff = this.diffTokenSets(setInfo.data, tokenData);
+      setInfo.data = tokenData;
+
+      if (diff.changedPaths.length + diff.addedPaths.length + diff.removedPaths.length > 0) {
+        changes.push({ set: setName, filePath: setInfo.filePath, ...diff });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Diff two versions of a token set by token path
+   * @param {object} previousData - Previous token set content
+   * @param {object} currentData - Current token set content
+   * @returns {{changedPaths: string[], addedPaths: string[], removedPaths: string[]}}
+   */
+  diffTokenSets(previousData, currentData) {
+    const previous = this._flattenTokens(previousData || {});
+    const current = this._flattenTokens(currentData || {});
+
+    return {
+      changedPaths: [...current.keys()].filter(tokenPath => previous.has(tokenPath) && previous.get(tokenPath) !== current.get(tokenPath)),
+      addedPaths: [...current.keys()].filter(tokenPath => !previous.has(tokenPath)),
+      removedPaths: [...previous.keys()].filter(tokenPath => !current.has(tokenPath))
+    };
+  }
+
   /**
    * Get editing session information
    * @param {string} sessionId - Session identifier
@@ -482,21 +596,10 @@ class ModularEditingManager extends EventEmitter {
       const currentPath = path ? `${path}.${key}` : key;
 
       if (typeof value === 'string' && this._isTokenReference(value)) {
-        references.push({
-          from: currentPath,
-          to: value,
-          setName
-        });
+        references.push(...this._splitEmbeddedReferences(value).map(to => ({ from: currentPath, to, setName })));
       } else if (typeof value === 'object' && value !== null) {
         if (this._isToken(value)) {
-          const tokenValue = value.$value || value.value;
-          if (typeof tokenValue === 'string' && this._isTokenReference(tokenValue)) {
-            references.push({
-              from: currentPath,
-              to: tokenValue,
-              setName
-            });
-          }
+          references.push(...this._collectTokenReferences(value).map(to => ({ from: currentPath, to, setName })));
         } else {
           references.push(...this._extractReferences(value, setName, currentPath));
         }
@@ -507,49 +610,141 @@ class ModularEditingManager extends EventEmitter {
   }
 
   async _setupFileWatching(sessionId) {
-    // Note: In a real implementation, you would use fs.watch or chokidar
-    // For now, we'll implement a polling-based approach
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
 
-    // Skip file watching in test environment to prevent hanging
-    if (process.env.NODE_ENV === 'test') {
-      return;
-    }
+    // Off by default under Jest so an open watcher doesn't keep the test run alive
+    const watchFiles = session.options.watchFiles !== undefined
+      ? session.options.watchFiles
+      : process.env.NODE_ENV !== 'test';
+    if (!watchFiles) return;
 
-    // This is a simplified implementation - in production you'd use proper file watching
-    session.watchInterval = setInterval(async () => {
-      try {
-        await this._checkForFileChanges(sessionId);
-      } catch (error) {
-        // Ignore errors in file watching to prevent crashes
-      }
-    }, 1000); // Check every second
+    session.watching = true;
+
+    // One watcher per tokens folder, shared by every watching session
+    if (this.watcher) return;
+
+    try {
+      this.watcher = watch(this.tokensDir, (eventType, fileName) => this._scheduleFileCheck(fileName));
+      this.watcher.on('error', error => this._handleWatchError(error));
+    } catch (error) {
+      session.watching = false;
+      this.warnings.push(`File watching unavailable for ${this.tokensDir}: ${error.message}`);
+    }
   }
 
   async _stopFileWatching(sessionId) {
     const session = this.activeSessions.get(sessionId);
-    if (session && session.watchInterval) {
-      clearInterval(session.watchInterval);
-      delete session.watchInterval;
+    if (session) {
+      session.watching = false;
+    }
+
+    const stillWatching = [...this.activeSessions.values()].some(active => active.watching);
+    if (!stillWatching && this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+      clearTimeout(this.watchTimer);
+      this.watchTimer = null;
     }
   }
 
-  async _checkForFileChanges(sessionId) {
-    // Simplified file change detection
-    // In production, use proper file system events
-    try {
-      for (const [setName, setInfo] of this.tokenCache.entries()) {
-        const stats = await fs.stat(setInfo.filePath);
-        if (stats.mtime > setInfo.lastModified) {
-          // File was modified
-          await this.validateTokenFile(setInfo.filePath, sessionId);
-          setInfo.lastModified = stats.mtime;
+  _scheduleFileCheck(fileName) {
+    if (fileName && !fileName.endsWith('.json')) return;
+
+    // Editors emit several events per save; wait for the burst to settle
+    clearTimeout(this.watchTimer);
+    this.watchTimer = setTimeout(() => {
+      this.watchTimer = null;
+      this.watchCheck = this.watchCheck
+        .then(() => this._checkForFileChanges())
+        .catch(error => this._handleWatchError(error));
+    }, this.watchDebounceMs);
+  }
+
+  _handleWatchError(error) {
+    this.warnings.push(`File watching error: ${error.message}`);
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  async _checkForFileChanges() {
+    const { added, removed } = await this._syncTokenSets();
+    const changes = await this.detectTokenChanges();
+    const timestamp = new Date().toISOString();
+
+    removed.forEach(set => this.emit('setRemoved', { ...set, timestamp }));
+    added.forEach(set => this.emit('setAdded', { ...set, timestamp }));
+
+    for (const change of changes) {
+      this.referenceGraph.set(change.set, this._extractReferences(this.tokenCache.get(change.set).data, change.set));
+      this.emit('tokenChanged', { timestamp, filePath: change.filePath, type: 'file_change', details: change, sessionId: null });
+    }
+
+    const filesToValidate = [...added, ...changes].map(change => ({ set: change.set, filePath: change.filePath }));
+    const watchingSessions = [...this.activeSessions.values()].filter(session => session.watching && session.options.autoValidate);
+
+    for (const session of watchingSessions) {
+      for (const { set, filePath } of filesToValidate) {
+        const result = await this.validateTokenFile(filePath, session.id);
+        if (!result.isValid) {
+          this.emit('validationFailed', { sessionId: session.id, set, filePath, issues: result.issues, timestamp });
         }
       }
-    } catch (error) {
-      // Ignore errors in file watching
     }
+
+    return { added, removed, changes };
+  }
+
+  async _syncTokenSets() {
+    const metadata = await this._loadJsonFile(path.join(this.tokensDir, '$metadata.json'));
+    // Keep the current sets while $metadata.json is missing or half-written
+    const setOrder = metadata && Array.isArray(metadata.tokenSetOrder)
+      ? metadata.tokenSetOrder
+      : [...this.tokenCache.keys()];
+
+    const added = [];
+    const removed = [];
+
+    for (const [setName, setInfo] of this.tokenCache.entries()) {
+      if (!setOrder.includes(setName) || !(await this._fileExists(setInfo.filePath))) {
+        this.tokenCache.delete(setName);
+        this.referenceGraph.delete(setName);
+        removed.push({ set: setName, filePath: setInfo.filePath });
+      }
+    }
+
+    for (const setName of setOrder) {
+      if (this.tokenCache.has(setName)) continue;
+
+      const filePath = path.join(this.tokensDir, this._getTokenSetFileName(setName));
+      if (!(await this._fileExists(filePath))) continue;
+
+      const tokenData = await this._loadJsonFile(filePath);
+      if (!tokenData) continue;
+
+      const stats = await fs.stat(filePath);
+      this.tokenCache.set(setName, { data: tokenData, filePath, lastModified: stats.mtime });
+      this.referenceGraph.set(setName, this._extractReferences(tokenData, setName));
+      added.push({ set: setName, filePath });
+    }
+
+    return { added, removed };
+  }
+
+  _flattenTokens(obj, prefix = '', tokens = new Map()) {
+    for (const [key, value] of Object.entries(obj)) {
+      if (key.startsWith('$') || !value || typeof value !== 'object') continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (this._isToken(value)) {
+        tokens.set(currentPath, JSON.stringify(value));
+      } else {
+        this._flattenTokens(value, currentPath, tokens);
+      }
+    }
+
+    return tokens;
   }
 
   _validateTokenStudioSyntax(tokenData, filePath) {
@@ -629,101 +824,19 @@ class ModularEditingManager extends EventEmitter {
   }
 
   _validateTokenValue(value, type, path) {
-    if (typeof value === 'string' && this._isTokenReference(value)) {
-      // Reference values are validated separately
-      return { isValid: true };
-    }
-
-    switch (type) {
-      case 'color':
-        return this._validateColorValue(value, path);
-      case 'dimension':
-        return this._validateDimensionValue(value, path);
-      case 'typography':
-        return this._validateTypographyValue(value, path);
-      default:
-        return { isValid: true }; // Unknown types are allowed
-    }
+    return this.valueValidator.validate(value, type, path);
   }
 
   _validateColorValue(value, path) {
-    if (typeof value !== 'string') {
-      return {
-        isValid: false,
-        message: `Color value must be a string: ${path}`,
-        suggestion: 'Use hex, rgb, rgba, or named color format'
-      };
-    }
-
-    // Basic color format validation
-    const colorFormats = [
-      /^#[0-9a-fA-F]{3,8}$/, // Hex
-      /^rgba?\([^)]+\)$/, // RGB/RGBA
-      /^hsla?\([^)]+\)$/, // HSL/HSLA
-    ];
-
-    const isValidFormat = colorFormats.some(format => format.test(value));
-    
-    if (!isValidFormat && !this._isNamedColor(value)) {
-      return {
-        isValid: false,
-        message: `Invalid color format: ${value}`,
-        suggestion: 'Use valid color format (hex, rgb, rgba, hsl, hsla, or named color)'
-      };
-    }
-
-    return { isValid: true };
+    return this.valueValidator.validate(value, 'color', path);
   }
 
   _validateDimensionValue(value, path) {
-    if (typeof value === 'number') {
-      return { isValid: true };
-    }
-
-    if (typeof value === 'string') {
-      const dimensionPattern = /^\d+(\.\d+)?(px|rem|em|%|pt|pc|in|cm|mm|ex|ch|vw|vh|vmin|vmax)$/;
-      if (dimensionPattern.test(value)) {
-        return { isValid: true };
-      }
-    }
-
-    return {
-      isValid: false,
-      message: `Invalid dimension value: ${value}`,
-      suggestion: 'Use number or string with valid unit (px, rem, em, %, etc.)'
-    };
+    return this.valueValidator.validate(value, 'dimension', path);
   }
 
   _validateTypographyValue(value, path) {
-    if (typeof value !== 'object' || value === null) {
-      return {
-        isValid: false,
-        message: `Typography value must be an object: ${path}`,
-        suggestion: 'Use object with fontFamily, fontSize, fontWeight, etc.'
-      };
-    }
-
-    // Check for required typography properties
-    const requiredProps = ['fontFamily'];
-    const missingProps = requiredProps.filter(prop => !value[prop]);
-    
-    if (missingProps.length > 0) {
-      return {
-        isValid: false,
-        message: `Typography missing required properties: ${missingProps.join(', ')}`,
-        suggestion: 'Add required typography properties'
-      };
-    }
-
-    return { isValid: true };
-  }
-
-  _isNamedColor(value) {
-    const namedColors = [
-      'transparent', 'black', 'white', 'red', 'green', 'blue', 'yellow', 'cyan', 'magenta',
-      'gray', 'grey', 'darkgray', 'darkgrey', 'lightgray', 'lightgrey'
-    ];
-    return namedColors.includes(value.toLowerCase());
+    return this.valueValidator.validate(value, 'typography', path);
   }
 
   async _validateTokenReferences(tokenData, filePath) {
@@ -767,29 +880,24 @@ class ModularEditingManager extends EventEmitter {
     const issues = [];
 
     // Check for tokens that might be missing descriptions
-    this._checkMissingDescriptions(tokenData, '', filePath, issues);
+    this._checkMissingDescriptions(tokenData, filePath, issues);
 
     return { isValid: true, issues }; // Metadata preservation is non-blocking
   }
 
-  _checkMissingDescriptions(obj, path, filePath, issues) {
-    for (const [key, value] of Object.entries(obj)) {
-      const currentPath = path ? `${path}.${key}` : key;
+  _checkMissingDescriptions(tokenData, filePath, issues) {
+    const setName = path.basename(filePath, '.json');
+    const result = this.linter.lintTokenSet(setName, tokenData, { rules: { 'require-description': 'info' } });
 
-      if (this._isToken(value)) {
-        if (!value.$description && !value.description) {
-          issues.push({
-            type: 'missing_description',
-            severity: 'info',
-            file: filePath,
-            path: currentPath,
-            message: `Token missing description: ${currentPath}`,
-            suggestion: 'Add $description property to document token purpose'
-          });
-        }
-      } else if (typeof value === 'object' && value !== null) {
-        this._checkMissingDescriptions(value, currentPath, filePath, issues);
-      }
+    for (const issue of result.issues.filter(lintIssue => lintIssue.rule === 'require-description')) {
+      issues.push({
+        type: 'missing_description',
+        severity: 'info',
+        file: filePath,
+        path: issue.path,
+        message: issue.message,
+        suggestion: issue.suggestion
+      });
     }
   }
 
@@ -917,6 +1025,37 @@ class ModularEditingManager extends EventEmitter {
     return { found: false };
   }
 
+  async _resolveReferenceInTheme(reference, pathParts, themeName) {
+    if (this.tokenCache.size === 0) {
+      await this._loadTokenData();
+    }
+
+    const metadata = await this._loadJsonFile(path.join(this.tokensDir, '$metadata.json'));
+    const themes = await this._loadJsonFile(path.join(this.tokensDir, '$themes.json'));
+    const tokenSets = {};
+    for (const [setName, setInfo] of this.tokenCache.entries()) {
+      tokenSets[setName] = setInfo.data;
+    }
+
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir, tokenSets, themes: themes || [], metadata: metadata || undefined });
+    if (!resolver.getTheme(themeName)) {
+      this.errors.push(`Theme not found: ${themeName}`);
+      return { resolved: false, value: null, path: pathParts, errors: this.errors };
+    }
+
+    const resolution = resolver.resolveReference(reference, themeName);
+    this.errors.push(...resolution.errors);
+
+    return {
+      resolved: resolution.resolved,
+      value: resolution.value,
+      path: pathParts,
+      tokenSet: resolution.set,
+      trace: resolution.trace,
+      errors: this.errors
+    };
+  }
+
   _findTokenInObject(obj, pathParts) {
     let current = obj;
     
@@ -931,10 +1070,37 @@ class ModularEditingManager extends EventEmitter {
     return current;
   }
 
+  _collectTokenReferences(token) {
+    // Composite sub-properties (typography, boxShadow, border) and color modifiers reference tokens too
+    const references = [];
+    const collect = value => {
+      if (typeof value === 'string' && this._isTokenReference(value)) {
+        references.push(...this._splitEmbeddedReferences(value));
+      } else if (typeof value === 'object' && value !== null) {
+        Object.values(value).forEach(collect);
+      }
+    };
+
+    collect(token.$value !== undefined ? token.$value : token.value);
+
+    const studio = token.$extensions && token.$extensions['studio.tokens'];
+    if (studio && studio.modify) {
+      collect(studio.modify.value);
+      collect(studio.modify.color);
+    }
+
+    return [...new Set(references)];
+  }
+
   _isTokenReference(value) {
     return typeof value === 'string' && value.includes('{') && value.includes('}');
   }
 
+  _splitEmbeddedReferences(value) {
+    // "linear-gradient(rgba({a}, 0), {b})" references both {a} and {b}
+    return value.match(/\{[^{}]+\}/g) || [];
+  }
+
   _isToken(value) {
     return typeof value === 'object' && value !== null && 
            (value.$type || value.type || value.$value !== undefined || value.value !== undefined || 
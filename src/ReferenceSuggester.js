@@ -0,0 +1,401 @@
+/**
+ * ReferenceSuggester - Rank replacement candidates for unresolved token references
+ *
+ * This class provides:
+ * - Candidates scored by path edit distance, on raw and normalized paths
+ *   ("Font Weight.bold" and "fontWeights.bold" normalize alike)
+ * - Boosts for tokens of the expected type (from the referencing token or the composite
+ *   property, e.g. typography fontWeight), and for tokens that resolve to the value other
+ *   sets give the same referencing token
+ * - Sibling naming: an indexed name such as roboto-0 or lineHeights.1 maps to that child
+ *   of the matching group, and "Neon Green.0700" matches its sibling "Neon Green.Neon Green 0700"
+ * - Confidence scores between 0 and 1, and batch repair above a threshold with the rest
+ *   left for review
+ */
+
+const REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+const INDEXED_NAME_PATTERN = /^(.*?)[-_ ]?(\d+)$/;
+
+// Composite sub-properties and the token types that fit them
+const PROPERTY_TYPES = {
+  fontFamily: ['fontFamilies'],
+  fontWeight: ['fontWeights'],
+  fontSize: ['fontSizes'],
+  lineHeight: ['lineHeights'],
+  letterSpacing: ['letterSpacing'],
+  paragraphSpacing: ['paragraphSpacing'],
+  paragraphIndent: ['paragraphIndent'],
+  textCase: ['textCase'],
+  textDecoration: ['textDecoration'],
+  color: ['color'],
+  width: ['borderWidth', 'dimension'],
+  x: ['dimension', 'spacing'],
+  y: ['dimension', 'spacing'],
+  blur: ['dimension', 'spacing'],
+  spread: ['dimension', 'spacing']
+};
+
+class ReferenceSuggester {
+  constructor(options = {}) {
+    this.tokenSets = options.tokenSets || {};
+    this.metadata = options.metadata || { tokenSetOrder: Object.keys(this.tokenSets) };
+    this.threshold = options.threshold === undefined ? 0.8 : options.threshold;
+    this.maxSuggestions = options.maxSuggestions || 3;
+    this.index = this._buildIndex();
+  }
+
+  /**
+   * Rank the tokens an unresolved reference most likely meant
+   * @param {string} reference - Unresolved reference, e.g. "{color.primry}"
+   * @param {object} context - { set: referencing set name, location: path of the value, e.g. "body.$value.fontWeight" }
+   * @returns {{reference: string, path: string, set: string, type: string|null, confidence: number, reasons: string[]}[]}
+   */
+  suggest(reference, context = {}) {
+    const missingPath = reference.replace(/[{}]/g, '').trim();
+    const expectedTypes = this._getExpectedTypes(context);
+    const expectedValues = this._getExpectedValues(context);
+    const sibling = this._findIndexedSibling(missingPath);
+    const normalizedMissing = this._normalizePath(missingPath);
+
+    const scored = [];
+    for (const candidate of this.index.values()) {
+      if (candidate.path === missingPath) continue;
+
+      const reasons = [];
+      const rawSimilarity = this._similarity(missingPath, candidate.path);
+      const normalizedSimilarity = this._similarity(normalizedMissing, this._normalizePath(candidate.path)) * 0.95;
+      let score = Math.max(rawSimilarity, normalizedSimilarity);
+      reasons.push(`path similarity ${score.toFixed(2)}`);
+
+      if (sibling && sibling.path === candidate.path) {
+        score = Math.max(score, 0.75);
+        reasons.push(`child ${sibling.index} of ${sibling.group}`);
+      } else if (this._isNamedSibling(missingPath, candidate.path)) {
+        score = Math.max(score, 0.9);
+        reasons.push('sibling naming');
+      } else if (this._differsOnlyInIndex(missingPath, candidate.path)) {
+        score -= 0.3;
+        reasons.push('different index');
+      }
+
+      if (expectedTypes.length > 0 && candidate.type) {
+        if (expectedTypes.includes(this._normalizeType(candidate.type))) {
+          score += 0.1;
+          reasons.push(`same type (${candidate.type})`);
+        } else {
+          score -= 0.25;
+          reasons.push(`different type (${candidate.type})`);
+        }
+      }
+
+      if (expectedValues.length > 0 && expectedValues.includes(JSON.stringify(candidate.resolved))) {
+        score += 0.2;
+        reasons.push('same resolved value as other sets');
+      }
+
+      scored.push({
+        reference: `{${candidate.path}}`,
+        path: candidate.path,
+        set: candidate.set,
+        type: candidate.type,
+        confidence: score,
+        reasons
+      });
+    }
+
+    const byConfidence = (a, b) => b.confidence - a.confidence || a.path.localeCompare(b.path);
+    scored.sort(byConfidence);
+
+    // Near-equal leaders mean we cannot tell which one was meant; demote them until the leader stands alone
+    const ambiguous = new Set();
+    while (scored.length > 1 && !ambiguous.has(scored[0])) {
+      const tied = scored.filter(suggestion => !ambiguous.has(suggestion) && scored[0].confidence - suggestion.confidence < 0.03);
+      if (tied.length < 2) break;
+
+      for (const suggestion of tied) {
+        suggestion.confidence -= 0.1;
+        suggestion.reasons.push(`ambiguous with ${tied.length - 1} other candidate(s)`);
+        ambiguous.add(suggestion);
+      }
+      scored.sort(byConfidence);
+    }
+
+    return scored
+      .slice(0, this.maxSuggestions)
+      .map(suggestion => ({ ...suggestion, confidence: Math.round(Math.min(1, Math.max(0, suggestion.confidence)) * 100) / 100 }))
+      .filter(suggestion => suggestion.confidence > 0);
+  }
+
+  /**
+   * Replace unresolved references whose best suggestion reaches the threshold
+   * @param {{reference: string, location: string, file: string}[]} unresolvedReferences - As reported by ValidationSystem
+   * @param {object} options - { threshold: minimum confidence to replace }
+   * @returns {{tokenSets: object, changedSets: string[], fixes: object[], review: object[]}}
+   */
+  repair(unresolvedReferences, options = {}) {
+    const threshold = options.threshold === undefined ? this.threshold : options.threshold;
+    const tokenSets = JSON.parse(JSON.stringify(this.tokenSets));
+    const changedSets = new Set();
+    const fixes = [];
+    const review = [];
+
+    const seen = new Set();
+    for (const issue of unresolvedReferences) {
+      const set = this._getSetName(issue.file);
+
+      // Validation reports a reference once per theme it fails in
+      const key = `${set}|${issue.location}|${issue.reference}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const defined = this.index.get(issue.reference.replace(/[{}]/g, '').trim());
+      if (defined) {
+        // The token exists; the theme just does not activate its set, which renaming cannot fix
+        review.push({ set, location: issue.location, reference: issue.reference, suggestions: [], reason: `defined in set ${defined.set}` });
+        continue;
+      }
+
+      const suggestions = this.suggest(issue.reference, { set, location: issue.location });
+      const best = suggestions[0];
+
+      if (!best || best.confidence < threshold) {
+        review.push({ set, location: issue.location, reference: issue.reference, suggestions });
+        continue;
+      }
+
+      const replaced = this._replaceAt(tokenSets[set], this._splitLocation(issue.location), issue.reference, best.reference);
+      if (!replaced) {
+        review.push({ set, location: issue.location, reference: issue.reference, suggestions, reason: 'reference not found at location' });
+        continue;
+      }
+
+      changedSets.add(set);
+      fixes.push({
+        set,
+        location: issue.location,
+        reference: issue.reference,
+        replacement: best.reference,
+        confidence: best.confidence,
+        reasons: best.reasons
+      });
+    }
+
+    return { tokenSets, changedSets: [...changedSets], fixes, review };
+  }
+
+  // Private helper methods
+
+  _buildIndex() {
+    const order = [...(this.metadata.tokenSetOrder || [])].filter(setName => this.tokenSets[setName]);
+    for (const setName of Object.keys(this.tokenSets)) {
+      if (!order.includes(setName)) order.push(setName);
+    }
+
+    // Later sets win, as in a build
+    const index = new Map();
+    for (const setName of order) {
+      this._collectTokens(this.tokenSets[setName], '', (tokenPath, token) => {
+        index.set(tokenPath, {
+          path: tokenPath,
+          set: setName,
+          type: token.$type || token.type || null,
+          value: token.$value !== undefined ? token.$value : token.value
+        });
+      });
+    }
+
+    for (const candidate of index.values()) {
+      candidate.resolved = this._resolve(candidate.value, index, new Set([candidate.path]));
+    }
+
+    return index;
+  }
+
+  _resolve(value, index, seen) {
+    const match = typeof value === 'string' ? value.trim().match(REFERENCE_PATTERN) : null;
+    if (!match) return value;
+
+    const target = index.get(match[1].trim());
+    if (!target || seen.has(target.path)) return value;
+
+    seen.add(target.path);
+    return this._resolve(target.value, index, seen);
+  }
+
+  _getExpectedTypes(context) {
+    const { tokenPath, property } = this._parseLocation(context.location);
+
+    if (property && PROPERTY_TYPES[property]) {
+      return PROPERTY_TYPES[property].map(type => this._normalizeType(type));
+    }
+
+    const token = tokenPath && context.set ? this._getToken(this.tokenSets[context.set], tokenPath) : null;
+    const type = token && (token.$type || token.type);
+    return type && !property ? [this._normalizeType(type)] : [];
+  }
+
+  _getExpectedValues(context) {
+    const { tokenPath, valuePath } = this._parseLocation(context.location);
+    if (!tokenPath) return [];
+
+    // Other sets defining the same token show what the reference should resolve to
+    const values = [];
+    for (const [setName, data] of Object.entries(this.tokenSets)) {
+      if (setName === context.set) continue;
+
+      const token = this._getToken(data, tokenPath);
+      if (!token) continue;
+
+      let value = token.$value !== undefined ? token.$value : token.value;
+      for (const part of valuePath) {
+        value = value && typeof value === 'object' ? value[part] : undefined;
+      }
+      if (value === undefined) continue;
+
+      const resolved = this._resolve(value, this.index, new Set());
+      if (typeof resolved === 'string' && resolved.includes('{')) continue;
+      values.push(JSON.stringify(resolved));
+    }
+
+    return values;
+  }
+
+  _findIndexedSibling(missingPath) {
+    const parts = missingPath.split('.');
+    const match = parts[parts.length - 1].match(INDEXED_NAME_PATTERN);
+    if (!match) return null;
+
+    const groupParts = [...parts.slice(0, -1), ...(match[1] ? [match[1]] : [])];
+    const childIndex = Number(match[2]);
+    const children = [...this.index.keys()]
+      .filter(tokenPath => {
+        const tokenParts = tokenPath.split('.');
+        return tokenParts.length === groupParts.length + 1 && groupParts.every((part, i) => tokenParts[i] === part);
+      });
+
+    if (childIndex >= children.length) return null;
+    return { path: children[childIndex], group: groupParts.join('.'), index: childIndex };
+  }
+
+  _isNamedSibling(missingPath, candidatePath) {
+    // "Neon Green.0700" meant "Neon Green.Neon Green 0700": same group, name ends with the missing name
+    const missingParts = missingPath.split('.');
+    const candidateParts = candidatePath.split('.');
+    if (missingParts.length !== candidateParts.length) return false;
+    if (missingParts.slice(0, -1).join('.') !== candidateParts.slice(0, -1).join('.')) return false;
+
+    const missingName = missingParts[missingParts.length - 1].toLowerCase();
+    const candidateName = candidateParts[candidateParts.length - 1].toLowerCase();
+    return candidateName !== missingName && new RegExp(`[ _-]${this._escape(missingName)}$`).test(candidateName);
+  }
+
+  _differsOnlyInIndex(missingPath, candidatePath) {
+    const missingParts = missingPath.split('.');
+    const candidateParts = candidatePath.split('.');
+    if (missingParts.length !== candidateParts.length) return false;
+    if (missingParts.slice(0, -1).join('.') !== candidateParts.slice(0, -1).join('.')) return false;
+
+    const missingMatch = missingParts[missingParts.length - 1].match(INDEXED_NAME_PATTERN);
+    const candidateMatch = candidateParts[candidateParts.length - 1].match(INDEXED_NAME_PATTERN);
+    return Boolean(missingMatch && candidateMatch && missingMatch[1] === candidateMatch[1] && Number(missingMatch[2]) !== Number(candidateMatch[2]));
+  }
+
+  _escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  _parseLocation(location) {
+    const parts = this._splitLocation(location);
+    const valueIndex = parts.findIndex(part => part === '$value' || part === 'value');
+    if (valueIndex === -1) {
+      return { tokenPath: parts.join('.'), valuePath: [], property: null };
+    }
+
+    const valuePath = parts.slice(valueIndex + 1);
+    const property = [...valuePath].reverse().find(part => !/^\d+$/.test(part)) || null;
+    return { tokenPath: parts.slice(0, valueIndex).join('.'), valuePath, property };
+  }
+
+  _splitLocation(location) {
+    return typeof location === 'string' && location ? location.split('.') : [];
+  }
+
+  _replaceAt(data, locationParts, reference, replacement) {
+    if (!data || locationParts.length === 0) return false;
+
+    let parent = data;
+    for (const part of locationParts.slice(0, -1)) {
+      if (!parent || typeof parent !== 'object') return false;
+      parent = parent[part];
+    }
+
+    const key = locationParts[locationParts.length - 1];
+    if (!parent || typeof parent[key] !== 'string' || !parent[key].includes(reference)) return false;
+
+    parent[key] = parent[key].split(reference).join(replacement);
+    return true;
+  }
+
+  _getToken(data, tokenPath) {
+    let current = data;
+    for (const part of tokenPath.split('.')) {
+      if (!current || typeof current !== 'object') return null;
+      current = current[part];
+    }
+    return current && typeof current === 'object' && (current.$value !== undefined || current.value !== undefined) ? current : null;
+  }
+
+  _getSetName(file) {
+    if (this.tokenSets[file]) return file;
+    return String(file || '').replace(/\.json$/, '');
+  }
+
+  _normalizePath(tokenPath) {
+    return tokenPath
+      .split('.')
+      .map(part => part.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/ies$/, 'y').replace(/s$/, ''))
+      .join('.');
+  }
+
+  _normalizeType(type) {
+    return String(type).toLowerCase().replace(/ies$/, 'y').replace(/s$/, '');
+  }
+
+  _similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - this._editDistance(a, b) / longest;
+  }
+
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  _collectTokens(obj, prefix, callback) {
+    for (const [key, value] of Object.entries(obj || {})) {
+      if (key.startsWith('$') || !value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (value.$value !== undefined || value.value !== undefined) {
+        callback(currentPath, value);
+      } else {
+        this._collectTokens(value, currentPath, callback);
+      }
+    }
+  }
+}
+
+module.exports = ReferenceSuggester;
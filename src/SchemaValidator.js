@@ -0,0 +1,232 @@
+/**
+ * SchemaValidator - Validate Token Studio files against the published JSON Schemas
+ *
+ * This class provides:
+ * - The schemas in schemas/ for token set files, $themes.json and $metadata.json, and for the
+ *   JSON validation report
+ * - A small JSON Schema (draft-07) validator covering the keywords those schemas use:
+ *   $ref to local definitions, type, enum, required, properties, patternProperties,
+ *   additionalProperties, items, minLength, uniqueItems, anyOf and if/then/else
+ * - Errors with a JSON Pointer to the offending value, so every module reports the same issue
+ *   the same way
+ */
+
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+const SCHEMA_FILES = {
+  tokenSet: 'token-set.schema.json',
+  themes: 'themes.schema.json',
+  metadata: 'metadata.schema.json',
+  validationReport: 'validation-report.schema.json'
+};
+
+class SchemaValidator {
+  constructor(options = {}) {
+    this.schemas = options.schemas || {};
+  }
+
+  /**
+   * Get a published schema
+   * @param {string} schemaName - tokenSet, themes, metadata or validationReport
+   * @returns {object}
+   */
+  getSchema(schemaName) {
+    if (!this.schemas[schemaName]) {
+      if (!SCHEMA_FILES[schemaName]) {
+        throw new Error(`Unknown schema '${schemaName}', expected one of: ${Object.keys(SCHEMA_FILES).join(', ')}`);
+      }
+      this.schemas[schemaName] = require(path.join(SCHEMA_DIR, SCHEMA_FILES[schemaName]));
+    }
+    return this.schemas[schemaName];
+  }
+
+  /**
+   * Get the schema file path for a schema name, e.g. for editor settings
+   * @param {string} schemaName - tokenSet, themes, metadata or validationReport
+   * @returns {string}
+   */
+  getSchemaPath(schemaName) {
+    return path.join(SCHEMA_DIR, SCHEMA_FILES[schemaName]);
+  }
+
+  /**
+   * Pick the schema for a file in the tokens folder
+   * @param {string} fileName - e.g. "$themes.json" or "core.json"
+   * @returns {string} Schema name
+   */
+  getSchemaName(fileName) {
+    const baseName = path.basename(fileName);
+    if (baseName === '$themes.json') return 'themes';
+    if (baseName === '$metadata.json') return 'metadata';
+    return 'tokenSet';
+  }
+
+  /**
+   * Validate data against a published schema
+   * @param {any} data - Parsed JSON
+   * @param {string} schemaName - tokenSet, themes, metadata or validationReport
+   * @returns {{isValid: boolean, errors: {path: string, keyword: string, message: string}[]}}
+   */
+  validate(data, schemaName) {
+    const schema = this.getSchema(schemaName);
+    const errors = [];
+    this._validateNode(data, schema, schema, '', errors);
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a file from the tokens folder against the schema its name implies
+   * @param {string} fileName - e.g. "$themes.json" or "core.json"
+   * @param {any} data - Parsed file content
+   * @returns {{isValid: boolean, schema: string, errors: {path: string, keyword: string, message: string}[]}}
+   */
+  validateFile(fileName, data) {
+    const schemaName = this.getSchemaName(fileName);
+    return { ...this.validate(data, schemaName), schema: schemaName };
+  }
+
+  /**
+   * Render an error as one line, e.g. "$themes.json /0: must have required property 'name'"
+   * @param {string} fileName - File the error belongs to
+   * @param {{path: string, message: string}} error - Error from validate()
+   * @returns {string}
+   */
+  formatError(fileName, error) {
+    return `${fileName}${error.path ? ` ${error.path}` : ''}: ${error.message}`;
+  }
+
+  // Private helper methods
+
+  _validateNode(data, schema, rootSchema, pointer, errors) {
+    if (schema.$ref) {
+      this._validateNode(data, this._resolveRef(schema.$ref, rootSchema), rootSchema, pointer, errors);
+      return;
+    }
+
+    if (schema.type && !this._matchesType(data, schema.type)) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      errors.push({ path: pointer, keyword: 'type', message: `must be ${types.join(' or ')}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(data)) {
+      errors.push({ path: pointer, keyword: 'enum', message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof data === 'string' && schema.minLength !== undefined && data.length < schema.minLength) {
+      errors.push({ path: pointer, keyword: 'minLength', message: `must have at least ${schema.minLength} character(s)` });
+    }
+
+    if (Array.isArray(data)) {
+      this._validateArray(data, schema, rootSchema, pointer, errors);
+    } else if (data !== null && typeof data === 'object') {
+      this._validateObject(data, schema, rootSchema, pointer, errors);
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => this._isValid(data, option, rootSchema, pointer))) {
+      errors.push({ path: pointer, keyword: 'anyOf', message: 'must match a schema in anyOf' });
+    }
+
+    if (schema.if) {
+      const branch = this._isValid(data, schema.if, rootSchema, pointer) ? schema.then : schema.else;
+      if (branch) {
+        this._validateNode(data, branch, rootSchema, pointer, errors);
+      }
+    }
+  }
+
+  _validateObject(data, schema, rootSchema, pointer, errors) {
+    for (const property of schema.required || []) {
+      if (data[property] === undefined) {
+        errors.push({ path: pointer, keyword: 'required', message: `must have required property '${property}'` });
+      }
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+      const childPointer = `${pointer}/${this._escapePointer(key)}`;
+      let matched = false;
+
+      if (schema.properties && schema.properties[key]) {
+        matched = true;
+        this._validateNode(value, schema.properties[key], rootSchema, childPointer, errors);
+      }
+
+      for (const [pattern, patternSchema] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern).test(key)) {
+          matched = true;
+          this._validateNode(value, patternSchema, rootSchema, childPointer, errors);
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: pointer, keyword: 'additionalProperties', message: `must not have additional property '${key}'` });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this._validateNode(value, schema.additionalProperties, rootSchema, childPointer, errors);
+        }
+      }
+    }
+  }
+
+  _validateArray(data, schema, rootSchema, pointer, errors) {
+    if (schema.items) {
+      data.forEach((item, index) => this._validateNode(item, schema.items, rootSchema, `${pointer}/${index}`, errors));
+    }
+
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      for (const item of data) {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          errors.push({ path: pointer, keyword: 'uniqueItems', message: `must not contain duplicate item ${key}` });
+        }
+        seen.add(key);
+      }
+    }
+  }
+
+  _isValid(data, schema, rootSchema, pointer) {
+    const errors = [];
+    this._validateNode(data, schema, rootSchema, pointer, errors);
+    return errors.length === 0;
+  }
+
+  _matchesType(data, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(candidate => {
+      switch (candidate) {
+        case 'array': return Array.isArray(data);
+        case 'object': return data !== null && typeof data === 'object' && !Array.isArray(data);
+        case 'integer': return Number.isInteger(data);
+        case 'null': return data === null;
+        default: return typeof data === candidate;
+      }
+    });
+  }
+
+  _resolveRef(ref, rootSchema) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`Only local schema references are supported: ${ref}`);
+    }
+
+    return ref
+      .slice(1)
+      .split('/')
+      .filter(Boolean)
+      .reduce((node, part) => {
+        const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!node || node[key] === undefined) {
+          throw new Error(`Unresolvable schema reference: ${ref}`);
+        }
+        return node[key];
+      }, rootSchema);
+  }
+
+  _escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+}
+
+module.exports = SchemaValidator;
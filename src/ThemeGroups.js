@@ -0,0 +1,318 @@
+/**
+ * ThemeGroups - Multi-dimensional themes from the group key in $themes.json
+ *
+ * This class provides:
+ * - The groups (brand, mode, ...) and the combinations they build, one per pick of a theme from every group
+ * - Checks for duplicate ids, duplicate names within a group, themes left out of the groups,
+ *   and tokens that sets owned by different groups both define
+ * - Moving a theme into a group, or out of all groups, with a backup of the tokens folder
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ThemeResolver = require('./ThemeResolver');
+const ErrorHandlingSystem = require('./ErrorHandlingSystem');
+
+// Example paths listed per cross-group override before the rest is only counted
+const MAX_OVERRIDE_EXAMPLES = 3;
+
+class ThemeGroups {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.errorHandler = new ErrorHandlingSystem({ backupDir: options.backupDir || '.backups' });
+  }
+
+  /**
+   * Check the groups in the tokens folder
+   * @returns {Promise<{success: boolean, groups: object[], combinations: object[], issues: object[], errors: string[]}>}
+   */
+  async analyze() {
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      return { success: false, groups: [], combinations: [], issues: [], errors: loaded.errors };
+    }
+
+    return { success: true, ...this.check(resolver), errors: [] };
+  }
+
+  /**
+   * List groups and combinations and find grouping mistakes
+   * @param {ThemeResolver} resolver - Loaded resolver for the tokens folder
+   * @returns {{groups: object[], combinations: object[], issues: object[]}}
+   */
+  check(resolver) {
+    const groups = resolver.getThemeGroups();
+    const combinations = groups.length > 0
+      ? resolver.getCombinations().filter(theme => theme.selection)
+      : [];
+
+    return {
+      groups: groups.map(group => ({ name: group.name, themes: group.themes.map(theme => theme.name) })),
+      combinations: combinations.map(({ id, name, selection }) => ({ id, name, selection })),
+      issues: [
+        ...this._findDuplicates(resolver.themes),
+        ...this._findUngroupedThemes(resolver.themes, groups),
+        ...this._findCrossGroupOverrides(resolver, groups)
+      ]
+    };
+  }
+
+  /**
+   * Move a theme into a group, or out of every group
+   * @param {string} themeName - Theme name or id
+   * @param {string|null} group - Group name; empty to remove the theme's group
+   * @param {object} options - { dryRun }
+   * @returns {Promise<{success: boolean, theme: string, from: string|null, to: string|null, files: string[], backupId: string|null, issues: object[], errors: string[]}>}
+   */
+  async setGroup(themeName, group, options = {}) {
+    const { dryRun = false } = options;
+    const to = group || null;
+    const result = {
+      success: false,
+      theme: themeName,
+      from: null,
+      to,
+      files: [],
+      backupId: null,
+      issues: [],
+      errors: [],
+      warnings: []
+    };
+
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      result.errors.push(...loaded.errors);
+      return result;
+    }
+
+    const matches = resolver.themes.filter(theme => theme.id === themeName || theme.name === themeName);
+    if (matches.length !== 1) {
+      result.errors.push(matches.length === 0
+        ? `Theme not found: ${themeName}`
+        : `'${themeName}' names ${matches.length} themes; pass the theme id instead`);
+      return result;
+    }
+
+    const target = matches[0];
+    result.theme = target.name;
+    result.from = target.group || null;
+
+    const themes = resolver.themes.map(theme => theme === target ? this._withGroup(theme, to) : theme);
+    const updated = new ThemeResolver({ tokenSets: resolver.tokenSets, themes, metadata: resolver.metadata });
+    result.issues = this.check(updated).issues;
+
+    const errors = result.issues.filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+      result.errors.push(...errors.map(issue => issue.message));
+      return result;
+    }
+
+    const changed = result.from !== to;
+    if (dryRun || !changed) {
+      result.files = changed ? ['$themes.json'] : [];
+      result.success = true;
+      return result;
+    }
+
+    const backup = await this.errorHandler.createOperationBackup('set-theme-group', [this.tokensDir], {
+      theme: target.name,
+      from: result.from,
+      to
+    });
+    if (!backup.success) {
+      result.errors.push(`Backup failed, nothing was changed: ${backup.errors.join(', ')}`);
+      return result;
+    }
+    result.backupId = backup.backupId;
+
+    try {
+      await fs.writeFile(path.join(this.tokensDir, '$themes.json'), JSON.stringify(themes, null, 2));
+      result.files.push('$themes.json');
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`Setting the group failed, restore with backup ${result.backupId}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Render a check result as text
+   * @param {object} result - Result of check() or analyze()
+   * @returns {string}
+   */
+  formatText(result) {
+    const lines = [];
+
+    if (result.groups.length === 0) {
+      lines.push('No theme groups; every theme builds on its own');
+    }
+    for (const group of result.groups) {
+      lines.push(`${group.name}: ${group.themes.join(', ')}`);
+    }
+
+    if (result.combinations.length > 0) {
+      lines.push('', `${result.combinations.length} combination(s):`);
+      for (const combination of result.combinations) {
+        lines.push(`  ${combination.name} (${combination.id})`);
+      }
+    }
+
+    if (result.issues.length > 0) {
+      lines.push('', 'Issues:');
+      for (const issue of result.issues) {
+        lines.push(`  ${issue.severity === 'error' ? '❌' : '⚠️ '} ${issue.message}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  // Private helper methods
+
+  _withGroup(theme, group) {
+    // Keep Token Studio's key order: id, name, group, then the rest
+    const { id, name, group: previous, ...rest } = theme;
+    return group ? { id, name, group, ...rest } : { id, name, ...rest };
+  }
+
+  _findDuplicates(themes) {
+    const issues = [];
+    const seenIds = new Map();
+    const seenNames = new Map();
+
+    themes.forEach((theme, index) => {
+      if (seenIds.has(theme.id)) {
+        issues.push({
+          type: 'duplicate_theme_id',
+          severity: 'error',
+          themes: [themes[seenIds.get(theme.id)].name, theme.name],
+          indexes: [seenIds.get(theme.id), index],
+          message: `Themes '${themes[seenIds.get(theme.id)].name}' and '${theme.name}' share the id ${theme.id}`,
+          suggestion: 'Give every theme its own id; Token Studio identifies themes by id'
+        });
+      } else {
+        seenIds.set(theme.id, index);
+      }
+
+      // Token Studio shows a theme as group + name, so names only clash within a group
+      const key = `${theme.group || ''}/${theme.name}`;
+      if (seenNames.has(key)) {
+        issues.push({
+          type: 'duplicate_theme_name',
+          severity: 'error',
+          group: theme.group || null,
+          themes: [theme.name],
+          indexes: [seenNames.get(key), index],
+          message: theme.group
+            ? `Group ${theme.group} has two themes named ${theme.name}`
+            : `Two ungrouped themes are named ${theme.name}`,
+          suggestion: 'Rename one of the themes, or move it to another group with set-theme-group'
+        });
+      } else {
+        seenNames.set(key, index);
+      }
+    });
+
+    return issues;
+  }
+
+  _findUngroupedThemes(themes, groups) {
+    if (groups.length === 0) return [];
+
+    const groupNames = groups.map(group => group.name).join(' × ');
+    return themes
+      .map((theme, index) => ({ theme, index }))
+      .filter(({ theme }) => !theme.group)
+      .map(({ theme, index }) => ({
+        type: 'ungrouped_theme',
+        severity: 'warning',
+        themes: [theme.name],
+        indexes: [index],
+        message: `${theme.name} has no group; it builds on its own instead of as part of ${groupNames}`,
+        suggestion: `Run set-theme-group "${theme.name}" <group> to add it to a group`
+      }));
+  }
+
+  _findCrossGroupOverrides(resolver, groups) {
+    if (groups.length < 2) return [];
+
+    const order = (resolver.metadata && resolver.metadata.tokenSetOrder) || Object.keys(resolver.tokenSets);
+    const pathCache = new Map();
+    const getPaths = setName => {
+      if (!pathCache.has(setName)) {
+        const paths = new Set();
+        this._collectTokens(resolver.tokenSets[setName], '', tokenPath => paths.add(tokenPath));
+        pathCache.set(setName, paths);
+      }
+      return pathCache.get(setName);
+    };
+    const enabledSets = theme => Object.entries(theme.selectedTokenSets || {})
+      .filter(([setName, status]) => status === 'enabled' && resolver.tokenSets[setName])
+      .map(([setName]) => setName);
+    // Sets every theme of a group enables are its shared base, which other groups layer over on purpose
+    const ownSets = (theme, group) => enabledSets(theme)
+      .filter(setName => !group.themes.every(member => enabledSets(member).includes(setName)));
+
+    const issues = [];
+    const reported = new Set();
+
+    // Any two themes from different groups are picked together in some combination
+    groups.forEach((group, groupIndex) => {
+      for (const other of groups.slice(groupIndex + 1)) {
+        for (const theme of group.themes) {
+          for (const otherTheme of other.themes) {
+            const sets = ownSets(theme, group);
+            const otherSets = ownSets(otherTheme, other);
+
+            for (const setName of sets.filter(name => !otherSets.includes(name))) {
+              for (const otherSet of otherSets.filter(name => !sets.includes(name))) {
+                const key = [setName, otherSet].sort().join('\u0000');
+                if (reported.has(key)) continue;
+                reported.add(key);
+
+                const otherPaths = getPaths(otherSet);
+                const shared = [...getPaths(setName)].filter(tokenPath => otherPaths.has(tokenPath));
+                if (shared.length === 0) continue;
+
+                const winner = order.indexOf(otherSet) > order.indexOf(setName) ? otherSet : setName;
+                const examples = shared.slice(0, MAX_OVERRIDE_EXAMPLES).join(', ');
+                issues.push({
+                  type: 'cross_group_override',
+                  severity: 'warning',
+                  file: winner,
+                  path: shared[0],
+                  groups: [group.name, other.name],
+                  sets: [setName, otherSet],
+                  paths: shared,
+                  message: `Sets ${setName} (${group.name}) and ${otherSet} (${other.name}) both define ${shared.length} token(s), ` +
+                    `e.g. ${examples}; ${winner} wins because it comes later in tokenSetOrder`,
+                  suggestion: `Keep ${group.name} and ${other.name} tokens under separate paths, or reference one from the other`
+                });
+              }
+            }
+          }
+        }
+      }
+    });
+
+    return issues;
+  }
+
+  _collectTokens(obj, prefix, callback) {
+    for (const [key, value] of Object.entries(obj || {})) {
+      if (key.startsWith('$') || !value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (value.$value !== undefined || value.value !== undefined) {
+        callback(currentPath, value);
+      } else {
+        this._collectTokens(value, currentPath, callback);
+      }
+    }
+  }
+}
+
+module.exports = ThemeGroups;
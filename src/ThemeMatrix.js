@@ -0,0 +1,198 @@
+/**
+ * ThemeMatrix - Resolved token inventory compared across themes
+ *
+ * This class provides:
+ * - One row per token any theme emits, with its state in every theme: resolved, missing or broken
+ * - Tokens defined in some themes but not others, tokens whose type differs between themes,
+ *   and tokens that fail to resolve in a theme
+ * - Markdown and CSV matrices for brand owners, and JSON for tooling
+ *
+ * Grouped themes are compared as the brand × mode combinations they build.
+ */
+
+const ThemeResolver = require('./ThemeResolver');
+
+const CELL_MARKDOWN = { ok: '✓', missing: '—', broken: '✗' };
+
+class ThemeMatrix {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+  }
+
+  /**
+   * Build the matrix for the tokens folder
+   * @param {object} options - { themes: theme or combination names to compare, default all }
+   * @returns {Promise<{success: boolean, themes: string[], rows: object[], summary: object, errors: string[]}>}
+   */
+  async analyze(options = {}) {
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir, combineGroups: true });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      return { success: false, themes: [], rows: [], summary: {}, errors: loaded.errors };
+    }
+
+    const unknown = (options.themes || []).filter(themeName => !resolver.getTheme(themeName));
+    if (unknown.length > 0) {
+      return {
+        success: false,
+        themes: [],
+        rows: [],
+        summary: {},
+        errors: [`Theme not found: ${unknown.join(', ')}. Available: ${resolver.getThemeNames().join(', ')}`]
+      };
+    }
+
+    return { success: true, ...this.build(resolver, options), errors: [] };
+  }
+
+  /**
+   * Compare the emitted tokens of every theme
+   * @param {ThemeResolver} resolver - Loaded resolver for the tokens folder
+   * @param {object} options - { themes: theme or combination names to compare, default all }
+   * @returns {{themes: string[], rows: object[], summary: object}}
+   */
+  build(resolver, options = {}) {
+    const themeNames = options.themes && options.themes.length > 0
+      ? options.themes.map(themeName => resolver.getTheme(themeName).name)
+      : resolver.getThemeNames();
+
+    const inventories = themeNames.map(themeName => {
+      const resolved = resolver.resolveTheme(themeName);
+      return {
+        tokens: resolved.tokens,
+        unresolved: new Map(resolved.unresolved.map(entry => [entry.path, entry.errors]))
+      };
+    });
+
+    // Rows follow the first theme that emits the token, so related tokens stay together
+    const paths = [...new Set(inventories.flatMap(inventory => Object.keys(inventory.tokens)))];
+
+    const rows = paths.map(tokenPath => {
+      const cells = {};
+      themeNames.forEach((themeName, index) => {
+        const token = inventories[index].tokens[tokenPath];
+        const errors = inventories[index].unresolved.get(tokenPath);
+
+        if (!token) {
+          cells[themeName] = { status: 'missing' };
+        } else if (errors) {
+          cells[themeName] = { status: 'broken', type: token.type, set: token.set, errors };
+        } else {
+          cells[themeName] = { status: 'ok', type: token.type, set: token.set, value: token.value };
+        }
+      });
+
+      const inStatus = status => themeNames.filter(themeName => cells[themeName].status === status);
+      const types = [...new Set(Object.values(cells).filter(cell => cell.type).map(cell => cell.type))];
+      const row = { path: tokenPath, cells, missingIn: inStatus('missing'), brokenIn: inStatus('broken'), types, issues: [] };
+
+      if (row.missingIn.length > 0) row.issues.push('missing');
+      if (types.length > 1) row.issues.push('type_mismatch');
+      if (row.brokenIn.length > 0) row.issues.push('broken');
+      return row;
+    });
+
+    const count = issue => rows.filter(row => row.issues.includes(issue)).length;
+    return {
+      themes: themeNames,
+      rows,
+      summary: {
+        themes: themeNames.length,
+        tokens: rows.length,
+        complete: rows.filter(row => row.issues.length === 0).length,
+        missing: count('missing'),
+        typeMismatches: count('type_mismatch'),
+        broken: count('broken')
+      }
+    };
+  }
+
+  /**
+   * Render the matrix as a Markdown table
+   * @param {object} report - Result of build() or analyze()
+   * @param {object} options - { all: include tokens without gaps }
+   * @returns {string}
+   */
+  formatMarkdown(report, options = {}) {
+    const lines = [`### Theme completeness: ${report.themes.join(', ')}`, '', `**Summary:** ${this._formatSummary(report.summary)}`, ''];
+    const rows = this._selectRows(report, options);
+
+    if (rows.length === 0) {
+      lines.push('Every token is defined, typed alike and resolves in every theme.');
+      return lines.join('\n');
+    }
+
+    lines.push(
+      `| Token | ${report.themes.map(themeName => this._escapeMarkdown(themeName)).join(' | ')} | Issues |`,
+      `| --- | ${report.themes.map(() => '---').join(' | ')} | --- |`
+    );
+    for (const row of rows) {
+      const cells = report.themes.map(themeName => {
+        const cell = row.cells[themeName];
+        return row.types.length > 1 && cell.type ? `${CELL_MARKDOWN[cell.status]} \`${cell.type}\`` : CELL_MARKDOWN[cell.status];
+      });
+      lines.push(`| \`${this._escapeMarkdown(row.path)}\` | ${cells.join(' | ')} | ${this._escapeMarkdown(this._describeIssues(row))} |`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the matrix as CSV, one column per theme
+   * @param {object} report - Result of build() or analyze()
+   * @param {object} options - { all: include tokens without gaps }
+   * @returns {string}
+   */
+  formatCsv(report, options = {}) {
+    const lines = [['token', ...report.themes, 'issues'].map(field => this._escapeCsv(field)).join(',')];
+
+    for (const row of this._selectRows(report, options)) {
+      const cells = report.themes.map(themeName => {
+        const cell = row.cells[themeName];
+        return row.types.length > 1 && cell.type ? `${cell.status} (${cell.type})` : cell.status;
+      });
+      lines.push([row.path, ...cells, this._describeIssues(row)].map(field => this._escapeCsv(field)).join(','));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the matrix as JSON
+   * @param {object} report - Result of build() or analyze()
+   * @returns {string}
+   */
+  formatJson(report) {
+    return JSON.stringify({ themes: report.themes, summary: report.summary, rows: report.rows }, null, 2);
+  }
+
+  // Private helper methods
+
+  _selectRows(report, options) {
+    return options.all ? report.rows : report.rows.filter(row => row.issues.length > 0);
+  }
+
+  _describeIssues(row) {
+    const issues = [];
+    if (row.missingIn.length > 0) issues.push(`missing in ${row.missingIn.join(', ')}`);
+    if (row.types.length > 1) issues.push(`types differ: ${row.types.join(' / ')}`);
+    if (row.brokenIn.length > 0) issues.push(`broken in ${row.brokenIn.join(', ')}`);
+    return issues.join('; ');
+  }
+
+  _formatSummary(summary) {
+    return `${summary.tokens} token(s) across ${summary.themes} theme(s), ${summary.complete} complete; ` +
+      `${summary.missing} missing from some themes, ${summary.typeMismatches} with differing types, ${summary.broken} broken`;
+  }
+
+  _escapeMarkdown(text) {
+    return String(text).replace(/\|/g, '\\|');
+  }
+
+  _escapeCsv(field) {
+    const text = String(field);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = ThemeMatrix;
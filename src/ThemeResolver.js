@@ -0,0 +1,506 @@
+/**
+ * ThemeResolver - Theme-aware token resolution for Token Studio workspaces
+ *
+ * This class provides:
+ * - Active token set stacks built from $themes.json selectedTokenSets
+ * - Precedence following $metadata.json tokenSetOrder (later sets win)
+ * - Source vs enabled semantics (source sets resolve references but are not emitted)
+ * - Fully resolved token values with a trace of every alias hop
+ * - Math expressions evaluated after their references resolve
+ * - References embedded in strings (gradients, rgba({hex}, a)) and Token Studio color modifiers
+ * - Theme groups: one combined theme per pick of a theme from every group (brand × mode)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const MathExpressionEngine = require('./MathExpressionEngine');
+const ColorModifier = require('./ColorModifier');
+
+const REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+const EMBEDDED_REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+const STATUS_PRECEDENCE = ['disabled', 'source', 'enabled'];
+// Combination names, ids, selectors and build folders list these groups first, in this order
+const GROUP_ORDER = ['brand', 'mode'];
+
+class ThemeResolver {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.tokenSets = options.tokenSets || {};
+    this.themes = options.themes || [];
+    this.metadata = options.metadata || { tokenSetOrder: Object.keys(this.tokenSets) };
+    // Resolve grouped themes as their combinations rather than one group at a time
+    this.combineGroups = Boolean(options.combineGroups);
+    this._combinations = null;
+    this.errors = [];
+    this.mathEngine = new MathExpressionEngine();
+    this.colorModifier = new ColorModifier();
+  }
+
+  /**
+   * Load metadata, themes and token sets from the tokens directory
+   * @returns {Promise<{success: boolean, themes: string[], errors: string[]}>}
+   */
+  async load() {
+    this.errors = [];
+
+    const metadata = await this._loadJsonFile(path.join(this.tokensDir, '$metadata.json'));
+    if (!metadata || !Array.isArray(metadata.tokenSetOrder)) {
+      this.errors.push(`Missing or invalid $metadata.json in ${this.tokensDir}`);
+      return { success: false, themes: [], errors: this.errors };
+    }
+
+    const themes = await this._loadJsonFile(path.join(this.tokensDir, '$themes.json'));
+    const tokenSets = {};
+
+    for (const setName of metadata.tokenSetOrder) {
+      const setData = await this._loadJsonFile(path.join(this.tokensDir, `${setName}.json`));
+      if (setData) {
+        tokenSets[setName] = setData;
+      }
+    }
+
+    this.metadata = metadata;
+    this.themes = Array.isArray(themes) ? themes : [];
+    this.tokenSets = tokenSets;
+
+    return { success: true, themes: this.getThemeNames(), errors: this.errors };
+  }
+
+  /**
+   * List the names of all configured themes
+   * @returns {string[]} Theme names in $themes.json order, or combination names with combineGroups
+   */
+  getThemeNames() {
+    return this._getActiveThemes().map(theme => theme.name);
+  }
+
+  /**
+   * Find a theme by name or id
+   * @param {string} themeName - Theme or combination name or id
+   * @returns {object|null} Theme configuration or null if not found
+   */
+  getTheme(themeName) {
+    const matches = theme => theme.name === themeName || theme.id === themeName;
+    return this._getActiveThemes().find(matches) || this.themes.find(matches) || null;
+  }
+
+  /**
+   * List theme groups: brand, then mode, then any other group in $themes.json order
+   * @returns {{name: string, themes: object[]}[]} Groups and their themes; ungrouped themes are left out
+   */
+  getThemeGroups() {
+    const groups = [];
+
+    for (const theme of this.themes) {
+      if (!theme.group) continue;
+
+      let group = groups.find(candidate => candidate.name === theme.group);
+      if (!group) {
+        group = { name: theme.group, themes: [] };
+        groups.push(group);
+      }
+      group.themes.push(theme);
+    }
+
+    // Reordering $themes.json in Token Studio must not rename the builds
+    const rank = group => {
+      const index = GROUP_ORDER.indexOf(group.name.toLowerCase());
+      return index === -1 ? GROUP_ORDER.length : index;
+    };
+    return groups.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Combine grouped themes into one theme per pick of a theme from every group
+   *
+   * A set takes the strongest status any picked theme gives it (enabled, then source, then
+   * disabled). Ungrouped themes follow unchanged; without groups this is the theme list.
+   * @returns {object[]} Themes with merged selectedTokenSets and a selection of group name → theme name
+   */
+  getCombinations() {
+    const groups = this.getThemeGroups();
+    const ungrouped = this.themes.filter(theme => !theme.group);
+    if (groups.length === 0) return ungrouped;
+
+    let picks = [[]];
+    for (const group of groups) {
+      picks = picks.flatMap(pick => group.themes.map(theme => [...pick, theme]));
+    }
+
+    const combinations = picks.map(pick => {
+      const selectedTokenSets = {};
+      for (const theme of pick) {
+        for (const [setName, status] of Object.entries(theme.selectedTokenSets || {})) {
+          if (STATUS_PRECEDENCE.indexOf(status) > STATUS_PRECEDENCE.indexOf(selectedTokenSets[setName])) {
+            selectedTokenSets[setName] = status;
+          }
+        }
+      }
+
+      return {
+        id: pick.map(theme => theme.id).join('+'),
+        name: pick.map(theme => theme.name).join(' '),
+        selectedTokenSets,
+        selection: Object.fromEntries(pick.map(theme => [theme.group, theme.name]))
+      };
+    });
+
+    return [...combinations, ...ungrouped];
+  }
+
+  /**
+   * Build the active token set stack for a theme
+   * @param {string} themeName - Theme name or id
+   * @returns {{name: string, status: string}[]} Active sets, lowest precedence first
+   */
+  getSetStack(themeName) {
+    const theme = this.getTheme(themeName);
+    if (!theme) {
+      throw new Error(`Theme not found: ${themeName}`);
+    }
+
+    const selected = theme.selectedTokenSets || {};
+    const order = [...(this.metadata.tokenSetOrder || [])];
+
+    // Sets selected by the theme but missing from tokenSetOrder come last
+    for (const setName of Object.keys(selected)) {
+      if (!order.includes(setName)) {
+        order.push(setName);
+      }
+    }
+
+    return order
+      .filter(setName => selected[setName] === 'enabled' || selected[setName] === 'source')
+      .filter(setName => this.tokenSets[setName] !== undefined)
+      .map(setName => ({ name: setName, status: selected[setName] }));
+  }
+
+  /**
+   * Look up the token that wins for a path under a theme, without resolving aliases
+   * @param {string} tokenPath - Dot-separated token path
+   * @param {string} themeName - Theme name or id
+   * @returns {{set: string, status: string, value: any, type: string}|null} Token entry or null if not found
+   */
+  findToken(tokenPath, themeName) {
+    return this._findToken(tokenPath, this.getSetStack(themeName));
+  }
+
+  /**
+   * List the themes that activate a token set as enabled or source
+   * @param {string} setName - Token set name
+   * @returns {string[]} Theme names
+   */
+  getThemesUsingSet(setName) {
+    return this._getActiveThemes()
+      .filter(theme => {
+        const status = (theme.selectedTokenSets || {})[setName];
+        return status === 'enabled' || status === 'source';
+      })
+      .map(theme => theme.name);
+  }
+
+  /**
+   * Resolve a token path under a theme
+   * @param {string} tokenPath - Dot-separated token path (e.g. "surface.0100")
+   * @param {string} themeName - Theme name or id
+   * @returns {{resolved: boolean, path: string, value: any, rawValue: any, type: string, set: string, status: string, trace: object[], errors: string[], warnings: string[]}}
+   */
+  resolveToken(tokenPath, themeName) {
+    const stack = this.getSetStack(themeName);
+    const entry = this._findToken(tokenPath, stack);
+
+    if (!entry) {
+      return {
+        resolved: false,
+        path: tokenPath,
+        value: null,
+        rawValue: null,
+        type: null,
+        set: null,
+        status: null,
+        trace: [],
+        errors: [`Token not found in theme '${themeName}': ${tokenPath}`],
+        warnings: []
+      };
+    }
+
+    const trace = [{ path: tokenPath, set: entry.set, value: entry.value }];
+    const errors = [];
+    const warnings = [];
+    const visited = new Set([tokenPath]);
+    const value = this._applyModifier(
+      this._resolveValue(entry.value, stack, visited, trace, errors, warnings),
+      entry.modify, tokenPath, stack, visited, trace, errors, warnings
+    );
+
+    return {
+      resolved: errors.length === 0,
+      path: tokenPath,
+      value,
+      rawValue: entry.value,
+      type: entry.type,
+      set: entry.set,
+      status: entry.status,
+      trace,
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * Resolve a reference string such as "{color.primary}" under a theme
+   * @param {string} reference - Token reference
+   * @param {string} themeName - Theme name or id
+   * @returns {object} Same shape as resolveToken
+   */
+  resolveReference(reference, themeName) {
+    const match = typeof reference === 'string' ? reference.trim().match(REFERENCE_PATTERN) : null;
+    if (!match) {
+      return {
+        resolved: false,
+        path: null,
+        value: null,
+        rawValue: reference,
+        type: null,
+        set: null,
+        status: null,
+        trace: [],
+        errors: [`Invalid reference format: ${reference}`],
+        warnings: []
+      };
+    }
+
+    return this.resolveToken(match[1].trim(), themeName);
+  }
+
+  /**
+   * Resolve every emitted token of a theme
+   * @param {string} themeName - Theme name or id
+   * @param {object} options - { includeSource: also return tokens that only live in source sets }
+   * @returns {{theme: string, sets: object[], tokens: object, unresolved: object[]}}
+   */
+  resolveTheme(themeName, options = {}) {
+    const { includeSource = false } = options;
+    const stack = this.getSetStack(themeName);
+    const tokens = {};
+    const unresolved = [];
+
+    for (const tokenPath of this._collectTokenPaths(stack)) {
+      const resolution = this.resolveToken(tokenPath, themeName);
+
+      if (resolution.status === 'source' && !includeSource) continue;
+
+      tokens[tokenPath] = {
+        value: resolution.value,
+        rawValue: resolution.rawValue,
+        type: resolution.type,
+        set: resolution.set,
+        status: resolution.status,
+        trace: resolution.trace
+      };
+
+      if (!resolution.resolved) {
+        unresolved.push({ path: tokenPath, set: resolution.set, errors: resolution.errors });
+      }
+    }
+
+    return {
+      theme: this.getTheme(themeName).name,
+      sets: stack,
+      tokens,
+      unresolved
+    };
+  }
+
+  // Private helper methods
+
+  _resolveValue(value, stack, visited, trace, errors, warnings) {
+    if (typeof value === 'string') {
+      const match = value.trim().match(REFERENCE_PATTERN);
+      if (!match) {
+        if (this.mathEngine.isExpression(value)) {
+          return this._evaluateExpression(value, stack, visited, trace, errors, warnings);
+        }
+        return value.includes('{') ? this._resolveEmbeddedReferences(value, stack, visited, trace, errors, warnings) : value;
+      }
+
+      const targetPath = match[1].trim();
+      if (visited.has(targetPath)) {
+        errors.push(`Circular reference: ${[...visited, targetPath].join(' -> ')}`);
+        return value;
+      }
+
+      const target = this._findToken(targetPath, stack);
+      if (!target) {
+        errors.push(`Unresolved reference: ${value}`);
+        return value;
+      }
+
+      trace.push({ path: targetPath, set: target.set, value: target.value });
+      const targetVisited = new Set([...visited, targetPath]);
+      return this._applyModifier(
+        this._resolveValue(target.value, stack, targetVisited, trace, errors, warnings),
+        target.modify, targetPath, stack, targetVisited, trace, errors, warnings
+      );
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._resolveValue(item, stack, visited, trace, errors, warnings));
+    }
+
+    if (value && typeof value === 'object') {
+      const resolved = {};
+      for (const [key, subValue] of Object.entries(value)) {
+        resolved[key] = this._resolveValue(subValue, stack, visited, trace, errors, warnings);
+      }
+      return resolved;
+    }
+
+    return value;
+  }
+
+  _evaluateExpression(expression, stack, visited, trace, errors, warnings) {
+    const tokenPath = [...visited].pop();
+    const referenceErrors = [];
+
+    const result = this.mathEngine.evaluate(expression, {
+      tokenPath,
+      resolveReference: referencePath => {
+        const resolved = this._resolveValue(`{${referencePath}}`, stack, visited, trace, referenceErrors, warnings);
+        return referenceErrors.length > 0 ? undefined : resolved;
+      }
+    });
+
+    if (referenceErrors.length > 0) {
+      errors.push(...referenceErrors);
+      return expression;
+    }
+    if (!result.success) {
+      errors.push(...result.errors);
+      return expression;
+    }
+
+    return result.value;
+  }
+
+  _resolveEmbeddedReferences(value, stack, visited, trace, errors, warnings) {
+    const referenceErrors = [];
+    const substituted = value.replace(EMBEDDED_REFERENCE_PATTERN, reference =>
+      String(this._resolveValue(reference, stack, visited, trace, referenceErrors, warnings))
+    );
+
+    if (referenceErrors.length > 0) {
+      errors.push(...referenceErrors);
+      return value;
+    }
+
+    // rgba({color.black}, 0.5) needs channels, not the hex the reference resolved to
+    return this.colorModifier.expandHexChannels(substituted);
+  }
+
+  _applyModifier(value, modifier, tokenPath, stack, visited, trace, errors, warnings) {
+    if (!modifier || errors.length > 0) return value;
+
+    // Modifier amounts and mix colors may themselves be references or expressions
+    const resolved = {
+      ...modifier,
+      value: this._resolveValue(modifier.value, stack, visited, trace, errors, warnings),
+      color: modifier.color === undefined ? undefined : this._resolveValue(modifier.color, stack, visited, trace, errors, warnings)
+    };
+    if (errors.length > 0) return value;
+
+    // Unsupported spaces and formats fall back to srgb and hex; callers decide whether to show it
+    const result = this.colorModifier.apply(value, resolved, { tokenPath });
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    return result.value;
+  }
+
+  _getActiveThemes() {
+    if (!this.combineGroups) return this.themes;
+
+    // Every token lookup goes through here; recombine only when the theme list is replaced
+    if (!this._combinations || this._combinations.themes !== this.themes) {
+      this._combinations = { themes: this.themes, combinations: this.getCombinations() };
+    }
+    return this._combinations.combinations;
+  }
+
+  _findToken(tokenPath, stack) {
+    const pathParts = tokenPath.split('.');
+
+    // Walk from the highest precedence set down
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const { name, status } = stack[i];
+      const node = this._findTokenInObject(this.tokenSets[name], pathParts);
+
+      if (this._isToken(node)) {
+        return {
+          set: name,
+          status,
+          value: node.$value !== undefined ? node.$value : node.value,
+          type: node.$type || node.type || null,
+          modify: this.colorModifier.getModifier(node)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  _findTokenInObject(obj, pathParts) {
+    let current = obj;
+
+    for (const part of pathParts) {
+      if (current && typeof current === 'object' && current[part] !== undefined) {
+        current = current[part];
+      } else {
+        return null;
+      }
+    }
+
+    return current;
+  }
+
+  _collectTokenPaths(stack) {
+    const paths = new Set();
+
+    const walk = (obj, prefix) => {
+      for (const [key, value] of Object.entries(obj)) {
+        if (key.startsWith('$')) continue;
+
+        const currentPath = prefix ? `${prefix}.${key}` : key;
+        if (this._isToken(value)) {
+          paths.add(currentPath);
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+          walk(value, currentPath);
+        }
+      }
+    };
+
+    for (const { name } of stack) {
+      walk(this.tokenSets[name], '');
+    }
+
+    return [...paths];
+  }
+
+  _isToken(value) {
+    return typeof value === 'object' && value !== null &&
+           (value.$value !== undefined || value.value !== undefined);
+  }
+
+  async _loadJsonFile(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.errors.push(`Failed to load JSON file ${path.basename(filePath)}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = ThemeResolver;
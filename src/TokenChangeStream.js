@@ -0,0 +1,203 @@
+/**
+ * TokenChangeStream - File watching and change events for live-reload consumers
+ *
+ * This class provides:
+ * - fs.watch based watching of the modular tokens folder and tokensource.json
+ * - Debounced change detection reusing ModularEditingManager's per-set token diff
+ * - Change events with changed token paths and the new resolved values per theme,
+ *   including tokens that reference a changed token
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const ModularEditingManager = require('./ModularEditingManager');
+const ThemeResolver = require('./ThemeResolver');
+
+class TokenChangeStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.tokensDir = path.resolve(options.tokensDir || 'tokens');
+    this.sourcePath = options.sourcePath === undefined
+      ? path.join(path.dirname(this.tokensDir), 'tokensource.json')
+      : options.sourcePath;
+    this.debounceMs = options.debounceMs === undefined ? 100 : options.debounceMs;
+    this.editingManager = new ModularEditingManager(this.tokensDir);
+    this.watchers = [];
+    this.pending = new Set();
+    this.timer = null;
+    this.checking = Promise.resolve();
+    this.lastSource = null;
+  }
+
+  /**
+   * Load the current state and start watching for changes
+   * @returns {Promise<{success: boolean, errors: string[]}>}
+   */
+  async start() {
+    const errors = [];
+
+    if (this.watchers.length > 0) {
+      return { success: true, errors };
+    }
+
+    await this.editingManager.detectTokenChanges();
+    this.lastSource = this.sourcePath ? this._readSource() : null;
+
+    try {
+      this.watchers.push(fs.watch(this.tokensDir, (eventType, fileName) => this._schedule('tokens', fileName)));
+    } catch (error) {
+      errors.push(`Cannot watch ${this.tokensDir}: ${error.message}`);
+    }
+
+    // Watch the folder rather than the file so atomic saves (write + rename) are picked up
+    if (this.sourcePath) {
+      const sourceName = path.basename(this.sourcePath);
+      try {
+        this.watchers.push(fs.watch(path.dirname(this.sourcePath), (eventType, fileName) => {
+          if (fileName === sourceName) this._schedule('source', fileName);
+        }));
+      } catch (error) {
+        errors.push(`Cannot watch ${this.sourcePath}: ${error.message}`);
+      }
+    }
+
+    return { success: errors.length === 0, errors };
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+  }
+
+  /**
+   * Detect changes now and emit a 'change' event for each changed token set
+   * @param {string[]} sources - Which inputs to check: 'tokens' and/or 'source'
+   * @returns {Promise<object[]>} Emitted change events
+   */
+  async checkForChanges(sources = ['tokens', 'source']) {
+    const run = this.checking.then(() => this._detect(sources));
+    this.checking = run.catch(() => {});
+    return run;
+  }
+
+  // Private helper methods
+
+  _schedule(source, fileName) {
+    if (source === 'tokens' && fileName && !fileName.endsWith('.json')) return;
+
+    this.pending.add(source);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const sources = [...this.pending];
+      this.pending.clear();
+      this.checkForChanges(sources).catch(error => this.emit('error', error));
+    }, this.debounceMs);
+  }
+
+  async _detect(sources) {
+    const events = [];
+
+    if (sources.includes('tokens')) {
+      const changes = await this.editingManager.detectTokenChanges();
+      if (changes.length > 0) {
+        const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+        await resolver.load();
+
+        for (const change of changes) {
+          events.push(this._createEvent('tokens', change.set, path.basename(change.filePath), change, resolver));
+        }
+      }
+    }
+
+    if (sources.includes('source') && this.sourcePath) {
+      events.push(...this._detectSourceChanges());
+    }
+
+    events.forEach(event => this.emit('change', event));
+    return events;
+  }
+
+  _detectSourceChanges() {
+    const source = this._readSource();
+    // Keep the last good copy while the file is missing or half-written
+    if (!source) return [];
+
+    const previous = this.lastSource || {};
+    this.lastSource = source;
+
+    const resolver = new ThemeResolver({
+      tokenSets: this._getSourceSets(source),
+      themes: Array.isArray(source.$themes) ? source.$themes : [],
+      metadata: source.$metadata || { tokenSetOrder: Object.keys(this._getSourceSets(source)) }
+    });
+
+    const setNames = new Set([...Object.keys(this._getSourceSets(previous)), ...Object.keys(this._getSourceSets(source))]);
+    const events = [];
+
+    for (const setName of setNames) {
+      const diff = this.editingManager.diffTokenSets(previous[setName], source[setName]);
+      if (diff.changedPaths.length + diff.addedPaths.length + diff.removedPaths.length > 0) {
+        events.push(this._createEvent('tokensource.json', setName, path.basename(this.sourcePath), diff, resolver));
+      }
+    }
+
+    return events;
+  }
+
+  _createEvent(source, setName, fileName, diff, resolver) {
+    const touched = new Set([...diff.changedPaths, ...diff.addedPaths]);
+    const resolved = {};
+
+    for (const themeName of resolver.getThemesUsingSet(setName)) {
+      const themeTokens = resolver.resolveTheme(themeName).tokens;
+      const affected = {};
+
+      // A token is affected when it changed itself or any hop of its alias chain did
+      for (const [tokenPath, token] of Object.entries(themeTokens)) {
+        if (token.trace.some(hop => touched.has(hop.path))) {
+          affected[tokenPath] = token.value;
+        }
+      }
+
+      resolved[themeName] = affected;
+    }
+
+    return {
+      source,
+      set: setName,
+      file: fileName,
+      changedPaths: diff.changedPaths,
+      addedPaths: diff.addedPaths,
+      removedPaths: diff.removedPaths,
+      resolved,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  _getSourceSets(source) {
+    const sets = {};
+    for (const [key, value] of Object.entries(source)) {
+      if (!key.startsWith('$') && value && typeof value === 'object') {
+        sets[key] = value;
+      }
+    }
+    return sets;
+  }
+
+  _readSource() {
+    try {
+      return JSON.parse(fs.readFileSync(this.sourcePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TokenChangeStream;
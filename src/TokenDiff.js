@@ -0,0 +1,450 @@
+/**
+ * TokenDiff - Semantic diff between two Token Studio token sources
+ *
+ * This class provides:
+ * - Loading either side from a modular tokens folder, a tokensource.json file or a git ref
+ * - Per-set added, removed, renamed and value-changed tokens, including type changes
+ *   and references that were retargeted to another token
+ * - Per-theme resolved before/after values, so alias changes show their real effect
+ * - Text, JSON and Markdown (PR comment) reports
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ThemeResolver = require('./ThemeResolver');
+
+const REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+
+class TokenDiff {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.sourcePath = options.sourcePath || 'tokensource.json';
+    this.cwd = options.cwd || process.cwd();
+  }
+
+  /**
+   * Load and compare two token sources
+   * @param {string} beforeSpec - Folder, tokensource file, git ref or ref:path
+   * @param {string} afterSpec - Folder, tokensource file, git ref or ref:path
+   * @returns {Promise<object>} Diff result, see compare()
+   */
+  async diff(beforeSpec, afterSpec) {
+    const before = await this.loadSource(beforeSpec);
+    const after = await this.loadSource(afterSpec);
+
+    if (!before.success || !after.success) {
+      return {
+        success: false,
+        sets: [],
+        themes: [],
+        summary: this._emptySummary(),
+        errors: [...before.errors, ...after.errors],
+        warnings: []
+      };
+    }
+
+    return this.compare(before, after);
+  }
+
+  /**
+   * Load a token source from disk or git
+   * @param {string} spec - Folder, tokensource file, git ref (uses the tokens folder or tokensource.json at that ref) or ref:path
+   * @returns {Promise<{success: boolean, label: string, tokenSets: object, themes: object[], metadata: object, errors: string[]}>}
+   */
+  async loadSource(spec) {
+    const result = { success: false, label: spec, tokenSets: {}, themes: [], metadata: { tokenSetOrder: [] }, errors: [] };
+
+    try {
+      const localPath = path.resolve(this.cwd, spec);
+      const stats = await fs.stat(localPath).catch(() => null);
+
+      if (stats && stats.isDirectory()) {
+        const resolver = new ThemeResolver({ tokensDir: localPath });
+        const loaded = await resolver.load();
+        if (!loaded.success) {
+          result.errors.push(...loaded.errors);
+          return result;
+        }
+        return { ...result, success: true, tokenSets: resolver.tokenSets, themes: resolver.themes, metadata: resolver.metadata };
+      }
+
+      if (stats) {
+        return { ...result, success: true, ...this._fromTokenSource(JSON.parse(await fs.readFile(localPath, 'utf8'))) };
+      }
+
+      const separator = spec.indexOf(':');
+      if (separator > 0) {
+        return { ...result, success: true, ...this._loadFromGit(spec.slice(0, separator), spec.slice(separator + 1)) };
+      }
+
+      try {
+        this._git(['rev-parse', '--verify', '--quiet', `${spec}^{commit}`]);
+      } catch (error) {
+        throw new Error('not a file, folder or git ref');
+      }
+      const gitPath = this._gitPathExists(spec, `${this.tokensDir}/$metadata.json`) ? this.tokensDir : this.sourcePath;
+      return { ...result, success: true, ...this._loadFromGit(spec, gitPath) };
+
+    } catch (error) {
+      result.errors.push(`Cannot load token source '${spec}': ${error.message}`);
+      return result;
+    }
+  }
+
+  /**
+   * Compare two loaded token sources
+   * @param {object} before - Result of loadSource()
+   * @param {object} after - Result of loadSource()
+   * @returns {{success: boolean, before: string, after: string, sets: object[], themes: object[], summary: object, errors: string[], warnings: string[]}}
+   */
+  compare(before, after) {
+    const warnings = [];
+    const sets = [];
+    const setNames = this._unique([...Object.keys(before.tokenSets), ...Object.keys(after.tokenSets)]);
+
+    for (const setName of setNames) {
+      const setDiff = this._compareSet(before.tokenSets[setName], after.tokenSets[setName]);
+      const hasChanges = ['added', 'removed', 'renamed', 'changed'].some(kind => setDiff[kind].length > 0);
+      if (!hasChanges && before.tokenSets[setName] && after.tokenSets[setName]) continue;
+
+      sets.push({
+        name: setName,
+        status: !before.tokenSets[setName] ? 'added' : !after.tokenSets[setName] ? 'removed' : 'modified',
+        ...setDiff
+      });
+    }
+
+    const themes = this._compareThemes(before, after, warnings);
+
+    return {
+      success: true,
+      before: before.label,
+      after: after.label,
+      sets,
+      themes,
+      summary: this._summarize(sets, themes),
+      errors: [],
+      warnings
+    };
+  }
+
+  /**
+   * Render a diff as plain text
+   * @param {object} diff - Result of compare()
+   * @returns {string}
+   */
+  formatText(diff) {
+    const lines = [`Token diff: ${diff.before} → ${diff.after}`, ''];
+
+    if (diff.sets.length === 0 && diff.themes.length === 0) {
+      lines.push('No token changes.');
+      return lines.join('\n');
+    }
+
+    for (const set of diff.sets) {
+      lines.push(`Set ${set.name} (${set.status})`);
+      set.added.forEach(token => lines.push(`  + ${token.path} = ${this._formatValue(token.value)}${token.type ? ` (${token.type})` : ''}`));
+      set.removed.forEach(token => lines.push(`  - ${token.path} = ${this._formatValue(token.value)}`));
+      set.renamed.forEach(token => lines.push(`  → ${token.from} renamed to ${token.to}`));
+      set.changed.forEach(token => lines.push(`  ~ ${token.path}: ${this._describeChange(token)}`));
+      lines.push('');
+    }
+
+    for (const theme of diff.themes) {
+      lines.push(`Theme ${theme.name} (${theme.status}, resolved values)`);
+      theme.added.forEach(token => lines.push(`  + ${token.path} = ${this._formatValue(token.value)}`));
+      theme.removed.forEach(token => lines.push(`  - ${token.path} = ${this._formatValue(token.value)}`));
+      theme.changed.forEach(token => lines.push(`  ~ ${token.path}: ${this._formatValue(token.before)} → ${this._formatValue(token.after)}`));
+      lines.push('');
+    }
+
+    lines.push(`Summary: ${this._formatSummary(diff.summary)}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a diff as JSON
+   * @param {object} diff - Result of compare()
+   * @returns {string}
+   */
+  formatJson(diff) {
+    return JSON.stringify(diff, null, 2);
+  }
+
+  /**
+   * Render a diff as Markdown suitable for a pull request comment
+   * @param {object} diff - Result of compare()
+   * @returns {string}
+   */
+  formatMarkdown(diff) {
+    const lines = [`### Token diff: \`${diff.before}\` → \`${diff.after}\``, ''];
+
+    if (diff.sets.length === 0 && diff.themes.length === 0) {
+      lines.push('No token changes.');
+      return lines.join('\n');
+    }
+
+    lines.push(`**Summary:** ${this._formatSummary(diff.summary)}`, '');
+
+    for (const set of diff.sets) {
+      lines.push(`#### Set \`${set.name}\` (${set.status})`, '', '| Change | Token | Before | After |', '| --- | --- | --- | --- |');
+      set.added.forEach(token => lines.push(`| added | \`${token.path}\` | | ${this._markdownValue(token.value)} |`));
+      set.removed.forEach(token => lines.push(`| removed | \`${token.path}\` | ${this._markdownValue(token.value)} | |`));
+      set.renamed.forEach(token => lines.push(`| renamed | \`${token.from}\` → \`${token.to}\` | ${this._markdownValue(token.value)} | ${this._markdownValue(token.value)} |`));
+      set.changed.forEach(token => {
+        const kind = token.retargeted ? 'retargeted' : token.typeChanged ? 'type changed' : 'changed';
+        const before = token.typeChanged ? `${this._markdownValue(token.before.value)} (${token.before.type})` : this._markdownValue(token.before.value);
+        const after = token.typeChanged ? `${this._markdownValue(token.after.value)} (${token.after.type})` : this._markdownValue(token.after.value);
+        lines.push(`| ${kind} | \`${token.path}\` | ${before} | ${after} |`);
+      });
+      lines.push('');
+    }
+
+    if (diff.themes.length > 0) {
+      lines.push('<details><summary>Resolved values per theme</summary>', '');
+      for (const theme of diff.themes) {
+        lines.push(`#### Theme \`${theme.name}\` (${theme.status})`, '', '| Token | Before | After |', '| --- | --- | --- |');
+        theme.added.forEach(token => lines.push(`| \`${token.path}\` | | ${this._markdownValue(token.value)} |`));
+        theme.removed.forEach(token => lines.push(`| \`${token.path}\` | ${this._markdownValue(token.value)} | |`));
+        theme.changed.forEach(token => lines.push(`| \`${token.path}\` | ${this._markdownValue(token.before)} | ${this._markdownValue(token.after)} |`));
+        lines.push('');
+      }
+      lines.push('</details>');
+    }
+
+    return lines.join('\n');
+  }
+
+  // Private helper methods
+
+  _compareSet(beforeData, afterData) {
+    const before = this._flattenTokens(beforeData || {});
+    const after = this._flattenTokens(afterData || {});
+
+    let added = [...after.keys()].filter(tokenPath => !before.has(tokenPath)).map(tokenPath => ({ path: tokenPath, ...after.get(tokenPath) }));
+    let removed = [...before.keys()].filter(tokenPath => !after.has(tokenPath)).map(tokenPath => ({ path: tokenPath, ...before.get(tokenPath) }));
+    const changed = [];
+
+    for (const [tokenPath, previous] of before.entries()) {
+      const current = after.get(tokenPath);
+      if (!current || this._signature(previous) === this._signature(current)) continue;
+
+      const previousReference = this._getReference(previous.value);
+      const currentReference = this._getReference(current.value);
+
+      changed.push({
+        path: tokenPath,
+        before: previous,
+        after: current,
+        typeChanged: previous.type !== current.type,
+        retargeted: previousReference && currentReference && previousReference !== currentReference
+          ? { from: previousReference, to: currentReference }
+          : null
+      });
+    }
+
+    // A removed token whose exact type and value reappear under a new path was renamed
+    const renamed = [];
+    for (const token of removed) {
+      const match = added.find(candidate => this._signature(candidate) === this._signature(token));
+      if (match) {
+        renamed.push({ from: token.path, to: match.path, type: token.type, value: token.value });
+        added = added.filter(candidate => candidate !== match);
+      }
+    }
+    removed = removed.filter(token => !renamed.some(rename => rename.from === token.path));
+
+    return { added, removed, renamed, changed };
+  }
+
+  _compareThemes(before, after, warnings) {
+    const beforeResolver = new ThemeResolver({ tokenSets: before.tokenSets, themes: before.themes, metadata: before.metadata });
+    const afterResolver = new ThemeResolver({ tokenSets: after.tokenSets, themes: after.themes, metadata: after.metadata });
+    const themeNames = this._unique([...beforeResolver.getThemeNames(), ...afterResolver.getThemeNames()]);
+    const themes = [];
+
+    for (const themeName of themeNames) {
+      const previous = this._resolveTheme(beforeResolver, themeName, `${before.label} ${themeName}`, warnings);
+      const current = this._resolveTheme(afterResolver, themeName, `${after.label} ${themeName}`, warnings);
+
+      const added = Object.keys(current).filter(tokenPath => !(tokenPath in previous))
+        .map(tokenPath => ({ path: tokenPath, value: current[tokenPath] }));
+      const removed = Object.keys(previous).filter(tokenPath => !(tokenPath in current))
+        .map(tokenPath => ({ path: tokenPath, value: previous[tokenPath] }));
+      const changed = Object.keys(previous)
+        .filter(tokenPath => tokenPath in current && JSON.stringify(previous[tokenPath]) !== JSON.stringify(current[tokenPath]))
+        .map(tokenPath => ({ path: tokenPath, before: previous[tokenPath], after: current[tokenPath] }));
+
+      const inBefore = beforeResolver.getThemeNames().includes(themeName);
+      const inAfter = afterResolver.getThemeNames().includes(themeName);
+      if (inBefore && inAfter && added.length + removed.length + changed.length === 0) continue;
+
+      themes.push({
+        name: themeName,
+        status: !inBefore ? 'added' : !inAfter ? 'removed' : 'modified',
+        added,
+        removed,
+        changed
+      });
+    }
+
+    return themes;
+  }
+
+  _resolveTheme(resolver, themeName, label, warnings) {
+    if (!resolver.getTheme(themeName)) return {};
+
+    const resolved = resolver.resolveTheme(themeName);
+    if (resolved.unresolved.length > 0) {
+      warnings.push(`${label}: ${resolved.unresolved.length} token(s) could not be fully resolved`);
+    }
+
+    const values = {};
+    for (const [tokenPath, token] of Object.entries(resolved.tokens)) {
+      values[tokenPath] = token.value;
+    }
+    return values;
+  }
+
+  _summarize(sets, themes) {
+    const summary = this._emptySummary();
+
+    for (const set of sets) {
+      summary.added += set.added.length;
+      summary.removed += set.removed.length;
+      summary.renamed += set.renamed.length;
+      summary.changed += set.changed.length;
+      summary.typeChanged += set.changed.filter(token => token.typeChanged).length;
+      summary.retargeted += set.changed.filter(token => token.retargeted).length;
+    }
+    summary.themesAffected = themes.length;
+
+    return summary;
+  }
+
+  _emptySummary() {
+    return { added: 0, removed: 0, renamed: 0, changed: 0, typeChanged: 0, retargeted: 0, themesAffected: 0 };
+  }
+
+  _formatSummary(summary) {
+    return `${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed, ` +
+      `${summary.changed} changed (${summary.typeChanged} type, ${summary.retargeted} retargeted), ` +
+      `${summary.themesAffected} theme(s) affected`;
+  }
+
+  _describeChange(token) {
+    const parts = [];
+    if (token.retargeted) {
+      parts.push(`reference ${token.retargeted.from} → ${token.retargeted.to}`);
+    } else if (JSON.stringify(token.before.value) !== JSON.stringify(token.after.value)) {
+      parts.push(`${this._formatValue(token.before.value)} → ${this._formatValue(token.after.value)}`);
+    }
+    if (token.typeChanged) {
+      parts.push(`type ${token.before.type} → ${token.after.type}`);
+    }
+    return parts.join(', ');
+  }
+
+  _formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  _markdownValue(value) {
+    return `\`${this._formatValue(value).replace(/\|/g, '\\|')}\``;
+  }
+
+  _flattenTokens(obj, prefix = '', tokens = new Map()) {
+    for (const [key, value] of Object.entries(obj)) {
+      if (key.startsWith('$') || !value || typeof value !== 'object') continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (this._isToken(value)) {
+        tokens.set(currentPath, {
+          type: value.$type || value.type,
+          value: value.$value !== undefined ? value.$value : value.value
+        });
+      } else {
+        this._flattenTokens(value, currentPath, tokens);
+      }
+    }
+
+    return tokens;
+  }
+
+  _isToken(value) {
+    return typeof value === 'object' && value !== null &&
+           (value.$value !== undefined || value.value !== undefined);
+  }
+
+  _signature(token) {
+    return JSON.stringify([token.type, token.value]);
+  }
+
+  _getReference(value) {
+    const match = typeof value === 'string' ? value.trim().match(REFERENCE_PATTERN) : null;
+    return match ? match[1] : null;
+  }
+
+  _unique(values) {
+    return [...new Set(values)];
+  }
+
+  _fromTokenSource(source) {
+    const tokenSets = {};
+    for (const [key, value] of Object.entries(source)) {
+      if (!key.startsWith('$') && value && typeof value === 'object') {
+        tokenSets[key] = value;
+      }
+    }
+
+    return {
+      tokenSets,
+      themes: Array.isArray(source.$themes) ? source.$themes : [],
+      metadata: source.$metadata && Array.isArray(source.$metadata.tokenSetOrder)
+        ? source.$metadata
+        : { tokenSetOrder: Object.keys(tokenSets) }
+    };
+  }
+
+  _loadFromGit(ref, gitPath) {
+    const relativePath = gitPath.replace(/\/+$/, '');
+
+    if (!this._gitPathExists(ref, `${relativePath}/$metadata.json`)) {
+      return this._fromTokenSource(JSON.parse(this._git(['show', `${ref}:./${relativePath}`])));
+    }
+
+    const readJson = fileName => {
+      const filePath = `${relativePath}/${fileName}`;
+      return this._gitPathExists(ref, filePath) ? JSON.parse(this._git(['show', `${ref}:./${filePath}`])) : null;
+    };
+
+    const metadata = readJson('$metadata.json');
+    const themes = readJson('$themes.json');
+    const tokenSets = {};
+
+    for (const setName of metadata.tokenSetOrder || []) {
+      const setData = readJson(`${setName}.json`);
+      if (setData) {
+        tokenSets[setName] = setData;
+      }
+    }
+
+    return { tokenSets, themes: Array.isArray(themes) ? themes : [], metadata };
+  }
+
+  _gitPathExists(ref, filePath) {
+    try {
+      this._git(['cat-file', '-e', `${ref}:./${filePath}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  _git(args) {
+    return execFileSync('git', args, { cwd: this.cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+  }
+}
+
+module.exports = TokenDiff;
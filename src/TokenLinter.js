@@ -0,0 +1,294 @@
+/**
+ * TokenLinter - Configurable lint rules for Token Studio token sets
+ *
+ * This class provides:
+ * - A rule engine running built-in rules (src/lint-rules) and plugin rule modules
+ * - .tokenlintrc configuration: per-rule severity and options, per-set overrides, ignore globs
+ * - Auto-fix for fixable rules, written back to the token set files
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const BUILT_IN_RULES = require('./lint-rules');
+
+const SEVERITIES = ['off', 'info', 'warn', 'error'];
+const CONFIG_FILES = ['.tokenlintrc', '.tokenlintrc.json'];
+
+class TokenLinter {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.configPath = options.configPath || null;
+    this.config = options.config || null;
+    this.rules = new Map();
+    this.errors = [];
+    this.warnings = [];
+
+    BUILT_IN_RULES.forEach(rule => this.registerRule(rule));
+  }
+
+  /**
+   * Register a lint rule module
+   * @param {{name: string, description: string, defaultSeverity: string, fixable: boolean, check: Function}} rule - Rule module
+   * @returns {boolean} True if the rule was registered
+   */
+  registerRule(rule) {
+    if (!rule || typeof rule.name !== 'string' || typeof rule.check !== 'function') {
+      this.errors.push(`Invalid lint rule: expected { name, check(token, context) }`);
+      return false;
+    }
+
+    this.rules.set(rule.name, rule);
+    return true;
+  }
+
+  /**
+   * Load .tokenlintrc and register its plugin rules
+   * @param {string} configPath - Optional config path; defaults to .tokenlintrc next to the tokens directory
+   * @returns {Promise<{success: boolean, config: object, configPath: string|null, errors: string[]}>}
+   */
+  async loadConfig(configPath = this.configPath) {
+    const errors = [];
+    const candidates = configPath
+      ? [path.resolve(configPath)]
+      : CONFIG_FILES.map(fileName => path.join(path.dirname(path.resolve(this.tokensDir)), fileName));
+
+    for (const candidate of candidates) {
+      let content;
+      try {
+        content = await fs.readFile(candidate, 'utf8');
+      } catch (error) {
+        if (configPath) errors.push(`Cannot read lint config ${candidate}: ${error.message}`);
+        continue;
+      }
+
+      try {
+        const config = JSON.parse(content);
+        for (const plugin of config.plugins || []) {
+          const pluginPath = path.resolve(path.dirname(candidate), plugin);
+          try {
+            const rules = require(pluginPath);
+            (Array.isArray(rules) ? rules : [rules]).forEach(rule => {
+              if (!this.registerRule(rule)) errors.push(`Plugin ${plugin} exports an invalid rule`);
+            });
+          } catch (error) {
+            errors.push(`Cannot load lint plugin ${plugin}: ${error.message}`);
+          }
+        }
+
+        this.config = config;
+        return { success: errors.length === 0, config, configPath: candidate, errors };
+      } catch (error) {
+        errors.push(`Invalid JSON in ${candidate}: ${error.message}`);
+        return { success: false, config: null, configPath: candidate, errors };
+      }
+    }
+
+    this.config = this.config || {};
+    return { success: errors.length === 0, config: this.config, configPath: null, errors };
+  }
+
+  /**
+   * Lint every token set listed in $metadata.json
+   * @param {object} options - { fix: apply fixes and write changed files }
+   * @returns {Promise<{success: boolean, issues: object[], fixedCount: number, fixedFiles: string[], errorCount: number, warningCount: number, errors: string[], warnings: string[]}>}
+   */
+  async lint(options = {}) {
+    const { fix = false } = options;
+    this.errors = [];
+    this.warnings = [];
+    const issues = [];
+    const fixedFiles = [];
+    let fixedCount = 0;
+
+    if (!this.config) {
+      const loaded = await this.loadConfig();
+      this.errors.push(...loaded.errors);
+    }
+
+    try {
+      const metadata = JSON.parse(await fs.readFile(path.join(this.tokensDir, '$metadata.json'), 'utf8'));
+
+      for (const setName of metadata.tokenSetOrder || []) {
+        const fileName = `${setName}.json`;
+        if (this._isIgnored(fileName)) continue;
+
+        const filePath = path.join(this.tokensDir, fileName);
+        let data;
+        try {
+          data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            this.warnings.push(`Token set file not found: ${fileName}`);
+          } else {
+            issues.push(this._createIssue('parse-error', 'error', setName, fileName, '', `Invalid JSON in ${fileName}: ${error.message}`, 'Fix the JSON syntax'));
+          }
+          continue;
+        }
+
+        const result = this.lintTokenSet(setName, data, { fix, file: fileName });
+        issues.push(...result.issues);
+
+        if (result.fixedCount > 0) {
+          await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+          fixedCount += result.fixedCount;
+          fixedFiles.push(fileName);
+        }
+      }
+    } catch (error) {
+      this.errors.push(`Lint failed: ${error.message}`);
+    }
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+    return {
+      success: errorCount === 0 && this.errors.length === 0,
+      issues,
+      fixedCount,
+      fixedFiles,
+      errorCount,
+      warningCount: issues.filter(issue => issue.severity === 'warn').length,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * Lint one in-memory token set
+   * @param {string} setName - Token set name used for overrides
+   * @param {object} data - Token set content; mutated when fixing
+   * @param {object} options - { fix, file, rules: rule settings replacing the config }
+   * @returns {{issues: object[], fixedCount: number}}
+   */
+  lintTokenSet(setName, data, options = {}) {
+    const { fix = false, file = `${setName}.json` } = options;
+    const ruleSettings = options.rules || this._getRuleSettings(setName);
+    const issues = [];
+    let fixedCount = 0;
+
+    const activeRules = [];
+    for (const [ruleName, rule] of this.rules.entries()) {
+      const { severity, ruleOptions } = this._parseRuleSetting(ruleSettings[ruleName], rule.defaultSeverity);
+      if (severity !== 'off') activeRules.push({ rule, severity, ruleOptions });
+    }
+
+    for (const token of this._collectTokens(data)) {
+      if (this._isIgnored(token.path)) continue;
+
+      for (const { rule, severity, ruleOptions } of activeRules) {
+        const context = {
+          setName,
+          file,
+          options: ruleOptions,
+          report: report => {
+            const issue = this._createIssue(rule.name, severity, setName, file, token.path, report.message, report.suggestion);
+            issue.fixable = typeof report.fix === 'function';
+
+            if (fix && issue.fixable) {
+              report.fix(token.node);
+              issue.fixed = true;
+              fixedCount++;
+            }
+            issues.push(issue);
+          }
+        };
+
+        try {
+          rule.check(token, context);
+        } catch (error) {
+          this.warnings.push(`Rule ${rule.name} failed on ${setName}:${token.path}: ${error.message}`);
+        }
+      }
+    }
+
+    // Fixed issues are resolved; only what is left over counts
+    return { issues: issues.filter(issue => !issue.fixed), fixedCount };
+  }
+
+  /**
+   * Describe every registered rule
+   * @returns {{name: string, description: string, defaultSeverity: string, fixable: boolean}[]}
+   */
+  listRules() {
+    return Array.from(this.rules.values()).map(rule => ({
+      name: rule.name,
+      description: rule.description || '',
+      defaultSeverity: rule.defaultSeverity || 'error',
+      fixable: rule.fixable === true
+    }));
+  }
+
+  // Private helper methods
+
+  _getRuleSettings(setName) {
+    const config = this.config || {};
+    const settings = { ...(config.rules || {}) };
+
+    // Later overrides win, like ESLint
+    for (const override of config.overrides || []) {
+      const sets = [].concat(override.sets || []);
+      if (sets.some(pattern => this._matchesGlob(pattern, setName))) {
+        Object.assign(settings, override.rules || {});
+      }
+    }
+
+    return settings;
+  }
+
+  _parseRuleSetting(setting, defaultSeverity = 'error') {
+    const [severity, ruleOptions] = Array.isArray(setting) ? setting : [setting, {}];
+    const normalized = severity === undefined ? defaultSeverity : severity;
+
+    if (!SEVERITIES.includes(normalized)) {
+      this.warnings.push(`Unknown lint severity '${normalized}', expected one of ${SEVERITIES.join(', ')}`);
+      return { severity: defaultSeverity, ruleOptions: ruleOptions || {} };
+    }
+
+    return { severity: normalized, ruleOptions: ruleOptions || {} };
+  }
+
+  _isIgnored(target) {
+    const ignore = (this.config && this.config.ignore) || [];
+    return ignore.some(pattern => this._matchesGlob(pattern, target));
+  }
+
+  _matchesGlob(pattern, value) {
+    // ** spans path segments, * stays inside one segment
+    const source = pattern
+      .split('**')
+      .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^./]*'))
+      .join('.*');
+    return new RegExp(`^${source}$`).test(value);
+  }
+
+  _collectTokens(obj, prefix = '', tokens = []) {
+    for (const [key, value] of Object.entries(obj)) {
+      if (key.startsWith('$') || !value || typeof value !== 'object') continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (this._isToken(value)) {
+        tokens.push({
+          path: currentPath,
+          node: value,
+          value: value.$value !== undefined ? value.$value : value.value,
+          type: value.$type || value.type,
+          description: value.$description || value.description
+        });
+      } else {
+        this._collectTokens(value, currentPath, tokens);
+      }
+    }
+
+    return tokens;
+  }
+
+  _createIssue(rule, severity, setName, file, tokenPath, message, suggestion) {
+    return { type: rule, rule, severity, set: setName, file, path: tokenPath, message, suggestion };
+  }
+
+  _isToken(value) {
+    return typeof value === 'object' && value !== null &&
+           (value.$value !== undefined || value.value !== undefined);
+  }
+}
+
+module.exports = TokenLinter;
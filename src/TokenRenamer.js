@@ -0,0 +1,353 @@
+/**
+ * TokenRenamer - Rename or move tokens and groups and rewrite every reference to them
+ *
+ * This class provides:
+ * - Moving a token or a whole group to a new path in every set that defines it
+ * - Rewriting references across all sets: whole values, embedded strings, composite
+ *   sub-values and $extensions such as Token Studio color modifiers
+ * - Renaming $figmaStyleReferences and $figmaVariableReferences keys in $themes.json
+ * - Batch renames from a mapping file, applied in order
+ * - A TokenDiff of the result, and a backup of the tokens folder before writing
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ThemeResolver = require('./ThemeResolver');
+const TokenDiff = require('./TokenDiff');
+const ErrorHandlingSystem = require('./ErrorHandlingSystem');
+
+const REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+const THEME_REFERENCE_KEYS = ['$figmaStyleReferences', '$figmaVariableReferences'];
+
+class TokenRenamer {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.errorHandler = new ErrorHandlingSystem({ backupDir: options.backupDir || '.backups' });
+    this.tokenDiff = new TokenDiff();
+  }
+
+  /**
+   * Read a batch mapping file
+   * @param {string} filePath - JSON object of { "old.path": "new.path" } or an array of { from, to }
+   * @returns {Promise<{success: boolean, mappings: {from: string, to: string}[], errors: string[]}>}
+   */
+  async loadMappingFile(filePath) {
+    try {
+      const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      const mappings = Array.isArray(content)
+        ? content.map(entry => ({ from: entry && entry.from, to: entry && entry.to }))
+        : Object.entries(content || {}).map(([from, to]) => ({ from, to }));
+
+      const invalid = mappings.filter(mapping => typeof mapping.from !== 'string' || typeof mapping.to !== 'string');
+      if (invalid.length > 0) {
+        return { success: false, mappings: [], errors: [`Mapping file ${filePath} has ${invalid.length} entr(y/ies) without string from/to paths`] };
+      }
+
+      return { success: true, mappings, errors: [] };
+    } catch (error) {
+      return { success: false, mappings: [], errors: [`Cannot read mapping file ${filePath}: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Rename tokens on disk
+   * @param {{from: string, to: string}[]} mappings - Renames, applied in order
+   * @param {object} options - { dryRun: only report the changes }
+   * @returns {Promise<{success: boolean, moved: object[], references: object[], themeReferences: object[], files: string[], diff: object|null, backupId: string|null, errors: string[], warnings: string[]}>}
+   */
+  async rename(mappings, options = {}) {
+    const { dryRun = false } = options;
+    const result = {
+      success: false,
+      moved: [],
+      references: [],
+      themeReferences: [],
+      files: [],
+      diff: null,
+      backupId: null,
+      errors: [],
+      warnings: []
+    };
+
+    const resolver = new ThemeResolver({ tokensDir: this.tokensDir });
+    const loaded = await resolver.load();
+    if (!loaded.success) {
+      result.errors.push(...loaded.errors);
+      return result;
+    }
+
+    const before = { label: this.tokensDir, tokenSets: resolver.tokenSets, themes: resolver.themes, metadata: resolver.metadata };
+    const plan = this.planRename(before, mappings);
+    Object.assign(result, { moved: plan.moved, references: plan.references, themeReferences: plan.themeReferences });
+    if (plan.errors.length > 0) {
+      result.errors.push(...plan.errors);
+      return result;
+    }
+
+    const after = { label: `${this.tokensDir} (renamed)`, tokenSets: plan.tokenSets, themes: plan.themes, metadata: before.metadata };
+    result.diff = this.tokenDiff.compare(before, after);
+    result.warnings.push(...result.diff.warnings);
+
+    const changedFiles = this._getChangedFiles(before, after);
+    if (dryRun || changedFiles.length === 0) {
+      result.files = changedFiles.map(file => file.name);
+      result.success = true;
+      return result;
+    }
+
+    const backup = await this.errorHandler.createOperationBackup('rename', [this.tokensDir], { mappings });
+    if (!backup.success) {
+      result.errors.push(`Backup failed, nothing was renamed: ${backup.errors.join(', ')}`);
+      return result;
+    }
+    result.backupId = backup.backupId;
+
+    try {
+      for (const file of changedFiles) {
+        await fs.writeFile(path.join(this.tokensDir, file.name), JSON.stringify(file.data, null, 2));
+        result.files.push(file.name);
+      }
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`Rename failed, restore with backup ${result.backupId}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply renames to loaded token sets and themes without touching the originals
+   * @param {{tokenSets: object, themes: object[]}} source - Loaded token source
+   * @param {{from: string, to: string}[]} mappings - Renames, applied in order
+   * @returns {{tokenSets: object, themes: object[], moved: object[], references: object[], themeReferences: object[], errors: string[]}}
+   */
+  planRename(source, mappings) {
+    const plan = {
+      tokenSets: JSON.parse(JSON.stringify(source.tokenSets)),
+      themes: JSON.parse(JSON.stringify(source.themes || [])),
+      moved: [],
+      references: [],
+      themeReferences: [],
+      errors: []
+    };
+
+    if (mappings.length === 0) {
+      plan.errors.push('No renames given');
+      return plan;
+    }
+
+    for (const { from, to } of mappings) {
+      const fromParts = this._splitPath(from);
+      const toParts = this._splitPath(to);
+
+      if (fromParts.length === 0 || toParts.length === 0) {
+        plan.errors.push(`Invalid rename '${from}' → '${to}': both paths are required`);
+        continue;
+      }
+      if (from === to) {
+        plan.errors.push(`Invalid rename '${from}' → '${to}': paths are the same`);
+        continue;
+      }
+      if (to.startsWith(`${from}.`)) {
+        plan.errors.push(`Invalid rename '${from}' → '${to}': cannot move a group into itself`);
+        continue;
+      }
+
+      const definingSets = Object.keys(plan.tokenSets).filter(setName => this._getNode(plan.tokenSets[setName], fromParts) !== undefined);
+      if (definingSets.length === 0) {
+        plan.errors.push(`Cannot rename '${from}': no token or group with that path in any set`);
+        continue;
+      }
+
+      const conflicts = definingSets.filter(setName => this._getNode(plan.tokenSets[setName], toParts) !== undefined);
+      if (conflicts.length > 0) {
+        plan.errors.push(`Cannot rename '${from}' → '${to}': '${to}' already exists in ${conflicts.join(', ')}`);
+        continue;
+      }
+
+      for (const setName of definingSets) {
+        plan.tokenSets[setName] = this._moveNode(plan.tokenSets[setName], fromParts, toParts);
+        plan.moved.push({ set: setName, from, to });
+      }
+
+      for (const [setName, data] of Object.entries(plan.tokenSets)) {
+        this._collectTokens(data, '', (tokenPath, token) => {
+          const previousValue = token.$value !== undefined ? token.$value : token.value;
+          if (this._rewriteToken(token, from, to)) {
+            plan.references.push({
+              set: setName,
+              path: tokenPath,
+              before: previousValue,
+              after: token.$value !== undefined ? token.$value : token.value
+            });
+          }
+        });
+      }
+
+      for (const theme of plan.themes) {
+        for (const kind of THEME_REFERENCE_KEYS) {
+          if (!theme[kind] || typeof theme[kind] !== 'object') continue;
+
+          theme[kind] = this._renameKeys(theme[kind], key => {
+            const renamed = this._renamePath(key, from, to);
+            if (renamed !== key) plan.themeReferences.push({ theme: theme.name, kind, from: key, to: renamed });
+            return renamed;
+          });
+        }
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Render the moves, rewritten references and token diff of a rename as text
+   * @param {object} result - Result of rename()
+   * @returns {string}
+   */
+  formatText(result) {
+    const lines = [];
+
+    result.moved.forEach(move => lines.push(`→ ${move.set}: ${move.from} moved to ${move.to}`));
+    if (result.references.length > 0) {
+      lines.push('', `Rewrote references in ${result.references.length} token(s):`);
+      result.references.forEach(reference => lines.push(
+        `  ${reference.set}: ${reference.path} ${this._formatValue(reference.before)} → ${this._formatValue(reference.after)}`
+      ));
+    }
+    if (result.themeReferences.length > 0) {
+      lines.push('', `Renamed ${result.themeReferences.length} Figma reference key(s) in $themes.json:`);
+      result.themeReferences.forEach(reference => lines.push(`  ${reference.theme} ${reference.kind}: ${reference.from} → ${reference.to}`));
+    }
+    if (result.diff) {
+      lines.push('', this.tokenDiff.formatText(result.diff));
+    }
+
+    return lines.join('\n');
+  }
+
+  // Private helper methods
+
+  _splitPath(tokenPath) {
+    return typeof tokenPath === 'string' && tokenPath.trim() ? tokenPath.trim().split('.') : [];
+  }
+
+  _renamePath(tokenPath, from, to) {
+    if (tokenPath === from) return to;
+    if (tokenPath.startsWith(`${from}.`)) return `${to}${tokenPath.slice(from.length)}`;
+    return tokenPath;
+  }
+
+  _rewriteToken(token, from, to) {
+    let changed = false;
+    const rewrite = value => {
+      if (typeof value === 'string') {
+        const rewritten = value.replace(REFERENCE_PATTERN, (match, referencePath) => {
+          const renamed = this._renamePath(referencePath.trim(), from, to);
+          return renamed === referencePath.trim() ? match : `{${renamed}}`;
+        });
+        if (rewritten !== value) changed = true;
+        return rewritten;
+      }
+      if (Array.isArray(value)) return value.map(rewrite);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, rewrite(entry)]));
+      }
+      return value;
+    };
+
+    for (const key of ['$value', 'value', '$extensions']) {
+      if (token[key] !== undefined) token[key] = rewrite(token[key]);
+    }
+    return changed;
+  }
+
+  _getNode(obj, pathParts) {
+    let current = obj;
+    for (const part of pathParts) {
+      if (!current || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) return undefined;
+      current = current[part];
+    }
+    return current;
+  }
+
+  _moveNode(data, fromParts, toParts) {
+    const node = this._getNode(data, fromParts);
+    const fromParent = fromParts.slice(0, -1);
+    const toParent = toParts.slice(0, -1);
+
+    // Renaming within the same group keeps the token at its position
+    if (fromParent.join('.') === toParent.join('.')) {
+      const oldKey = fromParts[fromParts.length - 1];
+      const newKey = toParts[toParts.length - 1];
+      const renamed = this._renameKeys(fromParent.length > 0 ? this._getNode(data, fromParent) : data, key => key === oldKey ? newKey : key);
+      if (fromParent.length === 0) return renamed;
+
+      this._getNode(data, fromParent.slice(0, -1))[fromParent[fromParent.length - 1]] = renamed;
+      return data;
+    }
+
+    this._removeNode(data, fromParts);
+
+    let parent = data;
+    for (const part of toParent) {
+      if (!parent[part] || typeof parent[part] !== 'object') parent[part] = {};
+      parent = parent[part];
+    }
+    parent[toParts[toParts.length - 1]] = node;
+    return data;
+  }
+
+  _removeNode(obj, pathParts) {
+    const [key, ...rest] = pathParts;
+    if (rest.length === 0) {
+      delete obj[key];
+      return;
+    }
+
+    this._removeNode(obj[key], rest);
+
+    // Drop groups the move left without tokens or subgroups
+    if (Object.keys(obj[key]).every(childKey => childKey.startsWith('$'))) {
+      delete obj[key];
+    }
+  }
+
+  _renameKeys(obj, rename) {
+    return Object.fromEntries(Object.entries(obj).map(([key, value]) => [rename(key), value]));
+  }
+
+  _collectTokens(obj, prefix, callback) {
+    for (const [key, value] of Object.entries(obj || {})) {
+      if (key.startsWith('$') || !value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (value.$value !== undefined || value.value !== undefined) {
+        callback(currentPath, value);
+      } else {
+        this._collectTokens(value, currentPath, callback);
+      }
+    }
+  }
+
+  _getChangedFiles(before, after) {
+    const files = [];
+
+    for (const setName of Object.keys(after.tokenSets)) {
+      if (JSON.stringify(before.tokenSets[setName]) !== JSON.stringify(after.tokenSets[setName])) {
+        files.push({ name: `${setName}.json`, data: after.tokenSets[setName] });
+      }
+    }
+    if (JSON.stringify(before.themes) !== JSON.stringify(after.themes)) {
+      files.push({ name: '$themes.json', data: after.themes });
+    }
+
+    return files;
+  }
+
+  _formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+}
+
+module.exports = TokenRenamer;
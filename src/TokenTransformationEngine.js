@@ -149,9 +149,9 @@ class TokenTransformationEngine {
       if (!backupResult.success) {
         this.warnings.push(`Backup creation failed: ${backupResult.errors.join(', ')}`);
       }
-      // Read metadata to understand token set structure
-      const metadata = await this._readMetadata(tokensDir);
-      if (!metadata) {
+      // Read metadata, themes and token sets into Token Studio multi-set structure
+      const built = await this._buildSource(tokensDir);
+      if (!built.source) {
         // Generate error report with suggestions
         const errorReport = await this.errorHandler.generateErrorReport(
           new Error(`Failed to read metadata from: ${tokensDir}`),
@@ -167,17 +167,8 @@ class TokenTransformationEngine {
         };
       }
 
-      // Read themes configuration
-      const themes = await this._readThemes(tokensDir);
-
-      // Read all token set files
-      const tokenSets = await this._readTokenSets(tokensDir, metadata.tokenSetOrder);
-      
-      // Consolidate into single source structure
-      const consolidatedSource = await this._consolidateTokenSets(tokenSets, themes, metadata);
-      
-      // Count tokens for reporting
-      tokensCount = this._countTokens(consolidatedSource);
+      const { source: consolidatedSource, conflicts } = built;
+      tokensCount = built.tokensCount;
 
       // Write consolidated source
       await this._writeSourceFile(consolidatedSource, outputPath);
@@ -185,6 +176,7 @@ class TokenTransformationEngine {
       const result = {
         success: this.errors.length === 0,
         tokensCount,
+        conflicts,
         errors: this.errors,
         warnings: this.warnings,
         backupId: backupResult.backupId
@@ -217,6 +209,71 @@ class TokenTransformationEngine {
     }
   }
 
+  /**
+   * Build consolidated tokensource.json content in memory, without backups or writes
+   * @param {string} tokensDir - Directory containing modular token files
+   * @returns {Promise<{success: boolean, source: object|null, tokensCount: number, conflicts: object[], errors: string[], warnings: string[]}>}
+   */
+  async buildSource(tokensDir) {
+    this.errors = [];
+    this.warnings = [];
+
+    const built = await this._buildSource(tokensDir);
+
+    return {
+      success: built.source !== null && this.errors.length === 0,
+      ...built,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * Detect token paths defined in more than one token set
+   * @param {object} tokenSets - Token set contents keyed by set name
+   * @param {object[]} themes - Theme configurations from $themes.json
+   * @param {object} metadata - Metadata containing tokenSetOrder
+   * @returns {object[]} Override entries with the defining sets and the winning set per theme
+   */
+  detectSetOverrides(tokenSets, themes = [], metadata = {}) {
+    const setOrder = this._getOrderedSetNames(tokenSets, metadata);
+    const definitions = new Map();
+
+    for (const setName of setOrder) {
+      for (const tokenPath of this._collectTokenPaths(tokenSets[setName])) {
+        if (!definitions.has(tokenPath)) {
+          definitions.set(tokenPath, []);
+        }
+        definitions.get(tokenPath).push(setName);
+      }
+    }
+
+    const conflicts = [];
+
+    for (const [tokenPath, sets] of definitions.entries()) {
+      if (sets.length < 2) continue;
+
+      // Later sets in tokenSetOrder override earlier ones
+      const winners = {};
+      for (const theme of themes || []) {
+        const selected = theme.selectedTokenSets || {};
+        const activeSets = sets.filter(setName => selected[setName] && selected[setName] !== 'disabled');
+        if (activeSets.length > 0) {
+          winners[theme.name] = activeSets[activeSets.length - 1];
+        }
+      }
+
+      conflicts.push({
+        path: tokenPath,
+        sets,
+        winner: sets[sets.length - 1],
+        themes: winners
+      });
+    }
+
+    return conflicts;
+  }
+
   /**
    * Validate transformation integrity by testing roundtrip conversion
    * @param {string} originalSource - Path to original tokensource.json
@@ -691,12 +748,31 @@ class TokenTransformationEngine {
     return tokenSets;
   }
 
+  async _buildSource(tokensDir) {
+    const metadata = await this._readMetadata(tokensDir);
+    if (!metadata) {
+      return { source: null, tokensCount: 0, conflicts: [] };
+    }
+
+    const themes = await this._readThemes(tokensDir);
+    const tokenSets = await this._readTokenSets(tokensDir, metadata.tokenSetOrder || []);
+    const source = await this._consolidateTokenSets(tokenSets, themes, metadata);
+
+    // Report tokens that are defined in more than one set
+    const conflicts = this.detectSetOverrides(tokenSets, themes, metadata);
+    if (conflicts.length > 0) {
+      this.warnings.push(`${conflicts.length} token paths are defined in more than one token set`);
+    }
+
+    return { source, tokensCount: this._countTokens(source), conflicts };
+  }
+
   async _consolidateTokenSets(tokenSets, themes, metadata) {
     const consolidated = {};
     
-    // Merge all token sets into consolidated structure
-    for (const [setName, tokens] of Object.entries(tokenSets)) {
-      this._mergeTokens(consolidated, tokens);
+    // Keep one top-level key per token set so set boundaries survive the roundtrip
+    for (const setName of this._getOrderedSetNames(tokenSets, metadata)) {
+      consolidated[setName] = tokenSets[setName];
     }
     
     // Add themes if present
@@ -704,14 +780,45 @@ class TokenTransformationEngine {
       consolidated.$themes = themes;
     }
     
-    // Add metadata if needed
-    if (metadata && Object.keys(metadata).length > 1) {
+    // Token Studio needs tokenSetOrder to read a multi-set file back
+    if (metadata && (Array.isArray(metadata.tokenSetOrder) || Object.keys(metadata).length > 1)) {
       consolidated.$metadata = metadata;
     }
     
     return consolidated;
   }
 
+  _getOrderedSetNames(tokenSets, metadata) {
+    const order = (metadata && Array.isArray(metadata.tokenSetOrder)) ? metadata.tokenSetOrder : [];
+    const ordered = order.filter(setName => tokenSets[setName] !== undefined);
+
+    // Sets that were loaded but are missing from tokenSetOrder go last
+    for (const setName of Object.keys(tokenSets)) {
+      if (!ordered.includes(setName)) {
+        ordered.push(setName);
+      }
+    }
+
+    return ordered;
+  }
+
+  _collectTokenPaths(tokenData, prefix = '', paths = []) {
+    if (!this._isTokenSet(tokenData)) return paths;
+
+    for (const [key, value] of Object.entries(tokenData)) {
+      if (key.startsWith('$')) continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (this._isToken(value)) {
+        paths.push(currentPath);
+      } else if (this._isTokenGroup(value)) {
+        this._collectTokenPaths(value, currentPath, paths);
+      }
+    }
+
+    return paths;
+  }
+
   _mergeTokens(target, source) {
     for (const [key, value] of Object.entries(source)) {
       if (this._isTokenGroup(value) && target[key] && this._isTokenGroup(target[key])) {
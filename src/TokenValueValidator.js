@@ -0,0 +1,349 @@
+/**
+ * TokenValueValidator - Per-type value validation for Token Studio tokens
+ *
+ * This class provides:
+ * - A validator for every Token Studio type, including the plural legacy names
+ *   (fontWeights, fontSizes, lineHeights)
+ * - Field-level checks inside composites (typography, boxShadow layers, border, composition)
+ * - Precise messages naming the token path, the offending field and the expected format
+ *
+ * Shared by ValidationSystem, ModularEditingManager (the AI editing validator) and the
+ * valid-value lint rule. References are left to the reference checks; math expressions
+ * only need to parse.
+ */
+
+const MathExpressionEngine = require('./MathExpressionEngine');
+
+const CSS_UNITS = 'px|rem|em|%|pt|pc|in|cm|mm|ex|ch|vw|vh|vmin|vmax';
+const NUMBER_WITH_UNIT = new RegExp(`^-?(\\d+(\\.\\d+)?|\\.\\d+)(${CSS_UNITS})?$`);
+
+const NAMED_COLORS = [
+  'transparent', 'currentcolor', 'black', 'white', 'red', 'green', 'blue', 'yellow', 'cyan', 'magenta',
+  'orange', 'purple', 'pink', 'brown', 'gray', 'grey', 'darkgray', 'darkgrey', 'lightgray', 'lightgrey'
+];
+
+const FONT_WEIGHT_NAMES = [
+  'thin', 'hairline', 'extralight', 'ultralight', 'light', 'regular', 'normal', 'book', 'medium',
+  'semibold', 'demibold', 'bold', 'extrabold', 'ultrabold', 'black', 'heavy'
+];
+
+const TEXT_CASES = ['none', 'uppercase', 'lowercase', 'capitalize', 'upper', 'lower', 'title', 'small-caps', 'small_caps'];
+const TEXT_DECORATIONS = ['none', 'underline', 'line-through', 'overline', 'strikethrough'];
+const BORDER_STYLES = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'inset', 'outset', 'none', 'hidden'];
+const SHADOW_TYPES = ['dropShadow', 'innerShadow'];
+
+const EXPRESSION_SUGGESTION = 'Use numbers, token references, + - * /, parentheses and roundTo()/round()/floor()/ceil()/abs()/min()/max()';
+
+class TokenValueValidator {
+  constructor() {
+    this.mathEngine = new MathExpressionEngine();
+
+    const dimension = (value, tokenPath) => this._validateDimension(value, tokenPath, { allowNegative: true });
+    const size = (value, tokenPath) => this._validateDimension(value, tokenPath, { allowNegative: false });
+    const multiSize = (value, tokenPath) => this._validateDimension(value, tokenPath, { allowNegative: false, allowMultiple: true });
+
+    this.validators = {
+      color: (value, tokenPath) => this._validateColor(value, tokenPath),
+      dimension,
+      spacing: (value, tokenPath) => this._validateDimension(value, tokenPath, { allowNegative: true, allowMultiple: true }),
+      sizing: size,
+      borderRadius: multiSize,
+      borderWidth: size,
+      paragraphSpacing: size,
+      paragraphIndent: size,
+      fontSize: size,
+      fontSizes: size,
+      letterSpacing: dimension,
+      lineHeight: (value, tokenPath) => this._validateLineHeight(value, tokenPath),
+      lineHeights: (value, tokenPath) => this._validateLineHeight(value, tokenPath),
+      fontWeight: (value, tokenPath) => this._validateFontWeight(value, tokenPath),
+      fontWeights: (value, tokenPath) => this._validateFontWeight(value, tokenPath),
+      fontFamily: (value, tokenPath) => this._validateFontFamily(value, tokenPath),
+      fontFamilies: (value, tokenPath) => this._validateFontFamily(value, tokenPath),
+      opacity: (value, tokenPath) => this._validateOpacity(value, tokenPath),
+      textCase: (value, tokenPath) => this._validateKeyword(value, tokenPath, 'textCase', TEXT_CASES),
+      textDecoration: (value, tokenPath) => this._validateKeyword(value, tokenPath, 'textDecoration', TEXT_DECORATIONS),
+      typography: (value, tokenPath) => this._validateTypography(value, tokenPath),
+      boxShadow: (value, tokenPath) => this._validateBoxShadow(value, tokenPath),
+      border: (value, tokenPath) => this._validateBorder(value, tokenPath),
+      composition: (value, tokenPath) => this._validateComposition(value, tokenPath)
+    };
+  }
+
+  /**
+   * Validate a token value against its type
+   * @param {any} value - Token $value
+   * @param {string} type - Token $type; unknown types are accepted
+   * @param {string} tokenPath - Token path used in messages
+   * @returns {{isValid: boolean, message?: string, suggestion?: string}}
+   */
+  validate(value, type, tokenPath) {
+    const dynamic = this._checkDynamic(value, tokenPath);
+    if (dynamic) return dynamic;
+
+    const validator = this.validators[type];
+    return validator ? validator(value, tokenPath) : { isValid: true };
+  }
+
+  /**
+   * List the token types with a dedicated validator
+   * @returns {string[]}
+   */
+  getSupportedTypes() {
+    return Object.keys(this.validators);
+  }
+
+  // Private helper methods
+
+  _checkDynamic(value, tokenPath) {
+    if (this.mathEngine.isExpression(value)) {
+      // Expression references are resolved at build time; only the syntax is checked here
+      const parsed = this.mathEngine.parse(value, { tokenPath });
+      return parsed.success
+        ? { isValid: true }
+        : { isValid: false, message: parsed.errors[0], suggestion: EXPRESSION_SUGGESTION };
+    }
+
+    if (typeof value === 'string' && value.includes('{') && value.includes('}')) {
+      // Reference values are validated separately
+      return { isValid: true };
+    }
+
+    return null;
+  }
+
+  _validateField(value, type, fieldPath) {
+    return this._checkDynamic(value, fieldPath) || this.validators[type](value, fieldPath);
+  }
+
+  _invalid(message, suggestion) {
+    return { isValid: false, message, suggestion };
+  }
+
+  _validateColor(value, tokenPath) {
+    if (typeof value !== 'string') {
+      return this._invalid(`Color value must be a string: ${tokenPath}`, 'Use hex, rgb, rgba, or named color format');
+    }
+
+    const color = value.trim();
+
+    if (color.startsWith('#')) {
+      return /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)
+        ? { isValid: true }
+        : this._invalid(
+          `Invalid color format: ${value} at ${tokenPath} (hex colors need 3, 4, 6 or 8 hex digits)`,
+          'Use a complete hex color such as #1d2024 or #1d202480'
+        );
+    }
+
+    const functional = color.match(/^(rgba?|hsla?)\((.*)\)$/i);
+    if (functional) {
+      const channels = functional[2].split(/[\s,/]+/).filter(Boolean);
+      const isNumeric = channels.every(channel => /^-?(\d+(\.\d+)?|\.\d+)(%|deg)?$/.test(channel));
+      return channels.length >= 3 && channels.length <= 4 && isNumeric
+        ? { isValid: true }
+        : this._invalid(
+          `Invalid color format: ${value} at ${tokenPath} (${functional[1]}() needs 3 or 4 numeric channels)`,
+          'Use rgb(29, 32, 36), rgba(29, 32, 36, 0.5) or hsl(210, 10%, 13%)'
+        );
+    }
+
+    if (/^(linear|radial|conic)-gradient\(.*\)$/i.test(color) || NAMED_COLORS.includes(color.toLowerCase())) {
+      return { isValid: true };
+    }
+
+    return this._invalid(
+      `Invalid color format: ${value}`,
+      'Use valid color format (hex, rgb, rgba, hsl, hsla, or named color)'
+    );
+  }
+
+  _validateDimension(value, tokenPath, options = {}) {
+    const { allowNegative = true, allowMultiple = false } = options;
+    const parts = typeof value === 'number' ? [String(value)] : String(value).trim().split(/\s+/);
+
+    if (typeof value !== 'number' && typeof value !== 'string') {
+      return this._invalid(`Invalid dimension value: ${JSON.stringify(value)} at ${tokenPath} (expected a number or string)`, 'Use a number or a string with a unit such as 16px or 1rem');
+    }
+
+    if (!allowMultiple && parts.length > 1) {
+      return this._invalid(`Invalid dimension value: ${value} at ${tokenPath} (only one value is allowed)`, 'Use a single value such as 16 or 16px');
+    }
+
+    for (const part of parts) {
+      if (!NUMBER_WITH_UNIT.test(part)) {
+        return this._invalid(
+          `Invalid dimension value: ${value}${tokenPath ? ` at ${tokenPath}` : ''}`,
+          'Use number or string with valid unit (px, rem, em, %, etc.)'
+        );
+      }
+      if (!allowNegative && part.startsWith('-')) {
+        return this._invalid(`Negative value ${value} at ${tokenPath} is not allowed for this type`, 'Use a value of 0 or more');
+      }
+    }
+
+    return { isValid: true };
+  }
+
+  _validateLineHeight(value, tokenPath) {
+    if (typeof value === 'string' && ['auto', 'normal'].includes(value.trim().toLowerCase())) {
+      return { isValid: true };
+    }
+
+    const dimension = this._validateDimension(value, tokenPath, { allowNegative: false });
+    return dimension.isValid
+      ? dimension
+      : this._invalid(`Invalid line height: ${value} at ${tokenPath}`, 'Use AUTO, a percentage (120%), a pixel value (24) or a unit (1.5rem)');
+  }
+
+  _validateFontWeight(value, tokenPath) {
+    if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+      const weight = Number(value);
+      return weight >= 1 && weight <= 1000 && Number.isInteger(weight)
+        ? { isValid: true }
+        : this._invalid(`Font weight ${value} at ${tokenPath} is outside 1-1000`, 'Use a weight such as 400 or 700');
+    }
+
+    const name = String(value).replace(/italic/i, '').replace(/[\s_-]/g, '').toLowerCase();
+    if (typeof value === 'string' && (name === '' || FONT_WEIGHT_NAMES.includes(name))) {
+      return { isValid: true };
+    }
+
+    return this._invalid(
+      `Unknown font weight '${value}' at ${tokenPath}`,
+      `Use a number (100-900) or a named weight: ${FONT_WEIGHT_NAMES.join(', ')} (optionally followed by Italic)`
+    );
+  }
+
+  _validateFontFamily(value, tokenPath) {
+    return typeof value === 'string' && value.trim() !== ''
+      ? { isValid: true }
+      : this._invalid(`Font family at ${tokenPath} must be a non-empty string`, 'Use a family name such as Roboto');
+  }
+
+  _validateOpacity(value, tokenPath) {
+    const text = String(value).trim();
+    const match = text.match(/^(\d+(\.\d+)?|\.\d+)(%)?$/);
+
+    if (!match || (typeof value !== 'number' && typeof value !== 'string')) {
+      return this._invalid(`Invalid opacity: ${value} at ${tokenPath}`, 'Use a number between 0 and 1 or a percentage such as 40%');
+    }
+
+    const number = parseFloat(match[1]);
+    const inRange = match[3] ? number <= 100 : number <= 1;
+    return inRange
+      ? { isValid: true }
+      : this._invalid(`Opacity ${value} at ${tokenPath} is out of range`, match[3] ? 'Use 0% to 100%' : 'Use 0 to 1, or a percentage');
+  }
+
+  _validateKeyword(value, tokenPath, type, allowed) {
+    return typeof value === 'string' && allowed.includes(value.trim().toLowerCase())
+      ? { isValid: true }
+      : this._invalid(`Invalid ${type} '${value}' at ${tokenPath}`, `Use one of: ${allowed.join(', ')}`);
+  }
+
+  _validateTypography(value, tokenPath) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return this._invalid(`Typography value must be an object: ${tokenPath}`, 'Use object with fontFamily, fontSize, fontWeight, etc.');
+    }
+
+    if (!value.fontFamily) {
+      return this._invalid(`Typography missing required properties: fontFamily at ${tokenPath}`, 'Add required typography properties');
+    }
+
+    const fields = {
+      fontFamily: 'fontFamily',
+      fontWeight: 'fontWeight',
+      fontSize: 'fontSize',
+      lineHeight: 'lineHeight',
+      letterSpacing: 'letterSpacing',
+      paragraphSpacing: 'paragraphSpacing',
+      paragraphIndent: 'paragraphIndent',
+      textCase: 'textCase',
+      textDecoration: 'textDecoration'
+    };
+
+    return this._validateFields(value, fields, tokenPath);
+  }
+
+  _validateBoxShadow(value, tokenPath) {
+    const layers = Array.isArray(value) ? value : [value];
+
+    if (layers.length === 0) {
+      return this._invalid(`Box shadow at ${tokenPath} has no layers`, 'Add at least one shadow object');
+    }
+
+    for (let index = 0; index < layers.length; index++) {
+      const layer = layers[index];
+      const layerPath = Array.isArray(value) ? `${tokenPath}[${index}]` : tokenPath;
+
+      if (typeof layer !== 'object' || layer === null) {
+        return this._invalid(`Box shadow layer must be an object: ${layerPath}`, 'Use { x, y, blur, spread, color, type }');
+      }
+
+      const missing = ['x', 'y', 'blur', 'spread', 'color'].filter(field => layer[field] === undefined || layer[field] === '');
+      if (missing.length > 0) {
+        return this._invalid(`Box shadow ${layerPath} missing ${missing.join(', ')}`, 'Use { x, y, blur, spread, color, type }');
+      }
+
+      if (layer.type !== undefined && !SHADOW_TYPES.includes(layer.type)) {
+        return this._invalid(`Invalid shadow type '${layer.type}' at ${layerPath}.type`, `Use one of: ${SHADOW_TYPES.join(', ')}`);
+      }
+
+      const result = this._validateFields(layer, { x: 'dimension', y: 'dimension', blur: 'sizing', spread: 'dimension', color: 'color' }, layerPath);
+      if (!result.isValid) return result;
+    }
+
+    return { isValid: true };
+  }
+
+  _validateBorder(value, tokenPath) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return this._invalid(`Border value must be an object: ${tokenPath}`, 'Use { color, width, style }');
+    }
+
+    const missing = ['color', 'width', 'style'].filter(field => value[field] === undefined || value[field] === '');
+    if (missing.length > 0) {
+      return this._invalid(`Border ${tokenPath} missing ${missing.join(', ')}`, 'Use { color, width, style }');
+    }
+
+    if (!this._checkDynamic(value.style, `${tokenPath}.style`) && !BORDER_STYLES.includes(String(value.style).toLowerCase())) {
+      return this._invalid(`Invalid border style '${value.style}' at ${tokenPath}.style`, `Use one of: ${BORDER_STYLES.join(', ')}`);
+    }
+
+    return this._validateFields(value, { color: 'color', width: 'borderWidth' }, tokenPath);
+  }
+
+  _validateComposition(value, tokenPath) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value) || Object.keys(value).length === 0) {
+      return this._invalid(`Composition at ${tokenPath} must be an object with at least one property`, 'Use { property: value } pairs such as { fill: "{color.primary}" }');
+    }
+
+    for (const [property, propertyValue] of Object.entries(value)) {
+      if (typeof propertyValue !== 'string' && typeof propertyValue !== 'number') {
+        return this._invalid(`Composition property ${tokenPath}.${property} must be a string, number or reference`, 'Reference other tokens for composite values');
+      }
+
+      // Composition keys are token types (fill, spacing, borderRadius, ...)
+      if (this.validators[property]) {
+        const result = this._validateField(propertyValue, property, `${tokenPath}.${property}`);
+        if (!result.isValid) return result;
+      }
+    }
+
+    return { isValid: true };
+  }
+
+  _validateFields(value, fields, tokenPath) {
+    for (const [field, type] of Object.entries(fields)) {
+      if (value[field] === undefined || value[field] === '') continue;
+
+      const result = this._validateField(value[field], type, `${tokenPath}.${field}`);
+      if (!result.isValid) return result;
+    }
+
+    return { isValid: true };
+  }
+}
+
+module.exports = TokenValueValidator;
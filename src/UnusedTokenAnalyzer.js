@@ -0,0 +1,312 @@
+/**
+ * UnusedTokenAnalyzer - Find tokens nothing refers to, built on the ModularEditingManager reference graph
+ *
+ * This class provides:
+ * - Per theme, the tokens in its enabled and source sets with zero inbound references
+ *   from the sets that theme activates
+ * - Tokens whose only inbound references come from sets the theme marks as disabled
+ * - $figmaStyleReferences entries in $themes.json that name tokens the theme does not define
+ * - Pruning of never-emitted unreferenced tokens and stale style references, after a backup
+ *
+ * Only tokens in sets that every using theme marks as source are prunable: enabled sets end
+ * up in the build output, so an unreferenced token there may still be used by product code.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ModularEditingManager = require('./ModularEditingManager');
+const ErrorHandlingSystem = require('./ErrorHandlingSystem');
+const ThemeResolver = require('./ThemeResolver');
+
+class UnusedTokenAnalyzer {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.manager = options.manager || new ModularEditingManager(this.tokensDir);
+    this.errorHandler = new ErrorHandlingSystem({ backupDir: options.backupDir || '.backups' });
+  }
+
+  /**
+   * Analyze token usage across every theme
+   * @returns {Promise<{success: boolean, themes: object[], missingStyleReferences: object[], prunable: object[], summary: object, errors: string[], warnings: string[]}>}
+   */
+  async analyze() {
+    const result = {
+      success: false,
+      themes: [],
+      missingStyleReferences: [],
+      prunable: [],
+      summary: { tokens: 0, unused: 0, disabledOnly: 0, missingStyleReferences: 0, prunable: 0 },
+      errors: [],
+      warnings: []
+    };
+
+    this.manager.errors = [];
+    const referenceGraph = await this.manager.buildReferenceGraph();
+    if (this.manager.errors.length > 0) {
+      result.errors.push(...this.manager.errors);
+      return result;
+    }
+
+    const tokenSets = {};
+    for (const [setName, setInfo] of this.manager.tokenCache.entries()) {
+      tokenSets[setName] = setInfo.data;
+    }
+
+    const themes = await this._loadThemes(result.warnings);
+    const resolver = new ThemeResolver({ tokenSets, themes, metadata: { tokenSetOrder: Object.keys(tokenSets) } });
+    const inbound = this._buildInboundIndex(referenceGraph);
+
+    // Without themes every set counts as enabled, as in a plain tokenSetOrder build
+    const stacks = themes.length > 0
+      ? themes.map(theme => ({ theme, stack: resolver.getSetStack(theme.name) }))
+      : [{ theme: { name: 'All sets', selectedTokenSets: {} }, stack: Object.keys(tokenSets).map(name => ({ name, status: 'enabled' })) }];
+
+    for (const { theme, stack } of stacks) {
+      const activeSets = new Set(stack.map(entry => entry.name));
+      const selected = theme.selectedTokenSets || {};
+      const themeReport = { name: theme.name, sets: stack, unused: [], disabledOnly: [] };
+
+      for (const { name: setName, status } of stack) {
+        this._collectTokenPaths(tokenSets[setName], '', tokenPath => {
+          const references = (inbound.get(tokenPath) || []).filter(reference => reference.path !== tokenPath);
+          if (references.some(reference => activeSets.has(reference.set))) return;
+
+          const disabledReferences = references.filter(reference => selected[reference.set] === 'disabled');
+          if (disabledReferences.length > 0) {
+            themeReport.disabledOnly.push({ path: tokenPath, set: setName, status, referencedFrom: disabledReferences });
+          } else {
+            themeReport.unused.push({ path: tokenPath, set: setName, status });
+          }
+        });
+      }
+
+      result.themes.push(themeReport);
+
+      for (const [tokenPath, styleId] of Object.entries(theme.$figmaStyleReferences || {})) {
+        if (!resolver.findToken(tokenPath, theme.name)) {
+          result.missingStyleReferences.push({ theme: theme.name, path: tokenPath, styleId });
+        }
+      }
+    }
+
+    if (themes.length > 0) {
+      result.prunable = this._findPrunable(tokenSets, themes, inbound);
+    }
+
+    const tokenCount = Object.values(tokenSets).reduce((count, data) => {
+      this._collectTokenPaths(data, '', () => count++);
+      return count;
+    }, 0);
+
+    result.summary = {
+      tokens: tokenCount,
+      unused: result.themes.reduce((count, theme) => count + theme.unused.length, 0),
+      disabledOnly: result.themes.reduce((count, theme) => count + theme.disabledOnly.length, 0),
+      missingStyleReferences: result.missingStyleReferences.length,
+      prunable: result.prunable.length
+    };
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * Remove the prunable tokens and missing style references of a report, after backing up the tokens folder
+   * @param {object} report - Result of analyze()
+   * @returns {Promise<{success: boolean, backupId: string|null, backupPath: string|null, removedTokens: object[], removedStyleReferences: object[], files: string[], errors: string[]}>}
+   */
+  async prune(report) {
+    const result = { success: false, backupId: null, backupPath: null, removedTokens: [], removedStyleReferences: [], files: [], errors: [] };
+
+    if (report.prunable.length === 0 && report.missingStyleReferences.length === 0) {
+      result.success = true;
+      return result;
+    }
+
+    const backup = await this.errorHandler.createOperationBackup('prune-unused', [this.tokensDir], {
+      tokens: report.prunable.length,
+      styleReferences: report.missingStyleReferences.length
+    });
+    if (!backup.success) {
+      result.errors.push(`Backup failed, nothing was pruned: ${backup.errors.join(', ')}`);
+      return result;
+    }
+    result.backupId = backup.backupId;
+    result.backupPath = backup.backupPath;
+
+    try {
+      const bySet = new Map();
+      for (const token of report.prunable) {
+        if (!bySet.has(token.set)) bySet.set(token.set, []);
+        bySet.get(token.set).push(token);
+      }
+
+      for (const [setName, tokens] of bySet.entries()) {
+        const setInfo = this.manager.tokenCache.get(setName);
+        for (const token of tokens) {
+          if (this._removeToken(setInfo.data, token.path.split('.'))) {
+            result.removedTokens.push(token);
+          }
+        }
+        await this._writeJson(setInfo.filePath, setInfo.data);
+        result.files.push(path.basename(setInfo.filePath));
+      }
+
+      if (report.missingStyleReferences.length > 0) {
+        const themesPath = path.join(this.tokensDir, '$themes.json');
+        const themes = JSON.parse(await fs.readFile(themesPath, 'utf8'));
+
+        for (const reference of report.missingStyleReferences) {
+          const theme = themes.find(candidate => candidate.name === reference.theme);
+          if (theme && theme.$figmaStyleReferences && reference.path in theme.$figmaStyleReferences) {
+            delete theme.$figmaStyleReferences[reference.path];
+            result.removedStyleReferences.push(reference);
+          }
+        }
+        await this._writeJson(themesPath, themes);
+        result.files.push('$themes.json');
+      }
+
+      result.success = true;
+    } catch (error) {
+      result.errors.push(`Prune failed, restore with backup ${result.backupId}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Render a report as text
+   * @param {object} report - Result of analyze()
+   * @returns {string}
+   */
+  formatText(report) {
+    const lines = ['Unused token report', ''];
+
+    for (const theme of report.themes) {
+      lines.push(`Theme ${theme.name} (${theme.sets.map(set => `${set.name}:${set.status}`).join(', ')})`);
+
+      if (theme.unused.length === 0 && theme.disabledOnly.length === 0) {
+        lines.push('  Every token is referenced.');
+      }
+      if (theme.unused.length > 0) {
+        lines.push(`  No inbound references (${theme.unused.length}):`);
+        theme.unused.forEach(token => lines.push(`    ${token.set}: ${token.path}${token.status === 'source' ? ' (source)' : ''}`));
+      }
+      if (theme.disabledOnly.length > 0) {
+        lines.push(`  Only referenced from disabled sets (${theme.disabledOnly.length}):`);
+        theme.disabledOnly.forEach(token => lines.push(
+          `    ${token.set}: ${token.path} ← ${token.referencedFrom.map(reference => `${reference.path} (${reference.set})`).join(', ')}`
+        ));
+      }
+      lines.push('');
+    }
+
+    if (report.missingStyleReferences.length > 0) {
+      lines.push(`$figmaStyleReferences pointing at missing tokens (${report.missingStyleReferences.length}):`);
+      report.missingStyleReferences.forEach(reference => lines.push(`  ${reference.theme}: ${reference.path} → ${reference.styleId}`));
+      lines.push('');
+    }
+
+    const { tokens, unused, disabledOnly, missingStyleReferences, prunable } = report.summary;
+    lines.push(`Summary: ${tokens} tokens, ${unused} unreferenced and ${disabledOnly} disabled-only across themes, ` +
+      `${missingStyleReferences} missing style reference(s), ${prunable} prunable source token(s)`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a report as JSON
+   * @param {object} report - Result of analyze()
+   * @returns {string}
+   */
+  formatJson(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  // Private helper methods
+
+  async _loadThemes(warnings) {
+    const themesPath = path.join(this.tokensDir, '$themes.json');
+    try {
+      const themes = JSON.parse(await fs.readFile(themesPath, 'utf8'));
+      return Array.isArray(themes) ? themes.filter(theme => theme && theme.selectedTokenSets) : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        warnings.push(`Could not read $themes.json, analyzing without themes: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  _buildInboundIndex(referenceGraph) {
+    const inbound = new Map();
+
+    for (const [setName, references] of referenceGraph.entries()) {
+      for (const reference of references) {
+        const targetPath = reference.to.replace(/^\{|\}$/g, '').trim();
+        if (!inbound.has(targetPath)) inbound.set(targetPath, []);
+        inbound.get(targetPath).push({ set: setName, path: reference.from });
+      }
+    }
+
+    return inbound;
+  }
+
+  _findPrunable(tokenSets, themes, inbound) {
+    const prunable = [];
+
+    for (const [setName, data] of Object.entries(tokenSets)) {
+      const statuses = themes
+        .map(theme => theme.selectedTokenSets[setName])
+        .filter(status => status === 'enabled' || status === 'source');
+
+      // Sets no theme uses are reported per theme as absent, not pruned
+      if (statuses.length === 0 || statuses.some(status => status !== 'source')) continue;
+
+      this._collectTokenPaths(data, '', tokenPath => {
+        const references = (inbound.get(tokenPath) || []).filter(reference => reference.path !== tokenPath);
+        if (references.length === 0) {
+          prunable.push({ path: tokenPath, set: setName });
+        }
+      });
+    }
+
+    return prunable;
+  }
+
+  _collectTokenPaths(obj, prefix, callback) {
+    for (const [key, value] of Object.entries(obj || {})) {
+      if (key.startsWith('$') || !value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+      const currentPath = prefix ? `${prefix}.${key}` : key;
+      if (value.$value !== undefined || value.value !== undefined) {
+        callback(currentPath, value);
+      } else {
+        this._collectTokenPaths(value, currentPath, callback);
+      }
+    }
+  }
+
+  _removeToken(obj, pathParts) {
+    const [key, ...rest] = pathParts;
+    if (!obj || typeof obj !== 'object' || !(key in obj)) return false;
+
+    if (rest.length === 0) {
+      delete obj[key];
+      return true;
+    }
+
+    const removed = this._removeToken(obj[key], rest);
+
+    // Drop groups the removal left without tokens or subgroups
+    if (removed && Object.keys(obj[key]).every(childKey => childKey.startsWith('$'))) {
+      delete obj[key];
+    }
+    return removed;
+  }
+
+  async _writeJson(filePath, data) {
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  }
+}
+
+module.exports = UnusedTokenAnalyzer;
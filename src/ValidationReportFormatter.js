@@ -0,0 +1,497 @@
+/**
+ * ValidationReportFormatter - Machine-readable output for ValidationSystem reports
+ *
+ * This class provides:
+ * - One flat issue list across structure, reference, theme, contrast, Figma reference and roundtrip validation,
+ *   in the shape described by schemas/validation-report.schema.json
+ * - Source positions for every issue: line and column in tokens/*.json, plus the matching
+ *   spot in tokensource.json as a related location when the token exists there
+ * - SARIF 2.1.0 for code scanning and editors, and JUnit XML for CI test reporters
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JsonSourceMap = require('./JsonSourceMap');
+
+const REPORT_VERSION = 1;
+const TOOL_NAME = 'token-studio-validation';
+
+class ValidationReportFormatter {
+  constructor(options = {}) {
+    this.tokensDir = options.tokensDir || 'tokens';
+    this.sourcePath = options.sourcePath === undefined ? 'tokensource.json' : options.sourcePath;
+    this.rootDir = options.rootDir || process.cwd();
+    this.sourceMaps = new Map();
+  }
+
+  /**
+   * Flatten a ValidationSystem report into located issues
+   * @param {object} validationReport - The report property returned by generateValidationReport
+   * @returns {Promise<{version: number, tool: string, generatedAt: string, valid: boolean, summary: object, issues: object[]}>}
+   */
+  async buildReport(validationReport) {
+    const validations = validationReport.validations || {};
+    const issues = [
+      ...this._collectStructureIssues(validations.structure),
+      ...this._collectReferenceIssues(validations.references),
+      ...await this._collectThemeIssues(validations.themes),
+      ...this._collectContrastIssues(validations.contrast),
+      ...await this._collectFigmaIssues(validations.figma),
+      ...this._collectRoundtripIssues(validations.roundtrip)
+    ];
+
+    for (const [category, validation] of Object.entries(validations)) {
+      for (const error of (validation && validation.errors) || []) {
+        issues.push({ ruleId: 'validation-failure', category, severity: 'error', message: error });
+      }
+    }
+
+    for (const issue of issues) {
+      await this._locate(issue);
+    }
+
+    const count = severity => issues.filter(issue => issue.severity === severity).length;
+    return {
+      version: REPORT_VERSION,
+      tool: TOOL_NAME,
+      generatedAt: validationReport.timestamp || new Date().toISOString(),
+      valid: issues.every(issue => issue.severity !== 'error'),
+      summary: { total: issues.length, errors: count('error'), warnings: count('warning') },
+      issues: issues.map(issue => this._orderKeys(issue))
+    };
+  }
+
+  /**
+   * Render a built report as JSON
+   * @param {object} report - Result of buildReport()
+   * @returns {string}
+   */
+  formatJson(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * Render a built report as SARIF 2.1.0
+   * @param {object} report - Result of buildReport()
+   * @returns {string}
+   */
+  formatSarif(report) {
+    const ruleIds = [...new Set(report.issues.map(issue => issue.ruleId))];
+    const toSarifLocation = location => ({
+      physicalLocation: {
+        artifactLocation: { uri: location.file },
+        ...(location.line && { region: { startLine: location.line, startColumn: location.column } })
+      }
+    });
+
+    const sarif = {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            rules: ruleIds.map(ruleId => {
+              const category = report.issues.find(issue => issue.ruleId === ruleId).category;
+              return {
+                id: ruleId,
+                shortDescription: { text: this._describeRule(ruleId) },
+                properties: { category }
+              };
+            })
+          }
+        },
+        results: report.issues.map(issue => ({
+          ruleId: issue.ruleId,
+          ruleIndex: ruleIds.indexOf(issue.ruleId),
+          level: issue.severity,
+          message: { text: issue.suggestion ? `${issue.message}. ${issue.suggestion}` : issue.message },
+          ...(issue.location && { locations: [toSarifLocation(issue.location)] }),
+          ...(issue.relatedLocations && issue.relatedLocations.length > 0 && {
+            relatedLocations: issue.relatedLocations.map((location, index) => ({
+              id: index,
+              ...toSarifLocation(location),
+              message: { text: location.message || 'Same token in the consolidated source' }
+            }))
+          }),
+          properties: {
+            category: issue.category,
+            ...(issue.tokenPath && { tokenPath: issue.tokenPath })
+          }
+        }))
+      }]
+    };
+
+    return JSON.stringify(sarif, null, 2);
+  }
+
+  /**
+   * Render a built report as JUnit XML, one test suite per validation category
+   * @param {object} report - Result of buildReport()
+   * @returns {string}
+   */
+  formatJUnit(report) {
+    const categories = [...new Set(['structure', 'references', 'themes', 'contrast', ...report.issues.map(issue => issue.category)])];
+    const failures = report.issues.filter(issue => issue.severity === 'error');
+
+    // A category without issues is reported as one passing test case
+    const tests = categories.reduce((count, category) =>
+      count + Math.max(report.issues.filter(issue => issue.category === category).length, 1), 0);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures.length}" timestamp="${this._escapeXml(report.generatedAt)}">`
+    ];
+
+    for (const category of categories) {
+      const issues = report.issues.filter(issue => issue.category === category);
+      const categoryFailures = issues.filter(issue => issue.severity === 'error').length;
+      lines.push(`  <testsuite name="${category}" tests="${Math.max(issues.length, 1)}" failures="${categoryFailures}">`);
+
+      if (issues.length === 0) {
+        lines.push(`    <testcase classname="${category}" name="${category} validation"/>`);
+      }
+
+      for (const issue of issues) {
+        const where = issue.location
+          ? `${issue.location.file}${issue.location.line ? `:${issue.location.line}:${issue.location.column}` : ''}`
+          : '';
+        const name = [issue.ruleId, issue.tokenPath || '', where ? `(${where})` : ''].filter(Boolean).join(' ');
+        const attributes = `classname="${this._escapeXml(`${category}.${issue.ruleId}`)}" name="${this._escapeXml(name)}"` +
+          (issue.location ? ` file="${this._escapeXml(issue.location.file)}"${issue.location.line ? ` line="${issue.location.line}"` : ''}` : '');
+        const details = [issue.message, issue.suggestion, where].filter(Boolean).join('\n');
+
+        if (issue.severity === 'error') {
+          lines.push(`    <testcase ${attributes}>`);
+          lines.push(`      <failure message="${this._escapeXml(issue.message)}" type="${issue.ruleId}">${this._escapeXml(details)}</failure>`);
+          lines.push('    </testcase>');
+        } else {
+          // JUnit has no warning state; keep them visible without failing the build
+          lines.push(`    <testcase ${attributes}>`);
+          lines.push(`      <system-out>${this._escapeXml(`${issue.severity}: ${details}`)}</system-out>`);
+          lines.push('    </testcase>');
+        }
+      }
+
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Build and render a report in one of the supported formats
+   * @param {object} validationReport - The report property returned by generateValidationReport
+   * @param {string} format - json, sarif or junit
+   * @returns {Promise<{report: object, output: string}>}
+   */
+  async format(validationReport, format) {
+    const formatters = { json: 'formatJson', sarif: 'formatSarif', junit: 'formatJUnit' };
+    if (!formatters[format]) {
+      throw new Error(`Unknown validation report format: ${format}. Use json, sarif or junit`);
+    }
+
+    const report = await this.buildReport(validationReport);
+    return { report, output: this[formatters[format]](report) };
+  }
+
+  // Private helper methods
+
+  _collectStructureIssues(validation) {
+    return ((validation && validation.issues) || []).map(issue => {
+      // Schema issues carry a JSON Pointer, token issues a dotted token path
+      const isPointer = typeof issue.path === 'string' && (issue.path === '' || issue.path.startsWith('/'));
+      return {
+        ruleId: this._toRuleId(issue.type),
+        category: 'structure',
+        severity: issue.severity === 'warning' ? 'warning' : 'error',
+        message: issue.message,
+        suggestion: issue.suggestion,
+        tokenPath: isPointer ? undefined : issue.path,
+        target: issue.file && { file: this._tokenFile(issue.file), ...(isPointer ? { pointer: issue.path } : { dottedPath: issue.path }) }
+      };
+    });
+  }
+
+  _collectReferenceIssues(validation) {
+    if (!validation) return [];
+
+    const unresolved = (validation.unresolvedReferences || []).map(reference => ({
+      ruleId: 'unresolved-reference',
+      category: 'references',
+      severity: reference.severity === 'warning' ? 'warning' : 'error',
+      message: reference.message || `Unresolved token reference: ${reference.reference}`,
+      suggestion: reference.suggestion,
+      tokenPath: this._tokenPathOf(reference.location),
+      themes: reference.themes,
+      target: { file: this._tokenFile(reference.file), dottedPath: reference.location }
+    }));
+
+    const circular = (validation.circularReferences || []).map(cycle => ({
+      ruleId: 'circular-reference',
+      category: 'references',
+      severity: 'error',
+      message: cycle.message,
+      suggestion: cycle.suggestion,
+      tokenPath: cycle.path,
+      themes: cycle.themes,
+      target: { file: this._tokenFile(cycle.file), dottedPath: cycle.path },
+      related: (cycle.hops || []).slice(1).map(hop => ({
+        file: this._tokenFile(hop.file),
+        dottedPath: hop.path,
+        message: `Cycle continues at ${hop.path}`
+      }))
+    }));
+
+    return [...unresolved, ...circular];
+  }
+
+  async _collectThemeIssues(validation) {
+    if (!validation) return [];
+
+    const themes = await this._loadSourceMap(path.join(this.tokensDir, '$themes.json'));
+    const themeList = themes && Array.isArray(themes.data) ? themes.data : [];
+    const themePointer = theme => {
+      const index = themeList.findIndex(candidate => candidate.id === theme.themeId || candidate.name === theme.themeName);
+      return index >= 0 ? `/${index}` : '';
+    };
+
+    const issues = [];
+    for (const theme of validation.incompleteThemes || []) {
+      for (const message of theme.issues || []) {
+        issues.push({
+          ruleId: 'incomplete-theme',
+          category: 'themes',
+          severity: 'error',
+          message: `${theme.themeName}: ${message}`,
+          themes: [theme.themeName],
+          target: { file: this._tokenFile('$themes.json'), pointer: themePointer(theme) }
+        });
+      }
+      for (const setName of theme.missingTokenSets || []) {
+        issues.push({
+          ruleId: 'missing-token-set',
+          category: 'themes',
+          severity: 'error',
+          message: `${theme.themeName} selects token set '${setName}' but ${setName}.json does not exist`,
+          themes: [theme.themeName],
+          target: {
+            file: this._tokenFile('$themes.json'),
+            pointer: `${themePointer(theme)}/selectedTokenSets/${JsonSourceMap.escapeSegment(setName)}`
+          }
+        });
+      }
+    }
+
+    for (const issue of validation.groupIssues || []) {
+      // Overrides point at the token that wins; the rest at the (last) theme involved
+      const index = (issue.indexes || []).slice(-1)[0];
+      issues.push({
+        ruleId: this._toRuleId(issue.type),
+        category: 'themes',
+        severity: issue.severity === 'warning' ? 'warning' : 'error',
+        message: issue.message,
+        suggestion: issue.suggestion,
+        tokenPath: issue.path,
+        themes: issue.themes,
+        target: issue.file
+          ? { file: this._tokenFile(issue.file), dottedPath: issue.path }
+          : { file: this._tokenFile('$themes.json'), pointer: index === undefined ? '' : `/${index}` }
+      });
+    }
+
+    const metadata = await this._loadSourceMap(path.join(this.tokensDir, '$metadata.json'));
+    const order = metadata && metadata.data && Array.isArray(metadata.data.tokenSetOrder) ? metadata.data.tokenSetOrder : [];
+    for (const setName of validation.orphanedSets || []) {
+      const index = order.indexOf(setName);
+      issues.push({
+        ruleId: 'orphaned-token-set',
+        category: 'themes',
+        severity: 'warning',
+        message: `Token set '${setName}' is not used by any theme`,
+        target: index >= 0
+          ? { file: this._tokenFile('$metadata.json'), pointer: `/tokenSetOrder/${index}` }
+          : { file: this._tokenFile(`${setName}.json`), pointer: '' }
+      });
+    }
+
+    return issues;
+  }
+
+  _collectContrastIssues(validation) {
+    return ((validation && validation.issues) || []).map(issue => ({
+      ruleId: this._toRuleId(issue.type),
+      category: 'contrast',
+      severity: issue.severity === 'warning' ? 'warning' : 'error',
+      message: issue.message,
+      suggestion: issue.suggestion,
+      tokenPath: issue.path,
+      themes: issue.theme ? [issue.theme] : undefined,
+      target: issue.file && { file: this._tokenFile(issue.file), dottedPath: issue.path }
+    }));
+  }
+
+  async _collectFigmaIssues(validation) {
+    if (!validation) return [];
+
+    const themes = await this._loadSourceMap(path.join(this.tokensDir, '$themes.json'));
+    const themeList = themes && Array.isArray(themes.data) ? themes.data : [];
+
+    return (validation.issues || []).map(issue => {
+      const index = themeList.findIndex(theme => theme.name === issue.theme);
+
+      // Dangling keys live in $themes.json; missing ones point at the token
+      const target = issue.file === '$themes.json'
+        ? {
+          file: this._tokenFile('$themes.json'),
+          pointer: index >= 0 ? `/${index}/${issue.kind}/${JsonSourceMap.escapeSegment(issue.path)}` : ''
+        }
+        : { file: this._tokenFile(issue.file), dottedPath: issue.path };
+
+      return {
+        ruleId: this._toRuleId(issue.type),
+        category: 'figma',
+        severity: issue.severity === 'error' ? 'error' : 'warning',
+        message: issue.message,
+        suggestion: issue.suggestion,
+        tokenPath: issue.path,
+        themes: [issue.theme],
+        target
+      };
+    });
+  }
+
+  _collectRoundtripIssues(validation) {
+    if (!validation) return [];
+
+    // Roundtrip paths start at the token set name inside tokensource.json
+    const toIssue = (issue, severity) => ({
+      ruleId: this._toRuleId(issue.type),
+      category: 'roundtrip',
+      severity,
+      message: issue.message,
+      tokenPath: issue.path,
+      target: this.sourcePath && issue.path ? { file: this.sourcePath, dottedPath: issue.path, isSource: true } : undefined
+    });
+
+    return [
+      ...(validation.differences || []).map(issue => toIssue(issue, 'error')),
+      ...(validation.preservationIssues || []).map(issue => toIssue(issue, 'warning'))
+    ];
+  }
+
+  async _locate(issue) {
+    const { target, related = [] } = issue;
+    delete issue.target;
+    delete issue.related;
+    if (!target) return;
+
+    issue.location = await this._resolveLocation(target);
+
+    const relatedLocations = [];
+    for (const entry of related) {
+      relatedLocations.push({ ...await this._resolveLocation(entry), message: entry.message });
+    }
+
+    // The same token in the consolidated source file
+    const setName = this._setNameOf(target.file);
+    if (this.sourcePath && !target.isSource && setName) {
+      const source = await this._loadSourceMap(this.sourcePath);
+      const basePointer = `/${JsonSourceMap.escapeSegment(setName)}`;
+      if (source && source.getPosition(basePointer)) {
+        const found = target.pointer !== undefined
+          ? { pointer: `${basePointer}${target.pointer}`, exact: Boolean(source.getPosition(`${basePointer}${target.pointer}`)) }
+          : source.findPath(target.dottedPath, basePointer);
+        const position = found.exact && source.getPosition(found.pointer);
+        if (position) {
+          relatedLocations.push({
+            file: this._relative(this.sourcePath),
+            pointer: found.pointer,
+            line: position.line,
+            column: position.column,
+            message: 'Same token in tokensource.json'
+          });
+        }
+      }
+    }
+
+    if (relatedLocations.length > 0) {
+      issue.relatedLocations = relatedLocations;
+    }
+  }
+
+  async _resolveLocation(target) {
+    const location = { file: this._relative(target.file) };
+    const sourceMap = await this._loadSourceMap(target.file);
+    if (!sourceMap) return location;
+
+    const pointer = target.pointer !== undefined ? target.pointer : sourceMap.findPath(target.dottedPath).pointer;
+    const position = sourceMap.getPosition(pointer);
+    return position
+      ? { ...location, pointer, line: position.line, column: position.column }
+      : location;
+  }
+
+  async _loadSourceMap(filePath) {
+    if (!this.sourceMaps.has(filePath)) {
+      let sourceMap = null;
+      try {
+        sourceMap = new JsonSourceMap(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        // Missing or unparsable files are reported by structure validation; issues just lose their position
+      }
+      this.sourceMaps.set(filePath, sourceMap);
+    }
+    return this.sourceMaps.get(filePath);
+  }
+
+  _tokenFile(file) {
+    const fileName = String(file).endsWith('.json') ? String(file) : `${file}.json`;
+    return path.join(this.tokensDir, fileName);
+  }
+
+  _setNameOf(filePath) {
+    const fileName = path.basename(filePath);
+    if (fileName.startsWith('$')) {
+      return fileName === '$themes.json' || fileName === '$metadata.json' ? fileName.replace(/\.json$/, '') : null;
+    }
+    return path.resolve(path.dirname(filePath)) === path.resolve(this.tokensDir) ? fileName.replace(/\.json$/, '') : null;
+  }
+
+  _tokenPathOf(location) {
+    return String(location || '').split(/\.\$?value(?:\.|$)/)[0];
+  }
+
+  _relative(filePath) {
+    return path.relative(this.rootDir, path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  _toRuleId(type) {
+    return String(type || 'validation-issue').replace(/_/g, '-');
+  }
+
+  _describeRule(ruleId) {
+    const text = ruleId.replace(/-/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  _orderKeys(issue) {
+    const ordered = {};
+    for (const key of ['ruleId', 'category', 'severity', 'message', 'suggestion', 'tokenPath', 'themes', 'location', 'relatedLocations']) {
+      if (issue[key] !== undefined) ordered[key] = issue[key];
+    }
+    return ordered;
+  }
+
+  _escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = ValidationReportFormatter;
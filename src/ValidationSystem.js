@@ -6,6 +6,8 @@
  * - Token reference integrity
  * - Roundtrip transformation validation
  * - Theme configuration completeness
+ * - WCAG contrast of foreground/background token pairs per theme
+ * - Figma style and variable references in $themes.json that point at missing tokens
  * - Actionable error reporting
  * 
  * Requirements addressed: 5.1, 5.2, 5.3, 5.4, 5.5
@@ -13,9 +15,31 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const ThemeResolver = require('./ThemeResolver');
+const MathExpressionEngine = require('./MathExpressionEngine');
+const CompositeTokenTransformer = require('./CompositeTokenTransformer');
+const TokenValueValidator = require('./TokenValueValidator');
+const CircularReferenceDetector = require('./CircularReferenceDetector');
+const ReferenceSuggester = require('./ReferenceSuggester');
+const SchemaValidator = require('./SchemaValidator');
+const FigmaReferenceChecker = require('./FigmaReferenceChecker');
+const ThemeGroups = require('./ThemeGroups');
+const ThemeMatrix = require('./ThemeMatrix');
+
+// WCAG 2.x minimum contrast ratios; large text is 18pt, or 14pt bold, and up
+const CONTRAST_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+const FOREGROUND_GROUPS = ['content', 'text', 'foreground'];
+const DEFAULT_BACKGROUNDS = ['appBackground.appBackground', 'appBackground', 'background', 'surface.default'];
 
 class ValidationSystem {
   constructor() {
+    this.mathEngine = new MathExpressionEngine();
+    this.colorParser = new CompositeTokenTransformer();
+    this.valueValidator = new TokenValueValidator();
+    this.schemaValidator = new SchemaValidator();
     this.errors = [];
     this.warnings = [];
     this.validationResults = {};
@@ -69,10 +93,6 @@ class ValidationSystem {
       const metadataValidation = await this._validateMetadataStructure(tokensDir);
       issues.push(...metadataValidation.issues);
 
-      // Validate themes structure
-      const themesValidation = await this._validateThemesStructure(tokensDir);
-      issues.push(...themesValidation.issues);
-
       // Validate token set files
       const tokenSetsValidation = await this._validateTokenSetFiles(tokensDir);
       issues.push(...tokenSetsValidation.issues);
@@ -127,12 +147,24 @@ class ValidationSystem {
 
       // Extract all token references
       const references = this._extractAllReferences(tokenData);
+
+      // Resolve against each theme's active sets when themes are configured
+      const themeResolver = await this._createThemeResolver(tokensDir, tokenData);
+      let suggester = null;
       
       // Validate each reference
       for (const reference of references) {
-        const resolution = this._resolveTokenReference(reference.value, tokenData, reference.path);
+        const resolution = this._resolveTokenReference(reference.value, tokenData, reference.path, themeResolver, reference.file);
         
         if (!resolution.resolved) {
+          if (!resolution.themes) {
+            suggester = suggester || new ReferenceSuggester({ tokenSets: tokenData, metadata: themeResolver?.metadata });
+            const [best] = suggester.suggest(reference.value, { set: reference.file, location: reference.path });
+            if (best) {
+              resolution.suggestion = `Did you mean ${best.reference}? (confidence ${best.confidence})`;
+            }
+          }
+
           // Check if this is a known Token Studio format issue
           const isKnownFormatIssue = this._isKnownTokenStudioFormatIssue(reference.value);
           
@@ -140,7 +172,10 @@ class ValidationSystem {
             reference: reference.value,
             location: reference.path,
             file: reference.file,
-            message: `Unresolved token reference: ${reference.value}`,
+            ...(resolution.themes && { themes: resolution.themes }),
+            message: resolution.themes
+              ? `Token reference ${reference.value} does not resolve in theme(s): ${resolution.themes.join(', ')}`
+              : `Unresolved token reference: ${reference.value}`,
             suggestion: resolution.suggestion || 'Check if the referenced token exists and is properly defined',
             isFormatIssue: isKnownFormatIssue,
             severity: isKnownFormatIssue ? 'warning' : 'error'
@@ -149,7 +184,7 @@ class ValidationSystem {
       }
 
       // Check for circular references
-      const circularChecks = this._detectCircularReferences(tokenData);
+      const circularChecks = this._detectCircularReferences(tokenData, themeResolver);
       circularReferences.push(...circularChecks);
 
       return {
@@ -344,6 +379,36 @@ class ValidationSystem {
         missingTokens.push(...themeValidation.missingTokens);
       }
 
+      // Grouped themes build as brand × mode combinations; check those and the grouping itself
+      const themeResolver = new ThemeResolver({ tokensDir, tokenSets, themes, metadata, combineGroups: true });
+      const grouping = new ThemeGroups().check(themeResolver);
+
+      for (const combination of grouping.combinations) {
+        const issues = this._findMissingRequiredSets(themeResolver.getTheme(combination.id), tokenSets);
+        if (issues.length > 0) {
+          incompleteThemes.push({
+            themeId: combination.id,
+            themeName: combination.name,
+            issues,
+            missingTokenSets: []
+          });
+        }
+      }
+
+      const groupIssues = grouping.issues;
+      for (const issue of groupIssues.filter(groupIssue => groupIssue.severity === 'warning')) {
+        this.warnings.push(issue.message);
+      }
+
+      // Compare what the themes emit; unresolved tokens are already reported by reference validation
+      const coverage = new ThemeMatrix().build(themeResolver).summary;
+      if (coverage.missing > 0) {
+        this.warnings.push(`${coverage.missing} token(s) are defined in some themes but not others; run theme-matrix to see which`);
+      }
+      if (coverage.typeMismatches > 0) {
+        this.warnings.push(`${coverage.typeMismatches} token(s) have a different type in different themes; run theme-matrix to see which`);
+      }
+
       // Check for orphaned token sets (not used in any theme)
       const orphanedSets = this._findOrphanedTokenSets(themes, Object.keys(tokenSets));
       if (orphanedSets.length > 0) {
@@ -351,10 +416,15 @@ class ValidationSystem {
       }
 
       return {
-        isValid: incompleteThemes.length === 0 && missingTokens.length === 0,
+        isValid: incompleteThemes.length === 0 && missingTokens.length === 0 &&
+          !groupIssues.some(issue => issue.severity === 'error'),
         incompleteThemes,
         missingTokens,
         orphanedSets,
+        groups: grouping.groups,
+        combinations: grouping.combinations,
+        groupIssues,
+        coverage,
         errors: this.errors,
         warnings: this.warnings
       };
@@ -371,15 +441,178 @@ class ValidationSystem {
     }
   }
 
+  /**
+   * Validate WCAG 2.x contrast of foreground/background token pairs in every theme
+   *
+   * Pairs come from contrast.config.json next to the tokens directory, e.g.
+   * { "level": "AA", "pairs": [{ "foreground": "content.*", "background": "surface.0100", "largeText": false }] }.
+   * Without a config, content/text tokens are checked against the app background and
+   * OnX tokens against their sibling X token.
+   * @param {string} tokensDir - Directory containing Token Studio files
+   * @param {object} options - { pairs, level: 'AA'|'AAA', backdrop, configPath } overriding the config file
+   * @returns {Promise<{isValid: boolean, issues: object[], pairs: object[], errors: string[]}>}
+   */
+  async validateContrast(tokensDir, options = {}) {
+    this.errors = [];
+    this.warnings = [];
+    const issues = [];
+    const checkedPairs = [];
+
+    try {
+      const config = {
+        ...(await this._loadContrastConfig(tokensDir, options.configPath)),
+        ...options
+      };
+      const level = String(config.level || 'AA').toUpperCase();
+      const thresholds = CONTRAST_THRESHOLDS[level] || CONTRAST_THRESHOLDS.AA;
+      // Translucent backgrounds are composited over the page backdrop
+      const backdrop = this.colorParser.parseColor(config.backdrop || '#ffffff');
+
+      const themeResolver = new ThemeResolver({ tokensDir, combineGroups: true });
+      const loaded = await themeResolver.load();
+      if (!loaded.success) {
+        this.errors.push(...loaded.errors);
+        return { isValid: false, issues, pairs: checkedPairs, errors: this.errors, warnings: this.warnings };
+      }
+
+      for (const themeName of themeResolver.getThemeNames()) {
+        const tokens = themeResolver.resolveTheme(themeName, { includeSource: true }).tokens;
+        const pairs = Array.isArray(config.pairs)
+          ? this._expandContrastPairs(config.pairs, tokens)
+          : this._findConventionContrastPairs(tokens);
+
+        for (const pair of pairs) {
+          const foreground = this.colorParser.parseColor(tokens[pair.foreground].value);
+          const background = this.colorParser.parseColor(tokens[pair.background].value);
+          if (!foreground || !background) {
+            this.warnings.push(`${themeName}: skipped ${pair.foreground} on ${pair.background}, values are not solid colors`);
+            continue;
+          }
+
+          const solidBackground = this._compositeColor(background, backdrop);
+          const exactRatio = this._contrastRatio(this._compositeColor(foreground, solidBackground), solidBackground);
+          const required = pair.largeText ? thresholds.large : thresholds.normal;
+          // WCAG thresholds are not rounded: 4.496:1 fails AA. Round down for display so it never reads 4.5
+          const ratio = Math.floor(exactRatio * 100) / 100;
+          const checked = {
+            theme: themeName,
+            foreground: { path: pair.foreground, value: this._toHexColor(foreground) },
+            background: { path: pair.background, value: this._toHexColor(background) },
+            ratio,
+            required,
+            passes: exactRatio >= required
+          };
+          checkedPairs.push(checked);
+
+          if (!checked.passes) {
+            issues.push({
+              type: 'insufficient_contrast',
+              severity: 'error',
+              file: tokens[pair.foreground].set,
+              path: pair.foreground,
+              theme: themeName,
+              foreground: checked.foreground,
+              background: checked.background,
+              ratio,
+              required,
+              message: `${pair.foreground} (${checked.foreground.value}) on ${pair.background} (${checked.background.value}) ` +
+                `has contrast ${ratio}:1 in ${themeName}; WCAG ${level} requires ${required}:1${pair.largeText ? ' for large text' : ''}`,
+              suggestion: 'Pick a lighter or darker step for one of the tokens, or mark the pair as largeText if it is only used for large text'
+            });
+          }
+        }
+      }
+
+      return {
+        isValid: issues.length === 0,
+        issues,
+        pairs: checkedPairs,
+        errors: this.errors,
+        warnings: this.warnings
+      };
+
+    } catch (error) {
+      this.errors.push(`Contrast validation failed: ${error.message}`);
+      return { isValid: false, issues, pairs: checkedPairs, errors: this.errors, warnings: this.warnings };
+    }
+  }
+
+  /**
+   * Validate $figmaStyleReferences and $figmaVariableReferences keys against the tokens each theme activates
+   *
+   * Dangling keys and emitted tokens without a reference are warnings: Figma keeps working, the
+   * mapping just goes stale. Themes without references of a kind are not checked for missing ones.
+   * @param {string} tokensDir - Directory containing Token Studio files
+   * @returns {Promise<{isValid: boolean, issues: object[], themes: object[], errors: string[]}>}
+   */
+  async validateFigmaReferences(tokensDir) {
+    this.errors = [];
+    this.warnings = [];
+    const issues = [];
+
+    try {
+      const themeResolver = new ThemeResolver({ tokensDir });
+      const loaded = await themeResolver.load();
+      if (!loaded.success) {
+        this.errors.push(...loaded.errors);
+        return { isValid: false, issues, themes: [], errors: this.errors, warnings: this.warnings };
+      }
+
+      const result = new FigmaReferenceChecker().check(themeResolver);
+
+      for (const entry of result.dangling) {
+        issues.push({
+          type: 'dangling_figma_reference',
+          severity: 'warning',
+          file: '$themes.json',
+          path: entry.path,
+          theme: entry.theme,
+          kind: entry.kind,
+          message: `${entry.theme} ${entry.kind} maps '${entry.path}' to ${entry.id}, but no such token exists in the theme`,
+          suggestion: entry.suggestion
+            ? `Did you mean ${entry.suggestion.path}? (confidence ${entry.suggestion.confidence}) Run remap-figma-references to move it`
+            : 'Remove the entry, or run remap-figma-references with a mapping file'
+        });
+      }
+
+      for (const entry of result.missing) {
+        issues.push({
+          type: 'missing_figma_reference',
+          severity: 'warning',
+          file: entry.set,
+          path: entry.path,
+          theme: entry.theme,
+          kind: entry.kind,
+          message: `${entry.path} (${entry.type}) has no ${entry.kind} entry in ${entry.theme}`,
+          suggestion: 'Push the theme to Figma again so Token Studio records the style or variable ID'
+        });
+      }
+
+      return {
+        isValid: true,
+        issues,
+        themes: result.themes,
+        errors: this.errors,
+        warnings: this.warnings
+      };
+
+    } catch (error) {
+      this.errors.push(`Figma reference validation failed: ${error.message}`);
+      return { isValid: false, issues, themes: [], errors: this.errors, warnings: this.warnings };
+    }
+  }
+
   /**
    * Generate comprehensive validation report
    * @param {string} tokensDir - Directory to validate
    * @param {string} sourcePath - Optional source file for roundtrip validation
+   * @param {object} options - { quiet: skip progress logging, e.g. when stdout carries a SARIF report }
    * @returns {Promise<{isValid: boolean, report: object, errors: string[]}>}
    */
-  async generateValidationReport(tokensDir, sourcePath = null) {
+  async generateValidationReport(tokensDir, sourcePath = null, options = {}) {
     this.errors = [];
     this.warnings = [];
+    const log = options.quiet ? () => {} : console.log;
     const report = {
       timestamp: new Date().toISOString(),
       directory: tokensDir,
@@ -388,23 +621,33 @@ class ValidationSystem {
 
     try {
       // Structure validation
-      console.log('Running structure validation...');
+      log('Running structure validation...');
       const structureValidation = await this.validateTokenStudioStructure(tokensDir);
       report.validations.structure = structureValidation;
 
       // Reference validation
-      console.log('Running reference validation...');
+      log('Running reference validation...');
       const referenceValidation = await this.validateTokenReferences(tokensDir);
       report.validations.references = referenceValidation;
 
       // Theme validation
-      console.log('Running theme validation...');
+      log('Running theme validation...');
       const themeValidation = await this.validateThemeCompleteness(tokensDir);
       report.validations.themes = themeValidation;
 
+      // Contrast validation
+      log('Running contrast validation...');
+      const contrastValidation = await this.validateContrast(tokensDir);
+      report.validations.contrast = contrastValidation;
+
+      // Figma reference validation
+      log('Running Figma reference validation...');
+      const figmaValidation = await this.validateFigmaReferences(tokensDir);
+      report.validations.figma = figmaValidation;
+
       // Roundtrip validation (if source provided)
       if (sourcePath) {
-        console.log('Running roundtrip validation...');
+        log('Running roundtrip validation...');
         const roundtripValidation = await this.validateRoundtripIntegrity(sourcePath, tokensDir);
         report.validations.roundtrip = roundtripValidation;
       }
@@ -508,35 +751,10 @@ class ValidationSystem {
         return { issues };
       }
 
-      if (fileName === '$metadata.json') {
-        if (!content.tokenSetOrder) {
-          issues.push({
-            type: 'invalid_metadata_structure',
-            severity: 'error',
-            file: fileName,
-            message: '$metadata.json missing required tokenSetOrder property',
-            suggestion: 'Add tokenSetOrder array to define the order of token sets'
-          });
-        } else if (!Array.isArray(content.tokenSetOrder)) {
-          issues.push({
-            type: 'invalid_metadata_structure',
-            severity: 'error',
-            file: fileName,
-            message: 'tokenSetOrder must be an array',
-            suggestion: 'Change tokenSetOrder to an array of token set names'
-          });
-        }
-      } else if (fileName === '$themes.json') {
-        if (!Array.isArray(content)) {
-          issues.push({
-            type: 'invalid_themes_structure',
-            severity: 'error',
-            file: fileName,
-            message: '$themes.json must be an array of theme objects',
-            suggestion: 'Change $themes.json to contain an array of theme configurations'
-          });
-        }
-      }
+      const schemaName = this.schemaValidator.getSchemaName(fileName);
+      issues.push(...this._validateAgainstSchema(content, fileName, schemaName === 'metadata'
+        ? 'invalid_metadata_structure'
+        : 'invalid_themes_structure'));
 
       return { issues };
 
@@ -614,76 +832,6 @@ class ValidationSystem {
     }
   }
 
-  async _validateThemesStructure(tokensDir) {
-    const issues = [];
-    const themesPath = path.join(tokensDir, '$themes.json');
-    
-    try {
-      const themes = await this._loadJsonFile(themesPath);
-      if (!themes) {
-        return { issues };
-      }
-
-      if (!Array.isArray(themes)) {
-        return { issues }; // Already handled in required file validation
-      }
-
-      // Validate each theme structure
-      for (let i = 0; i < themes.length; i++) {
-        const theme = themes[i];
-        const themePrefix = `Theme ${i + 1} (${theme.name || 'unnamed'})`;
-
-        if (!theme.id) {
-          issues.push({
-            type: 'missing_theme_property',
-            severity: 'error',
-            file: '$themes.json',
-            theme: themePrefix,
-            property: 'id',
-            message: `${themePrefix} missing required 'id' property`,
-            suggestion: 'Add unique id property to theme'
-          });
-        }
-
-        if (!theme.name) {
-          issues.push({
-            type: 'missing_theme_property',
-            severity: 'error',
-            file: '$themes.json',
-            theme: themePrefix,
-            property: 'name',
-            message: `${themePrefix} missing required 'name' property`,
-            suggestion: 'Add descriptive name property to theme'
-          });
-        }
-
-        if (!theme.selectedTokenSets || typeof theme.selectedTokenSets !== 'object') {
-          issues.push({
-            type: 'missing_theme_property',
-            severity: 'error',
-            file: '$themes.json',
-            theme: themePrefix,
-            property: 'selectedTokenSets',
-            message: `${themePrefix} missing or invalid 'selectedTokenSets' property`,
-            suggestion: 'Add selectedTokenSets object defining which token sets are enabled'
-          });
-        }
-      }
-
-      return { issues };
-
-    } catch (error) {
-      issues.push({
-        type: 'themes_validation_error',
-        severity: 'error',
-        file: '$themes.json',
-        message: `Themes validation failed: ${error.message}`,
-        suggestion: 'Check themes file structure and content'
-      });
-      return { issues };
-    }
-  }
-
   async _validateTokenSetFiles(tokensDir) {
     const issues = [];
 
@@ -729,6 +877,7 @@ class ValidationSystem {
       }
 
       // Validate token structure
+      issues.push(...this._validateAgainstSchema(content, fileName, 'invalid_token_structure'));
       this._validateTokenStructure(content, fileName, '', issues);
 
       return { issues };
@@ -745,6 +894,20 @@ class ValidationSystem {
     }
   }
 
+  _validateAgainstSchema(content, fileName, issueType) {
+    const { schema, errors } = this.schemaValidator.validateFile(fileName, content);
+    const schemaFile = path.basename(this.schemaValidator.getSchemaPath(schema));
+
+    return errors.map(error => ({
+      type: issueType,
+      severity: 'error',
+      file: fileName,
+      path: error.path,
+      message: this.schemaValidator.formatError(fileName, error),
+      suggestion: `Fix the value at ${error.path || 'the top level'} to match schemas/${schemaFile}`
+    }));
+  }
+
   _validateTokenStructure(obj, fileName, path, issues) {
     for (const [key, value] of Object.entries(obj)) {
       const currentPath = path ? `${path}.${key}` : key;
@@ -801,6 +964,10 @@ class ValidationSystem {
               suggestion: 'Add $value property with token value or reference'
             });
           }
+
+          const tokenValue = value.$value !== undefined ? value.$value : value.value;
+          this._validateMathExpression(tokenValue, fileName, currentPath, issues);
+          this._validateTokenValue(tokenValue, hasType, fileName, currentPath, issues);
         } else {
           // Recursively validate nested objects that aren't tokens
           this._validateTokenStructure(value, fileName, currentPath, issues);
@@ -809,6 +976,39 @@ class ValidationSystem {
     }
   }
 
+  _validateMathExpression(tokenValue, fileName, tokenPath, issues) {
+    if (!this.mathEngine.isExpression(tokenValue)) return;
+
+    const parsed = this.mathEngine.parse(tokenValue, { tokenPath });
+    if (!parsed.success) {
+      issues.push({
+        type: 'invalid_math_expression',
+        severity: 'error',
+        file: fileName,
+        path: tokenPath,
+        message: parsed.errors[0],
+        suggestion: 'Use numbers, token references, + - * /, parentheses and roundTo()/round()/floor()/ceil()/abs()/min()/max()'
+      });
+    }
+  }
+
+  _validateTokenValue(tokenValue, tokenType, fileName, tokenPath, issues) {
+    // Expressions are covered by _validateMathExpression
+    if (tokenValue === undefined || this.mathEngine.isExpression(tokenValue)) return;
+
+    const result = this.valueValidator.validate(tokenValue, tokenType, tokenPath);
+    if (!result.isValid) {
+      issues.push({
+        type: 'invalid_token_value',
+        severity: 'error',
+        file: fileName,
+        path: tokenPath,
+        message: result.message,
+        suggestion: result.suggestion
+      });
+    }
+  }
+
   async _validateStructuralConsistency(tokensDir) {
     const issues = [];
 
@@ -897,12 +1097,25 @@ class ValidationSystem {
     for (const [key, value] of Object.entries(obj)) {
       const currentPath = path ? `${path}.${key}` : key;
 
-      if (typeof value === 'string' && this._isTokenReference(value)) {
-        references.push({
-          value,
-          path: currentPath,
-          file
-        });
+      if (typeof value === 'string' && this.mathEngine.isExpression(value)) {
+        // Each reference inside a math expression is checked on its own
+        const parsed = this.mathEngine.parse(value);
+        for (const referencePath of parsed.references) {
+          references.push({
+            value: `{${referencePath}}`,
+            path: currentPath,
+            file
+          });
+        }
+      } else if (typeof value === 'string' && this._isTokenReference(value)) {
+        // References can be embedded in strings such as gradients: rgba({color.black}, 0)
+        for (const match of value.matchAll(/\{([^{}]+)\}/g)) {
+          references.push({
+            value: match[0],
+            path: currentPath,
+            file
+          });
+        }
       } else if (typeof value === 'object' && value !== null) {
         this._extractReferencesFromObject(value, references, currentPath, file);
       }
@@ -913,7 +1126,22 @@ class ValidationSystem {
     return typeof value === 'string' && value.includes('{') && value.includes('}');
   }
 
-  _resolveTokenReference(reference, tokenData, contextPath) {
+  async _createThemeResolver(tokensDir, tokenData) {
+    const themesPath = path.join(tokensDir, '$themes.json');
+    if (!await this._fileExists(themesPath)) {
+      return null;
+    }
+
+    const themes = await this._loadJsonFile(themesPath);
+    const metadata = await this._loadJsonFile(path.join(tokensDir, '$metadata.json'));
+    if (!Array.isArray(themes) || themes.length === 0 || !metadata) {
+      return null;
+    }
+
+    return new ThemeResolver({ tokensDir, tokenSets: tokenData, themes, metadata, combineGroups: true });
+  }
+
+  _resolveTokenReference(reference, tokenData, contextPath, themeResolver = null, referencingSet = null) {
     try {
       // Extract token path from reference (e.g., "{color.primary}" -> "color.primary")
       const tokenPath = reference.replace(/[{}]/g, '');
@@ -923,29 +1151,13 @@ class ValidationSystem {
       for (const [setName, setData] of Object.entries(tokenData)) {
         const resolved = this._findTokenInObject(setData, pathParts);
         if (resolved) {
-          return { resolved: true, value: resolved };
-        }
-      }
-
-      // Check for common Token Studio format variations
-      const alternativeFormats = this._getAlternativeTokenFormats(tokenPath);
-      for (const altFormat of alternativeFormats) {
-        const altPathParts = altFormat.split('.');
-        for (const [setName, setData] of Object.entries(tokenData)) {
-          const resolved = this._findTokenInObject(setData, altPathParts);
-          if (resolved) {
-            return { 
-              resolved: true, 
-              value: resolved,
-              suggestion: `Token found using alternative format: ${altFormat}`
-            };
-          }
+          return this._checkReferenceInThemes(tokenPath, resolved, themeResolver, referencingSet);
         }
       }
 
       return {
         resolved: false,
-        suggestion: `Check if token '${tokenPath}' exists in any token set. Common Token Studio formats include: ${alternativeFormats.join(', ')}`
+        suggestion: `Check if token '${tokenPath}' exists in any token set`
       };
 
     } catch (error) {
@@ -956,15 +1168,24 @@ class ValidationSystem {
     }
   }
 
-  _findTokenByPath(tokenData, pathParts) {
-    // Search through all token sets for the token
-    for (const [setName, setData] of Object.entries(tokenData)) {
-      const result = this._findTokenInObject(setData, pathParts);
-      if (result) {
-        return result;
-      }
+  _checkReferenceInThemes(tokenPath, resolvedValue, themeResolver, referencingSet) {
+    if (!themeResolver || !referencingSet) {
+      return { resolved: true, value: resolvedValue };
+    }
+
+    // A reference must resolve in every theme that activates the set it lives in
+    const failingThemes = themeResolver.getThemesUsingSet(referencingSet)
+      .filter(themeName => !themeResolver.findToken(tokenPath, themeName));
+
+    if (failingThemes.length > 0) {
+      return {
+        resolved: false,
+        themes: failingThemes,
+        suggestion: `Token '${tokenPath}' exists but not in the active sets of ${failingThemes.join(', ')}. Enable the set that defines it in those themes or reference a token they include`
+      };
     }
-    return null;
+
+    return { resolved: true, value: resolvedValue };
   }
 
   _findTokenInObject(obj, pathParts) {
@@ -981,50 +1202,24 @@ class ValidationSystem {
     return current;
   }
 
-  _detectCircularReferences(tokenData) {
-    const circularReferences = [];
-    
-    // Simple circular reference detection
-    // For now, we'll implement a basic version that detects direct circular references
-    for (const [setName, setData] of Object.entries(tokenData)) {
-      this._findCircularReferencesInSet(setData, setName, '', tokenData, circularReferences, new Set());
-    }
-
-    return circularReferences;
-  }
-
-  _findCircularReferencesInSet(obj, setName, path, allTokenData, circularReferences, visitedPaths) {
-    for (const [key, value] of Object.entries(obj)) {
-      const currentPath = path ? `${path}.${key}` : key;
-      const fullPath = `${setName}.${currentPath}`;
-
-      if (this._isToken(value)) {
-        const tokenValue = value.$value || value.value;
-        if (typeof tokenValue === 'string' && this._isTokenReference(tokenValue)) {
-          // Check for direct circular reference (A -> B -> A)
-          const referencedPath = tokenValue.replace(/[{}]/g, '');
-          
-          // Simple check: if the referenced token references back to this token
-          const referencedToken = this._findTokenByPath(allTokenData, referencedPath.split('.'));
-          if (referencedToken && this._isToken(referencedToken)) {
-            const referencedValue = referencedToken.$value || referencedToken.value;
-            if (typeof referencedValue === 'string' && this._isTokenReference(referencedValue)) {
-              const secondReference = referencedValue.replace(/[{}]/g, '');
-              if (secondReference === currentPath || secondReference === fullPath) {
-                circularReferences.push({
-                  path: fullPath,
-                  reference: tokenValue,
-                  message: `Circular reference detected: ${fullPath} -> ${tokenValue} -> ${referencedValue}`,
-                  suggestion: 'Remove circular dependency by using a different token or direct value'
-                });
-              }
-            }
-          }
-        }
-      } else if (typeof value === 'object' && value !== null) {
-        this._findCircularReferencesInSet(value, setName, currentPath, allTokenData, circularReferences, visitedPaths);
-      }
-    }
+  _detectCircularReferences(tokenData, themeResolver = null) {
+    // Cycles can span sets; each theme stack (or tokenSetOrder) is its own reference graph
+    const detector = new CircularReferenceDetector({
+      tokenSets: tokenData,
+      themes: themeResolver ? themeResolver.getCombinations() : [],
+      metadata: themeResolver ? themeResolver.metadata : undefined
+    });
+
+    return detector.findCycles().map(cycle => ({
+      path: cycle.hops[0].path,
+      file: cycle.hops[0].file,
+      reference: cycle.hops[0].value,
+      cycle: cycle.cycle,
+      hops: cycle.hops,
+      themes: cycle.themes,
+      message: cycle.message,
+      suggestion: 'Remove circular dependency by using a different token or direct value'
+    }));
   }
 
   _compareTokenStructures(original, reconstituted, path, differences) {
@@ -1167,20 +1362,9 @@ class ValidationSystem {
       }
     }
 
-    // Check for required token sets not included in theme (Token Studio best practices)
-    const requiredSets = ['core']; // Core is typically required as source
-    const recommendedSets = ['global']; // Global is typically enabled
-    
-    for (const requiredSet of requiredSets) {
-      if (tokenSets[requiredSet] && (!theme.selectedTokenSets || !theme.selectedTokenSets[requiredSet])) {
-        issues.push(`Theme missing required token set: ${requiredSet}`);
-      }
-    }
-
-    for (const recommendedSet of recommendedSets) {
-      if (tokenSets[recommendedSet] && (!theme.selectedTokenSets || !theme.selectedTokenSets[recommendedSet])) {
-        issues.push(`Theme missing recommended token set: ${recommendedSet}`);
-      }
+    // A grouped theme only holds one dimension; its combinations are checked for these instead
+    if (!theme.group) {
+      issues.push(...this._findMissingRequiredSets(theme, tokenSets));
     }
 
     // Validate Token Studio theme structure
@@ -1213,6 +1397,28 @@ class ValidationSystem {
     };
   }
 
+  _findMissingRequiredSets(theme, tokenSets) {
+    const issues = [];
+
+    // Check for required token sets not included in theme (Token Studio best practices)
+    const requiredSets = ['core']; // Core is typically required as source
+    const recommendedSets = ['global']; // Global is typically enabled
+    
+    for (const requiredSet of requiredSets) {
+      if (tokenSets[requiredSet] && (!theme.selectedTokenSets || !theme.selectedTokenSets[requiredSet])) {
+        issues.push(`Theme missing required token set: ${requiredSet}`);
+      }
+    }
+
+    for (const recommendedSet of recommendedSets) {
+      if (tokenSets[recommendedSet] && (!theme.selectedTokenSets || !theme.selectedTokenSets[recommendedSet])) {
+        issues.push(`Theme missing recommended token set: ${recommendedSet}`);
+      }
+    }
+
+    return issues;
+  }
+
   _findOrphanedTokenSets(themes, availableTokenSets) {
     const usedSets = new Set();
 
@@ -1227,6 +1433,84 @@ class ValidationSystem {
     return availableTokenSets.filter(setName => !usedSets.has(setName));
   }
 
+  async _loadContrastConfig(tokensDir, configPath = null) {
+    const filePath = configPath || path.join(path.dirname(path.resolve(tokensDir)), 'contrast.config.json');
+    if (!await this._fileExists(filePath)) {
+      return {};
+    }
+    return (await this._loadJsonFile(filePath)) || {};
+  }
+
+  _expandContrastPairs(pairs, tokens) {
+    const tokenPaths = Object.keys(tokens);
+    const matches = pattern => {
+      const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      return tokenPaths.filter(tokenPath => regex.test(tokenPath));
+    };
+
+    const expanded = [];
+    for (const pair of pairs) {
+      for (const foreground of matches(pair.foreground)) {
+        for (const background of matches(pair.background)) {
+          expanded.push({ foreground, background, largeText: pair.largeText === true });
+        }
+      }
+    }
+    return expanded;
+  }
+
+  _findConventionContrastPairs(tokens) {
+    const isColor = tokenPath => tokens[tokenPath] && this.colorParser.parseColor(tokens[tokenPath].value) !== null;
+    const emitted = Object.keys(tokens).filter(tokenPath => tokens[tokenPath].status !== 'source' && isColor(tokenPath));
+    const defaultBackground = DEFAULT_BACKGROUNDS.find(isColor);
+    const pairs = [];
+
+    for (const tokenPath of emitted) {
+      const segments = tokenPath.split('.');
+      const name = segments[segments.length - 1];
+      const onMatch = name.match(/^On([A-Z].*)$/);
+
+      if (onMatch) {
+        // OnPrimary sits on its sibling Primary token when there is one
+        const siblingName = segments.slice(0, -1).concat(onMatch[1]).join('.').toLowerCase();
+        const sibling = emitted.find(candidate => candidate.toLowerCase() === siblingName);
+        const background = sibling || defaultBackground;
+        if (background) pairs.push({ foreground: tokenPath, background, largeText: false });
+      } else if (defaultBackground && FOREGROUND_GROUPS.includes(segments[0].toLowerCase()) && !/^\d+$/.test(name)) {
+        // Numbered steps (content.0100) are a palette ramp, not text colors; pair those in contrast.config.json
+        pairs.push({ foreground: tokenPath, background: defaultBackground, largeText: false });
+      }
+    }
+
+    return pairs;
+  }
+
+  _compositeColor(color, backdrop) {
+    const alpha = color.a;
+    const channel = key => color[key] * alpha + backdrop[key] * (1 - alpha);
+    return { r: channel('r'), g: channel('g'), b: channel('b'), a: 1 };
+  }
+
+  _relativeLuminance(color) {
+    const [r, g, b] = [color.r, color.g, color.b].map(value => {
+      const channel = value / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  _contrastRatio(foreground, background) {
+    const lighter = Math.max(this._relativeLuminance(foreground), this._relativeLuminance(background));
+    const darker = Math.min(this._relativeLuminance(foreground), this._relativeLuminance(background));
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  _toHexColor(color) {
+    const hex = value => Math.round(value).toString(16).padStart(2, '0');
+    const alpha = color.a < 1 ? hex(color.a * 255) : '';
+    return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}${alpha}`;
+  }
+
   _countTotalIssues(validations) {
     let count = 0;
     for (const validation of Object.values(validations)) {
@@ -1270,6 +1554,16 @@ class ValidationSystem {
       recommendations.push('Complete theme configurations to ensure all themes work properly');
     }
 
+    // Contrast recommendations
+    if (validations.contrast && !validations.contrast.isValid) {
+      recommendations.push('Adjust foreground/background token pairs that fall below WCAG AA contrast');
+    }
+
+    // Figma reference recommendations
+    if (validations.figma && (validations.figma.issues || []).some(issue => issue.type === 'dangling_figma_reference')) {
+      recommendations.push('Remap or remove stale $figmaStyleReferences/$figmaVariableReferences keys with remap-figma-references');
+    }
+
     // Roundtrip recommendations
     if (validations.roundtrip && !validations.roundtrip.isValid) {
       recommendations.push('Fix roundtrip issues to ensure data integrity during transformations');
@@ -1295,84 +1589,6 @@ class ValidationSystem {
     return fileNameMap[setName] || `${setName}.json`;
   }
 
-  _getAlternativeTokenFormats(tokenPath) {
-    const alternatives = [];
-    
-    // Handle common Token Studio format conversions
-    const formatMappings = {
-      // Font-related tokens
-      'fontWeights': ['Font Weight', 'fontWeight'],
-      'fontSizes': ['Font Size', 'fontSize'],
-      'lineHeights': ['Line Height', 'lineHeight'],
-      'letterSpacing': ['Letter Spacing', 'letterSpacing'],
-      'paragraphSpacing': ['Paragraph Spacing', 'paragraphSpacing'],
-      'paragraphIndent': ['Paragraph Indent', 'paragraphIndent'],
-      'textCase': ['Text Case', 'textCase'],
-      'textDecoration': ['Text Decoration', 'textDecoration'],
-      
-      // Common token variations
-      'fontFamily': ['Font Family', 'FontFamily'],
-      'spacing': ['Spacing'],
-      'color': ['Color'],
-      'shadow': ['Shadow'],
-      'borderRadius': ['Border Radius', 'borderRadius'],
-      'opacity': ['Opacity']
-    };
-
-    const pathParts = tokenPath.split('.');
-    const firstPart = pathParts[0];
-    
-    // Check if first part has known mappings
-    if (formatMappings[firstPart]) {
-      for (const mapping of formatMappings[firstPart]) {
-        const newPath = [mapping, ...pathParts.slice(1)].join('.');
-        alternatives.push(newPath);
-      }
-    }
-
-    // Handle numeric suffixes (e.g., roboto-0 -> light, regular, etc.)
-    if (pathParts.length > 1) {
-      const lastPart = pathParts[pathParts.length - 1];
-      
-      // Font weight numeric mappings
-      if (firstPart === 'fontWeights' && lastPart.includes('roboto-')) {
-        const numericMappings = {
-          'roboto-0': 'light',
-          'roboto-1': 'regular', 
-          'roboto-2': 'medium',
-          'roboto-3': 'bold'
-        };
-        
-        if (numericMappings[lastPart]) {
-          alternatives.push(`Font Weight.${numericMappings[lastPart]}`);
-          alternatives.push(`fontWeight.${numericMappings[lastPart]}`);
-        }
-      }
-      
-      // Line height numeric mappings
-      if (firstPart === 'lineHeights' && /^\d+$/.test(lastPart)) {
-        const lineHeightMappings = {
-          '0': 'tight',
-          '1': 'normal',
-          '2': 'loose'
-        };
-        
-        if (lineHeightMappings[lastPart]) {
-          alternatives.push(`Line Height.${lineHeightMappings[lastPart]}`);
-          alternatives.push(`lineHeight.${lineHeightMappings[lastPart]}`);
-        }
-      }
-      
-      // Font size mappings
-      if (firstPart === 'fontSizes') {
-        alternatives.push(`Font Size.${lastPart}`);
-        alternatives.push(`fontSize.${lastPart}`);
-      }
-    }
-
-    return alternatives;
-  }
-
   _isToken(value) {
     return typeof value === 'object' && value !== null &&
            (value.$type || value.type || value.$value !== undefined || value.value !== undefined);
@@ -0,0 +1,16 @@
+/**
+ * Built-in token lint rules
+ *
+ * Each rule is a module exporting { name, description, defaultSeverity, fixable, check(token, context) }.
+ * Plugins listed in .tokenlintrc use the same shape.
+ */
+
+module.exports = [
+  require('./require-type'),
+  require('./valid-type'),
+  require('./no-empty-value'),
+  require('./valid-value'),
+  require('./no-legacy-keys'),
+  require('./require-description'),
+  require('./semantic-naming')
+];
@@ -0,0 +1,24 @@
+/**
+ * no-empty-value - Tokens have a non-empty $value
+ */
+
+module.exports = {
+  name: 'no-empty-value',
+  description: 'Tokens have a non-empty $value',
+  defaultSeverity: 'error',
+  fixable: false,
+
+  check(token, context) {
+    const value = token.value;
+    const isEmpty = value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length === 0);
+
+    if (isEmpty) {
+      context.report({
+        message: `Token has an empty $value: ${token.path}`,
+        suggestion: 'Set a value or a {reference}, or remove the token'
+      });
+    }
+  }
+};
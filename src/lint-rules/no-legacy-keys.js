@@ -0,0 +1,30 @@
+/**
+ * no-legacy-keys - Tokens use the $-prefixed Token Studio keys
+ *
+ * Fixes value/type/description to $value/$type/$description.
+ */
+
+const LEGACY_KEYS = ['value', 'type', 'description'];
+
+module.exports = {
+  name: 'no-legacy-keys',
+  description: 'Tokens use $value, $type and $description',
+  defaultSeverity: 'warn',
+  fixable: true,
+
+  check(token, context) {
+    const legacyKeys = LEGACY_KEYS.filter(key => token.node[key] !== undefined && token.node[`$${key}`] === undefined);
+    if (legacyKeys.length === 0) return;
+
+    context.report({
+      message: `Token uses legacy keys ${legacyKeys.join(', ')}: ${token.path}`,
+      suggestion: `Rename to ${legacyKeys.map(key => `$${key}`).join(', ')}`,
+      fix: node => {
+        for (const key of legacyKeys) {
+          node[`$${key}`] = node[key];
+          delete node[key];
+        }
+      }
+    });
+  }
+};
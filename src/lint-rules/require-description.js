@@ -0,0 +1,19 @@
+/**
+ * require-description - Every token documents its purpose in $description
+ */
+
+module.exports = {
+  name: 'require-description',
+  description: 'Every token has a $description',
+  defaultSeverity: 'off',
+  fixable: false,
+
+  check(token, context) {
+    if (!token.description) {
+      context.report({
+        message: `Token missing description: ${token.path}`,
+        suggestion: 'Add $description property to document token purpose'
+      });
+    }
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * require-type - Every token declares a $type
+ *
+ * Style Dictionary transforms and Token Studio's editors are both chosen by type,
+ * so an untyped token silently falls back to being emitted as a raw string.
+ */
+
+module.exports = {
+  name: 'require-type',
+  description: 'Every token declares a $type',
+  defaultSeverity: 'error',
+  fixable: false,
+
+  check(token, context) {
+    if (!token.type) {
+      context.report({
+        message: `Token missing $type: ${token.path}`,
+        suggestion: 'Add a $type such as color, dimension or typography'
+      });
+    }
+  }
+};
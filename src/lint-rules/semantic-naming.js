@@ -0,0 +1,30 @@
+/**
+ * semantic-naming - Nested token paths follow the semantic naming patterns
+ *
+ * Options: { patterns: string[] } regular expressions replacing the defaults.
+ */
+
+const DEFAULT_PATTERNS = [
+  '^(color|spacing|typography|border|shadow|opacity|size)',
+  '\\.(primary|secondary|tertiary|success|error|warning|info)',
+  '\\.(small|medium|large|xl|xs)',
+  '\\.(light|dark|base|hover|active|disabled)'
+];
+
+module.exports = {
+  name: 'semantic-naming',
+  description: 'Nested token paths use semantic names',
+  defaultSeverity: 'off',
+  fixable: false,
+
+  check(token, context) {
+    const patterns = (context.options.patterns || DEFAULT_PATTERNS).map(pattern => new RegExp(pattern));
+
+    if (token.path.split('.').length > 1 && !patterns.some(pattern => pattern.test(token.path))) {
+      context.report({
+        message: `Token path does not follow semantic naming: ${token.path}`,
+        suggestion: 'Name tokens by purpose (primary, surface, hover) rather than by value'
+      });
+    }
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * valid-type - $type is one of the types Token Studio understands
+ *
+ * Token Studio's own font types are plural (fontFamilies, fontWeights, fontSizes, lineHeights);
+ * the singular forms are accepted too. Fixes names no tool writes as types (shadow → boxShadow).
+ */
+
+const TOKEN_STUDIO_TYPES = [
+  'color', 'dimension', 'sizing', 'spacing', 'borderRadius', 'borderWidth', 'border', 'opacity',
+  'fontFamilies', 'fontWeights', 'fontSizes', 'lineHeights',
+  'fontFamily', 'fontWeight', 'fontSize', 'lineHeight', 'letterSpacing', 'paragraphSpacing',
+  'paragraphIndent', 'textCase', 'textDecoration', 'typography', 'boxShadow', 'composition',
+  'asset', 'number', 'boolean', 'text', 'other'
+];
+
+const TYPE_CORRECTIONS = {
+  shadow: 'boxShadow',
+  dimensions: 'dimension'
+};
+
+module.exports = {
+  name: 'valid-type',
+  description: '$type is a Token Studio token type',
+  defaultSeverity: 'error',
+  fixable: true,
+
+  check(token, context) {
+    const allowed = TOKEN_STUDIO_TYPES.concat(context.options.additionalTypes || []);
+    if (!token.type || allowed.includes(token.type)) return;
+
+    const correction = TYPE_CORRECTIONS[token.type];
+    const typeKey = token.node.$type !== undefined ? '$type' : 'type';
+
+    context.report({
+      message: `Unknown $type '${token.type}' on ${token.path}`,
+      suggestion: correction ? `Use '${correction}'` : `Use one of: ${TOKEN_STUDIO_TYPES.join(', ')}`,
+      fix: correction ? node => { node[typeKey] = correction; } : null
+    });
+  }
+};
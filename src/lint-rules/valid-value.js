@@ -0,0 +1,24 @@
+/**
+ * valid-value - $value matches the format of its $type
+ */
+
+const TokenValueValidator = require('../TokenValueValidator');
+
+const validator = new TokenValueValidator();
+
+module.exports = {
+  name: 'valid-value',
+  description: '$value matches the format of its $type',
+  defaultSeverity: 'error',
+  fixable: false,
+
+  check(token, context) {
+    // Missing and empty values are reported by no-empty-value
+    if (token.value === undefined || token.value === null || token.value === '') return;
+
+    const result = validator.validate(token.value, token.type, token.path);
+    if (!result.isValid) {
+      context.report({ message: result.message, suggestion: result.suggestion });
+    }
+  }
+};
@@ -1,100 +1,255 @@
 const StyleDictionary = require('style-dictionary');
 
+const MathExpressionEngine = require('./src/MathExpressionEngine');
+const CompositeTokenTransformer = require('./src/CompositeTokenTransformer');
+const ColorModifier = require('./src/ColorModifier');
+
+const mathEngine = new MathExpressionEngine();
+const composites = new CompositeTokenTransformer();
+const colorModifier = new ColorModifier();
+
+// Evaluate a math expression, keeping the original value and warning when it cannot be evaluated
+function evaluateExpression(expr, tokenPath) {
+  if (!mathEngine.isExpression(expr)) return expr;
+
+  const result = mathEngine.evaluate(expr, { tokenPath });
+  if (!result.success) {
+    console.warn(`⚠️  ${result.errors.join('; ')}`);
+    return expr;
+  }
+  return result.value;
+}
+
+// Parse Token Studio set files ($value/$type/$description) into Style Dictionary tokens
+function toStyleDictionaryTokens(obj) {
+  if (Array.isArray(obj) || obj === null || typeof obj !== 'object') return obj;
+
+  if (obj.$value !== undefined) {
+    const { $value, $type, $description, ...rest } = obj;
+    const token = { ...rest, value: $value };
+    if ($type) token.type = $type;
+    if ($description) token.comment = $description;
+    return token;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(obj)) {
+    result[key] = toStyleDictionaryTokens(value);
+  }
+  return result;
+}
+
+StyleDictionary.registerParser({
+  pattern: /\.json$/,
+  parse: ({ contents }) => toStyleDictionaryTokens(JSON.parse(contents))
+});
+
 // Custom transforms for mathematical calculations
+// Transitive so references such as {fontVariables.fontSizeBaseline} are resolved first
 StyleDictionary.registerTransform({
   name: 'math/evaluate',
   type: 'value',
+  transitive: true,
   matcher: function(token) {
-    return typeof token.value === 'string' && 
-           (token.value.includes('roundTo(') || 
-            token.value.includes(' * ') || 
-            token.value.includes(' + ') || 
-            token.value.includes(' - ') || 
-            token.value.includes(' / '));
+    return mathEngine.isExpression(token.value);
   },
   transformer: function(token) {
-    let value = token.value;
-    
-    // Handle roundTo() function
-    if (value.includes('roundTo(')) {
-      value = value.replace(/roundTo\(([^,]+),\s*(\d+)\)/g, (match, expression, decimals) => {
-        try {
-          const result = eval(expression);
-          return Number(result.toFixed(parseInt(decimals)));
-        } catch (e) {
-          return match; // Return original if evaluation fails
-        }
-      });
-    }
-    
-    // Handle simple mathematical expressions
-    if (value.includes(' * ') || value.includes(' + ') || value.includes(' - ') || value.includes(' / ')) {
-      try {
-        // Only evaluate if it's a simple numeric expression
-        if (/^[\d\s\+\-\*\/\(\)]+$/.test(value)) {
-          return eval(value);
-        }
-      } catch (e) {
-        // Return original value if evaluation fails
-      }
-    }
-    
-    return value;
+    return evaluateExpression(token.value, token.path.join('.'));
+  }
+});
+
+// Token Studio sizes are unitless px; CSS needs the unit. Runs after math/evaluate, since
+// roundTo({fontVariables.fontSizeBaseline}*0.625,0) only becomes a number once evaluated
+const PX_TYPES = ['dimension', 'sizing', 'spacing', 'borderRadius', 'borderWidth', 'fontSizes', 'fontSize', 'paragraphSpacing', 'paragraphIndent'];
+
+StyleDictionary.registerTransform({
+  name: 'size/unitless-px',
+  type: 'value',
+  transitive: true,
+  matcher: function(token) {
+    return PX_TYPES.includes(token.type) && /^-?\d*\.?\d+$/.test(String(token.value).trim());
+  },
+  transformer: function(token) {
+    return `${String(token.value).trim()}px`;
+  }
+});
+
+// References embedded in strings resolve to hex; rgba({color.black}, 0.5) needs r, g, b channels.
+// Token Studio color modifiers are applied before the build by style-dictionary.theme.config.js
+StyleDictionary.registerTransform({
+  name: 'color/hex-channels',
+  type: 'value',
+  transitive: true,
+  matcher: function(token) {
+    return typeof token.value === 'string' && /rgba?\(\s*#/i.test(token.value);
+  },
+  transformer: function(token) {
+    return colorModifier.expandHexChannels(token.value);
+  }
+});
+
+// Composite transforms; transitive so nested references are resolved first
+StyleDictionary.registerTransform({
+  name: 'shadow/css',
+  type: 'value',
+  transitive: true,
+  matcher: function(token) {
+    return composites.isBoxShadow(token);
+  },
+  transformer: function(token) {
+    return composites.toCssShadow(token.value, token.path.join('.'));
+  }
+});
+
+StyleDictionary.registerTransform({
+  name: 'typography/css-shorthand',
+  type: 'value',
+  transitive: true,
+  matcher: function(token) {
+    return composites.isTypography(token);
+  },
+  transformer: function(token) {
+    return composites.toCssFont(token.value, token.path.join('.'));
+  }
+});
+
+StyleDictionary.registerTransform({
+  name: 'typography/js',
+  type: 'value',
+  transitive: true,
+  matcher: function(token) {
+    return composites.isTypography(token);
+  },
+  transformer: function(token) {
+    return composites.toJsTypography(token.value, token.path.join('.'));
   }
 });
 
-// Custom format for typography tokens in CSS
+// Custom format for typography tokens in CSS: font shorthand properties plus utility classes
 StyleDictionary.registerFormat({
   name: 'css/typography',
   formatter: function(dictionary, config) {
-    const typographyTokens = dictionary.allTokens.filter(token => 
-      token.type === 'typography' || 
-      (typeof token.value === 'object' && token.value.fontFamily)
+    const typographyTokens = dictionary.allTokens.filter(token => composites.isTypography(token));
+    if (typographyTokens.length === 0) return '';
+
+    const properties = typographyTokens.map(token =>
+      `  --${token.name}: ${composites.toCssFont(token.value, token.path.join('.'))};`
     );
-    
-    // Helper function to evaluate mathematical expressions
-    function evaluateExpression(expr) {
-      if (typeof expr !== 'string') return expr;
-      
-      // Handle roundTo() function
-      if (expr.includes('roundTo(')) {
-        expr = expr.replace(/roundTo\(([^,]+),\s*(\d+)\)/g, (match, expression, decimals) => {
-          try {
-            const result = eval(expression);
-            return Number(result.toFixed(parseInt(decimals)));
-          } catch (e) {
-            return match;
-          }
-        });
-      }
-      
-      // Handle simple mathematical expressions
-      if (expr.includes(' * ') || expr.includes(' + ') || expr.includes(' - ') || expr.includes(' / ')) {
-        try {
-          if (/^[\d\s\+\-\*\/\(\)]+$/.test(expr)) {
-            return eval(expr);
-          }
-        } catch (e) {
-          // Return original if evaluation fails
-        }
+
+    const classes = typographyTokens.map(token => {
+      const declarations = composites.toCssDeclarations(token.value, token.path.join('.'));
+      const body = Object.entries(declarations).map(([property, value]) => `  ${property}: ${value};`);
+      return `.${token.name} {\n${body.join('\n')}\n}`;
+    });
+
+    return `${config.themeSelector || ':root'} {\n${properties.join('\n')}\n}\n\n${classes.join('\n\n')}\n`;
+  }
+});
+
+// Custom format for native iOS text styles and shadows
+StyleDictionary.registerFormat({
+  name: 'ios-swift/composites.swift',
+  formatter: function(dictionary, config, file) {
+    const className = file.className || 'DSStyles';
+    const swiftName = name => name.charAt(0).toLowerCase() + name.slice(1);
+    const uiWeights = { 100: '.ultraLight', 200: '.thin', 300: '.light', 400: '.regular', 500: '.medium', 600: '.semibold', 700: '.bold', 800: '.heavy', 900: '.black' };
+
+    const textStyles = dictionary.allTokens.filter(token => composites.isTypography(token)).map(token => {
+      const style = composites.normalizeTypography(token.value, token.path.join('.'));
+      const weight = uiWeights[Math.round(style.fontWeight / 100) * 100] || '.regular';
+      const lineHeight = style.lineHeight === null ? 'nil' : Math.round(style.lineHeight * style.fontSize * 100) / 100;
+      const letterSpacing = Math.round(style.letterSpacing * style.fontSize * 100) / 100;
+
+      return `    public static let ${swiftName(token.name)} = DSTextStyle(fontFamily: "${style.fontFamily}", fontWeight: ${weight}, italic: ${style.fontStyle === 'italic'}, fontSize: ${style.fontSize}, lineHeight: ${lineHeight}, letterSpacing: ${letterSpacing}, paragraphSpacing: ${style.paragraphSpacing}, textCase: "${style.textCase}", textDecoration: "${style.textDecoration}")`;
+    });
+
+    const shadows = dictionary.allTokens.filter(token => composites.isBoxShadow(token)).map(token => {
+      const layers = composites.normalizeShadow(token.value, token.path.join('.')).map(layer => {
+        const rgba = composites.parseColor(layer.color) || { r: 0, g: 0, b: 0, a: 1 };
+        const channel = value => (value / 255).toFixed(3);
+        return `DSShadow(color: UIColor(red: ${channel(rgba.r)}, green: ${channel(rgba.g)}, blue: ${channel(rgba.b)}, alpha: ${rgba.a}), x: ${layer.x}, y: ${layer.y}, blur: ${layer.blur}, spread: ${layer.spread}, inset: ${layer.inset})`;
+      });
+      return `    public static let ${swiftName(token.name)}: [DSShadow] = [${layers.join(', ')}]`;
+    });
+
+    return `${StyleDictionary.formatHelpers.fileHeader({ file, commentStyle: 'short' })}
+import UIKit
+
+public struct DSTextStyle {
+    public let fontFamily: String
+    public let fontWeight: UIFont.Weight
+    public let italic: Bool
+    public let fontSize: CGFloat
+    public let lineHeight: CGFloat?
+    public let letterSpacing: CGFloat
+    public let paragraphSpacing: CGFloat
+    public let textCase: String
+    public let textDecoration: String
+}
+
+public struct DSShadow {
+    public let color: UIColor
+    public let x: CGFloat
+    public let y: CGFloat
+    public let blur: CGFloat
+    public let spread: CGFloat
+    public let inset: Bool
+}
+
+public class ${className} {
+${[...textStyles, ...shadows].join('\n')}
+}
+`;
+  }
+});
+
+// Custom format for native Android text appearances and shadow resources
+StyleDictionary.registerFormat({
+  name: 'android/composites',
+  formatter: function(dictionary, config, file) {
+    const pascalName = name => name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    const resourceName = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const hex = value => Math.round(value).toString(16).padStart(2, '0').toUpperCase();
+
+    const styles = dictionary.allTokens.filter(token => composites.isTypography(token)).map(token => {
+      const style = composites.normalizeTypography(token.value, token.path.join('.'));
+      const items = [
+        `    <item name="android:fontFamily">@font/${resourceName(style.fontFamily.split(',')[0].replace(/['"]/g, ''))}</item>`,
+        `    <item name="android:textSize">${style.fontSize}sp</item>`,
+        `    <item name="android:textFontWeight">${style.fontWeight}</item>`,
+        `    <item name="android:textStyle">${style.fontStyle === 'italic' ? 'italic' : 'normal'}</item>`,
+        `    <item name="android:letterSpacing">${style.letterSpacing}</item>`
+      ];
+      if (style.lineHeight !== null) {
+        items.push(`    <item name="android:lineHeight">${Math.round(style.lineHeight * style.fontSize * 100) / 100}sp</item>`);
       }
-      
-      return expr;
-    }
-    
-    return typographyTokens.map(token => {
-      const value = token.value;
-      if (typeof value === 'object' && value.fontFamily) {
-        // Convert typography object to CSS shorthand
-        const fontSize = evaluateExpression(value.fontSize) || '16';
-        const lineHeight = value.lineHeight && value.lineHeight !== 'AUTO' ? value.lineHeight : '1.5';
-        const fontWeight = value.fontWeight || 'normal';
-        const fontFamily = value.fontFamily || 'inherit';
-        
-        return `  --${token.name}: ${fontWeight} ${fontSize}px/${lineHeight} ${fontFamily};`;
+      if (style.textCase === 'uppercase') {
+        items.push('    <item name="android:textAllCaps">true</item>');
       }
-      return `  --${token.name}: ${value};`;
-    }).join('\n');
+      return `  <style name="TextAppearance.${pascalName(token.name)}">\n${items.join('\n')}\n  </style>`;
+    });
+
+    const shadows = dictionary.allTokens.filter(token => composites.isBoxShadow(token)).map(token => {
+      const layers = composites.normalizeShadow(token.value, token.path.join('.'));
+      return layers.map((layer, index) => {
+        const prefix = layers.length > 1 ? `${token.name}_shadow_${index + 1}` : `${token.name}_shadow`;
+        const rgba = composites.parseColor(layer.color) || { r: 0, g: 0, b: 0, a: 1 };
+        return [
+          `  <dimen name="${prefix}_x">${layer.x}dp</dimen>`,
+          `  <dimen name="${prefix}_y">${layer.y}dp</dimen>`,
+          `  <dimen name="${prefix}_blur">${layer.blur}dp</dimen>`,
+          `  <dimen name="${prefix}_spread">${layer.spread}dp</dimen>`,
+          `  <color name="${prefix}_color">#${hex(rgba.a * 255)}${hex(rgba.r)}${hex(rgba.g)}${hex(rgba.b)}</color>`
+        ].join('\n');
+      }).join('\n');
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+${StyleDictionary.formatHelpers.fileHeader({ file, commentStyle: 'xml' })}
+<resources>
+${[...styles, ...shadows].join('\n')}
+</resources>
+`;
   }
 });
 
@@ -102,12 +257,14 @@ StyleDictionary.registerFormat({
 StyleDictionary.registerFormat({
   name: 'css/custom-properties-themed',
   formatter: function(dictionary, config) {
-    const { themeName } = config;
-    const selector = themeName ? `[data-theme="${themeName}"]` : ':root';
+    const { themeName, themeSelector } = config;
+    // Grouped themes build per combination and select on every group: [data-brand][data-mode]
+    const selector = themeSelector || (themeName ? `[data-theme="${themeName}"]` : ':root');
     
-    return `${selector} {\n${dictionary.allTokens.map(token => 
-      `  --${token.name}: ${token.value};`
-    ).join('\n')}\n}\n`;
+    return `${selector} {\n${dictionary.allTokens.map(token => {
+      const value = composites.isTypography(token) ? composites.toCssFont(token.value, token.path.join('.')) : token.value;
+      return `  --${token.name}: ${value};`;
+    }).join('\n')}\n}\n`;
   }
 });
 
@@ -122,23 +279,22 @@ StyleDictionary.registerFormat({
   }
 });
 
+// Platform template; sources and per-theme build paths are filled in by
+// style-dictionary.theme.config.js from tokens/$themes.json
 module.exports = {
-  source: [
-    'tokens/tokens.json'
-  ],
   platforms: {
     // CSS Variables
     css: {
       transformGroup: 'css',
-      transforms: ['attribute/cti', 'name/cti/kebab', 'time/seconds', 'content/icon', 'size/rem', 'color/css', 'math/evaluate'],
+      transforms: ['attribute/cti', 'color/hex-channels', 'name/cti/kebab', 'time/seconds', 'content/icon', 'color/css', 'math/evaluate', 'size/rem', 'size/unitless-px', 'shadow/css'],
       buildPath: 'dist/css/',
       files: [
         {
           destination: 'tokens.css',
           format: 'css/variables',
           filter: function(token) {
-            // Exclude complex objects that should go to typography file
-            return !(typeof token.value === 'object' && token.value.fontFamily);
+            // Typography composites go to the typography file
+            return !composites.isTypography(token);
           }
         },
         {
@@ -155,7 +311,7 @@ module.exports = {
     // JavaScript/TypeScript
     js: {
       transformGroup: 'js',
-      transforms: ['attribute/cti', 'name/cti/camel', 'size/rem', 'color/hex', 'math/evaluate'],
+      transforms: ['attribute/cti', 'color/hex-channels', 'name/cti/camel', 'color/hex', 'math/evaluate', 'size/rem', 'typography/js', 'shadow/css'],
       buildPath: 'dist/js/',
       files: [
         {
@@ -172,7 +328,7 @@ module.exports = {
     // JSON (for documentation and debugging)
     json: {
       transformGroup: 'js',
-      transforms: ['attribute/cti', 'name/cti/camel', 'size/rem', 'color/hex', 'math/evaluate'],
+      transforms: ['attribute/cti', 'color/hex-channels', 'name/cti/camel', 'color/hex', 'math/evaluate', 'size/rem', 'typography/js', 'shadow/css'],
       buildPath: 'dist/json/',
       files: [
         {
@@ -189,7 +345,7 @@ module.exports = {
     // SCSS Variables
     scss: {
       transformGroup: 'scss',
-      transforms: ['attribute/cti', 'name/cti/kebab', 'time/seconds', 'content/icon', 'size/rem', 'color/css', 'math/evaluate'],
+      transforms: ['attribute/cti', 'color/hex-channels', 'name/cti/kebab', 'time/seconds', 'content/icon', 'color/css', 'math/evaluate', 'size/rem', 'size/unitless-px', 'typography/css-shorthand', 'shadow/css'],
       buildPath: 'dist/scss/',
       files: [
         {
@@ -208,7 +364,18 @@ module.exports = {
         {
           destination: 'Tokens.swift',
           format: 'ios-swift/class.swift',
-          className: 'DSTokens'
+          className: 'DSTokens',
+          filter: function(token) {
+            return !composites.isComposite(token);
+          }
+        },
+        {
+          destination: 'Styles.swift',
+          format: 'ios-swift/composites.swift',
+          className: 'DSStyles',
+          filter: function(token) {
+            return composites.isComposite(token);
+          }
         }
       ]
     },
@@ -221,7 +388,17 @@ module.exports = {
       files: [
         {
           destination: 'tokens.xml',
-          format: 'android/resources'
+          format: 'android/resources',
+          filter: function(token) {
+            return !composites.isComposite(token);
+          }
+        },
+        {
+          destination: 'styles.xml',
+          format: 'android/composites',
+          filter: function(token) {
+            return composites.isComposite(token);
+          }
         }
       ]
     }
@@ -1,34 +1,135 @@
 const baseConfig = require('./style-dictionary.config.js');
+const ThemeResolver = require('./src/ThemeResolver');
+const fs = require('fs');
 const path = require('path');
 
+const DEFAULT_TOKENS_DIR = 'tokens';
+
+// Load $themes.json and $metadata.json from the modular Token Studio folder
+function loadThemes(tokensDir = DEFAULT_TOKENS_DIR) {
+  const readJson = fileName => JSON.parse(fs.readFileSync(path.join(tokensDir, fileName), 'utf8'));
+
+  return {
+    themes: readJson('$themes.json'),
+    metadata: readJson('$metadata.json')
+  };
+}
+
+// Directory-safe theme name ("Bet9ja Dark" -> "bet9ja-dark")
+function getThemeSlug(themeName) {
+  return themeName.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Themes to build: one per combination of grouped themes (brand × mode), ungrouped themes as they are
+function getBuildThemes(themes) {
+  return new ThemeResolver({ themes }).getCombinations();
+}
+
+// CSS selector for a combination ([data-brand="bet9ja"][data-mode="dark"]); null for an ungrouped theme
+function getThemeSelector(theme) {
+  if (!theme.selection) return null;
+
+  return Object.entries(theme.selection)
+    .map(([group, themeName]) => `[data-${getThemeSlug(group)}="${getThemeSlug(themeName)}"]`)
+    .join('');
+}
+
+// Split a theme's selected sets into emitted (enabled) and reference-only (source) files
+function getThemeSources(theme, metadata, tokensDir = DEFAULT_TOKENS_DIR) {
+  const selected = theme.selectedTokenSets || {};
+  const order = [...(metadata.tokenSetOrder || [])];
+
+  Object.keys(selected).forEach(setName => {
+    if (!order.includes(setName)) order.push(setName);
+  });
+
+  const toFile = setName => path.join(tokensDir, `${setName}.json`);
+
+  return {
+    source: order.filter(setName => selected[setName] === 'enabled').map(toFile),
+    include: order.filter(setName => selected[setName] === 'source').map(toFile)
+  };
+}
+
 // Helper function to create theme-specific configuration
-function createThemeConfig(themeName) {
-  const config = JSON.parse(JSON.stringify(baseConfig)); // Deep clone
-  
-  // Update source to include theme-specific tokens
-  config.source = [
-    'tokens/tokens.json',
-    `tokens/${themeName}.json`
-  ];
-  
-  // Update build paths to include theme name
-  Object.keys(config.platforms).forEach(platform => {
-    const originalBuildPath = config.platforms[platform].buildPath;
-    config.platforms[platform].buildPath = `${originalBuildPath}${themeName}/`;
-    
-    // Update file destinations to include theme name
-    config.platforms[platform].files.forEach(file => {
-      const ext = path.extname(file.destination);
-      const name = path.basename(file.destination, ext);
-      file.destination = `${name}-${themeName}${ext}`;
-    });
+function createThemeConfig(theme, metadata, options = {}) {
+  const tokensDir = options.tokensDir || DEFAULT_TOKENS_DIR;
+  const themeSlug = getThemeSlug(theme.name);
+  const themeSelector = getThemeSelector(theme);
+  const { source, include } = getThemeSources(theme, metadata, tokensDir);
+  const platforms = {};
+
+  // Rebuild platforms by hand: a JSON deep clone would drop the file filter functions
+  Object.entries(baseConfig.platforms).forEach(([platformName, platform]) => {
+    platforms[platformName] = {
+      ...platform,
+      themeName: themeSlug,
+      ...(themeSelector && { themeSelector }),
+      buildPath: `${platform.buildPath}${themeSlug}/`,
+      files: platform.files.map(file => ({
+        ...file,
+        // The built-in css/variables format takes its selector from the file options
+        ...(themeSelector && file.format === 'css/variables' && { options: { ...file.options, selector: themeSelector } }),
+        // Tokens from included (source) sets resolve references but are never emitted
+        filter: token => token.isSource && (!file.filter || file.filter(token))
+      }))
+    };
+  });
+
+  return { source, include, platforms };
+}
+
+// Resolve tokens with Token Studio color modifiers for one theme. Style Dictionary only sees
+// platform-transformed reference values, so the modified colors are computed up front
+function getModifiedTokenValues(theme, metadata, options = {}) {
+  const tokensDir = options.tokensDir || DEFAULT_TOKENS_DIR;
+  const tokenSets = {};
+
+  Object.keys(theme.selectedTokenSets || {}).forEach(setName => {
+    const filePath = path.join(tokensDir, `${setName}.json`);
+    if (fs.existsSync(filePath)) {
+      tokenSets[setName] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  });
+
+  const resolver = new ThemeResolver({ tokensDir, tokenSets, themes: [theme], metadata });
+  const values = {};
+  const warnings = [];
+
+  Object.keys(resolver.resolveTheme(theme.name, { includeSource: true }).tokens).forEach(tokenPath => {
+    const entry = resolver.findToken(tokenPath, theme.name);
+    if (!entry.modify) return;
+
+    const resolution = resolver.resolveToken(tokenPath, theme.name);
+    warnings.push(...resolution.warnings);
+    if (resolution.resolved) {
+      values[tokenPath] = resolution.value;
+    } else {
+      warnings.push(...resolution.errors);
+    }
+  });
+
+  return { values, warnings };
+}
+
+// Write pre-resolved values into a Style Dictionary token tree (SD.tokens after extend)
+function applyTokenValues(tokens, values) {
+  Object.entries(values).forEach(([tokenPath, value]) => {
+    const token = tokenPath.split('.').reduce((node, key) => (node ? node[key] : undefined), tokens);
+    if (token && token.value !== undefined) {
+      token.value = value;
+    }
   });
-  
-  return config;
 }
 
 // Export theme configurations
 module.exports = {
+  applyTokenValues,
   createThemeConfig,
-  themes: ['logifuture', 'bet9ja']
-};
\ No newline at end of file
+  getBuildThemes,
+  getModifiedTokenValues,
+  getThemeSelector,
+  getThemeSources,
+  getThemeSlug,
+  loadThemes
+};
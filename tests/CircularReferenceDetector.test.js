@@ -0,0 +1,83 @@
+/**
+ * CircularReferenceDetector Tests
+ *
+ * Tests cross-set cycle detection through aliases, composites, embedded strings
+ * and color modifiers, with per-theme set stacks
+ */
+
+const CircularReferenceDetector = require('../src/CircularReferenceDetector');
+
+describe('CircularReferenceDetector', () => {
+  const detect = options => new CircularReferenceDetector(options).findCycles();
+
+  it('should report the whole cycle across sets with file and path per hop', () => {
+    const cycles = detect({
+      tokenSets: {
+        core: { color: { base: { $type: 'color', $value: '{surface.default}' } } },
+        global: {
+          surface: { default: { $type: 'color', $value: '{content.primary}' } },
+          content: { primary: { $type: 'color', $value: '{color.base}' } }
+        }
+      }
+    });
+
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].cycle).toEqual(['color.base', 'surface.default', 'content.primary', 'color.base']);
+    expect(cycles[0].hops).toEqual([
+      { path: 'color.base', set: 'core', file: 'core.json', value: '{surface.default}' },
+      { path: 'surface.default', set: 'global', file: 'global.json', value: '{content.primary}' },
+      { path: 'content.primary', set: 'global', file: 'global.json', value: '{color.base}' }
+    ]);
+    expect(cycles[0].message).toBe('Circular reference: color.base (core.json) → surface.default (global.json) → content.primary (global.json) → color.base');
+  });
+
+  it('should follow composite sub-properties, embedded strings and color modifiers', () => {
+    const cycles = detect({
+      tokenSets: {
+        core: {
+          font: { size: { $type: 'fontSizes', $value: '{heading.h1}' } },
+          heading: { h1: { $type: 'typography', $value: { fontFamily: 'Roboto', fontSize: '{font.size}' } } },
+          fade: { $type: 'color', $value: 'linear-gradient(90deg, rgba({scrim}, 0) 80%, #000 100%)' },
+          scrim: {
+            $type: 'color',
+            $value: '#000000',
+            $extensions: { 'studio.tokens': { modify: { type: 'alpha', value: '{fade}' } } }
+          }
+        }
+      }
+    });
+
+    expect(cycles.map(cycle => cycle.cycle.join(' -> '))).toEqual([
+      'font.size -> heading.h1 -> font.size',
+      'fade -> scrim -> fade'
+    ]);
+  });
+
+  it('should use each theme stack so overridden tokens break cycles', () => {
+    const cycles = detect({
+      tokenSets: {
+        core: { a: { $type: 'color', $value: '{b}' }, b: { $type: 'color', $value: '{a}' } },
+        fix: { b: { $type: 'color', $value: '#ffffff' } }
+      },
+      metadata: { tokenSetOrder: ['core', 'fix'] },
+      themes: [
+        { id: 'broken', name: 'Broken', selectedTokenSets: { core: 'enabled' } },
+        { id: 'fixed', name: 'Fixed', selectedTokenSets: { core: 'enabled', fix: 'enabled' } }
+      ]
+    });
+
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].cycle).toEqual(['a', 'b', 'a']);
+    expect(cycles[0].themes).toEqual(['Broken']);
+  });
+
+  it('should report self references and ignore missing targets', () => {
+    const cycles = detect({
+      tokenSets: {
+        core: { loop: { $type: 'color', $value: '{loop}' }, dangling: { $type: 'color', $value: '{nowhere}' } }
+      }
+    });
+
+    expect(cycles.map(cycle => cycle.cycle)).toEqual([['loop', 'loop']]);
+  });
+});
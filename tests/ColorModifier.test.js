@@ -0,0 +1,63 @@
+/**
+ * ColorModifier Tests
+ *
+ * Tests Token Studio color modifiers (lighten, darken, alpha, mix), output formats
+ * and hex channel expansion for rgba({hex}, a) values
+ */
+
+const ColorModifier = require('../src/ColorModifier');
+
+describe('ColorModifier', () => {
+  let modifier;
+
+  const apply = (color, modify) => modifier.apply(color, modify, { tokenPath: 'button.hover' });
+
+  beforeEach(() => {
+    modifier = new ColorModifier();
+  });
+
+  it('should read the modifier from $extensions', () => {
+    const modify = { type: 'darken', value: '0.1' };
+
+    expect(modifier.getModifier({ $value: '#fff', $extensions: { 'studio.tokens': { modify } } })).toBe(modify);
+    expect(modifier.getModifier({ $value: '#fff' })).toBeNull();
+  });
+
+  it('should lighten and darken in srgb', () => {
+    expect(apply('#000000', { type: 'lighten', value: '0.5' }).value).toBe('#808080');
+    expect(apply('#ffffff', { type: 'darken', value: 0.25 }).value).toBe('#bfbfbf');
+  });
+
+  it('should lighten and darken lightness in hsl', () => {
+    expect(apply('#ff0000', { type: 'lighten', value: '0.5', space: 'hsl' }).value).toBe('#ff8080');
+    expect(apply('#ff0000', { type: 'darken', value: '0.5', space: 'hsl', format: 'hsl' }).value).toBe('hsl(0, 100%, 25.1%)');
+  });
+
+  it('should set alpha and mix colors', () => {
+    expect(apply('#1d2024', { type: 'alpha', value: '0.5' }).value).toBe('#1d202480');
+    expect(apply('#1d2024', { type: 'alpha', value: '0.5', format: 'rgb' }).value).toBe('rgba(29, 32, 36, 0.5)');
+    expect(apply('#000000', { type: 'mix', value: '0.25', color: '#ffffff' }).value).toBe('#404040');
+    expect(apply('#ff0000', { type: 'mix', value: '0.5', color: '#0000ff', space: 'hsl' }).value).toBe('#ff00ff');
+  });
+
+  it('should report modifiers that cannot be applied', () => {
+    expect(apply('#000', { type: 'saturate', value: '0.2' }).errors[0]).toContain("Unknown color modifier 'saturate' at button.hover");
+    expect(apply('linear-gradient(#000, #fff)', { type: 'lighten', value: '0.2' }).errors[0]).toContain('is not a hex or rgb color');
+    expect(apply('#000', { type: 'lighten', value: '{opacity.50}' }).errors[0]).toContain("'{opacity.50}' at button.hover is not a number");
+    expect(apply('#000', { type: 'mix', value: '0.2' }).success).toBe(false);
+  });
+
+  it('should fall back to srgb for unsupported spaces with a warning', () => {
+    const result = apply('#000000', { type: 'lighten', value: '0.5', space: 'lch' });
+
+    expect(result.success).toBe(true);
+    expect(result.value).toBe('#808080');
+    expect(result.warnings[0]).toContain("Color space 'lch'");
+  });
+
+  it('should expand hex colors used as rgba() channels', () => {
+    expect(modifier.expandHexChannels('linear-gradient(90deg, rgba(#1d2024, 0) 80%, rgba(#fff, 1) 100%)'))
+      .toBe('linear-gradient(90deg, rgba(29, 32, 36, 0) 80%, rgba(255, 255, 255, 1) 100%)');
+    expect(modifier.expandHexChannels('#1d2024')).toBe('#1d2024');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * CompositeTokenTransformer Tests
+ *
+ * Tests typography normalization, CSS shorthands, box-shadow strings and color parsing
+ */
+
+const CompositeTokenTransformer = require('../src/CompositeTokenTransformer');
+
+describe('CompositeTokenTransformer', () => {
+  let transformer;
+
+  const headline = {
+    fontFamily: 'Roboto',
+    fontWeight: 'Black',
+    lineHeight: '110%',
+    fontSize: 'roundTo(16*2.5,0)',
+    letterSpacing: '-2%',
+    paragraphSpacing: '0',
+    textCase: 'uppercase',
+    textDecoration: 'none'
+  };
+
+  beforeEach(() => {
+    transformer = new CompositeTokenTransformer();
+  });
+
+  describe('normalizeTypography', () => {
+    it('should resolve weights, sizes, line heights and letter spacing', () => {
+      expect(transformer.normalizeTypography(headline)).toEqual({
+        fontFamily: 'Roboto',
+        fontWeight: 900,
+        fontStyle: 'normal',
+        fontSize: 40,
+        lineHeight: 1.1,
+        letterSpacing: -0.02,
+        paragraphSpacing: 0,
+        paragraphIndent: 0,
+        textCase: 'uppercase',
+        textDecoration: 'none'
+      });
+    });
+
+    it('should treat AUTO line heights as the natural line height', () => {
+      const result = transformer.normalizeTypography({ ...headline, lineHeight: 'AUTO' });
+
+      expect(result.lineHeight).toBeNull();
+    });
+
+    it('should convert pixel line heights to ratios and italic weights to a font style', () => {
+      const result = transformer.normalizeTypography({ fontFamily: 'Roboto', fontWeight: 'Medium Italic', fontSize: '16', lineHeight: '24' });
+
+      expect(result.lineHeight).toBe(1.5);
+      expect(result.fontWeight).toBe(500);
+      expect(result.fontStyle).toBe('italic');
+    });
+  });
+
+  describe('CSS output', () => {
+    it('should build a font shorthand', () => {
+      expect(transformer.toCssFont(headline)).toBe('900 40px/1.1 Roboto');
+      expect(transformer.toCssFont({ ...headline, fontFamily: 'Noto Serif', lineHeight: 'AUTO' }))
+        .toBe('900 40px/normal "Noto Serif"');
+    });
+
+    it('should build utility class declarations', () => {
+      expect(transformer.toCssDeclarations(headline)).toMatchObject({
+        'font-size': '40px',
+        'line-height': 1.1,
+        'letter-spacing': '-0.02em',
+        'text-transform': 'uppercase'
+      });
+    });
+
+    it('should build single and multi-layer box shadows', () => {
+      expect(transformer.toCssShadow({ x: '0', y: '4', blur: '4', spread: '0', color: 'rgba(29, 32, 36, 0.25)', type: 'dropShadow' }))
+        .toBe('0 4px 4px 0 rgba(29, 32, 36, 0.25)');
+      expect(transformer.toCssShadow([
+        { x: '0', y: '1', blur: '2', spread: '0', color: '#0003', type: 'dropShadow' },
+        { x: '0', y: '-4', blur: '4', spread: '1', color: '#000', type: 'innerShadow' }
+      ])).toBe('0 1px 2px 0 #0003, inset 0 -4px 4px 1px #000');
+      expect(transformer.toCssShadow({ x: '0', y: '4', blur: '8', spread: '0', color: 'rgba(#000000, 0.2)' }))
+        .toBe('0 4px 8px 0 rgba(0, 0, 0, 0.2)');
+    });
+  });
+
+  describe('parseColor', () => {
+    it('should parse hex and rgba colors', () => {
+      expect(transformer.parseColor('#1D2024')).toEqual({ r: 29, g: 32, b: 36, a: 1 });
+      expect(transformer.parseColor('#00000033')).toEqual({ r: 0, g: 0, b: 0, a: 0.2 });
+      expect(transformer.parseColor('rgba(29, 32, 36, 0.25)')).toEqual({ r: 29, g: 32, b: 36, a: 0.25 });
+      expect(transformer.parseColor('transparent')).toBeNull();
+    });
+  });
+
+  describe('isComposite', () => {
+    it('should detect typography and boxShadow tokens', () => {
+      expect(transformer.isComposite({ type: 'typography', value: {} })).toBe(true);
+      expect(transformer.isComposite({ type: 'boxShadow', value: {} })).toBe(true);
+      expect(transformer.isComposite({ type: 'color', value: '#fff' })).toBe(false);
+    });
+  });
+});
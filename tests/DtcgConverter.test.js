@@ -0,0 +1,205 @@
+/**
+ * DtcgConverter Tests
+ *
+ * Tests Token Studio → DTCG value conversion, the theme resolver file, lossless round trips,
+ * import of plain DTCG files with group $type inheritance, and the lossiness report
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const DtcgConverter = require('../src/DtcgConverter');
+
+describe('DtcgConverter', () => {
+  const themes = [
+    {
+      id: 'light',
+      name: 'Light',
+      group: 'mode',
+      selectedTokenSets: { core: 'source', light: 'enabled' },
+      $figmaStyleReferences: { surface: 'S:1' }
+    },
+    { id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: { core: 'source', dark: 'enabled' } }
+  ];
+
+  const tokenSets = {
+    core: {
+      color: {
+        blue: { $type: 'color', $value: '#0066cc', $description: 'Brand blue' },
+        shade: { $type: 'color', $value: 'rgba(29, 32, 36, 0.25)' }
+      },
+      spacing: { base: { $type: 'spacing', $value: '8' } },
+      fontWeights: { bold: { $type: 'fontWeights', $value: 'Bold' } },
+      lineHeights: { body: { $type: 'lineHeights', $value: '150%' } },
+      letterSpacing: { tight: { $type: 'letterSpacing', $value: '-2%' } },
+      fontSize: { large: { $type: 'fontSizes', $value: '{spacing.base} * 2' } }
+    },
+    light: {
+      surface: {
+        $type: 'color',
+        $value: '{color.blue}',
+        $extensions: { 'studio.tokens': { modify: { type: 'lighten', value: '0.2', space: 'srgb' } } }
+      },
+      shadow: { $type: 'boxShadow', $value: { x: '0', y: '4', blur: '4', spread: '0', color: '{color.shade}', type: 'innerShadow' } },
+      body: {
+        $type: 'typography',
+        $value: { fontFamily: 'Roboto', fontWeight: '{fontWeights.bold}', fontSize: '16', lineHeight: '{lineHeights.body}', letterSpacing: '0%', textCase: 'none' }
+      }
+    },
+    dark: {
+      surface: { $type: 'color', $value: '#1d2024' }
+    }
+  };
+
+  const source = { tokenSets, themes, metadata: { tokenSetOrder: ['core', 'light', 'dark'] } };
+
+  it('should convert Token Studio values to DTCG types and values', () => {
+    const { files } = new DtcgConverter().toDtcg(source);
+    const core = files['core.tokens.json'];
+    const light = files['light.tokens.json'];
+
+    expect(core.color.blue).toEqual({
+      $type: 'color',
+      $value: { colorSpace: 'srgb', components: [0, 0.4, 0.8], hex: '#0066cc' },
+      $description: 'Brand blue'
+    });
+    expect(core.color.shade.$value).toMatchObject({ hex: '#1d2024', alpha: 0.25 });
+    expect(core.spacing.base).toMatchObject({ $type: 'dimension', $value: { value: 8, unit: 'px' } });
+    expect(core.fontWeights.bold.$value).toBe(700);
+    expect(core.lineHeights.body).toMatchObject({ $type: 'number', $value: 1.5 });
+    expect(light.shadow.$value).toEqual({
+      color: '{color.shade}',
+      offsetX: { value: 0, unit: 'px' },
+      offsetY: { value: 4, unit: 'px' },
+      blur: { value: 4, unit: 'px' },
+      spread: { value: 0, unit: 'px' },
+      inset: true
+    });
+    expect(light.body.$value).toEqual({
+      fontFamily: 'Roboto',
+      fontSize: { value: 16, unit: 'px' },
+      fontWeight: '{fontWeights.bold}',
+      letterSpacing: { value: 0, unit: 'px' },
+      lineHeight: '{lineHeights.body}'
+    });
+    expect(light.surface.$extensions['studio.tokens'].modify).toEqual({ type: 'lighten', value: '0.2', space: 'srgb' });
+  });
+
+  it('should map themes to a resolver with shared sets and one modifier per group', () => {
+    const resolver = new DtcgConverter().toDtcg(source).files['tokens.resolver.json'];
+
+    expect(resolver.sets).toEqual({ core: { sources: [{ $ref: 'core.tokens.json' }] } });
+    expect(resolver.modifiers.mode).toEqual({
+      contexts: {
+        Light: [{ $ref: 'light.tokens.json' }],
+        Dark: [{ $ref: 'dark.tokens.json' }]
+      },
+      default: 'Light'
+    });
+    expect(resolver.resolutionOrder).toEqual([{ $ref: '#/sets/core' }, { $ref: '#/modifiers/mode' }]);
+  });
+
+  it('should report what DTCG cannot express', () => {
+    const { lossiness } = new DtcgConverter().toDtcg(source);
+    const find = tokenPath => lossiness.find(entry => entry.path === tokenPath);
+
+    expect(find('fontSize.large')).toMatchObject({ set: 'core', severity: 'unsupported' });
+    expect(find('letterSpacing.tight').message).toBe("'-2%' has no DTCG dimension form");
+    expect(find('body')).toMatchObject({ set: 'light', severity: 'extension', message: 'typography textCase kept in $extensions only' });
+    expect(find('Light')).toMatchObject({ set: '$themes', severity: 'approximated' });
+    expect(lossiness.filter(entry => entry.path === 'Light').map(entry => entry.severity)).toEqual(['approximated', 'extension']);
+  });
+
+  it('should import its own export unchanged', () => {
+    const converter = new DtcgConverter();
+    const { files } = converter.toDtcg(source);
+    const { 'tokens.resolver.json': resolver, ...setFiles } = files;
+    const imported = converter.fromDtcg({
+      files: Object.fromEntries(Object.entries(setFiles).map(([fileName, data]) => [fileName.replace('.tokens.json', ''), data])),
+      resolver
+    });
+
+    expect(imported.tokenSets).toEqual(tokenSets);
+    expect(imported.themes).toEqual(themes);
+    expect(imported.tokenSetOrder).toEqual(['core', 'light', 'dark']);
+    expect(imported.lossiness).toEqual([]);
+  });
+
+  it('should import plain DTCG files with group $type inheritance', () => {
+    const imported = new DtcgConverter().fromDtcg({
+      files: {
+        base: {
+          color: {
+            $type: 'color',
+            ink: { $value: { colorSpace: 'srgb', components: [0, 0, 0], alpha: 0.5 } },
+            accent: { $value: '{color.ink}' }
+          },
+          space: { $type: 'dimension', md: { $value: { value: 1.5, unit: 'rem' } } },
+          fade: { $type: 'gradient', $value: [{ color: '{color.ink}', position: 0 }, { color: '#ffffff', position: 1 }] },
+          ease: { $type: 'cubicBezier', $value: [0.5, 0, 1, 1] }
+        }
+      },
+      resolver: {
+        sets: { base: { sources: [{ $ref: 'base.tokens.json' }] } },
+        modifiers: { brand: { contexts: { Acme: [] } } }
+      }
+    });
+
+    expect(imported.tokenSets.base.color).toEqual({
+      ink: { $type: 'color', $value: 'rgba(0, 0, 0, 0.5)' },
+      accent: { $type: 'color', $value: '{color.ink}' }
+    });
+    expect(imported.tokenSets.base.space.md.$value).toBe('1.5rem');
+    expect(imported.tokenSets.base.fade.$value).toBe('linear-gradient(180deg, {color.ink} 0%, #ffffff 100%)');
+    expect(imported.tokenSets.base.ease).toEqual({ $type: 'other', $value: 'cubic-bezier(0.5, 0, 1, 1)' });
+    expect(imported.lossiness).toEqual([
+      { set: 'base', path: 'ease', severity: 'approximated', message: 'Token Studio has no cubicBezier type; imported as other' }
+    ]);
+    expect(imported.themes).toEqual([
+      expect.objectContaining({ name: 'Acme', group: 'brand', selectedTokenSets: { base: 'enabled' } })
+    ]);
+  });
+
+  describe('files on disk', () => {
+    let testDir;
+    let tokensDir;
+
+    beforeEach(async () => {
+      testDir = path.join(__dirname, 'temp-dtcg-converter-test');
+      tokensDir = path.join(testDir, 'tokens');
+      await fs.mkdir(tokensDir, { recursive: true });
+
+      await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify(source.metadata, null, 2));
+      await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify(themes, null, 2));
+      for (const [setName, data] of Object.entries(tokenSets)) {
+        await fs.writeFile(path.join(tokensDir, `${setName}.json`), JSON.stringify(data, null, 2));
+      }
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should export a folder and import an edited copy with a backup', async () => {
+      const converter = new DtcgConverter({ tokensDir, backupDir: path.join(testDir, '.backups') });
+      const outputDir = path.join(testDir, 'dtcg');
+
+      const exported = await converter.exportToDirectory(outputDir);
+      expect(exported.success).toBe(true);
+      expect(exported.files).toEqual(['core.tokens.json', 'light.tokens.json', 'dark.tokens.json', 'tokens.resolver.json']);
+
+      const darkFile = path.join(outputDir, 'dark.tokens.json');
+      const dark = JSON.parse(await fs.readFile(darkFile, 'utf8'));
+      dark.surface.$value = { colorSpace: 'srgb', components: [0, 0, 0], hex: '#000000' };
+      await fs.writeFile(darkFile, JSON.stringify(dark));
+
+      const dryRun = await converter.importFromPath(outputDir, { dryRun: true });
+      expect(dryRun.files).toEqual(['dark.json']);
+      expect(dryRun.diff.summary.changed).toBe(1);
+
+      const imported = await converter.importFromPath(outputDir);
+      expect(imported.success).toBe(true);
+      expect(imported.backupId).toBeTruthy();
+      expect(JSON.parse(await fs.readFile(path.join(tokensDir, 'dark.json'), 'utf8')).surface.$value).toBe('#000000');
+    });
+  });
+});
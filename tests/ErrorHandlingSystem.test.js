@@ -239,6 +239,8 @@ describe('ErrorHandlingSystem', () => {
 
   describe('Partial Recovery', () => {
     test('should attempt recovery for missing required files', async () => {
+      const tokensDir = path.join(testDir, 'tokens');
+
       // Create validation result with missing file issue
       const validationResult = {
         issues: [{
@@ -250,7 +252,8 @@ describe('ErrorHandlingSystem', () => {
 
       const recoveryResult = await errorHandler.attemptPartialRecovery(validationResult, {
         autoFix: true,
-        backupFirst: false
+        backupFirst: false,
+        tokensDir
       });
 
       expect(recoveryResult.success).toBe(true);
@@ -260,6 +263,30 @@ describe('ErrorHandlingSystem', () => {
         item.action === 'create_default_file'
       );
       expect(metadataRecovery).toBeDefined();
+
+      // Bare file names are created in the given tokens directory
+      const metadata = JSON.parse(await fs.readFile(path.join(tokensDir, '$metadata.json'), 'utf8'));
+      expect(metadata).toEqual({ tokenSetOrder: [] });
+    });
+
+    test('should refuse to recover without a tokens directory', async () => {
+      const validationResult = {
+        issues: [{
+          type: 'missing_required_file',
+          file: '$metadata.json',
+          severity: 'error'
+        }]
+      };
+
+      const recoveryResult = await errorHandler.attemptPartialRecovery(validationResult, {
+        autoFix: true,
+        backupFirst: true
+      });
+
+      expect(recoveryResult.success).toBe(false);
+      expect(recoveryResult.recoveredItems).toEqual([]);
+      expect(recoveryResult.errors[0]).toContain('needs the tokens directory');
+      expect((await errorHandler.listBackups('partial-recovery')).backups).toEqual([]);
     });
 
     test('should attempt JSON repair for invalid JSON', async () => {
@@ -278,7 +305,8 @@ describe('ErrorHandlingSystem', () => {
 
       const recoveryResult = await errorHandler.attemptPartialRecovery(validationResult, {
         autoFix: true,
-        backupFirst: false
+        backupFirst: false,
+        tokensDir: path.dirname(testFile)
       });
 
       expect(recoveryResult.success).toBe(true);
@@ -288,31 +316,62 @@ describe('ErrorHandlingSystem', () => {
       expect(() => JSON.parse(repairedContent)).not.toThrow();
     });
 
-    test('should suggest alternatives for unresolved references', async () => {
+    test('should replace unresolved references with confident suggestions', async () => {
+      const tokensDir = path.join(testDir, 'tokens');
+      await fs.mkdir(tokensDir, { recursive: true });
+      await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'components'] }));
+      await fs.writeFile(path.join(tokensDir, 'core.json'), JSON.stringify({
+        color: {
+          primary: { $type: 'color', $value: '#0066cc' },
+          secondary: { $type: 'color', $value: '#6c757d' }
+        }
+      }));
+      await fs.writeFile(path.join(tokensDir, 'components.json'), JSON.stringify({
+        button: {
+          background: { $type: 'color', $value: '{color.primry}' }, // Typo in "primary"
+          border: { $type: 'color', $value: '{brand.accent}' }
+        }
+      }));
+
       const validationResult = {
-        unresolvedReferences: [{
-          reference: '{color.primry}', // Typo in "primary"
-          location: 'button.background',
-          file: 'components.json'
-        }]
+        unresolvedReferences: [
+          { reference: '{color.primry}', location: 'button.background.$value', file: 'components.json' },
+          { reference: '{brand.accent}', location: 'button.border.$value', file: 'components.json' }
+        ]
       };
 
       const recoveryResult = await errorHandler.attemptPartialRecovery(validationResult, {
         autoFix: true,
-        backupFirst: false
+        backupFirst: false,
+        tokensDir
       });
 
       expect(recoveryResult.success).toBe(true);
       
       const referenceRecovery = recoveryResult.recoveredItems.find(item => 
-        item.action === 'suggest_alternatives'
+        item.action === 'replace_reference'
       );
       expect(referenceRecovery).toBeDefined();
-      expect(referenceRecovery.details.suggestions).toBeDefined();
+      expect(referenceRecovery.details.replacement).toBe('{color.primary}');
+
+      const components = JSON.parse(await fs.readFile(path.join(tokensDir, 'components.json'), 'utf8'));
+      expect(components.button.background.$value).toBe('{color.primary}');
+      expect(components.button.border.$value).toBe('{brand.accent}');
+
+      // References without a confident match are left for review
+      const review = JSON.parse(await fs.readFile(path.join(logDir, 'reference-review.json'), 'utf8'));
+      expect(review.references.map(item => item.reference)).toEqual(['{brand.accent}']);
+      expect(recoveryResult.warnings[0]).toContain('left for review');
     });
 
     test('should create backup before recovery when requested', async () => {
+      const tokensDir = path.join(testDir, 'tokens');
+      await fs.mkdir(tokensDir, { recursive: true });
+      await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: [] }));
+
+      // The validated directory is used when no tokensDir is passed
       const validationResult = {
+        directory: tokensDir,
         issues: [{
           type: 'missing_required_file',
           file: '$themes.json',
@@ -326,10 +385,14 @@ describe('ErrorHandlingSystem', () => {
       });
 
       expect(recoveryResult.success).toBe(true);
+      await expect(fs.access(path.join(tokensDir, '$themes.json'))).resolves.toBeUndefined();
       
-      // Check that a partial-recovery backup was created
+      // Check that a partial-recovery backup of that directory was created
       const { backups } = await errorHandler.listBackups('partial-recovery');
       expect(backups.length).toBeGreaterThan(0);
+
+      const manifest = JSON.parse(await fs.readFile(path.join(backups[0].path, 'backup-manifest.json'), 'utf8'));
+      expect(manifest.sourcePaths).toEqual([tokensDir]);
     });
   });
 
@@ -538,7 +601,8 @@ describe('ErrorHandlingSystem', () => {
 
       const recoveryResult = await errorHandler.attemptPartialRecovery(validationResult, {
         autoFix: true,
-        backupFirst: false
+        backupFirst: false,
+        tokensDir
       });
 
       expect(recoveryResult.success).toBe(true);
@@ -0,0 +1,153 @@
+/**
+ * FigmaReferenceChecker Tests
+ *
+ * Tests dangling and missing $figmaStyleReferences/$figmaVariableReferences keys, remapping
+ * them onto renamed tokens, and the warnings ValidationSystem reports for them
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ThemeResolver = require('../src/ThemeResolver');
+const FigmaReferenceChecker = require('../src/FigmaReferenceChecker');
+const ValidationSystem = require('../src/ValidationSystem');
+
+describe('FigmaReferenceChecker', () => {
+  const tokenSets = {
+    core: {
+      'Color Ramp': {
+        Neutral: {
+          'Neutral 0000': { $type: 'color', $value: '#ffffff' },
+          'Neutral 0100': { $type: 'color', $value: '#f5f5f5' }
+        }
+      },
+      spacing: { sm: { $type: 'spacing', $value: '4' } }
+    },
+    global: {
+      surface: { $type: 'color', $value: '{Color Ramp.Neutral.Neutral 0000}' },
+      text: { $type: 'color', $value: '#1d2024' },
+      heading: { $type: 'typography', $value: { fontFamily: 'Roboto', fontSize: '24' } },
+      gap: { $type: 'spacing', $value: '{spacing.sm}' }
+    }
+  };
+
+  const themes = [
+    {
+      id: 'light',
+      name: 'Light',
+      selectedTokenSets: { core: 'source', global: 'enabled' },
+      $figmaStyleReferences: {
+        'Color Ramp.Neutral.Neutral 000': 'S:1',
+        surface: 'S:2',
+        oldHeading: 'S:3'
+      },
+      $figmaVariableReferences: { gap: 'VariableID:1:1', 'old.gap': 'VariableID:1:2' }
+    },
+    { id: 'draft', name: 'Draft', selectedTokenSets: { core: 'source', global: 'enabled' } }
+  ];
+
+  const createResolver = () => new ThemeResolver({ tokenSets, themes, metadata: { tokenSetOrder: ['core', 'global'] } });
+
+  it('should find dangling keys and synced tokens without a reference', () => {
+    const result = new FigmaReferenceChecker().check(createResolver());
+
+    expect(result.summary).toEqual({ themes: 2, references: 5, dangling: 3, missing: 4 });
+    expect(result.dangling[0]).toEqual({
+      theme: 'Light',
+      kind: '$figmaStyleReferences',
+      path: 'Color Ramp.Neutral.Neutral 000',
+      id: 'S:1',
+      suggestion: { path: 'Color Ramp.Neutral.Neutral 0000', confidence: 0.97 }
+    });
+    expect(result.dangling.map(entry => entry.path)).toEqual(['Color Ramp.Neutral.Neutral 000', 'oldHeading', 'old.gap']);
+
+    // Draft was never synced, and composites cannot be variables
+    expect(result.missing.map(entry => `${entry.kind} ${entry.path}`)).toEqual([
+      '$figmaStyleReferences text',
+      '$figmaStyleReferences heading',
+      '$figmaVariableReferences surface',
+      '$figmaVariableReferences text'
+    ]);
+    expect(result.themes[1]).toEqual({ theme: 'Draft', references: 0, dangling: 0, missing: 0, synced: [] });
+  });
+
+  it('should remap confident matches in place and leave the rest for review', () => {
+    const plan = new FigmaReferenceChecker().planRemap(createResolver());
+
+    expect(plan.remapped).toEqual([{
+      theme: 'Light',
+      kind: '$figmaStyleReferences',
+      from: 'Color Ramp.Neutral.Neutral 000',
+      to: 'Color Ramp.Neutral.Neutral 0000',
+      id: 'S:1',
+      source: 'suggestion',
+      confidence: 0.97
+    }]);
+    expect(Object.keys(plan.themes[0].$figmaStyleReferences)).toEqual(['Color Ramp.Neutral.Neutral 0000', 'surface', 'oldHeading']);
+    expect(plan.review.map(entry => `${entry.path}: ${entry.reason}`)).toEqual(['oldHeading: no confident match', 'old.gap: no confident match']);
+    expect(themes[0].$figmaStyleReferences).toHaveProperty(['Color Ramp.Neutral.Neutral 000']);
+  });
+
+  it('should apply explicit mappings first and prune what still has no match', () => {
+    const mappings = [{ from: 'oldHeading', to: 'heading' }, { from: 'old', to: 'legacy' }];
+    const plan = new FigmaReferenceChecker().planRemap(createResolver(), { mappings, prune: true });
+
+    expect(plan.remapped.map(entry => `${entry.from} → ${entry.to} (${entry.source})`)).toEqual([
+      'Color Ramp.Neutral.Neutral 000 → Color Ramp.Neutral.Neutral 0000 (suggestion)',
+      'oldHeading → heading (map)'
+    ]);
+    expect(plan.pruned).toEqual([expect.objectContaining({ path: 'old.gap', reason: "'legacy.gap' does not exist in Light" })]);
+    expect(plan.themes[0].$figmaVariableReferences).toEqual({ gap: 'VariableID:1:1' });
+    expect(plan.review).toEqual([]);
+  });
+
+  describe('files on disk', () => {
+    let testDir;
+    let tokensDir;
+
+    beforeEach(async () => {
+      testDir = path.join(__dirname, 'temp-figma-reference-test');
+      tokensDir = path.join(testDir, 'tokens');
+      await fs.mkdir(tokensDir, { recursive: true });
+
+      await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'global'] }, null, 2));
+      await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify(themes, null, 2));
+      for (const [setName, data] of Object.entries(tokenSets)) {
+        await fs.writeFile(path.join(tokensDir, `${setName}.json`), JSON.stringify(data, null, 2));
+      }
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should report the references as validation warnings', async () => {
+      const validation = await new ValidationSystem().validateFigmaReferences(tokensDir);
+
+      expect(validation.isValid).toBe(true);
+      expect(validation.issues.filter(issue => issue.type === 'dangling_figma_reference')).toHaveLength(3);
+      expect(validation.issues[0]).toMatchObject({
+        severity: 'warning',
+        file: '$themes.json',
+        path: 'Color Ramp.Neutral.Neutral 000',
+        suggestion: expect.stringContaining('Did you mean Color Ramp.Neutral.Neutral 0000?')
+      });
+      expect(validation.issues.find(issue => issue.type === 'missing_figma_reference')).toMatchObject({ file: 'global', path: 'text' });
+    });
+
+    it('should rewrite $themes.json after a backup, and not on a dry run', async () => {
+      const checker = new FigmaReferenceChecker({ tokensDir, backupDir: path.join(testDir, '.backups') });
+
+      const dryRun = await checker.remap({ dryRun: true });
+      expect(dryRun.files).toEqual(['$themes.json']);
+      expect(dryRun.backupId).toBeNull();
+
+      const result = await checker.remap();
+      expect(result.success).toBe(true);
+      expect(result.backupId).toBeTruthy();
+
+      const written = JSON.parse(await fs.readFile(path.join(tokensDir, '$themes.json'), 'utf8'));
+      expect(written[0].$figmaStyleReferences['Color Ramp.Neutral.Neutral 0000']).toBe('S:1');
+      expect((await checker.analyze()).summary.dangling).toBe(2);
+    });
+  });
+});
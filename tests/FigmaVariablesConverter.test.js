@@ -0,0 +1,253 @@
+/**
+ * FigmaVariablesConverter Tests
+ *
+ * Tests the Variables POST body built from theme groups (collections, modes, aliases and
+ * stable IDs) and rebuilding sets and themes from a saved GET response
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ThemeResolver = require('../src/ThemeResolver');
+const FigmaVariablesConverter = require('../src/FigmaVariablesConverter');
+
+describe('FigmaVariablesConverter', () => {
+  const tokenSets = {
+    core: {
+      palette: { blue: { $type: 'color', $value: '#0066cc' } },
+      size: { base: { $type: 'spacing', $value: '8' } }
+    },
+    acme: {
+      brand: {
+        primary: { $type: 'color', $value: '{palette.blue}', $description: 'Acme blue' },
+        radius: { $type: 'borderRadius', $value: '{size.base} * 0.5' }
+      }
+    },
+    light: {
+      surface: { $type: 'color', $value: '#ffffff' },
+      text: { $type: 'color', $value: '{brand.primary}' },
+      muted: { $type: 'color', $value: '{surface}' },
+      heading: { $type: 'typography', $value: { fontFamily: 'Roboto', fontSize: '24' } }
+    },
+    dark: {
+      surface: { $type: 'color', $value: 'rgba(29, 32, 36, 0.5)' },
+      text: { $type: 'color', $value: '{brand.primary}' },
+      muted: { $type: 'color', $value: '{surface}' }
+    }
+  };
+
+  const themes = [
+    { id: 'acme', name: 'Acme', group: 'brand', selectedTokenSets: { core: 'source', acme: 'enabled' } },
+    { id: 'light', name: 'Light', group: 'mode', selectedTokenSets: { light: 'enabled' } },
+    { id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: { dark: 'enabled' } }
+  ];
+
+  const createResolver = (themeList = themes) => new ThemeResolver({
+    tokenSets,
+    themes: themeList,
+    metadata: { tokenSetOrder: ['core', 'acme', 'light', 'dark'] }
+  });
+
+  const findVariable = (payload, name) => payload.variables.find(variable => variable.name === name);
+  const findValues = (payload, variable) => payload.variableModeValues.filter(value => value.variableId === variable.id);
+
+  it('should create a collection per theme group and a mode per theme', () => {
+    const { payload, summary } = new FigmaVariablesConverter().buildPayload(createResolver());
+
+    expect(payload.variableCollections).toEqual([
+      { action: 'CREATE', id: 'collection:brand', name: 'brand', initialModeId: 'mode:brand/Acme' },
+      { action: 'CREATE', id: 'collection:mode', name: 'mode', initialModeId: 'mode:mode/Light' }
+    ]);
+    expect(payload.variableModes).toEqual([
+      { action: 'UPDATE', id: 'mode:brand/Acme', name: 'Acme', variableCollectionId: 'collection:brand' },
+      { action: 'UPDATE', id: 'mode:mode/Light', name: 'Light', variableCollectionId: 'collection:mode' },
+      { action: 'CREATE', id: 'mode:mode/Dark', name: 'Dark', variableCollectionId: 'collection:mode' }
+    ]);
+    expect(summary).toMatchObject({ collections: 2, modes: 3, variables: 5, created: 5, updated: 0 });
+  });
+
+  it('should resolve source tokens, alias variables and skip composites', () => {
+    const result = new FigmaVariablesConverter().buildPayload(createResolver());
+    const { payload } = result;
+
+    const primary = findVariable(payload, 'brand/primary');
+    expect(primary).toMatchObject({ resolvedType: 'COLOR', description: 'Acme blue', scopes: ['ALL_SCOPES'] });
+    expect(findValues(payload, primary)[0].value).toEqual({ r: 0, g: 0.4, b: 0.8, a: 1 });
+    expect(findValues(payload, findVariable(payload, 'brand/radius'))[0].value).toBe(4);
+    expect(findVariable(payload, 'brand/radius').scopes).toEqual(['CORNER_RADIUS']);
+
+    const text = findVariable(payload, 'text');
+    expect(findValues(payload, text).map(value => value.value)).toEqual([
+      { type: 'VARIABLE_ALIAS', id: primary.id },
+      { type: 'VARIABLE_ALIAS', id: primary.id }
+    ]);
+    expect(findValues(payload, findVariable(payload, 'muted'))[0].value).toEqual({ type: 'VARIABLE_ALIAS', id: findVariable(payload, 'surface').id });
+    expect(findValues(payload, findVariable(payload, 'surface'))[1].value).toEqual({ r: 0.1137, g: 0.1255, b: 0.1412, a: 0.5 });
+
+    expect(findVariable(payload, 'heading')).toBeUndefined();
+    expect(result.skipped).toEqual([{ collection: 'mode', path: 'heading', reason: 'typography tokens map to Figma styles, not variables' }]);
+  });
+
+  it('should keep collection, mode and variable IDs from $themes.json and a saved response', () => {
+    const existing = {
+      meta: {
+        variableCollections: {
+          'VariableCollectionId:1:1': { id: 'VariableCollectionId:1:1', name: 'mode', modes: [{ modeId: '1:0', name: 'Light' }] }
+        },
+        variables: {
+          'VariableID:1:2': { id: 'VariableID:1:2', key: 'abc123', name: 'surface', variableCollectionId: 'VariableCollectionId:1:1', resolvedType: 'COLOR' }
+        }
+      }
+    };
+    const themeList = themes.map(theme => (theme.name === 'Dark'
+      ? { ...theme, $figmaModeId: '1:7', $figmaVariableReferences: { text: 'VariableID:1:9' } }
+      : theme));
+
+    const { payload } = new FigmaVariablesConverter().buildPayload(createResolver(themeList), existing);
+
+    expect(payload.variableCollections[1]).toEqual({ action: 'UPDATE', id: 'VariableCollectionId:1:1', name: 'mode' });
+    expect(payload.variableModes.slice(1)).toEqual([
+      { action: 'UPDATE', id: '1:0', name: 'Light', variableCollectionId: 'VariableCollectionId:1:1' },
+      { action: 'UPDATE', id: '1:7', name: 'Dark', variableCollectionId: 'VariableCollectionId:1:1' }
+    ]);
+    expect(findVariable(payload, 'surface')).toEqual({ action: 'UPDATE', id: 'VariableID:1:2', name: 'surface', scopes: ['ALL_SCOPES'] });
+    expect(findVariable(payload, 'text')).toMatchObject({ action: 'UPDATE', id: 'VariableID:1:9' });
+    expect(findValues(payload, findVariable(payload, 'muted'))[0]).toEqual({
+      variableId: 'variable:VariableCollectionId:1:1/muted',
+      modeId: '1:0',
+      value: { type: 'VARIABLE_ALIAS', id: 'VariableID:1:2' }
+    });
+  });
+
+  describe('imports', () => {
+    const response = {
+      status: 200,
+      error: false,
+      meta: {
+        variableCollections: {
+          'VariableCollectionId:1:1': {
+            id: 'VariableCollectionId:1:1',
+            name: 'Brand',
+            modes: [{ modeId: '1:0', name: 'Acme' }],
+            defaultModeId: '1:0'
+          },
+          'VariableCollectionId:2:1': {
+            id: 'VariableCollectionId:2:1',
+            name: 'Mode',
+            modes: [{ modeId: '2:0', name: 'Light' }, { modeId: '2:1', name: 'Dark' }],
+            defaultModeId: '2:0'
+          }
+        },
+        variables: {
+          'VariableID:1:2': {
+            id: 'VariableID:1:2',
+            name: 'brand/primary',
+            variableCollectionId: 'VariableCollectionId:1:1',
+            resolvedType: 'COLOR',
+            description: 'Acme blue',
+            scopes: ['ALL_SCOPES'],
+            valuesByMode: { '1:0': { r: 0, g: 0.4, b: 0.8, a: 1 } }
+          },
+          'VariableID:2:2': {
+            id: 'VariableID:2:2',
+            name: 'text',
+            variableCollectionId: 'VariableCollectionId:2:1',
+            resolvedType: 'COLOR',
+            scopes: ['ALL_SCOPES'],
+            valuesByMode: {
+              '2:0': { type: 'VARIABLE_ALIAS', id: 'VariableID:1:2' },
+              '2:1': { r: 1, g: 1, b: 1, a: 0.5 }
+            }
+          },
+          'VariableID:2:3': {
+            id: 'VariableID:2:3',
+            name: 'type/body',
+            variableCollectionId: 'VariableCollectionId:2:1',
+            resolvedType: 'FLOAT',
+            scopes: ['FONT_SIZE'],
+            valuesByMode: { '2:0': 16, '2:1': 17.5 }
+          }
+        }
+      }
+    };
+
+    it('should rebuild a set per collection mode and a theme per mode', () => {
+      const current = [{ id: 'keep-me', name: 'Light', group: 'Mode', $figmaModeId: '2:0', $figmaStyleReferences: { text: 'S:1' } }];
+      const { tokenSets: sets, themes: imported } = new FigmaVariablesConverter().fromResponse(response, current);
+
+      expect(Object.keys(sets)).toEqual(['brand-acme', 'mode-light', 'mode-dark']);
+      expect(sets['brand-acme']).toEqual({ brand: { primary: { $type: 'color', $value: '#0066cc', $description: 'Acme blue' } } });
+      expect(sets['mode-light']).toEqual({
+        text: { $type: 'color', $value: '{brand.primary}' },
+        type: { body: { $type: 'fontSizes', $value: '16' } }
+      });
+      expect(sets['mode-dark'].text.$value).toBe('rgba(255, 255, 255, 0.5)');
+
+      expect(imported[0]).toEqual({
+        id: 'keep-me',
+        name: 'Light',
+        group: 'Mode',
+        $figmaModeId: '2:0',
+        $figmaStyleReferences: { text: 'S:1' },
+        selectedTokenSets: { 'brand-acme': 'source', 'mode-light': 'enabled' },
+        $figmaCollectionId: 'VariableCollectionId:2:1',
+        $figmaVariableReferences: { text: 'VariableID:2:2', 'type.body': 'VariableID:2:3' }
+      });
+      expect(imported.map(theme => `${theme.group}/${theme.name}`)).toEqual(['Mode/Light', 'Brand/Acme', 'Mode/Dark']);
+    });
+
+    it('should round-trip IDs into the next export', () => {
+      const converter = new FigmaVariablesConverter();
+      const imported = converter.fromResponse(response);
+      const resolver = new ThemeResolver({
+        tokenSets: imported.tokenSets,
+        themes: imported.themes,
+        metadata: { tokenSetOrder: imported.sets }
+      });
+
+      const { payload, summary } = converter.buildPayload(resolver);
+
+      expect(summary.created).toBe(0);
+      expect(payload.variableCollections.map(collection => collection.action)).toEqual(['UPDATE', 'UPDATE']);
+      expect(findVariable(payload, 'type/body')).toMatchObject({ action: 'UPDATE', id: 'VariableID:2:3', scopes: ['FONT_SIZE'] });
+      expect(findValues(payload, findVariable(payload, 'text'))[0].value).toEqual({ type: 'VARIABLE_ALIAS', id: 'VariableID:1:2' });
+    });
+
+    describe('files on disk', () => {
+      let testDir;
+      let tokensDir;
+      let responsePath;
+
+      beforeEach(async () => {
+        testDir = path.join(__dirname, 'temp-figma-variables-test');
+        tokensDir = path.join(testDir, 'tokens');
+        responsePath = path.join(testDir, 'variables.json');
+        await fs.mkdir(tokensDir, { recursive: true });
+
+        await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core'] }, null, 2));
+        await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify([], null, 2));
+        await fs.writeFile(path.join(tokensDir, 'core.json'), JSON.stringify(tokenSets.core, null, 2));
+        await fs.writeFile(responsePath, JSON.stringify(response));
+      });
+
+      afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+      });
+
+      it('should write the imported sets, themes and set order after a backup', async () => {
+        const converter = new FigmaVariablesConverter({ tokensDir, backupDir: path.join(testDir, '.backups') });
+
+        const dryRun = await converter.importResponse(responsePath, { dryRun: true });
+        expect(dryRun.files).toEqual(['brand-acme.json', 'mode-light.json', 'mode-dark.json', '$themes.json', '$metadata.json']);
+
+        const result = await converter.importResponse(responsePath);
+        expect(result.success).toBe(true);
+        expect(result.backupId).toBeTruthy();
+
+        const metadata = JSON.parse(await fs.readFile(path.join(tokensDir, '$metadata.json'), 'utf8'));
+        expect(metadata.tokenSetOrder).toEqual(['core', 'brand-acme', 'mode-light', 'mode-dark']);
+        const written = JSON.parse(await fs.readFile(path.join(tokensDir, '$themes.json'), 'utf8'));
+        expect(written.map(theme => theme.$figmaModeId)).toEqual(['1:0', '2:0', '2:1']);
+      });
+    });
+  });
+});
@@ -205,7 +205,7 @@ describe('FileStructureManager', () => {
       const result = await manager.validateStructure('tokens/');
 
       expect(result.isValid).toBe(false);
-      expect(result.issues[0]).toContain('$metadata.json must contain tokenSetOrder array');
+      expect(result.issues[0]).toContain("$metadata.json: must have required property 'tokenSetOrder'");
     });
 
     it('should detect invalid themes structure', async () => {
@@ -222,7 +222,7 @@ describe('FileStructureManager', () => {
       const result = await manager.validateStructure('tokens/');
 
       expect(result.isValid).toBe(false);
-      expect(result.issues[0]).toContain('$themes.json must be an array');
+      expect(result.issues[0]).toContain('$themes.json: must be array');
     });
 
     it('should detect incomplete theme objects', async () => {
@@ -241,7 +241,7 @@ describe('FileStructureManager', () => {
       const result = await manager.validateStructure('tokens/');
 
       expect(result.isValid).toBe(false);
-      expect(result.issues[0]).toContain('Theme at index 0 missing required properties');
+      expect(result.issues[0]).toContain("$themes.json /0: must have required property 'name'");
     });
 
     it('should detect token set consistency issues', async () => {
@@ -0,0 +1,48 @@
+/**
+ * JsonSourceMap Tests
+ *
+ * Tests value and key positions by JSON Pointer, dotted token path lookup and syntax errors
+ */
+
+const JsonSourceMap = require('../src/JsonSourceMap');
+
+describe('JsonSourceMap', () => {
+  const text = [
+    '{',
+    '  "color": {',
+    '    "primary": { "$type": "color", "$value": "#0066cc" },',
+    '    "a/b": [1, true, null]',
+    '  },',
+    '  "Line Height": { "1.5": { "$value": "150%" } }',
+    '}'
+  ].join('\n');
+
+  it('should parse like JSON.parse and record value and key positions', () => {
+    const sourceMap = new JsonSourceMap(text);
+
+    expect(sourceMap.data).toEqual(JSON.parse(text));
+    expect(sourceMap.getPosition('')).toEqual({ line: 1, column: 1 });
+    expect(sourceMap.getPosition('/color/primary/$value')).toEqual({ line: 3, column: 46, keyLine: 3, keyColumn: 36 });
+    expect(sourceMap.getPosition('/color/a~1b/1')).toEqual({ line: 4, column: 16 });
+    expect(sourceMap.getPosition('/missing')).toBeNull();
+  });
+
+  it('should find dotted token paths whose keys contain dots', () => {
+    const sourceMap = new JsonSourceMap(text);
+
+    expect(sourceMap.findPath('Line Height.1.5.$value')).toEqual({ pointer: '/Line Height/1.5/$value', exact: true });
+    expect(sourceMap.findPath('color.primary.$value', '')).toEqual({ pointer: '/color/primary/$value', exact: true });
+  });
+
+  it('should fall back to the deepest existing node', () => {
+    const sourceMap = new JsonSourceMap(text);
+
+    expect(sourceMap.findPath('color.secondary.$value')).toEqual({ pointer: '/color', exact: false });
+    expect(sourceMap.findPath('anything', '/nope')).toEqual({ pointer: '/nope', exact: false });
+  });
+
+  it('should report syntax errors with line and column', () => {
+    expect(() => new JsonSourceMap('{\n  "a": [1,,2]\n}')).toThrow('Unexpected token at line 2, column 11');
+    expect(() => new JsonSourceMap('{"a": 1} x')).toThrow('Unexpected content after JSON value');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * MathExpressionEngine Tests
+ *
+ * Tests expression detection, parsing, unit-aware evaluation and error reporting
+ */
+
+const MathExpressionEngine = require('../src/MathExpressionEngine');
+
+describe('MathExpressionEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new MathExpressionEngine();
+  });
+
+  describe('isExpression', () => {
+    it('should detect arithmetic and supported function calls', () => {
+      expect(engine.isExpression('roundTo({fontVariables.fontSizeBaseline}*0.625,0)')).toBe(true);
+      expect(engine.isExpression('{spacing.base} * 2')).toBe(true);
+      expect(engine.isExpression('4px + 4px')).toBe(true);
+    });
+
+    it('should ignore plain values and CSS functions', () => {
+      expect(engine.isExpression('-1px')).toBe(false);
+      expect(engine.isExpression('8px 16px')).toBe(false);
+      expect(engine.isExpression('sans-serif')).toBe(false);
+      expect(engine.isExpression('rgba(0, 0, 0, 0.5)')).toBe(false);
+      expect(engine.isExpression('{color.primary}')).toBe(false);
+      expect(engine.isExpression(16)).toBe(false);
+    });
+
+    it('should treat space-separated lists and dates as plain values', () => {
+      expect(engine.isExpression('0 -1px')).toBe(false);
+      expect(engine.isExpression('0 4px 8px -2px')).toBe(false);
+      expect(engine.isExpression('{spacing.base} -{spacing.half}')).toBe(false);
+      expect(engine.isExpression('2020-01-01')).toBe(false);
+      expect(engine.isExpression('2 * 3')).toBe(false);
+
+      expect(engine.isExpression('{spacing.base} - {spacing.half}')).toBe(true);
+      expect(engine.isExpression('{spacing.base}-2px')).toBe(true);
+      expect(engine.isExpression('8px - -2px')).toBe(true);
+    });
+  });
+
+  describe('parse', () => {
+    it('should collect references', () => {
+      const result = engine.parse('max({a.b}, {c.d} * 2)');
+
+      expect(result.success).toBe(true);
+      expect(result.references).toEqual(['a.b', 'c.d']);
+    });
+
+    it('should report syntax errors with position and token path', () => {
+      const result = engine.parse('roundTo(1 * , 0)', { tokenPath: 'font.size' });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toBe('font.size: Unexpected \',\' at position 12 in expression "roundTo(1 * , 0)"');
+    });
+
+    it('should reject unknown functions instead of executing them', () => {
+      const result = engine.parse('process(1)');
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain("Unknown function 'process'");
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should evaluate Token Studio roundTo expressions', () => {
+      const result = engine.evaluate('roundTo({fontVariables.fontSizeBaseline}*1.4 , 0)', {
+        resolveReference: () => '16'
+      });
+
+      expect(result).toEqual({ success: true, value: 22, errors: [] });
+    });
+
+    it('should respect operator precedence and parentheses', () => {
+      expect(engine.evaluate('2 + 3 * 4').value).toBe(14);
+      expect(engine.evaluate('(2 + 3) * 4').value).toBe(20);
+      expect(engine.evaluate('-2 * 3').value).toBe(-6);
+      expect(engine.evaluate('0.1 + 0.2').value).toBe(0.3);
+    });
+
+    it('should keep units', () => {
+      const resolveReference = referencePath => ({ 'spacing.base': '8px', 'spacing.double': '{spacing.base} * 2' })[referencePath];
+
+      expect(engine.evaluate('{spacing.base} * 2', { resolveReference }).value).toBe('16px');
+      expect(engine.evaluate('{spacing.double} + 4px', { resolveReference }).value).toBe('20px');
+      expect(engine.evaluate('{spacing.double} / {spacing.base}', { resolveReference }).value).toBe(2);
+    });
+
+    it('should reject incompatible units and division by zero', () => {
+      expect(engine.evaluate('4px + 1rem').errors[0]).toContain("Incompatible units 'px' and 'rem'");
+      expect(engine.evaluate('4px * 2px').errors[0]).toContain("Cannot multiply 'px' by 'px'");
+      expect(engine.evaluate('4 / 0').errors[0]).toContain('Division by zero');
+    });
+
+    it('should report unresolved and non-numeric references', () => {
+      const resolveReference = referencePath => (referencePath === 'color.primary' ? '#000' : undefined);
+
+      expect(engine.evaluate('{size.missing} * 2', { tokenPath: 'size.large', resolveReference }).errors[0])
+        .toContain('size.large: Unresolved reference {size.missing}');
+      expect(engine.evaluate('{color.primary} * 2', { resolveReference }).errors[0])
+        .toContain("resolves to '#000', which is not a number");
+    });
+
+    it('should stop on self-referencing expressions', () => {
+      const result = engine.evaluate('{a} + 1', { resolveReference: () => '{a} + 1' });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('Reference depth exceeded');
+    });
+  });
+});
@@ -13,6 +13,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { once } = require('events');
 const ModularEditingManager = require('../src/ModularEditingManager');
 
 describe('ModularEditingManager', () => {
@@ -118,6 +119,29 @@ describe('ModularEditingManager', () => {
       expect(session.changes[0].details).toMatchObject(change);
     });
 
+    test('should report cross-set circular references after a tracked change', async () => {
+      const sessionId = 'test-session-cycle';
+      await manager.initializeEditingSession(sessionId);
+
+      const filePath = path.join(testTokensDir, 'core.json');
+      const core = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      core.color.primary.$value = '{button.primary.background}';
+      await fs.writeFile(filePath, JSON.stringify(core, null, 2));
+
+      const events = [];
+      manager.on('circularReference', event => events.push(event));
+      const result = await manager.trackChange(sessionId, filePath, { type: 'token_update', tokenPath: 'color.primary' });
+
+      expect(result.success).toBe(true);
+      expect(result.circularReferences).toHaveLength(1);
+      expect(result.circularReferences[0].hops.map(hop => `${hop.file}:${hop.path}`)).toEqual([
+        'global.json:button.primary.background',
+        'core.json:color.primary'
+      ]);
+      expect(events).toEqual([expect.objectContaining({ sessionId, filePath, cycle: result.circularReferences[0].cycle })]);
+      expect(manager.getSessionInfo(sessionId).circularReferences).toEqual(result.circularReferences);
+    });
+
     test('should finalize editing session with summary', async () => {
       const sessionId = 'test-session-3';
       await manager.initializeEditingSession(sessionId);
@@ -293,6 +317,49 @@ describe('ModularEditingManager', () => {
       expect(referenceIssues).toHaveLength(1);
       expect(referenceIssues[0].reference).toBe('{color.nonexistent}');
     });
+
+    test('should check each reference embedded in a string value', async () => {
+      const tokenData = {
+        color: {
+          fade: {
+            $type: 'color',
+            $value: 'linear-gradient(90deg, rgba({color.primary}, 0) 80%, rgba({color.nonexistent}, 1) 100%)'
+          }
+        }
+      };
+
+      const filePath = path.join(testTokensDir, 'with-gradient.json');
+      await fs.writeFile(filePath, JSON.stringify(tokenData, null, 2));
+
+      const result = await manager.validateTokenFile(filePath);
+
+      const referenceIssues = result.issues.filter(i => i.type === 'unresolved_reference');
+      expect(referenceIssues.map(issue => issue.reference)).toEqual(['{color.nonexistent}']);
+    });
+
+    test('should include composite sub-properties and color modifiers in the reference graph', async () => {
+      await fs.writeFile(path.join(testTokensDir, 'simulate.json'), JSON.stringify({
+        card: {
+          $type: 'boxShadow',
+          $value: [{ x: '0', y: '{spacing.small}', blur: '{spacing.medium}', spread: '0', color: '{color.primary}', type: 'dropShadow' }]
+        },
+        tint: {
+          $type: 'color',
+          $value: '{color.primary}',
+          $extensions: { 'studio.tokens': { modify: { type: 'mix', value: '0.5', color: '{color.secondary}' } } }
+        }
+      }));
+
+      const graph = await manager.buildReferenceGraph();
+
+      expect(graph.get('simulate')).toEqual([
+        { from: 'card', to: '{spacing.small}', setName: 'simulate' },
+        { from: 'card', to: '{spacing.medium}', setName: 'simulate' },
+        { from: 'card', to: '{color.primary}', setName: 'simulate' },
+        { from: 'tint', to: '{color.primary}', setName: 'simulate' },
+        { from: 'tint', to: '{color.secondary}', setName: 'simulate' }
+      ]);
+    });
   });
 
   describe('Token Studio Format Syntax Validation', () => {
@@ -710,6 +777,89 @@ describe('ModularEditingManager', () => {
     });
   });
 
+  describe('Change Detection', () => {
+    test('should diff token sets by path', () => {
+      const diff = manager.diffTokenSets(
+        { color: { a: { $value: '#000' }, b: { $value: '#111' } } },
+        { color: { a: { $value: '#fff' }, c: { $value: '#222' } } }
+      );
+
+      expect(diff).toEqual({ changedPaths: ['color.a'], addedPaths: ['color.c'], removedPaths: ['color.b'] });
+    });
+
+    test('should report changed token paths per set since the last check', async () => {
+      expect(await manager.detectTokenChanges()).toEqual([]);
+
+      const corePath = path.join(testTokensDir, 'core.json');
+      const core = JSON.parse(await fs.readFile(corePath, 'utf8'));
+      core.color.primary.$value = '#123456';
+      await fs.writeFile(corePath, JSON.stringify(core, null, 2));
+      const future = new Date(Date.now() + 5000);
+      await fs.utimes(corePath, future, future);
+
+      const changes = await manager.detectTokenChanges();
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0].set).toBe('core');
+      expect(changes[0].changedPaths).toEqual(['color.primary']);
+      expect(await manager.detectTokenChanges()).toEqual([]);
+    });
+  });
+
+  describe('File Watching', () => {
+    const sessionId = 'watch-session';
+
+    test('should emit setAdded and setRemoved when set files appear or disappear', async () => {
+      await manager.initializeEditingSession(sessionId, { watchFiles: true });
+
+      const setAdded = once(manager, 'setAdded');
+      await fs.writeFile(path.join(testTokensDir, 'brand.json'), JSON.stringify({ accent: { $type: 'color', $value: '#ff0000' } }));
+      await fs.writeFile(path.join(testTokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'global', 'simulate', 'brand'] }));
+      const [added] = await setAdded;
+
+      expect(added.set).toBe('brand');
+      expect(manager.tokenCache.has('brand')).toBe(true);
+
+      const setRemoved = once(manager, 'setRemoved');
+      await fs.unlink(path.join(testTokensDir, 'simulate.json'));
+      const [removed] = await setRemoved;
+
+      expect(removed.set).toBe('simulate');
+      expect(manager.tokenCache.has('simulate')).toBe(false);
+      expect(manager.referenceGraph.has('simulate')).toBe(false);
+    });
+
+    test('should emit tokenChanged, refresh the reference graph and report validation failures', async () => {
+      await manager.initializeEditingSession(sessionId, { watchFiles: true });
+
+      const tokenChanged = once(manager, 'tokenChanged');
+      const validationFailed = once(manager, 'validationFailed');
+
+      const globalPath = path.join(testTokensDir, 'global.json');
+      await fs.writeFile(globalPath, JSON.stringify({ surface: { $type: 'color', $value: '{color.missing}' } }));
+      const future = new Date(Date.now() + 5000);
+      await fs.utimes(globalPath, future, future);
+
+      const [changed] = await tokenChanged;
+      const [failed] = await validationFailed;
+
+      expect(changed.type).toBe('file_change');
+      expect(changed.details.set).toBe('global');
+      expect(manager.referenceGraph.get('global')).toEqual([{ from: 'surface', to: '{color.missing}', setName: 'global' }]);
+      expect(failed.sessionId).toBe(sessionId);
+      expect(failed.filePath).toBe(globalPath);
+    });
+
+    test('should stop watching when the session is finalized', async () => {
+      await manager.initializeEditingSession(sessionId, { watchFiles: true });
+      expect(manager.watcher).not.toBeNull();
+
+      await manager.finalizeEditingSession(sessionId);
+
+      expect(manager.watcher).toBeNull();
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle file system errors gracefully', async () => {
       // Try to validate a directory instead of a file
@@ -0,0 +1,103 @@
+/**
+ * ReferenceSuggester Tests
+ *
+ * Tests candidate ranking by path similarity, sibling naming, expected type and resolved value,
+ * confidence scores and batch repair with a review list
+ */
+
+const ReferenceSuggester = require('../src/ReferenceSuggester');
+
+describe('ReferenceSuggester', () => {
+  const tokenSets = {
+    core: {
+      color: {
+        primary: { $type: 'color', $value: '#0066cc' },
+        secondary: { $type: 'color', $value: '#6c757d' },
+        'Neon Green': {
+          'Neon Green 0500': { $type: 'color', $value: '#39ff14' },
+          'Neon Green 0700': { $type: 'color', $value: '#2bbf0f' }
+        }
+      },
+      'Font Weight': {
+        light: { $type: 'fontWeights', $value: '300' },
+        regular: { $type: 'fontWeights', $value: '400' },
+        bold: { $type: 'fontWeights', $value: '700' }
+      },
+      'Line Height': {
+        tight: { $type: 'lineHeights', $value: '1.2' },
+        normal: { $type: 'lineHeights', $value: '1.5' }
+      },
+      spacing: {
+        bold: { $type: 'spacing', $value: '24' }
+      }
+    },
+    light: {
+      surface: { $type: 'color', $value: '{color.primary}' }
+    },
+    dark: {
+      surface: { $type: 'color', $value: '{color.secondry}' },
+      body: { $type: 'typography', $value: { fontWeight: '{fontWeights.bold}', lineHeight: '{lineHeights.0}' } },
+      accent: { $type: 'color', $value: '{color.Neon Green.0700}' },
+      border: { $type: 'color', $value: '{brand.outline}' }
+    }
+  };
+
+  const createSuggester = options => new ReferenceSuggester({
+    tokenSets,
+    metadata: { tokenSetOrder: ['core', 'light', 'dark'] },
+    ...options
+  });
+
+  it('should rank a misspelled path first with a confidence score', () => {
+    const [best] = createSuggester().suggest('{color.secondry}', { set: 'dark', location: 'surface.$value' });
+
+    expect(best.reference).toBe('{color.secondary}');
+    expect(best.confidence).toBeGreaterThanOrEqual(0.8);
+    expect(best.confidence).toBeLessThanOrEqual(1);
+  });
+
+  it('should prefer tokens of the type a composite property expects', () => {
+    const suggestions = createSuggester().suggest('{fontWeights.bold}', { set: 'dark', location: 'body.$value.fontWeight' });
+
+    expect(suggestions[0].reference).toBe('{Font Weight.bold}');
+    expect(suggestions.map(suggestion => suggestion.reference)).not.toContain('{spacing.bold}');
+  });
+
+  it('should map indexed and prefixed names to their siblings', () => {
+    const suggester = createSuggester();
+
+    const [lineHeight] = suggester.suggest('{lineHeights.0}', { set: 'dark', location: 'body.$value.lineHeight' });
+    const [neonGreen] = suggester.suggest('{color.Neon Green.0700}', { set: 'dark', location: 'accent.$value' });
+
+    expect(lineHeight.reference).toBe('{Line Height.tight}');
+    expect(neonGreen.reference).toBe('{color.Neon Green.Neon Green 0700}');
+    expect(neonGreen.confidence).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('should repair confident references and leave the rest for review', () => {
+    const suggester = createSuggester();
+    const result = suggester.repair([
+      { reference: '{color.secondry}', location: 'surface.$value', file: 'dark.json' },
+      { reference: '{color.secondry}', location: 'surface.$value', file: 'dark.json' },
+      { reference: '{brand.outline}', location: 'border.$value', file: 'dark.json' }
+    ], { threshold: 0.8 });
+
+    expect(result.changedSets).toEqual(['dark']);
+    expect(result.fixes).toHaveLength(1);
+    expect(result.fixes[0]).toMatchObject({ set: 'dark', reference: '{color.secondry}', replacement: '{color.secondary}' });
+    expect(result.tokenSets.dark.surface.$value).toBe('{color.secondary}');
+    expect(result.review.map(item => item.reference)).toEqual(['{brand.outline}']);
+
+    // The suggester works on a copy of the token sets
+    expect(tokenSets.dark.surface.$value).toBe('{color.secondry}');
+  });
+
+  it('should send references to existing tokens to review instead of renaming them', () => {
+    const result = createSuggester().repair([
+      { reference: '{color.primary}', location: 'surface.$value', file: 'light' }
+    ]);
+
+    expect(result.fixes).toHaveLength(0);
+    expect(result.review[0].reason).toBe('defined in set core');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * SchemaValidator Tests
+ *
+ * Tests the published schemas for token sets, $themes.json and $metadata.json and the
+ * built-in validator's error paths and messages
+ */
+
+const SchemaValidator = require('../src/SchemaValidator');
+
+describe('SchemaValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new SchemaValidator();
+  });
+
+  it('should accept a Token Studio export', () => {
+    const files = {
+      '$metadata.json': { tokenSetOrder: ['core', 'Content Typography'] },
+      '$themes.json': [{
+        id: 'a1b2c3',
+        name: 'Simulate',
+        selectedTokenSets: { core: 'source', 'Content Typography': 'enabled' },
+        $figmaStyleReferences: { 'Heading.h1': 'S:7f3e' },
+        $figmaVariableReferences: { 'color.primary': 'VariableID:1:5' }
+      }],
+      'core.json': {
+        color: { primary: { $type: 'color', $value: '#0066cc' } },
+        spacing: { base: { $type: 'spacing', $value: '{spacing.unit} * 2' }, unit: { $type: 'spacing', $value: 8 } }
+      },
+      'Content Typography.json': {
+        Heading: {
+          h1: {
+            $type: 'typography',
+            $value: { fontFamily: '{FontFamily.heading}', fontWeight: '700', fontSize: '32' },
+            $extensions: { 'studio.tokens': { modify: {} } }
+          }
+        },
+        shadow: { $type: 'boxShadow', $value: [{ x: 0, y: 1, blur: 2, spread: 0, color: '#000', type: 'dropShadow' }] }
+      }
+    };
+
+    for (const [fileName, data] of Object.entries(files)) {
+      expect(validator.validateFile(fileName, data).errors).toEqual([]);
+    }
+  });
+
+  it('should validate $themes.json including groups and Figma ids', () => {
+    const valid = validator.validate([{
+      id: 'brand-a-light',
+      name: 'Light',
+      group: 'Mode',
+      selectedTokenSets: { core: 'source', light: 'enabled', dark: 'disabled' },
+      $figmaCollectionId: 'VariableCollectionId:1:2',
+      $figmaModeId: '1:0',
+      $figmaStyleReferences: { 'color.primary': 'S:abc' }
+    }], 'themes');
+
+    const invalid = validator.validate([
+      { id: 'dark', selectedTokenSets: { core: 'on' }, group: '' },
+      { id: 'light', name: 'Light', selectedTokenSets: {}, $figmaModeId: 1 }
+    ], 'themes');
+
+    expect(valid.isValid).toBe(true);
+    expect(invalid.errors).toEqual([
+      { path: '/0', keyword: 'required', message: "must have required property 'name'" },
+      { path: '/0/selectedTokenSets/core', keyword: 'enum', message: 'must be one of: enabled, source, disabled' },
+      { path: '/0/group', keyword: 'minLength', message: 'must have at least 1 character(s)' },
+      { path: '/1/$figmaModeId', keyword: 'type', message: 'must be string' }
+    ]);
+  });
+
+  it('should validate $metadata.json', () => {
+    expect(validator.validate({ tokenSetOrder: ['core', 'global'] }, 'metadata').isValid).toBe(true);
+    expect(validator.validate({}, 'metadata').errors[0].message).toBe("must have required property 'tokenSetOrder'");
+    expect(validator.validate({ tokenSetOrder: ['core', 'core'] }, 'metadata').errors[0].keyword).toBe('uniqueItems');
+  });
+
+  it('should tell tokens from groups in token set files', () => {
+    const result = validator.validateFile('core.json', {
+      color: {
+        $type: 'color',
+        primary: { $value: '#0066cc', $description: 'Brand' },
+        legacy: { value: '#333333', type: 'color' },
+        broken: { $value: null, $type: 'color' },
+        typed: { $value: '4', $type: 4 }
+      },
+      note: 'not a token'
+    });
+
+    expect(result.schema).toBe('tokenSet');
+    expect(result.errors.map(error => validator.formatError('core.json', error))).toEqual([
+      'core.json /color/broken/$value: must be string or number or boolean or object or array',
+      'core.json /color/typed/$type: must be string',
+      'core.json /note: must be object'
+    ]);
+  });
+
+  it('should escape JSON Pointer segments', () => {
+    const result = validator.validate({ 'a/b': { '~c': { $value: '1', $type: [] } } }, 'tokenSet');
+
+    expect(result.errors[0].path).toBe('/a~1b/~0c/$type');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * ThemeGroups Tests
+ *
+ * Tests brand × mode combinations, grouping checks, moving themes between groups, and how
+ * ValidationSystem checks grouped themes
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ThemeResolver = require('../src/ThemeResolver');
+const ThemeGroups = require('../src/ThemeGroups');
+const ValidationSystem = require('../src/ValidationSystem');
+
+describe('ThemeGroups', () => {
+  const tokenSets = {
+    core: {
+      'Color Ramp': {
+        Neutral: {
+          'Neutral 0000': { $type: 'color', $value: '#ffffff' },
+          'Neutral 0900': { $type: 'color', $value: '#1d2024' }
+        }
+      }
+    },
+    global: {
+      surface: { $type: 'color', $value: '{Color Ramp.Neutral.Neutral 0900}' }
+    },
+    bet9ja: {
+      accent: { $type: 'color', $value: '#0d9737' },
+      surface: { $type: 'color', $value: '#0b2e13' }
+    },
+    light: {
+      surface: { $type: 'color', $value: '{Color Ramp.Neutral.Neutral 0000}' }
+    }
+  };
+
+  const themes = [
+    { id: 'base', name: 'Base', group: 'brand', selectedTokenSets: { core: 'source', global: 'enabled' } },
+    { id: 'bet9ja', name: 'Bet9ja', group: 'brand', selectedTokenSets: { core: 'source', global: 'enabled', bet9ja: 'enabled' } },
+    { id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: {} },
+    { id: 'light', name: 'Light', group: 'mode', selectedTokenSets: { light: 'enabled' } }
+  ];
+
+  const metadata = { tokenSetOrder: ['core', 'global', 'bet9ja', 'light'] };
+
+  const createResolver = (themeList = themes) => new ThemeResolver({ tokenSets, themes: themeList, metadata });
+
+  it('should list groups and their brand × mode combinations', () => {
+    const result = new ThemeGroups().check(createResolver());
+
+    expect(result.groups).toEqual([
+      { name: 'brand', themes: ['Base', 'Bet9ja'] },
+      { name: 'mode', themes: ['Dark', 'Light'] }
+    ]);
+    expect(result.combinations.map(combination => combination.id)).toEqual(['base+dark', 'base+light', 'bet9ja+dark', 'bet9ja+light']);
+    expect(result.combinations[3].selection).toEqual({ brand: 'Bet9ja', mode: 'Light' });
+  });
+
+  it('should warn when sets from different groups define the same token', () => {
+    const [override] = new ThemeGroups().check(createResolver()).issues;
+
+    expect(override).toMatchObject({
+      type: 'cross_group_override',
+      severity: 'warning',
+      file: 'light',
+      path: 'surface',
+      groups: ['brand', 'mode'],
+      sets: ['bet9ja', 'light']
+    });
+    expect(override.message).toContain('light wins because it comes later in tokenSetOrder');
+  });
+
+  it('should report duplicate ids and names and themes outside the groups', () => {
+    const issues = new ThemeGroups().check(createResolver([
+      ...themes,
+      { id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: {} },
+      { id: 'dark-2', name: 'Dark', group: 'contrast', selectedTokenSets: {} },
+      { id: 'legacy', name: 'Legacy', selectedTokenSets: { core: 'source', global: 'enabled' } }
+    ])).issues;
+
+    expect(issues.filter(issue => issue.type !== 'cross_group_override').map(issue => `${issue.type}: ${issue.message}`)).toEqual([
+      "duplicate_theme_id: Themes 'Dark' and 'Dark' share the id dark",
+      'duplicate_theme_name: Group mode has two themes named Dark',
+      'ungrouped_theme: Legacy has no group; it builds on its own instead of as part of brand × mode × contrast'
+    ]);
+    expect(issues[1].indexes).toEqual([2, 4]);
+  });
+
+  describe('files on disk', () => {
+    let testDir;
+    let tokensDir;
+
+    beforeEach(async () => {
+      testDir = path.join(__dirname, 'temp-theme-groups-test');
+      tokensDir = path.join(testDir, 'tokens');
+      await fs.mkdir(tokensDir, { recursive: true });
+
+      await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify(metadata, null, 2));
+      await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify(themes, null, 2));
+      for (const [setName, data] of Object.entries(tokenSets)) {
+        await fs.writeFile(path.join(tokensDir, `${setName}.json`), JSON.stringify(data, null, 2));
+      }
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should move a theme into a group after a backup, and not on a dry run', async () => {
+      const themeGroups = new ThemeGroups({ tokensDir, backupDir: path.join(testDir, '.backups') });
+
+      const dryRun = await themeGroups.setGroup('light', 'contrast', { dryRun: true });
+      expect(dryRun).toMatchObject({ success: true, theme: 'Light', from: 'mode', to: 'contrast', files: ['$themes.json'], backupId: null });
+
+      const result = await themeGroups.setGroup('Light', 'contrast');
+      expect(result.success).toBe(true);
+      expect(result.backupId).toBeTruthy();
+
+      const written = JSON.parse(await fs.readFile(path.join(tokensDir, '$themes.json'), 'utf8'));
+      expect(Object.keys(written[3])).toEqual(['id', 'name', 'group', 'selectedTokenSets']);
+      expect((await themeGroups.analyze()).combinations.map(combination => combination.name)).toEqual(['Base Dark Light', 'Bet9ja Dark Light']);
+
+      const ungrouped = await themeGroups.setGroup('Light', null);
+      expect(ungrouped.issues.map(issue => issue.type)).toContain('ungrouped_theme');
+      expect(JSON.parse(await fs.readFile(path.join(tokensDir, '$themes.json'), 'utf8'))[3]).not.toHaveProperty('group');
+    });
+
+    it('should refuse a move that gives a group two themes with the same name', async () => {
+      await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify([
+        ...themes,
+        { id: 'dark-hc', name: 'Dark', group: 'contrast', selectedTokenSets: {} }
+      ], null, 2));
+
+      const result = await new ThemeGroups({ tokensDir, backupDir: path.join(testDir, '.backups') }).setGroup('dark-hc', 'mode');
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual(['Group mode has two themes named Dark']);
+    });
+
+    it('should check required sets per combination rather than per grouped theme', async () => {
+      const validation = await new ValidationSystem().validateThemeCompleteness(tokensDir);
+
+      expect(validation.isValid).toBe(true);
+      expect(validation.incompleteThemes).toEqual([]);
+      expect(validation.combinations).toHaveLength(4);
+      expect(validation.groupIssues.map(issue => issue.type)).toEqual(['cross_group_override']);
+      expect(validation.warnings).toContain(validation.groupIssues[0].message);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * ThemeMatrix Tests
+ *
+ * Tests the per-theme token inventory: tokens missing from a theme, differing types and
+ * references that only break in some themes, and the Markdown and CSV matrices
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ThemeResolver = require('../src/ThemeResolver');
+const ThemeMatrix = require('../src/ThemeMatrix');
+const ValidationSystem = require('../src/ValidationSystem');
+
+describe('ThemeMatrix', () => {
+  const tokenSets = {
+    core: {
+      'Color Ramp': {
+        Neutral: { 'Neutral 0000': { $type: 'color', $value: '#ffffff' } }
+      }
+    },
+    global: {
+      surface: { $type: 'color', $value: '{Color Ramp.Neutral.Neutral 0000}' },
+      radius: { $type: 'borderRadius', $value: '4' },
+      accent: { $type: 'color', $value: '{brand.primary}' }
+    },
+    simulate: {
+      brand: { primary: { $type: 'color', $value: '#0d9737' } },
+      radius: { $type: 'dimension', $value: '8' },
+      'odds, boosted': { $type: 'color', $value: '#ffcc00' }
+    }
+  };
+
+  const themes = [
+    { id: 'base', name: 'Base', selectedTokenSets: { core: 'source', global: 'enabled' } },
+    { id: 'sim', name: 'Simulate', selectedTokenSets: { core: 'source', global: 'enabled', simulate: 'enabled' } }
+  ];
+
+  const metadata = { tokenSetOrder: ['core', 'global', 'simulate'] };
+
+  const createResolver = () => new ThemeResolver({ tokenSets, themes, metadata, combineGroups: true });
+
+  it('should compare the emitted tokens of every theme', () => {
+    const report = new ThemeMatrix().build(createResolver());
+    const row = tokenPath => report.rows.find(candidate => candidate.path === tokenPath);
+
+    expect(report.themes).toEqual(['Base', 'Simulate']);
+    expect(report.summary).toEqual({ themes: 2, tokens: 5, complete: 1, missing: 2, typeMismatches: 1, broken: 1 });
+
+    expect(row('surface').issues).toEqual([]);
+    expect(row('surface').cells.Base).toEqual({ status: 'ok', type: 'color', set: 'global', value: '#ffffff' });
+    expect(row('brand.primary')).toMatchObject({ missingIn: ['Base'], issues: ['missing'] });
+    expect(row('radius')).toMatchObject({ types: ['borderRadius', 'dimension'], issues: ['type_mismatch'] });
+    expect(row('accent')).toMatchObject({ brokenIn: ['Base'], issues: ['broken'] });
+    expect(row('accent').cells.Base.errors[0]).toContain('{brand.primary}');
+  });
+
+  it('should compare only the requested themes', () => {
+    const report = new ThemeMatrix().build(createResolver(), { themes: ['sim'] });
+
+    expect(report.themes).toEqual(['Simulate']);
+    expect(report.summary.missing).toBe(0);
+  });
+
+  it('should render the gaps as Markdown and CSV', () => {
+    const matrix = new ThemeMatrix();
+    const report = matrix.build(createResolver());
+
+    expect(matrix.formatMarkdown(report).split('\n').slice(4)).toEqual([
+      '| Token | Base | Simulate | Issues |',
+      '| --- | --- | --- | --- |',
+      '| `radius` | ✓ `borderRadius` | ✓ `dimension` | types differ: borderRadius / dimension |',
+      '| `accent` | ✗ | ✓ | broken in Base |',
+      '| `brand.primary` | — | ✓ | missing in Base |',
+      '| `odds, boosted` | — | ✓ | missing in Base |'
+    ]);
+
+    expect(matrix.formatCsv(report, { all: true }).split('\n')).toEqual([
+      'token,Base,Simulate,issues',
+      'surface,ok,ok,',
+      'radius,ok (borderRadius),ok (dimension),types differ: borderRadius / dimension',
+      'accent,broken,ok,broken in Base',
+      'brand.primary,missing,ok,missing in Base',
+      '"odds, boosted",missing,ok,missing in Base'
+    ]);
+  });
+
+  describe('files on disk', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = path.join(__dirname, 'temp-theme-matrix-test');
+      await fs.mkdir(testDir, { recursive: true });
+
+      await fs.writeFile(path.join(testDir, '$metadata.json'), JSON.stringify(metadata, null, 2));
+      await fs.writeFile(path.join(testDir, '$themes.json'), JSON.stringify(themes, null, 2));
+      for (const [setName, data] of Object.entries(tokenSets)) {
+        await fs.writeFile(path.join(testDir, `${setName}.json`), JSON.stringify(data, null, 2));
+      }
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should refuse unknown themes', async () => {
+      const result = await new ThemeMatrix({ tokensDir: testDir }).analyze({ themes: ['Bet9ja'] });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual(['Theme not found: Bet9ja. Available: Base, Simulate']);
+    });
+
+    it('should summarize gaps in theme validation', async () => {
+      const validation = await new ValidationSystem().validateThemeCompleteness(testDir);
+
+      expect(validation.coverage).toMatchObject({ missing: 2, typeMismatches: 1 });
+      expect(validation.warnings).toContain('2 token(s) are defined in some themes but not others; run theme-matrix to see which');
+      expect(validation.warnings).toContain('1 token(s) have a different type in different themes; run theme-matrix to see which');
+    });
+  });
+});
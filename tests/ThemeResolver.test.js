@@ -0,0 +1,297 @@
+/**
+ * ThemeResolver Tests
+ *
+ * Tests theme set stacks, precedence, source/enabled semantics, alias tracing and theme group combinations
+ */
+
+const ThemeResolver = require('../src/ThemeResolver');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('ThemeResolver', () => {
+  let resolver;
+
+  const tokenSets = {
+    core: {
+      'Color Ramp': {
+        Neutral: {
+          'Neutral 0100': { $type: 'color', $value: '#34383B' },
+          'Neutral 0900': { $type: 'color', $value: '#F4F5F6' }
+        }
+      }
+    },
+    global: {
+      surface: {
+        '0100': { $type: 'color', $value: '{Color Ramp.Neutral.Neutral 0100}' }
+      },
+      content: {
+        primary: { $type: 'color', $value: '{surface.0100}' }
+      }
+    },
+    simulate: {
+      surface: {
+        '0100': { $type: 'color', $value: '{Color Ramp.Neutral.Neutral 0900}' }
+      }
+    },
+    sizes: {
+      size: {
+        base: { $type: 'dimension', $value: '8px' },
+        large: { $type: 'dimension', $value: '{size.base} * 2' },
+        bad: { $type: 'dimension', $value: '{size.base} * 2px' }
+      }
+    },
+    derived: {
+      opacity: { half: { $type: 'opacity', $value: '0.5' } },
+      fade: { $type: 'color', $value: 'linear-gradient(90deg, rgba({Color Ramp.Neutral.Neutral 0100}, 0) 80%, rgba({Color Ramp.Neutral.Neutral 0100}, 1) 100%)' },
+      hover: {
+        $type: 'color',
+        $value: '{Color Ramp.Neutral.Neutral 0100}',
+        $extensions: { 'studio.tokens': { modify: { type: 'lighten', value: '0.2', space: 'srgb' } } }
+      },
+      scrim: {
+        $type: 'color',
+        $value: '#000000',
+        $extensions: { 'studio.tokens': { modify: { type: 'alpha', value: '{opacity.half}', format: 'rgb' } } }
+      },
+      onHover: { $type: 'color', $value: '{hover}' },
+      pressed: {
+        $type: 'color',
+        $value: '{Color Ramp.Neutral.Neutral 0100}',
+        $extensions: { 'studio.tokens': { modify: { type: 'darken', value: '0.2', space: 'lch' } } }
+      },
+      onPressed: { $type: 'color', $value: '{pressed}' },
+      missing: { $type: 'color', $value: 'rgba({color.missing}, 0.5)' }
+    },
+    broken: {
+      loop: {
+        a: { $type: 'color', $value: '{loop.b}' },
+        b: { $type: 'color', $value: '{loop.a}' }
+      }
+    }
+  };
+
+  const themes = [
+    { id: 'base', name: 'Base', selectedTokenSets: { core: 'source', global: 'enabled' } },
+    { id: 'sim', name: 'Simulate', selectedTokenSets: { simulate: 'enabled', global: 'enabled', core: 'source' } },
+    { id: 'loop', name: 'Loop', selectedTokenSets: { broken: 'enabled', simulate: 'disabled' } },
+    { id: 'sizes', name: 'Sizes', selectedTokenSets: { sizes: 'enabled' } },
+    { id: 'derived', name: 'Derived', selectedTokenSets: { core: 'source', derived: 'enabled' } }
+  ];
+
+  beforeEach(() => {
+    resolver = new ThemeResolver({
+      tokenSets,
+      themes,
+      metadata: { tokenSetOrder: ['core', 'global', 'simulate', 'sizes', 'derived', 'broken'] }
+    });
+  });
+
+  describe('getSetStack', () => {
+    it('should order active sets by tokenSetOrder and skip disabled sets', () => {
+      expect(resolver.getSetStack('Simulate')).toEqual([
+        { name: 'core', status: 'source' },
+        { name: 'global', status: 'enabled' },
+        { name: 'simulate', status: 'enabled' }
+      ]);
+      expect(resolver.getSetStack('loop')).toEqual([{ name: 'broken', status: 'enabled' }]);
+    });
+
+    it('should throw for unknown themes', () => {
+      expect(() => resolver.getSetStack('Missing')).toThrow('Theme not found: Missing');
+    });
+  });
+
+  describe('resolveToken', () => {
+    it('should let later sets override earlier ones', () => {
+      expect(resolver.resolveToken('surface.0100', 'Base').value).toBe('#34383B');
+      expect(resolver.resolveToken('surface.0100', 'Simulate').value).toBe('#F4F5F6');
+    });
+
+    it('should trace every alias hop', () => {
+      const result = resolver.resolveToken('content.primary', 'Simulate');
+
+      expect(result.resolved).toBe(true);
+      expect(result.set).toBe('global');
+      expect(result.trace).toEqual([
+        { path: 'content.primary', set: 'global', value: '{surface.0100}' },
+        { path: 'surface.0100', set: 'simulate', value: '{Color Ramp.Neutral.Neutral 0900}' },
+        { path: 'Color Ramp.Neutral.Neutral 0900', set: 'core', value: '#F4F5F6' }
+      ]);
+    });
+
+    it('should report tokens that are not in the theme', () => {
+      const result = resolver.resolveToken('loop.a', 'Base');
+
+      expect(result.resolved).toBe(false);
+      expect(result.errors[0]).toContain('Token not found');
+    });
+
+    it('should report circular references', () => {
+      const result = resolver.resolveToken('loop.a', 'Loop');
+
+      expect(result.resolved).toBe(false);
+      expect(result.errors[0]).toBe('Circular reference: loop.a -> loop.b -> loop.a');
+    });
+
+    it('should evaluate math expressions after resolving their references', () => {
+      const result = resolver.resolveToken('size.large', 'Sizes');
+
+      expect(result.resolved).toBe(true);
+      expect(result.value).toBe('16px');
+      expect(result.trace[1]).toEqual({ path: 'size.base', set: 'sizes', value: '8px' });
+    });
+
+    it('should report expression errors with the token path', () => {
+      const result = resolver.resolveToken('size.bad', 'Sizes');
+
+      expect(result.resolved).toBe(false);
+      expect(result.errors[0]).toContain("size.bad: Cannot multiply 'px' by 'px'");
+    });
+
+    it('should substitute references embedded in strings with rgb channels inside rgba()', () => {
+      const result = resolver.resolveToken('fade', 'Derived');
+
+      expect(result.resolved).toBe(true);
+      expect(result.value).toBe('linear-gradient(90deg, rgba(52, 56, 59, 0) 80%, rgba(52, 56, 59, 1) 100%)');
+      expect(resolver.resolveToken('missing', 'Derived').errors).toEqual(['Unresolved reference: {color.missing}']);
+    });
+
+    it('should apply Token Studio color modifiers, also through aliases', () => {
+      expect(resolver.resolveToken('hover', 'Derived').value).toBe('#5d6062');
+      expect(resolver.resolveToken('onHover', 'Derived').value).toBe('#5d6062');
+      expect(resolver.resolveToken('scrim', 'Derived').value).toBe('rgba(0, 0, 0, 0.5)');
+      expect(resolver.resolveToken('hover', 'Derived').warnings).toEqual([]);
+    });
+
+    it('should report modifier spaces that fall back to srgb, also through aliases', () => {
+      const result = resolver.resolveToken('onPressed', 'Derived');
+
+      expect(result.resolved).toBe(true);
+      expect(result.warnings).toEqual(["Color space 'lch' at pressed is not supported, using srgb"]);
+    });
+  });
+
+  describe('resolveReference', () => {
+    it('should resolve reference strings', () => {
+      expect(resolver.resolveReference('{surface.0100}', 'Base').value).toBe('#34383B');
+    });
+
+    it('should reject strings that are not references', () => {
+      const result = resolver.resolveReference('#fff', 'Base');
+
+      expect(result.resolved).toBe(false);
+      expect(result.errors[0]).toContain('Invalid reference format');
+    });
+  });
+
+  describe('resolveTheme', () => {
+    it('should emit enabled tokens only unless source is requested', () => {
+      const result = resolver.resolveTheme('Simulate');
+
+      expect(Object.keys(result.tokens)).toEqual(['surface.0100', 'content.primary']);
+      expect(result.tokens['content.primary'].value).toBe('#F4F5F6');
+      expect(result.unresolved).toHaveLength(0);
+
+      const withSource = resolver.resolveTheme('Simulate', { includeSource: true });
+      expect(withSource.tokens['Color Ramp.Neutral.Neutral 0100'].status).toBe('source');
+    });
+  });
+
+  describe('theme groups', () => {
+    const groupedThemes = [
+      { id: 'acme', name: 'Acme', group: 'brand', selectedTokenSets: { core: 'source', global: 'enabled' } },
+      { id: 'sim', name: 'Simulate', group: 'brand', selectedTokenSets: { core: 'source', global: 'enabled', simulate: 'enabled' } },
+      { id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: { sizes: 'enabled', simulate: 'disabled' } },
+      { id: 'light', name: 'Light', group: 'mode', selectedTokenSets: { sizes: 'source' } },
+      { id: 'derived', name: 'Derived', selectedTokenSets: { core: 'source', derived: 'enabled' } }
+    ];
+
+    const createGroupedResolver = options => new ThemeResolver({
+      tokenSets,
+      themes: groupedThemes,
+      metadata: { tokenSetOrder: ['core', 'global', 'simulate', 'sizes', 'derived'] },
+      ...options
+    });
+
+    it('should list groups brand first, then mode, without ungrouped themes', () => {
+      const groups = createGroupedResolver().getThemeGroups();
+
+      expect(groups.map(group => `${group.name}: ${group.themes.map(theme => theme.name).join(', ')}`))
+        .toEqual(['brand: Acme, Simulate', 'mode: Dark, Light']);
+    });
+
+    it('should combine groups in the same order whatever the $themes.json order', () => {
+      const contrast = { id: 'hc', name: 'High Contrast', group: 'contrast', selectedTokenSets: {} };
+      const shuffled = new ThemeResolver({
+        tokenSets,
+        themes: [contrast, groupedThemes[3], groupedThemes[4], groupedThemes[1], groupedThemes[2], groupedThemes[0]],
+        metadata: { tokenSetOrder: ['core', 'global', 'simulate', 'sizes', 'derived'] }
+      });
+
+      expect(shuffled.getThemeGroups().map(group => group.name)).toEqual(['brand', 'mode', 'contrast']);
+      expect(shuffled.getCombinations().find(theme => theme.id === 'sim+light+hc')).toMatchObject({
+        name: 'Simulate Light High Contrast',
+        selection: { brand: 'Simulate', mode: 'Light', contrast: 'High Contrast' }
+      });
+    });
+
+    it('should combine one theme from every group, keeping the strongest set status', () => {
+      const combinations = createGroupedResolver().getCombinations();
+
+      expect(combinations.map(theme => theme.name)).toEqual(['Acme Dark', 'Acme Light', 'Simulate Dark', 'Simulate Light', 'Derived']);
+      expect(combinations[2]).toEqual({
+        id: 'sim+dark',
+        name: 'Simulate Dark',
+        selectedTokenSets: { core: 'source', global: 'enabled', simulate: 'enabled', sizes: 'enabled' },
+        selection: { brand: 'Simulate', mode: 'Dark' }
+      });
+      expect(combinations[4]).toBe(groupedThemes[4]);
+    });
+
+    it('should resolve combinations by name or id only with combineGroups', () => {
+      const combined = createGroupedResolver({ combineGroups: true });
+
+      expect(combined.getThemeNames()).toEqual(['Acme Dark', 'Acme Light', 'Simulate Dark', 'Simulate Light', 'Derived']);
+      expect(combined.resolveToken('content.primary', 'sim+light').value).toBe('#F4F5F6');
+      expect(combined.getThemesUsingSet('simulate')).toEqual(['Simulate Dark', 'Simulate Light']);
+      expect(combined.getTheme('Dark').group).toBe('mode');
+
+      expect(createGroupedResolver().getThemeNames()).toEqual(['Acme', 'Simulate', 'Dark', 'Light', 'Derived']);
+    });
+  });
+
+  describe('load', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = path.join(__dirname, 'temp-theme-resolver-test');
+      await fs.mkdir(testDir, { recursive: true });
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should load sets and themes from a tokens directory', async () => {
+      await fs.writeFile(path.join(testDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'global'] }));
+      await fs.writeFile(path.join(testDir, '$themes.json'), JSON.stringify(themes.slice(0, 1)));
+      await fs.writeFile(path.join(testDir, 'core.json'), JSON.stringify(tokenSets.core));
+      await fs.writeFile(path.join(testDir, 'global.json'), JSON.stringify(tokenSets.global));
+
+      const fileResolver = new ThemeResolver({ tokensDir: testDir });
+      const result = await fileResolver.load();
+
+      expect(result.success).toBe(true);
+      expect(result.themes).toEqual(['Base']);
+      expect(fileResolver.resolveToken('content.primary', 'Base').value).toBe('#34383B');
+    });
+
+    it('should fail without metadata', async () => {
+      const fileResolver = new ThemeResolver({ tokensDir: testDir });
+      const result = await fileResolver.load();
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('$metadata.json');
+    });
+  });
+});
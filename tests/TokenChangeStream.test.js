@@ -0,0 +1,93 @@
+/**
+ * TokenChangeStream Tests
+ *
+ * Tests change events for modular sets and tokensource.json, including resolved dependents
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TokenChangeStream = require('../src/TokenChangeStream');
+
+describe('TokenChangeStream', () => {
+  let testDir;
+  let tokensDir;
+  let sourcePath;
+  let stream;
+
+  const core = { color: { primary: { $type: 'color', $value: '#0066cc' } } };
+  const global = { button: { background: { $type: 'color', $value: '{color.primary}' } } };
+  const themes = [{ id: 'base', name: 'Base', selectedTokenSets: { core: 'source', global: 'enabled' } }];
+  const metadata = { tokenSetOrder: ['core', 'global'] };
+
+  // Bump mtime past the cache timestamp so the edit is detected deterministically
+  async function writeTokenFile(filePath, data) {
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    const future = new Date(Date.now() + 5000);
+    await fs.utimes(filePath, future, future);
+  }
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, 'temp-change-stream-test');
+    tokensDir = path.join(testDir, 'tokens');
+    sourcePath = path.join(testDir, 'tokensource.json');
+    await fs.mkdir(tokensDir, { recursive: true });
+    await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify(metadata));
+    await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify(themes));
+    await fs.writeFile(path.join(tokensDir, 'core.json'), JSON.stringify(core));
+    await fs.writeFile(path.join(tokensDir, 'global.json'), JSON.stringify(global));
+    await fs.writeFile(sourcePath, JSON.stringify({ core, global, $themes: themes, $metadata: metadata }));
+
+    stream = new TokenChangeStream({ tokensDir, sourcePath, debounceMs: 20 });
+  });
+
+  afterEach(async () => {
+    stream.stop();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should report changed paths and the new resolved values of dependents', async () => {
+    await stream.start();
+    await writeTokenFile(path.join(tokensDir, 'core.json'), { color: { primary: { $type: 'color', $value: '#ff0000' } } });
+
+    const events = await stream.checkForChanges(['tokens']);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      source: 'tokens',
+      set: 'core',
+      file: 'core.json',
+      changedPaths: ['color.primary'],
+      resolved: { Base: { 'button.background': '#ff0000' } }
+    });
+  });
+
+  it('should report changes to tokensource.json', async () => {
+    await stream.start();
+    await fs.writeFile(sourcePath, JSON.stringify({
+      core,
+      global: { button: { background: { $type: 'color', $value: '#00ff00' } } },
+      $themes: themes,
+      $metadata: metadata
+    }));
+
+    const events = await stream.checkForChanges(['source']);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].source).toBe('tokensource.json');
+    expect(events[0].set).toBe('global');
+    expect(events[0].resolved.Base['button.background']).toBe('#00ff00');
+  });
+
+  it('should emit change events from the file watcher', async () => {
+    await stream.start();
+    const received = new Promise(resolve => stream.once('change', resolve));
+
+    await writeTokenFile(path.join(tokensDir, 'global.json'), {
+      button: { background: { $type: 'color', $value: '{color.primary}' }, border: { $type: 'color', $value: '#000' } }
+    });
+
+    const event = await received;
+    expect(event.set).toBe('global');
+    expect(event.addedPaths).toEqual(['button.border']);
+  });
+});
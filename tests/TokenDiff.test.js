@@ -0,0 +1,140 @@
+/**
+ * TokenDiff Tests
+ *
+ * Tests semantic diffs between token folders, tokensource files and git refs,
+ * plus the text and Markdown reports
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const TokenDiff = require('../src/TokenDiff');
+
+const themes = [
+  { id: 'dark', name: 'Dark', selectedTokenSets: { core: 'source', semantic: 'enabled' } }
+];
+
+const beforeSource = {
+  core: {
+    color: {
+      black: { $type: 'color', $value: '#000000' },
+      white: { $type: 'color', $value: '#ffffff' },
+      grey: { $type: 'color', $value: '#888888' },
+      legacy: { $type: 'color', $value: '#123456' }
+    },
+    radius: { $type: 'borderRadius', $value: '4' }
+  },
+  semantic: {
+    surface: { $type: 'color', $value: '{color.black}' },
+    text: { $type: 'color', $value: '{color.white}' }
+  },
+  $themes: themes,
+  $metadata: { tokenSetOrder: ['core', 'semantic'] }
+};
+
+const afterSource = {
+  core: {
+    color: {
+      black: { $type: 'color', $value: '#000000' },
+      white: { $type: 'color', $value: '#fafafa' },
+      gray: { $type: 'color', $value: '#888888' },
+      accent: { $type: 'color', $value: '#ff0000' }
+    },
+    radius: { $type: 'dimension', $value: '4' }
+  },
+  semantic: {
+    surface: { $type: 'color', $value: '{color.accent}' },
+    text: { $type: 'color', $value: '{color.white}' }
+  },
+  $themes: themes,
+  $metadata: { tokenSetOrder: ['core', 'semantic'] }
+};
+
+async function writeFolder(dir, source) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, '$metadata.json'), JSON.stringify(source.$metadata));
+  await fs.writeFile(path.join(dir, '$themes.json'), JSON.stringify(source.$themes));
+  for (const setName of source.$metadata.tokenSetOrder) {
+    await fs.writeFile(path.join(dir, `${setName}.json`), JSON.stringify(source[setName]));
+  }
+}
+
+describe('TokenDiff', () => {
+  let testDir;
+  let tokenDiff;
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, 'temp-token-diff-test');
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(path.join(testDir, 'before.json'), JSON.stringify(beforeSource));
+    await writeFolder(path.join(testDir, 'tokens'), afterSource);
+    tokenDiff = new TokenDiff({ cwd: testDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should report added, removed, renamed and changed tokens per set', async () => {
+    const result = await tokenDiff.diff('before.json', 'tokens');
+    const core = result.sets.find(set => set.name === 'core');
+
+    expect(result.success).toBe(true);
+    expect(core.added.map(token => token.path)).toEqual(['color.accent']);
+    expect(core.removed.map(token => token.path)).toEqual(['color.legacy']);
+    expect(core.renamed).toEqual([{ from: 'color.grey', to: 'color.gray', type: 'color', value: '#888888' }]);
+    expect(core.changed.map(token => token.path)).toEqual(['color.white', 'radius']);
+  });
+
+  it('should flag type changes and retargeted references', async () => {
+    const result = await tokenDiff.diff('before.json', 'tokens');
+    const radius = result.sets.find(set => set.name === 'core').changed.find(token => token.path === 'radius');
+    const surface = result.sets.find(set => set.name === 'semantic').changed[0];
+
+    expect(radius.typeChanged).toBe(true);
+    expect(surface.retargeted).toEqual({ from: 'color.black', to: 'color.accent' });
+    expect(result.summary).toMatchObject({ added: 1, removed: 1, renamed: 1, changed: 3, typeChanged: 1, retargeted: 1 });
+  });
+
+  it('should include resolved before and after values per theme', async () => {
+    const result = await tokenDiff.diff('before.json', 'tokens');
+    const dark = result.themes.find(theme => theme.name === 'Dark');
+
+    expect(dark.changed).toEqual([
+      { path: 'surface', before: '#000000', after: '#ff0000' },
+      { path: 'text', before: '#ffffff', after: '#fafafa' }
+    ]);
+  });
+
+  it('should load either side from a git ref', async () => {
+    const git = args => execFileSync('git', args, { cwd: testDir, stdio: 'ignore' });
+    git(['init', '-q']);
+    await writeFolder(path.join(testDir, 'tokens'), beforeSource);
+    git(['add', 'tokens']);
+    git(['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'tokens']);
+    await writeFolder(path.join(testDir, 'tokens'), afterSource);
+
+    const result = await tokenDiff.diff('HEAD', 'tokens');
+
+    expect(result.success).toBe(true);
+    expect(result.summary.retargeted).toBe(1);
+  });
+
+  it('should fail for unknown sources', async () => {
+    const result = await tokenDiff.diff('missing-ref-or-file', 'tokens');
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toContain("Cannot load token source 'missing-ref-or-file'");
+  });
+
+  it('should render text and Markdown reports', async () => {
+    const result = await tokenDiff.diff('before.json', 'tokens');
+    const text = tokenDiff.formatText(result);
+    const markdown = tokenDiff.formatMarkdown(result);
+
+    expect(text).toContain('~ surface: reference color.black → color.accent');
+    expect(text).toContain('→ color.grey renamed to color.gray');
+    expect(markdown).toContain('| retargeted | `surface` | `{color.black}` | `{color.accent}` |');
+    expect(markdown).toContain('| `surface` | `#000000` | `#ff0000` |');
+  });
+});
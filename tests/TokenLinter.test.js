@@ -0,0 +1,118 @@
+/**
+ * TokenLinter Tests
+ *
+ * Tests rule severities, per-set overrides, ignore globs, plugin rules and auto-fix
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TokenLinter = require('../src/TokenLinter');
+
+describe('TokenLinter', () => {
+  let testDir;
+  let tokensDir;
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, 'temp-token-linter-test');
+    tokensDir = path.join(testDir, 'tokens');
+    await fs.mkdir(tokensDir, { recursive: true });
+
+    await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'legacy'] }));
+    await fs.writeFile(path.join(tokensDir, 'core.json'), JSON.stringify({
+      color: {
+        primary: { $type: 'color', $value: '#0066cc', $description: 'Brand' },
+        untyped: { $value: '#ffffff' }
+      },
+      font: {
+        body: { $type: 'fontFamilies', $value: 'Roboto' },
+        weight: { $type: 'fontWeight', $value: 'Bold' }
+      },
+      shadow: { card: { $type: 'shadow', $value: { x: '0', y: '4', blur: '8', spread: '0', color: '#000000' } } }
+    }));
+    await fs.writeFile(path.join(tokensDir, 'legacy.json'), JSON.stringify({
+      spacing: { sm: { type: 'spacing', value: '4' } }
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should report issues with default severities', async () => {
+    const linter = new TokenLinter({ tokensDir });
+    const result = await linter.lint();
+
+    expect(result.success).toBe(false);
+    expect(result.issues.map(issue => `${issue.rule}:${issue.set}:${issue.path}`)).toEqual([
+      'require-type:core:color.untyped',
+      'valid-type:core:shadow.card',
+      'no-legacy-keys:legacy:spacing.sm'
+    ]);
+    expect(result.errorCount).toBe(2);
+    expect(result.warningCount).toBe(1);
+  });
+
+  it('should read severities, overrides and ignore globs from .tokenlintrc', async () => {
+    await fs.writeFile(path.join(testDir, '.tokenlintrc'), JSON.stringify({
+      rules: { 'require-type': 'warn', 'require-description': 'info' },
+      overrides: [{ sets: ['leg*'], rules: { 'no-legacy-keys': 'off', 'require-description': 'off' } }],
+      ignore: ['font.**', 'shadow.**']
+    }));
+
+    const linter = new TokenLinter({ tokensDir });
+    const result = await linter.lint();
+
+    expect(result.success).toBe(true);
+    expect(result.issues.map(issue => `${issue.severity}:${issue.rule}:${issue.path}`)).toEqual([
+      'warn:require-type:color.untyped',
+      'info:require-description:color.untyped'
+    ]);
+  });
+
+  it('should load plugin rules relative to the config file', async () => {
+    await fs.writeFile(path.join(testDir, 'no-white.js'), `
+      module.exports = {
+        name: 'no-white',
+        description: 'No pure white',
+        defaultSeverity: 'warn',
+        check(token, context) {
+          if (token.value === context.options.color) context.report({ message: 'Pure white', suggestion: 'Use an off-white' });
+        }
+      };
+    `);
+    await fs.writeFile(path.join(testDir, '.tokenlintrc'), JSON.stringify({
+      plugins: ['./no-white.js'],
+      rules: { 'no-white': ['error', { color: '#ffffff' }] }
+    }));
+
+    const linter = new TokenLinter({ tokensDir });
+    const result = await linter.lint();
+
+    expect(linter.listRules().map(rule => rule.name)).toContain('no-white');
+    expect(result.issues.find(issue => issue.rule === 'no-white')).toMatchObject({ severity: 'error', path: 'color.untyped' });
+  });
+
+  it('should apply fixes and write the changed files', async () => {
+    const linter = new TokenLinter({ tokensDir });
+    const result = await linter.lint({ fix: true });
+
+    const core = JSON.parse(await fs.readFile(path.join(tokensDir, 'core.json'), 'utf8'));
+    const legacy = JSON.parse(await fs.readFile(path.join(tokensDir, 'legacy.json'), 'utf8'));
+
+    expect(result.fixedCount).toBe(2);
+    expect(result.fixedFiles).toEqual(['core.json', 'legacy.json']);
+    expect(result.issues.map(issue => issue.rule)).toEqual(['require-type']);
+    expect(core.shadow.card.$type).toBe('boxShadow');
+    expect(core.font.body.$type).toBe('fontFamilies');
+    expect(legacy.spacing.sm).toEqual({ $type: 'spacing', $value: '4' });
+  });
+
+  it('should lint in-memory token sets with explicit rule settings', () => {
+    const linter = new TokenLinter();
+    const result = linter.lintTokenSet('draft', { size: { lg: { $type: 'sizing', $value: '' } } }, {
+      rules: { 'no-empty-value': 'warn' }
+    });
+
+    expect(result.issues).toEqual([expect.objectContaining({ rule: 'no-empty-value', severity: 'warn', path: 'size.lg' })]);
+  });
+});
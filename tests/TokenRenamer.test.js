@@ -0,0 +1,132 @@
+/**
+ * TokenRenamer Tests
+ *
+ * Tests moving tokens and groups, reference rewriting across sets, Figma reference keys,
+ * batch mapping files and conflict handling
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TokenRenamer = require('../src/TokenRenamer');
+
+describe('TokenRenamer', () => {
+  let testDir;
+  let tokensDir;
+  let backupDir;
+
+  const readJson = async fileName => JSON.parse(await fs.readFile(path.join(tokensDir, fileName), 'utf8'));
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, 'temp-token-renamer-test');
+    tokensDir = path.join(testDir, 'tokens');
+    backupDir = path.join(testDir, '.backups');
+    await fs.mkdir(tokensDir, { recursive: true });
+
+    await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'global'] }));
+    await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify([{
+      id: 'base',
+      name: 'Base',
+      selectedTokenSets: { core: 'source', global: 'enabled' },
+      $figmaStyleReferences: { 'color.blue.500': 'S:1', 'surface': 'S:2' },
+      $figmaVariableReferences: { 'color.blue.100': 'V:1' }
+    }]));
+    await fs.writeFile(path.join(tokensDir, 'core.json'), JSON.stringify({
+      color: {
+        blue: {
+          '100': { $type: 'color', $value: '#e0ecff' },
+          '500': { $type: 'color', $value: '#0066cc' }
+        },
+        grey: { '900': { $type: 'color', $value: '#1d2024' } }
+      },
+      size: { base: { $type: 'fontSizes', $value: '16' } }
+    }));
+    await fs.writeFile(path.join(tokensDir, 'global.json'), JSON.stringify({
+      surface: { $type: 'color', $value: '{color.blue.500}' },
+      fade: { $type: 'color', $value: 'linear-gradient(rgba({color.blue.100}, 0), {color.grey.900})' },
+      tint: {
+        $type: 'color',
+        $value: '{color.grey.900}',
+        $extensions: { 'studio.tokens': { modify: { type: 'mix', value: '0.5', color: '{color.blue.500}' } } }
+      },
+      body: { $type: 'typography', $value: { fontFamily: 'Roboto', fontSize: '{size.base}' } }
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should move a group and rewrite references, modifiers and Figma reference keys', async () => {
+    const renamer = new TokenRenamer({ tokensDir, backupDir });
+    const result = await renamer.rename([{ from: 'color.blue', to: 'color.brand' }]);
+
+    expect(result.success).toBe(true);
+    expect(result.backupId).toBeTruthy();
+    expect(result.files).toEqual(['core.json', 'global.json', '$themes.json']);
+
+    const core = await readJson('core.json');
+    const global = await readJson('global.json');
+    const themes = await readJson('$themes.json');
+
+    // Renaming within the same group keeps the key order
+    expect(Object.keys(core.color)).toEqual(['brand', 'grey']);
+    expect(core.color.brand['500']).toEqual({ $type: 'color', $value: '#0066cc' });
+    expect(global.surface.$value).toBe('{color.brand.500}');
+    expect(global.fade.$value).toBe('linear-gradient(rgba({color.brand.100}, 0), {color.grey.900})');
+    expect(global.tint.$extensions['studio.tokens'].modify.color).toBe('{color.brand.500}');
+    expect(themes[0].$figmaStyleReferences).toEqual({ 'color.brand.500': 'S:1', 'surface': 'S:2' });
+    expect(themes[0].$figmaVariableReferences).toEqual({ 'color.brand.100': 'V:1' });
+  });
+
+  it('should move a token into another group and rewrite composite sub-values', async () => {
+    const renamer = new TokenRenamer({ tokensDir, backupDir });
+    const result = await renamer.rename([{ from: 'size.base', to: 'typography.size.body' }]);
+
+    const core = await readJson('core.json');
+    const global = await readJson('global.json');
+
+    expect(result.moved).toEqual([{ set: 'core', from: 'size.base', to: 'typography.size.body' }]);
+    expect(core.size).toBeUndefined();
+    expect(core.typography.size.body).toEqual({ $type: 'fontSizes', $value: '16' });
+    expect(global.body.$value).toEqual({ fontFamily: 'Roboto', fontSize: '{typography.size.body}' });
+    expect(result.diff.summary.renamed).toBe(1);
+  });
+
+  it('should apply batch mappings in order from a mapping file', async () => {
+    const mapPath = path.join(testDir, 'renames.json');
+    await fs.writeFile(mapPath, JSON.stringify({ 'color.grey.900': 'color.neutral.900', 'color.neutral': 'color.gray' }));
+
+    const renamer = new TokenRenamer({ tokensDir, backupDir });
+    const loaded = await renamer.loadMappingFile(mapPath);
+    const result = await renamer.rename(loaded.mappings);
+
+    const global = await readJson('global.json');
+    expect(result.success).toBe(true);
+    expect(global.tint.$value).toBe('{color.gray.900}');
+    expect(global.fade.$value).toContain('{color.gray.900}');
+  });
+
+  it('should refuse conflicting or unknown renames without writing', async () => {
+    const renamer = new TokenRenamer({ tokensDir, backupDir });
+    const before = await readJson('core.json');
+
+    const conflict = await renamer.rename([{ from: 'color.blue.100', to: 'color.blue.500' }]);
+    const unknown = await renamer.rename([{ from: 'color.red', to: 'color.crimson' }]);
+
+    expect(conflict.success).toBe(false);
+    expect(conflict.errors[0]).toContain("'color.blue.500' already exists in core");
+    expect(unknown.errors[0]).toContain("Cannot rename 'color.red'");
+    expect(await readJson('core.json')).toEqual(before);
+  });
+
+  it('should leave files untouched on a dry run', async () => {
+    const renamer = new TokenRenamer({ tokensDir, backupDir });
+    const result = await renamer.rename([{ from: 'color.blue', to: 'color.brand' }], { dryRun: true });
+
+    expect(result.success).toBe(true);
+    expect(result.backupId).toBeNull();
+    expect(result.files).toEqual(['core.json', 'global.json', '$themes.json']);
+    expect((await readJson('global.json')).surface.$value).toBe('{color.blue.500}');
+    expect(renamer.formatText(result)).toContain('core: color.blue moved to color.brand');
+  });
+});
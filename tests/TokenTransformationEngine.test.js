@@ -156,6 +156,21 @@ describe('TokenTransformationEngine', () => {
       expect(themes[0]).toHaveProperty('selectedTokenSets');
     });
 
+    it('should keep theme groups from the source', async () => {
+      const groupedThemes = [
+        { id: 'bet9ja', name: 'Bet9ja', group: 'brand', selectedTokenSets: { core: 'source', global: 'enabled' } },
+        { id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: {} }
+      ];
+      fs.readFile.mockResolvedValue(JSON.stringify({ core: mockSourceData, $themes: groupedThemes, $metadata: mockMetadata }));
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+
+      await engine.splitSourceToTokens('tokensource.json', 'tokens/');
+
+      const themesCall = fs.writeFile.mock.calls.find(call => call[0].includes('$themes.json'));
+      expect(JSON.parse(themesCall[1])).toEqual(groupedThemes);
+    });
+
     it('should convert tokens to Token Studio format', async () => {
       fs.readFile.mockResolvedValue(JSON.stringify(mockSourceData));
       fs.mkdir.mockResolvedValue();
@@ -225,6 +240,17 @@ describe('TokenTransformationEngine', () => {
       expect(fs.writeFile).toHaveBeenCalledWith('tokensource.json', expect.any(String));
     });
 
+    it('should keep theme groups in the consolidated source', async () => {
+      mockThemes.push({ id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: {} });
+      mockThemes[0].group = 'brand';
+      fs.writeFile.mockResolvedValue();
+
+      await engine.consolidateToSource('tokens/', 'tokensource.json');
+
+      const source = JSON.parse(fs.writeFile.mock.calls.find(call => call[0] === 'tokensource.json')[1]);
+      expect(source.$themes.map(theme => `${theme.group}/${theme.name}`)).toEqual(['brand/Base', 'mode/Dark']);
+    });
+
     it('should handle missing metadata file', async () => {
       fs.readFile.mockImplementation((filePath) => {
         if (filePath.includes('$metadata.json')) {
@@ -250,8 +276,9 @@ describe('TokenTransformationEngine', () => {
       expect(writeCall).toBeDefined();
       
       const consolidatedData = JSON.parse(writeCall[1]);
-      expect(consolidatedData).toHaveProperty('Color Ramp');
-      expect(consolidatedData).toHaveProperty('color');
+      expect(Object.keys(consolidatedData)).toEqual(['core', 'global', '$themes', '$metadata']);
+      expect(consolidatedData.core).toHaveProperty('Color Ramp');
+      expect(consolidatedData.global).toHaveProperty('color');
     });
 
     it('should preserve token references during consolidation', async () => {
@@ -264,7 +291,7 @@ describe('TokenTransformationEngine', () => {
       );
       const consolidatedData = JSON.parse(writeCall[1]);
       
-      expect(consolidatedData.color.text.primary.$value).toBe('{Color Ramp.Neutral.Neutral 1000}');
+      expect(consolidatedData.global.color.text.primary.$value).toBe('{Color Ramp.Neutral.Neutral 1000}');
     });
 
     it('should count tokens accurately', async () => {
@@ -274,6 +301,72 @@ describe('TokenTransformationEngine', () => {
 
       expect(result.tokensCount).toBe(2); // One from core, one from global
     });
+
+    it('should report tokens defined in more than one set', async () => {
+      const overridingSet = {
+        color: {
+          text: {
+            primary: { $type: 'color', $value: '#ffffff' }
+          }
+        }
+      };
+      mockMetadata.tokenSetOrder = ['core', 'global', 'simulate'];
+      mockThemes.push({
+        id: 'simulate-theme',
+        name: 'Simulate',
+        selectedTokenSets: { core: 'source', global: 'enabled', simulate: 'enabled' }
+      });
+      const readGlobal = fs.readFile.getMockImplementation();
+      fs.readFile.mockImplementation((filePath) => {
+        if (filePath.includes('simulate.json')) {
+          return Promise.resolve(JSON.stringify(overridingSet));
+        }
+        return readGlobal(filePath);
+      });
+      fs.writeFile.mockResolvedValue();
+
+      const result = await engine.consolidateToSource('tokens/', 'tokensource.json');
+
+      expect(result.success).toBe(true);
+      expect(result.conflicts).toEqual([{
+        path: 'color.text.primary',
+        sets: ['global', 'simulate'],
+        winner: 'simulate',
+        themes: { Base: 'global', Simulate: 'simulate' }
+      }]);
+      expect(result.warnings).toContain('1 token paths are defined in more than one token set');
+
+      const writeCall = fs.writeFile.mock.calls.find(call => call[0] === 'tokensource.json');
+      const consolidatedData = JSON.parse(writeCall[1]);
+      expect(consolidatedData.global.color.text.primary.$value).toBe('{Color Ramp.Neutral.Neutral 1000}');
+      expect(consolidatedData.simulate.color.text.primary.$value).toBe('#ffffff');
+    });
+  });
+
+  describe('detectSetOverrides', () => {
+    it('should follow tokenSetOrder and ignore disabled sets per theme', () => {
+      const token = value => ({ $type: 'color', $value: value });
+      const tokenSets = {
+        'bet9ja dark': { surface: { '0100': token('#111') } },
+        global: { surface: { '0100': token('#222'), '0200': token('#333') } },
+        core: { surface: { '0100': token('#444') } }
+      };
+      const themes = [
+        { name: 'Dark', selectedTokenSets: { core: 'source', global: 'enabled', 'bet9ja dark': 'enabled' } },
+        { name: 'Light', selectedTokenSets: { core: 'source', global: 'enabled', 'bet9ja dark': 'disabled' } },
+        { name: 'Empty', selectedTokenSets: {} }
+      ];
+      const metadata = { tokenSetOrder: ['core', 'global', 'bet9ja dark'] };
+
+      const conflicts = engine.detectSetOverrides(tokenSets, themes, metadata);
+
+      expect(conflicts).toEqual([{
+        path: 'surface.0100',
+        sets: ['core', 'global', 'bet9ja dark'],
+        winner: 'bet9ja dark',
+        themes: { Dark: 'bet9ja dark', Light: 'global' }
+      }]);
+    });
   });
 
   describe('validateTransformation', () => {
@@ -851,7 +944,7 @@ describe('TokenTransformationEngine', () => {
       
       expect(consolidated.$themes).toEqual(themes);
       expect(consolidated.$metadata).toEqual(metadata);
-      expect(consolidated.color.primary.$value).toBe('#000');
+      expect(consolidated.core.color.primary.$value).toBe('#000');
     });
 
     it('should handle consolidation without themes', async () => {
@@ -863,7 +956,7 @@ describe('TokenTransformationEngine', () => {
       
       expect(consolidated.$themes).toBeUndefined();
       expect(consolidated.$metadata).toBeUndefined();
-      expect(consolidated.color.primary.$value).toBe('#000');
+      expect(consolidated.core.color.primary.$value).toBe('#000');
     });
 
     it('should handle token counting in nested structures', () => {
@@ -934,8 +1027,8 @@ describe('TokenTransformationEngine', () => {
       const consolidated = await engine._consolidateTokenSets(tokenSets, themes, metadata);
       
       expect(consolidated.$themes).toBeUndefined(); // Empty themes array should not be added
-      expect(consolidated.$metadata).toBeUndefined(); // Minimal metadata should not be added
-      expect(consolidated.color.primary.$value).toBe('#000');
+      expect(consolidated.$metadata).toEqual(metadata); // tokenSetOrder is kept for multi-set files
+      expect(consolidated.core.color.primary.$value).toBe('#000');
     });
 
     it('should handle token conversion with complex typography tokens', () => {
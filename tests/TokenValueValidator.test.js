@@ -0,0 +1,95 @@
+/**
+ * TokenValueValidator Tests
+ *
+ * Tests the per-type value validators shared by ValidationSystem,
+ * ModularEditingManager and the valid-value lint rule
+ */
+
+const TokenValueValidator = require('../src/TokenValueValidator');
+
+describe('TokenValueValidator', () => {
+  let validator;
+
+  const isValid = (value, type) => validator.validate(value, type, 'token').isValid;
+
+  beforeEach(() => {
+    validator = new TokenValueValidator();
+  });
+
+  it('should reject incomplete hex colors', () => {
+    const result = validator.validate('#', 'color', 'button.CTA.hover.label');
+
+    expect(result.isValid).toBe(false);
+    expect(result.message).toBe('Invalid color format: # at button.CTA.hover.label (hex colors need 3, 4, 6 or 8 hex digits)');
+    expect(isValid('#12345', 'color')).toBe(false);
+    expect(isValid('#1d202480', 'color')).toBe(true);
+    expect(isValid('rgba(29, 32, 36, 0.5)', 'color')).toBe(true);
+    expect(isValid('rgb(29, 32)', 'color')).toBe(false);
+  });
+
+  it('should skip references and check expression syntax', () => {
+    expect(isValid('{color.primary}', 'color')).toBe(true);
+    expect(isValid('{spacing.base} * 2', 'spacing')).toBe(true);
+    expect(validator.validate('roundTo({spacing.base} * 2', 'spacing', 'spacing.lg').message).toContain("Expected ')'");
+  });
+
+  it('should validate font weights, sizes and line heights', () => {
+    expect(isValid('Semi Bold Italic', 'fontWeights')).toBe(true);
+    expect(isValid(700, 'fontWeight')).toBe(true);
+    expect(isValid('Chunky', 'fontWeights')).toBe(false);
+    expect(isValid(1200, 'fontWeights')).toBe(false);
+    expect(isValid('16', 'fontSizes')).toBe(true);
+    expect(isValid('-16', 'fontSizes')).toBe(false);
+    expect(isValid('AUTO', 'lineHeights')).toBe(true);
+    expect(isValid('120%', 'lineHeights')).toBe(true);
+    expect(isValid('tall', 'lineHeights')).toBe(false);
+  });
+
+  it('should validate spacing and size dimensions', () => {
+    expect(isValid('-0.5', 'letterSpacing')).toBe(true);
+    expect(isValid('8 16', 'spacing')).toBe(true);
+    expect(isValid('4 4 0 0', 'borderRadius')).toBe(true);
+    expect(isValid('8 16', 'sizing')).toBe(false);
+    expect(isValid('-1', 'borderWidth')).toBe(false);
+    expect(isValid('12px', 'paragraphSpacing')).toBe(true);
+  });
+
+  it('should validate opacity ranges', () => {
+    expect(isValid('0.4', 'opacity')).toBe(true);
+    expect(isValid('40%', 'opacity')).toBe(true);
+    expect(isValid(1.5, 'opacity')).toBe(false);
+    expect(isValid('140%', 'opacity')).toBe(false);
+  });
+
+  it('should validate single and layered box shadows', () => {
+    const shadow = { x: '0', y: '2', blur: '4', spread: '0', color: 'rgba(0, 0, 0, 0.2)', type: 'dropShadow' };
+
+    expect(isValid(shadow, 'boxShadow')).toBe(true);
+    expect(isValid([shadow, { ...shadow, type: 'innerShadow' }], 'boxShadow')).toBe(true);
+    expect(validator.validate([shadow, { ...shadow, color: '#' }], 'boxShadow', 'elevation.2').message).toContain('elevation.2[1].color');
+    expect(validator.validate({ ...shadow, type: 'outerGlow' }, 'boxShadow', 'elevation.1').message).toContain("Invalid shadow type 'outerGlow'");
+    expect(validator.validate({ x: '0', y: '2', color: '#000' }, 'boxShadow', 'elevation.1').message).toBe('Box shadow elevation.1 missing blur, spread');
+  });
+
+  it('should validate borders, compositions and typography fields', () => {
+    expect(isValid({ color: '{color.border}', width: '1', style: 'solid' }, 'border')).toBe(true);
+    expect(validator.validate({ color: '#000', width: '1', style: 'wavy' }, 'border', 'divider').message).toContain('divider.style');
+    expect(isValid({ fill: '{color.primary}', spacing: '8' }, 'composition')).toBe(true);
+    expect(isValid({}, 'composition')).toBe(false);
+    expect(validator.validate({ fontFamily: 'Roboto', fontWeight: 'Chunky' }, 'typography', 'body').message).toContain('body.fontWeight');
+    expect(isValid({ fontSize: '16' }, 'typography')).toBe(false);
+    expect(validator.validate({ fontSize: '16' }, 'typography', 'body').message).toBe('Typography missing required properties: fontFamily at body');
+  });
+
+  it('should validate text case and decoration keywords', () => {
+    expect(isValid('uppercase', 'textCase')).toBe(true);
+    expect(isValid('shouting', 'textCase')).toBe(false);
+    expect(isValid('line-through', 'textDecoration')).toBe(true);
+    expect(isValid('wavy', 'textDecoration')).toBe(false);
+  });
+
+  it('should accept values of unknown types', () => {
+    expect(isValid('anything', 'other')).toBe(true);
+    expect(isValid('anything', undefined)).toBe(true);
+  });
+});
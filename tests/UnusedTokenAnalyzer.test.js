@@ -0,0 +1,141 @@
+/**
+ * UnusedTokenAnalyzer Tests
+ *
+ * Tests per-theme unreferenced tokens, disabled-only references, stale Figma style
+ * references and pruning with a backup
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const UnusedTokenAnalyzer = require('../src/UnusedTokenAnalyzer');
+
+describe('UnusedTokenAnalyzer', () => {
+  let testDir;
+  let tokensDir;
+  let backupDir;
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, 'temp-unused-token-test');
+    tokensDir = path.join(testDir, 'tokens');
+    backupDir = path.join(testDir, '.backups');
+    await fs.mkdir(tokensDir, { recursive: true });
+
+    await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'global', 'legacy'] }));
+    await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify([
+      {
+        id: 'light',
+        name: 'Light',
+        selectedTokenSets: { core: 'source', global: 'enabled', legacy: 'disabled' },
+        $figmaStyleReferences: { 'surface': 'S:1', 'old.surface': 'S:2' }
+      },
+      {
+        id: 'legacy',
+        name: 'Legacy',
+        selectedTokenSets: { core: 'source', legacy: 'enabled' }
+      }
+    ]));
+    await fs.writeFile(path.join(tokensDir, 'core.json'), JSON.stringify({
+      'Color Ramp': {
+        Blue: {
+          '100': { $type: 'color', $value: '#e0ecff' },
+          '500': { $type: 'color', $value: '#0066cc' }
+        },
+        Grey: {
+          '900': { $type: 'color', $value: '#1d2024' }
+        },
+        Red: {
+          '500': { $type: 'color', $value: '#d92d20' }
+        }
+      },
+      size: { base: { $type: 'fontSizes', $value: '16' } }
+    }));
+    await fs.writeFile(path.join(tokensDir, 'global.json'), JSON.stringify({
+      surface: { $type: 'color', $value: '{Color Ramp.Blue.500}' },
+      overlay: {
+        $type: 'color',
+        $value: '{Color Ramp.Blue.500}',
+        $extensions: { 'studio.tokens': { modify: { type: 'mix', value: '0.5', color: '{Color Ramp.Grey.900}' } } }
+      },
+      body: { $type: 'typography', $value: { fontFamily: 'Roboto', fontSize: '{size.base}' } }
+    }));
+    await fs.writeFile(path.join(tokensDir, 'legacy.json'), JSON.stringify({
+      danger: { $type: 'color', $value: '{Color Ramp.Red.500}' }
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should report unreferenced and disabled-only tokens per theme', async () => {
+    const analyzer = new UnusedTokenAnalyzer({ tokensDir, backupDir });
+    const report = await analyzer.analyze();
+
+    expect(report.success).toBe(true);
+
+    const light = report.themes.find(theme => theme.name === 'Light');
+    expect(light.unused.map(token => `${token.set}:${token.path}`)).toEqual([
+      'core:Color Ramp.Blue.100',
+      'global:surface',
+      'global:overlay',
+      'global:body'
+    ]);
+    expect(light.disabledOnly).toEqual([{
+      path: 'Color Ramp.Red.500',
+      set: 'core',
+      status: 'source',
+      referencedFrom: [{ set: 'legacy', path: 'danger' }]
+    }]);
+
+    // Composite sub-properties and modifier colors count as references
+    const legacy = report.themes.find(theme => theme.name === 'Legacy');
+    expect(legacy.unused.map(token => token.path)).toEqual([
+      'Color Ramp.Blue.100',
+      'Color Ramp.Blue.500',
+      'Color Ramp.Grey.900',
+      'size.base',
+      'danger'
+    ]);
+  });
+
+  it('should report style references to tokens the theme does not define', async () => {
+    const analyzer = new UnusedTokenAnalyzer({ tokensDir, backupDir });
+    const report = await analyzer.analyze();
+
+    expect(report.missingStyleReferences).toEqual([{ theme: 'Light', path: 'old.surface', styleId: 'S:2' }]);
+  });
+
+  it('should only mark source tokens without any inbound reference as prunable', async () => {
+    const analyzer = new UnusedTokenAnalyzer({ tokensDir, backupDir });
+    const report = await analyzer.analyze();
+
+    expect(report.prunable).toEqual([{ path: 'Color Ramp.Blue.100', set: 'core' }]);
+    expect(report.summary).toEqual({ tokens: 9, unused: 9, disabledOnly: 1, missingStyleReferences: 1, prunable: 1 });
+  });
+
+  it('should back up the tokens folder before pruning', async () => {
+    const analyzer = new UnusedTokenAnalyzer({ tokensDir, backupDir });
+    const result = await analyzer.prune(await analyzer.analyze());
+
+    expect(result.success).toBe(true);
+    expect(result.backupId).toBeTruthy();
+    expect(result.files).toEqual(['core.json', '$themes.json']);
+
+    const core = JSON.parse(await fs.readFile(path.join(tokensDir, 'core.json'), 'utf8'));
+    const themes = JSON.parse(await fs.readFile(path.join(tokensDir, '$themes.json'), 'utf8'));
+    expect(core['Color Ramp'].Blue).toEqual({ '500': { $type: 'color', $value: '#0066cc' } });
+    expect(themes[0].$figmaStyleReferences).toEqual({ surface: 'S:1' });
+
+    const backedUp = JSON.parse(await fs.readFile(path.join(result.backupPath, 'tokens', 'core.json'), 'utf8'));
+    expect(backedUp['Color Ramp'].Blue['100']).toBeDefined();
+  });
+
+  it('should render a text report', async () => {
+    const analyzer = new UnusedTokenAnalyzer({ tokensDir, backupDir });
+    const text = analyzer.formatText(await analyzer.analyze());
+
+    expect(text).toContain('Theme Light (core:source, global:enabled)');
+    expect(text).toContain('core: Color Ramp.Red.500 ← danger (legacy)');
+    expect(text).toContain('Light: old.surface → S:2');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * ValidationReportFormatter Tests
+ *
+ * Tests flattening a ValidationSystem report into located issues, and the JSON, SARIF and
+ * JUnit renderings
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ValidationSystem = require('../src/ValidationSystem');
+const ValidationReportFormatter = require('../src/ValidationReportFormatter');
+const SchemaValidator = require('../src/SchemaValidator');
+
+describe('ValidationReportFormatter', () => {
+  let testDir;
+  let tokensDir;
+  let sourcePath;
+  let report;
+
+  const writeJson = (filePath, data) => fs.writeFile(filePath, JSON.stringify(data, null, 2));
+
+  beforeAll(async () => {
+    testDir = path.join(__dirname, 'temp-validation-report-test');
+    tokensDir = path.join(testDir, 'tokens');
+    sourcePath = path.join(testDir, 'tokensource.json');
+    await fs.mkdir(tokensDir, { recursive: true });
+
+    const core = {
+      color: {
+        primary: { $type: 'color', $value: '#0066cc' },
+        broken: { $type: 'color', $value: '#12' }
+      }
+    };
+    const global = {
+      surface: { $type: 'color', $value: '{color.primry}' }
+    };
+    const themes = [{ id: 'base', name: 'Base', selectedTokenSets: { core: 'source', global: 'enabled' } }];
+    const metadata = { tokenSetOrder: ['core', 'global'] };
+
+    await writeJson(path.join(tokensDir, 'core.json'), core);
+    await writeJson(path.join(tokensDir, 'global.json'), global);
+    await writeJson(path.join(tokensDir, '$themes.json'), themes);
+    await writeJson(path.join(tokensDir, '$metadata.json'), metadata);
+    await writeJson(sourcePath, { core, global, $themes: themes, $metadata: metadata });
+
+    const validation = await new ValidationSystem().generateValidationReport(tokensDir, null, { quiet: true });
+    const formatter = new ValidationReportFormatter({ tokensDir, sourcePath, rootDir: testDir });
+    report = await formatter.buildReport(validation.report);
+  });
+
+  afterAll(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should locate broken aliases in the token file and in tokensource.json', () => {
+    const issue = report.issues.find(candidate => candidate.ruleId === 'unresolved-reference');
+
+    expect(issue).toMatchObject({
+      category: 'references',
+      severity: 'error',
+      tokenPath: 'surface',
+      location: { file: 'tokens/global.json', pointer: '/surface/$value', line: 4, column: 15 }
+    });
+    expect(issue.suggestion).toContain('{color.primary}');
+    expect(issue.relatedLocations[0]).toMatchObject({ file: 'tokensource.json', pointer: '/global/surface/$value', line: 17 });
+  });
+
+  it('should locate invalid values and follow the published report schema', () => {
+    const issue = report.issues.find(candidate => candidate.ruleId === 'invalid-token-value');
+
+    expect(issue.location).toMatchObject({ file: 'tokens/core.json', pointer: '/color/broken', line: 7, column: 15 });
+    expect(report.valid).toBe(false);
+    expect(report.summary.errors).toBe(report.issues.filter(candidate => candidate.severity === 'error').length);
+    expect(new SchemaValidator().validate(report, 'validationReport').errors).toEqual([]);
+  });
+
+  it('should render SARIF 2.1.0 results with regions', () => {
+    const formatter = new ValidationReportFormatter({ tokensDir, sourcePath, rootDir: testDir });
+    const sarif = JSON.parse(formatter.formatSarif(report));
+    const run = sarif.runs[0];
+    const result = run.results.find(candidate => candidate.ruleId === 'unresolved-reference');
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules[result.ruleIndex].id).toBe('unresolved-reference');
+    expect(result.level).toBe('error');
+    expect(result.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'tokens/global.json' },
+      region: { startLine: 4, startColumn: 15 }
+    });
+    expect(result.relatedLocations[0].physicalLocation.artifactLocation.uri).toBe('tokensource.json');
+  });
+
+  it('should render JUnit XML with one suite per category and escaped text', () => {
+    const formatter = new ValidationReportFormatter({ tokensDir, sourcePath, rootDir: testDir });
+    const xml = formatter.formatJUnit({
+      ...report,
+      issues: [
+        ...report.issues,
+        { ruleId: 'orphaned-token-set', category: 'themes', severity: 'warning', message: 'Set <"a&b"> is unused' }
+      ]
+    });
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuite name="contrast" tests="1" failures="0">');
+    expect(xml).toContain('file="tokens/global.json" line="4"');
+    expect(xml).toContain('<failure message="Unresolved token reference: {color.primry}" type="unresolved-reference">');
+    expect(xml).toContain('<system-out>warning: Set &lt;&quot;a&amp;b&quot;&gt; is unused</system-out>');
+  });
+
+  it('should reject unknown formats', async () => {
+    const formatter = new ValidationReportFormatter({ tokensDir, sourcePath });
+
+    await expect(formatter.format({ validations: {} }, 'html')).rejects.toThrow('Unknown validation report format: html');
+  });
+});
@@ -142,6 +142,47 @@ describe('ValidationSystem', () => {
       );
       expect(tokenIssues.length).toBeGreaterThan(0);
     });
+
+    it('should report malformed math expressions', async () => {
+      await createValidTokenStudioStructure(testDir);
+      await fs.writeFile(
+        path.join(testDir, 'global.json'),
+        JSON.stringify({
+          spacing: {
+            large: { $type: 'dimension', $value: 'roundTo({spacing.base} * 2' }
+          }
+        })
+      );
+
+      const result = await validationSystem.validateTokenStudioStructure(testDir);
+
+      const mathIssues = result.issues.filter(issue => issue.type === 'invalid_math_expression');
+      expect(result.isValid).toBe(false);
+      expect(mathIssues).toHaveLength(1);
+      expect(mathIssues[0].path).toBe('spacing.large');
+      expect(mathIssues[0].message).toContain("Expected ')'");
+    });
+
+    it('should report values that do not match their type', async () => {
+      await createValidTokenStudioStructure(testDir);
+      await fs.writeFile(
+        path.join(testDir, 'global.json'),
+        JSON.stringify({
+          button: {
+            label: { $type: 'color', $value: '#' },
+            opacity: { $type: 'opacity', $value: '0.4' }
+          }
+        })
+      );
+
+      const result = await validationSystem.validateTokenStudioStructure(testDir);
+
+      const valueIssues = result.issues.filter(issue => issue.type === 'invalid_token_value');
+      expect(result.isValid).toBe(false);
+      expect(valueIssues).toHaveLength(1);
+      expect(valueIssues[0]).toMatchObject({ file: 'global.json', path: 'button.label' });
+      expect(valueIssues[0].message).toContain('3, 4, 6 or 8 hex digits');
+    });
   });
 
   describe('validateTokenReferences', () => {
@@ -200,6 +241,85 @@ describe('ValidationSystem', () => {
       // Note: Circular reference detection is complex and may need refinement
     });
 
+    it('should report cycles across sets with every hop', async () => {
+      await createTokenStudioWithReferences(testDir);
+      await fs.writeFile(
+        path.join(testDir, 'core.json'),
+        JSON.stringify({ color: { primary: { $type: 'color', $value: 'rgba({color.text}, 0.5)' } } })
+      );
+
+      const result = await validationSystem.validateTokenReferences(testDir);
+
+      expect(result.isValid).toBe(false);
+      expect(result.circularReferences).toHaveLength(1);
+      expect(result.circularReferences[0]).toMatchObject({
+        path: 'color.primary',
+        file: 'core.json',
+        cycle: ['color.primary', 'color.text', 'color.primary'],
+        message: 'Circular reference: color.primary (core.json) → color.text (global.json) → color.primary'
+      });
+      expect(result.circularReferences[0].hops.map(hop => hop.file)).toEqual(['core.json', 'global.json']);
+    });
+
+    it('should report references that do not resolve in a theme', async () => {
+      await createTokenStudioWithReferences(testDir);
+      await fs.writeFile(
+        path.join(testDir, '$themes.json'),
+        JSON.stringify([
+          { id: 'full', name: 'Full', selectedTokenSets: { core: 'source', global: 'enabled' } },
+          { id: 'global-only', name: 'Global Only', selectedTokenSets: { global: 'enabled' } }
+        ])
+      );
+
+      const result = await validationSystem.validateTokenReferences(testDir);
+
+      expect(result.isValid).toBe(false);
+      expect(result.unresolvedReferences).toHaveLength(1);
+      expect(result.unresolvedReferences[0].reference).toBe('{color.primary}');
+      expect(result.unresolvedReferences[0].themes).toEqual(['Global Only']);
+    });
+
+    it('should check each reference inside a math expression', async () => {
+      await createTokenStudioWithReferences(testDir);
+      await fs.writeFile(
+        path.join(testDir, 'global.json'),
+        JSON.stringify({
+          size: {
+            base: { $type: 'number', $value: '16' },
+            large: { $type: 'number', $value: 'roundTo({size.base} * 1.4, 0)' },
+            broken: { $type: 'number', $value: '{size.missing} * 2' }
+          }
+        })
+      );
+
+      const result = await validationSystem.validateTokenReferences(testDir);
+
+      expect(result.unresolvedReferences).toHaveLength(1);
+      expect(result.unresolvedReferences[0].reference).toBe('{size.missing}');
+    });
+
+    it('should check references embedded in strings and color modifiers', async () => {
+      await createTokenStudioWithReferences(testDir);
+      await fs.writeFile(
+        path.join(testDir, 'global.json'),
+        JSON.stringify({
+          fade: { $type: 'color', $value: 'linear-gradient(90deg, rgba({color.primary}, 0) 80%, rgba({color.missing}, 1) 100%)' },
+          hover: {
+            $type: 'color',
+            $value: '{color.primary}',
+            $extensions: { 'studio.tokens': { modify: { type: 'alpha', value: '{opacity.missing}' } } }
+          }
+        })
+      );
+
+      const result = await validationSystem.validateTokenReferences(testDir);
+
+      expect(result.unresolvedReferences.map(reference => `${reference.location}:${reference.reference}`)).toEqual([
+        'fade.$value:{color.missing}',
+        'hover.$extensions.studio.tokens.modify.value:{opacity.missing}'
+      ]);
+    });
+
     it('should handle missing metadata gracefully', async () => {
       const result = await validationSystem.validateTokenReferences(testDir);
 
@@ -351,6 +471,107 @@ describe('ValidationSystem', () => {
     });
   });
 
+  describe('validateContrast', () => {
+    async function createContrastThemes(dir) {
+      await fs.writeFile(path.join(dir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'dark'] }));
+      await fs.writeFile(path.join(dir, '$themes.json'), JSON.stringify([
+        { id: 'dark', name: 'Dark', selectedTokenSets: { core: 'source', dark: 'enabled' } }
+      ]));
+      await fs.writeFile(path.join(dir, 'core.json'), JSON.stringify({
+        grey: {
+          100: { $type: 'color', $value: '#dee2e7' },
+          500: { $type: 'color', $value: '#52585c' },
+          900: { $type: 'color', $value: '#1d2024' }
+        }
+      }));
+      await fs.writeFile(path.join(dir, 'dark.json'), JSON.stringify({
+        appBackground: { appBackground: { $type: 'color', $value: '{grey.900}' } },
+        content: {
+          primary: { $type: 'color', $value: '{grey.100}' },
+          muted: { $type: 'color', $value: '{grey.500}' },
+          faded: { $type: 'color', $value: 'rgba(222, 226, 231, 0.3)' },
+          '0500': { $type: 'color', $value: '{grey.500}' }
+        },
+        button: {
+          Primary: { $type: 'color', $value: '#ffc959' },
+          OnPrimary: { $type: 'color', $value: '{grey.900}' }
+        }
+      }));
+    }
+
+    it('should check content and OnX tokens by naming convention', async () => {
+      await createContrastThemes(testDir);
+
+      const result = await validationSystem.validateContrast(testDir);
+      const checked = result.pairs.map(pair => `${pair.foreground.path}/${pair.background.path}`);
+
+      expect(checked).toEqual(expect.arrayContaining([
+        'content.primary/appBackground.appBackground',
+        'button.OnPrimary/button.Primary'
+      ]));
+      expect(result.pairs.find(pair => pair.foreground.path === 'content.primary').passes).toBe(true);
+      // Ramp steps are not text colors
+      expect(checked).not.toContain('content.0500/appBackground.appBackground');
+    });
+
+    it('should fail pairs below AA with resolved hex values', async () => {
+      await createContrastThemes(testDir);
+
+      const result = await validationSystem.validateContrast(testDir);
+      const muted = result.issues.find(issue => issue.path === 'content.muted');
+
+      expect(result.isValid).toBe(false);
+      expect(muted.type).toBe('insufficient_contrast');
+      expect(muted.theme).toBe('Dark');
+      expect(muted.foreground.value).toBe('#52585c');
+      expect(muted.background.value).toBe('#1d2024');
+      expect(muted.ratio).toBeLessThan(4.5);
+      expect(muted.required).toBe(4.5);
+    });
+
+    it('should composite translucent foregrounds over the background', async () => {
+      await createContrastThemes(testDir);
+
+      const result = await validationSystem.validateContrast(testDir);
+      const faded = result.pairs.find(pair => pair.foreground.path === 'content.faded');
+
+      expect(faded.foreground.value).toBe('#dee2e74d');
+      expect(faded.ratio).toBeLessThan(3);
+      expect(faded.passes).toBe(false);
+    });
+
+    it('should fail pairs just below the threshold without rounding up', async () => {
+      await createContrastThemes(testDir);
+      const configPath = path.join(testDir, 'contrast.config.json');
+      await fs.writeFile(configPath, JSON.stringify({
+        pairs: [{ foreground: 'content.muted', background: 'appBackground.appBackground' }]
+      }));
+
+      // #767776 on white is 4.496:1
+      const dark = JSON.parse(await fs.readFile(path.join(testDir, 'dark.json'), 'utf8'));
+      dark.appBackground.appBackground.$value = '#ffffff';
+      dark.content.muted.$value = '#767776';
+      await fs.writeFile(path.join(testDir, 'dark.json'), JSON.stringify(dark));
+
+      const boundary = (await validationSystem.validateContrast(testDir, { configPath })).pairs[0];
+      expect(boundary.passes).toBe(false);
+      expect(boundary.ratio).toBe(4.49);
+    });
+
+    it('should use configured pairs and large text thresholds', async () => {
+      await createContrastThemes(testDir);
+      const configPath = path.join(testDir, 'contrast.config.json');
+      await fs.writeFile(configPath, JSON.stringify({
+        pairs: [{ foreground: 'content.mu*', background: 'appBackground.appBackground', largeText: true }]
+      }));
+
+      const result = await validationSystem.validateContrast(testDir, { configPath });
+
+      expect(result.pairs).toHaveLength(1);
+      expect(result.pairs[0].required).toBe(3);
+    });
+  });
+
   describe('generateValidationReport', () => {
     it('should generate comprehensive validation report', async () => {
       await createValidTokenStudioStructure(testDir);
@@ -364,6 +585,7 @@ describe('ValidationSystem', () => {
       expect(result.report.validations.structure).toBeDefined();
       expect(result.report.validations.references).toBeDefined();
       expect(result.report.validations.themes).toBeDefined();
+      expect(result.report.validations.contrast).toBeDefined();
       expect(result.report.summary).toBeDefined();
       expect(result.report.summary.isValid).toBeDefined();
       expect(result.report.summary.totalIssues).toBeDefined();
@@ -0,0 +1,120 @@
+/**
+ * build-themes Tests
+ *
+ * Runs scripts/build-themes.js on small token folders and checks the platform output
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BUILD_SCRIPT = path.join(__dirname, '..', 'scripts', 'build-themes.js');
+
+describe('build-themes', () => {
+  let testDir;
+  let tokensDir;
+
+  const writeTokens = async (tokenSets, themes) => {
+    await fs.writeFile(path.join(tokensDir, '$metadata.json'), JSON.stringify({ tokenSetOrder: Object.keys(tokenSets) }, null, 2));
+    await fs.writeFile(path.join(tokensDir, '$themes.json'), JSON.stringify(themes, null, 2));
+    for (const [setName, data] of Object.entries(tokenSets)) {
+      await fs.writeFile(path.join(tokensDir, `${setName}.json`), JSON.stringify(data, null, 2));
+    }
+  };
+
+  // Build paths are relative, so the output lands in testDir/dist
+  const build = (...args) => {
+    const result = spawnSync('node', [BUILD_SCRIPT, '--tokens-dir', tokensDir, ...args], { cwd: testDir, encoding: 'utf8' });
+    if (result.status !== 0) {
+      throw new Error(`build-themes exited with ${result.status}: ${result.stderr}`);
+    }
+    return { stdout: result.stdout, stderr: result.stderr };
+  };
+
+  const readOutput = file => fs.readFile(path.join(testDir, 'dist', file), 'utf8');
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, 'temp-build-themes-test');
+    tokensDir = path.join(testDir, 'tokens');
+    await fs.mkdir(tokensDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should expand referenced hex colors inside shadow layers on every platform', async () => {
+    await writeTokens({
+      core: { black: { $type: 'color', $value: '#000000' } },
+      global: {
+        elevation: {
+          $type: 'boxShadow',
+          $value: { x: '0', y: '4', blur: '8', spread: '0', color: 'rgba({black}, 0.2)', type: 'dropShadow' }
+        }
+      }
+    }, [{ id: 'base', name: 'Base', selectedTokenSets: { core: 'source', global: 'enabled' } }]);
+
+    build();
+
+    expect(await readOutput('css/base/tokens.css')).toContain('--elevation: 0 4px 8px 0 rgba(0, 0, 0, 0.2);');
+    expect(await readOutput('scss/base/tokens.scss')).toContain('0 4px 8px 0 rgba(0, 0, 0, 0.2)');
+    expect(await readOutput('ios/base/Styles.swift')).toContain('UIColor(red: 0.000, green: 0.000, blue: 0.000, alpha: 0.2)');
+    expect(await readOutput('android/base/styles.xml')).toContain('<color name="elevation_shadow_color">#33000000</color>');
+  }, 60000);
+
+  it('should name and select combinations brand first whatever the $themes.json order', async () => {
+    await writeTokens({
+      core: { grey: { $type: 'color', $value: '#808080' } },
+      bet9ja: { accent: { $type: 'color', $value: '#0d9737' } },
+      dark: { surface: { $type: 'color', $value: '{grey}' } }
+    }, [
+      { id: 'dark', name: 'Dark', group: 'mode', selectedTokenSets: { core: 'source', dark: 'enabled' } },
+      { id: 'bet9ja', name: 'Bet9ja', group: 'brand', selectedTokenSets: { core: 'source', bet9ja: 'enabled' } }
+    ]);
+
+    build();
+
+    const css = await readOutput('css/bet9ja-dark/tokens.css');
+    expect(css).toContain('[data-brand="bet9ja"][data-mode="dark"] {');
+    expect(css).toContain('--accent: #0d9737;');
+    expect(css).toContain('--surface: #808080;');
+  }, 60000);
+
+  it('should give evaluated sizes a unit and leave space-separated values alone', async () => {
+    await writeTokens({
+      core: { fontVariables: { fontSizeBaseline: { $type: 'fontSizes', $value: '16' } } },
+      global: {
+        fontSize: { small: { $type: 'fontSizes', $value: 'roundTo({fontVariables.fontSizeBaseline}*0.625,0)' } },
+        radius: { $type: 'borderRadius', $value: '4' },
+        inset: { $type: 'spacing', $value: '0 -1px' },
+        released: { $type: 'other', $value: '2020-01-01' }
+      }
+    }, [{ id: 'base', name: 'Base', selectedTokenSets: { core: 'source', global: 'enabled' } }]);
+
+    build();
+
+    const css = await readOutput('css/base/tokens.css');
+    expect(css).toContain('--font-size-small: 10px;');
+    expect(css).toContain('--radius: 4px;');
+    expect(css).toContain('--inset: 0 -1px;');
+    expect(css).toContain('--released: 2020-01-01;');
+  }, 60000);
+
+  it('should warn when a color modifier space falls back to srgb', async () => {
+    await writeTokens({
+      core: { grey: { $type: 'color', $value: '#808080' } },
+      global: {
+        pressed: {
+          $type: 'color',
+          $value: '{grey}',
+          $extensions: { 'studio.tokens': { modify: { type: 'darken', value: '0.5', space: 'lab' } } }
+        }
+      }
+    }, [{ id: 'base', name: 'Base', selectedTokenSets: { core: 'source', global: 'enabled' } }]);
+
+    const { stderr } = build();
+
+    expect(stderr).toContain("Color space 'lab' at pressed is not supported, using srgb");
+    expect(await readOutput('css/base/tokens.css')).toContain('--pressed: #404040;');
+  }, 60000);
+});
@@ -412,8 +412,8 @@ describe('GitHub Integration and Designer Workflow', () => {
       const result = await workflowCommands.testDesignerImport({ verbose: false });
 
       expect(result.success).toBe(false);
-      expect(result.details.structureRequirements.issues).toContainEqual(expect.stringContaining('missing required \'id\' field'));
-      expect(result.details.structureRequirements.issues).toContainEqual(expect.stringContaining('missing required \'name\' field'));
+      expect(result.details.structureRequirements.issues).toContainEqual(expect.stringContaining("$themes /0: must have required property 'id'"));
+      expect(result.details.structureRequirements.issues).toContainEqual(expect.stringContaining("$themes /0: must have required property 'name'"));
     });
 
     test('should simulate Token Studio import performance considerations', async () => {
@@ -0,0 +1,284 @@
+/**
+ * Token Server Tests
+ *
+ * Tests the per-set, per-theme, resolved and consolidated endpoints plus caching headers
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const { createTokenServer, parseArgs } = require('../server');
+
+function request(port, urlPath, headers = {}, method = 'GET', payload = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: urlPath, headers, method }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: body ? JSON.parse(body) : null
+      }));
+    });
+    req.on('error', reject);
+    req.end(payload === null ? undefined : (typeof payload === 'string' ? payload : JSON.stringify(payload)));
+  });
+}
+
+async function writeWorkspace(dir) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, '$metadata.json'), JSON.stringify({ tokenSetOrder: ['core', 'bet9ja dark'] }));
+  await fs.writeFile(path.join(dir, '$themes.json'), JSON.stringify([
+    { id: 'dark', name: 'Dark', selectedTokenSets: { core: 'source', 'bet9ja dark': 'enabled' } }
+  ]));
+  await fs.writeFile(path.join(dir, 'core.json'), JSON.stringify({
+    color: { black: { $type: 'color', $value: '#000000' } }
+  }));
+  await fs.writeFile(path.join(dir, 'bet9ja dark.json'), JSON.stringify({
+    surface: { $type: 'color', $value: '{color.black}' }
+  }));
+}
+
+describe('Token server', () => {
+  let testDir;
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    testDir = path.join(__dirname, 'temp-token-server-test');
+    await writeWorkspace(testDir);
+
+    server = createTokenServer({ root: testDir });
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should build tokensource.json from the modular folder', async () => {
+    const response = await request(port, '/tokensource.json');
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body)).toEqual(['core', 'bet9ja dark', '$themes', '$metadata']);
+  });
+
+  it('should serve individual sets, themes and metadata', async () => {
+    const set = await request(port, '/sets/bet9ja%20dark');
+    const themes = await request(port, '/themes');
+    const metadata = await request(port, '/metadata');
+
+    expect(set.body.surface.$value).toBe('{color.black}');
+    expect(themes.body[0].name).toBe('Dark');
+    expect(metadata.body.tokenSetOrder).toEqual(['core', 'bet9ja dark']);
+  });
+
+  it('should serve resolved theme tokens', async () => {
+    const response = await request(port, '/themes/Dark/resolved');
+
+    expect(response.status).toBe(200);
+    expect(response.body.tokens.surface.value).toBe('#000000');
+    expect(response.body.tokens['color.black']).toBeUndefined();
+  });
+
+  it('should answer conditional requests with 304', async () => {
+    const first = await request(port, '/sets/core');
+
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers['last-modified']).toBeDefined();
+
+    const second = await request(port, '/sets/core', { 'If-None-Match': first.headers.etag });
+    expect(second.status).toBe(304);
+  });
+
+  it('should return JSON 404 bodies', async () => {
+    const missingSet = await request(port, '/sets/missing');
+    const missingTheme = await request(port, '/themes/Missing/resolved');
+    const missingRoute = await request(port, '/unknown');
+
+    expect(missingSet.status).toBe(404);
+    expect(missingSet.body.sets).toEqual(['core', 'bet9ja dark']);
+    expect(missingTheme.body.themes).toEqual(['Dark']);
+    expect(missingRoute.headers['content-type']).toBe('application/json');
+    expect(missingRoute.body.endpoints).toContain('/themes/:name/resolved');
+  });
+
+  it('should answer malformed URL escapes with 400', async () => {
+    const set = await request(port, '/sets/%E0%A4%A');
+    const theme = await request(port, '/themes/%E0%A4%A/resolved');
+
+    expect(set.status).toBe(400);
+    expect(set.body.error).toBe('Malformed URL encoding in path: %E0%A4%A');
+    expect(theme.status).toBe(400);
+  });
+
+  it('should read port and root from CLI flags', () => {
+    const options = parseArgs(['--port', '4000', '--root', 'some/tokens']);
+
+    expect(options.port).toBe(4000);
+    expect(options.root).toBe(path.resolve('some/tokens'));
+  });
+
+  it('should stream token changes as Server-Sent Events', async () => {
+    const events = [];
+    let req;
+
+    const changeReceived = new Promise((resolve, reject) => {
+      req = http.get({ port, path: '/events' }, res => {
+        expect(res.headers['content-type']).toBe('text/event-stream');
+        let buffer = '';
+        res.on('data', async chunk => {
+          buffer += chunk;
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          for (const message of messages) {
+            const eventName = (message.match(/^event: (.+)$/m) || [])[1];
+            const data = (message.match(/^data: (.+)$/m) || [])[1];
+            if (!eventName) continue;
+            events.push(eventName);
+
+            if (eventName === 'ready') {
+              const corePath = path.join(testDir, 'core.json');
+              await fs.writeFile(corePath, JSON.stringify({ color: { black: { $type: 'color', $value: '#010101' } } }));
+              const future = new Date(Date.now() + 5000);
+              await fs.utimes(corePath, future, future);
+            } else if (eventName === 'change') {
+              resolve(JSON.parse(data));
+            }
+          }
+        });
+      });
+      req.on('error', reject);
+    });
+
+    const change = await changeReceived;
+    req.destroy();
+
+    expect(events[0]).toBe('ready');
+    expect(change.set).toBe('core');
+    expect(change.changedPaths).toEqual(['color.black']);
+    expect(change.resolved.Dark).toEqual({ surface: '#010101' });
+  });
+
+  it('should reject writes when no token is configured', async () => {
+    const response = await request(port, '/sets/core', {}, 'PUT', {});
+
+    expect(response.status).toBe(403);
+  });
+
+  describe('write-back', () => {
+    let writeDir;
+    let backupDir;
+    let writeServer;
+    let writePort;
+    const auth = { Authorization: 'Bearer secret', 'Content-Type': 'application/json' };
+
+    beforeEach(async () => {
+      writeDir = path.join(__dirname, 'temp-token-server-write-test', 'tokens');
+      backupDir = path.join(__dirname, 'temp-token-server-write-test', '.backups');
+      await writeWorkspace(writeDir);
+
+      writeServer = createTokenServer({ root: writeDir, authToken: 'secret', backupDir });
+      await new Promise(resolve => writeServer.listen(0, resolve));
+      writePort = writeServer.address().port;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => writeServer.close(resolve));
+      await fs.rm(path.join(__dirname, 'temp-token-server-write-test'), { recursive: true, force: true });
+    });
+
+    it('should require a valid bearer token', async () => {
+      const response = await request(writePort, '/sets/core', { Authorization: 'Bearer wrong' }, 'PUT', {});
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should validate, back up and write a token set', async () => {
+      const updated = { color: { black: { $type: 'color', $value: '#111111' } } };
+      const response = await request(writePort, '/sets/core', auth, 'PUT', updated);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.files).toEqual(['core.json']);
+      expect(response.body.backupId).toBeDefined();
+      expect(response.body.validation.summary).toBeDefined();
+      expect(JSON.parse(await fs.readFile(path.join(writeDir, 'core.json'), 'utf8'))).toEqual(updated);
+      expect((await fs.readdir(backupDir)).some(entry => entry.startsWith('server-push-backup-'))).toBe(true);
+    });
+
+    it('should add new sets to tokenSetOrder', async () => {
+      const response = await request(writePort, '/sets/brand', auth, 'PUT', { accent: { $type: 'color', $value: '#ff0000' } });
+      const metadata = JSON.parse(await fs.readFile(path.join(writeDir, '$metadata.json'), 'utf8'));
+
+      expect(response.status).toBe(201);
+      expect(metadata.tokenSetOrder).toEqual(['core', 'bet9ja dark', 'brand']);
+    });
+
+    it('should reject invalid JSON and strict pushes with validation issues', async () => {
+      const invalidJson = await request(writePort, '/sets/core', auth, 'PUT', '{ not json');
+      const strict = await request(writePort, '/sets/bet9ja%20dark?strict=true', auth, 'PUT', {
+        surface: { $type: 'color', $value: '{color.missing}' }
+      });
+
+      const malformedName = await request(writePort, '/sets/%E0%A4%A', auth, 'PUT', {});
+
+      expect(invalidJson.status).toBe(400);
+      expect(malformedName.status).toBe(400);
+      expect(malformedName.body.error).toContain('Malformed URL encoding');
+      expect(strict.status).toBe(422);
+      expect(strict.body.validation.validations.references.isValid).toBe(false);
+      expect(JSON.parse(await fs.readFile(path.join(writeDir, 'bet9ja dark.json'), 'utf8')).surface.$value).toBe('{color.black}');
+    });
+
+    it('should split a pushed tokensource.json into modular files', async () => {
+      const source = {
+        core: { color: { black: { $type: 'color', $value: '#222222' } } },
+        'bet9ja dark': { surface: { $type: 'color', $value: '{color.black}' } },
+        $themes: [{ id: 'dark', name: 'Dark', selectedTokenSets: { core: 'source', 'bet9ja dark': 'enabled' } }],
+        $metadata: { tokenSetOrder: ['core', 'bet9ja dark'] }
+      };
+
+      const response = await request(writePort, '/tokensource.json', auth, 'PUT', source);
+
+      expect(response.status).toBe(200);
+      expect(response.body.files).toEqual(expect.arrayContaining(['$metadata.json', '$themes.json', 'core.json', 'bet9ja dark.json']));
+      expect(JSON.parse(await fs.readFile(path.join(writeDir, 'core.json'), 'utf8')).color.black.$value).toBe('#222222');
+    });
+
+    it('should only reject structure errors the push adds', async () => {
+      await fs.writeFile(path.join(writeDir, 'core.json'), JSON.stringify({
+        color: { black: { $type: 'color', $value: '#000000' }, broken: { $type: 'color', $value: '#' } }
+      }));
+
+      const unchanged = await request(writePort, '/sets/bet9ja%20dark', auth, 'PUT', {
+        surface: { $type: 'color', $value: '{color.black}' }
+      });
+      const broken = await request(writePort, '/sets/bet9ja%20dark', auth, 'PUT', {
+        surface: { $type: 'color', $value: '#12' }
+      });
+
+      expect(unchanged.status).toBe(200);
+      expect(broken.status).toBe(422);
+      expect(broken.body.errors).toHaveLength(2);
+      expect(broken.body.errors[1]).toContain('at surface');
+    });
+
+    it('should write back an unchanged set of the shipped tokens folder', async () => {
+      const shippedDir = path.join(__dirname, '..', 'tokens');
+      await fs.rm(writeDir, { recursive: true, force: true });
+      await fs.mkdir(writeDir, { recursive: true });
+      for (const file of await fs.readdir(shippedDir)) {
+        await fs.copyFile(path.join(shippedDir, file), path.join(writeDir, file));
+      }
+      const components = JSON.parse(await fs.readFile(path.join(writeDir, 'components.json'), 'utf8'));
+
+      const response = await request(writePort, '/sets/components', auth, 'PUT', components);
+
+      expect(response.status).toBe(200);
+      expect(response.body.files).toEqual(['components.json']);
+    }, 60000);
+  });
+});